@@ -1,17 +1,143 @@
 const express = require('express');
-const axios = require('axios');
-const { Sequelize, DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
 const bodyParser = require('body-parser');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const { sendSnapshotVerificationNotification } = require('./utils/discord');
-const { verifyBalances } = require('./utils/balanceUtils');
+const { NOTIFICATION_EVENTS, loadChannels } = require('./utils/notificationChannels');
+const { loadRoutes, createNotifier } = require('./utils/notifier');
+const {
+    generateWebhookSecret,
+    validateSubscriptionInput,
+    formatSubscription,
+    formatDelivery,
+    createWebhookDispatcher,
+} = require('./utils/webhooks');
+const { ERROR_CODES, buildError, sendError, notFoundHandler, errorHandler } = require('./utils/apiErrors');
+const { createRequestValidator } = require('./utils/requestValidation');
+const { requireAdmin } = require('./utils/adminAuth');
+const {
+    CLAIM_STATUSES,
+    ModerationError,
+    validateReason,
+    validateBlockedAddressInput,
+    formatClaim,
+    formatClaimAction,
+    formatBlockedAddress,
+    createClaimModerator,
+} = require('./utils/claimModeration');
+const { createMilestoneScheduler } = require('./utils/milestones');
+const { hashIp, formatClaimAttempt, createAuditLog } = require('./utils/auditLog');
+const { CLAIM_WINDOW_ERROR_CODES, ClaimRejectedError, createClaimVerifier } = require('./utils/claimVerification');
+const {
+    loadRateLimitRules,
+    createMemoryStore,
+    createPostgresStore,
+    createRateLimiter,
+} = require('./utils/rateLimit');
+const {
+    MAX_PAGE_SIZE: MAX_LOG_PAGE_SIZE,
+    formatLogEntry,
+    createTransparencyLog,
+} = require('./utils/transparencyLog');
+const {
+    verifyBalances,
+    formatDeductionPercentage,
+} = require('./utils/balanceUtils');
+const { X42NodeError, loadNodeClientOptions, createX42NodeClient } = require('./utils/x42NodeClient');
+const { escapeCsvField, writeSnapshotCsv } = require('./utils/csvExport');
+const { withExportSnapshot } = require('./utils/exportQueries');
+const {
+    getSigningKey,
+    encodePublicKey,
+    buildManifest,
+    signManifest,
+    verifyExport,
+    formatExport,
+} = require('./utils/exportManifest');
+const { getExportPath, createExportFile } = require('./utils/exportStore');
+const {
+    EXPORT_FORMATS,
+    getExportOptions,
+    writeBankGenesis,
+    writeVestingGenesis,
+    writeJsonLines,
+    writeMerkleDistribution,
+} = require('./utils/exportFormats');
+const { AllocationError, allocate } = require('./utils/allocation');
+const { parseVestingSchedule } = require('./utils/vesting');
+const { validateEpixAddress } = require('./utils/epixAddress');
+const { SORT_FIELDS, encodeCursor, buildClaimsQuery } = require('./utils/claimQuery');
+const {
+    LEGACY_CAMPAIGN,
+    getClaimWindowState,
+    getClaimWindowError,
+    getAllocationOptions,
+    formatCampaign,
+} = require('./utils/campaignUtils');
+const { generateNonce, getChallengeTtlSeconds, buildClaimMessage } = require('./utils/claimMessage');
+const { loadMigrations, createMigrator } = require('./utils/migrations');
+const { formatReconciliationReport, createReconciler } = require('./utils/reconciliation');
+const { DestinationChangeError, formatDestinationChange, createDestinationChanger } = require('./utils/destinationChange');
+const { createMetricsRegistry, createRequestMetrics } = require('./utils/metrics');
+const { createReadinessCheck } = require('./utils/health');
+const {
+    sequelize,
+    Campaign,
+    Snapshot,
+    ClaimAction,
+    BlockedAddress,
+    ClaimAttempt,
+    TransparencyLogEntry,
+    SnapshotBalance,
+    ClaimChallenge,
+    DestinationChange,
+    Export,
+    ReconciliationReport,
+    QueuedNotification,
+    WebhookSubscription,
+    WebhookDelivery,
+    AnnouncedMilestone,
+    RateLimitCounter,
+    SchemaMigration,
+} = require('./models');
 require('dotenv').config();
 
+// Prometheus metrics, served at /metrics
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by method, route and status',
+    ['method', 'route', 'status']
+);
+const claimsAccepted = metrics.counter('claims_accepted_total', 'Claims verified and stored');
+const claimsRejected = metrics.counter('claims_rejected_total', 'Claims rejected, by error code', ['reason']);
+const nodeRequestDuration = metrics.histogram(
+    'x42_node_request_duration_seconds',
+    'Latency of requests to the x42 nodes by endpoint, node and outcome',
+    ['endpoint', 'host', 'outcome']
+);
+const notificationFailures = metrics.counter(
+    'notification_failures_total',
+    'Failed notification sends and webhook delivery attempts, by channel and event',
+    ['channel', 'event']
+);
+
 // Setup Express
 const app = express();
+app.use(createRequestMetrics({ requests: httpRequests, duration: httpRequestDuration }));
 app.use(bodyParser.json());
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address from X-Forwarded-For.
+// It takes the values of Express' trust proxy setting, e.g. true, 1 or loopback.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 // Swagger setup
 const swaggerOptions = {
     swaggerDefinition: {
@@ -33,75 +159,447 @@ const swaggerOptions = {
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
-// Setup Sequelize
-const sequelize = new Sequelize(process.env.DB_NAME, process.env.DB_USER, process.env.DB_PASSWORD, {
-    host: process.env.DB_HOST,
-    dialect: 'postgres',
-    port: process.env.DB_PORT,
+// Validate every documented route against its Swagger parameters and request body.
+// /verify-snapshot audits its rejections, so it answers validation errors itself.
+app.use(createRequestValidator(swaggerDocs, { deferred: ['POST /verify-snapshot'] }));
+
+// Helper function to write to a streamed response, waiting for it to drain when its buffer is full
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            res.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            res.off('drain', onDrain);
+            reject(new Error('Client closed the connection'));
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+const notificationChannels = loadChannels();
+const notifier = createNotifier({
+    channels: notificationChannels,
+    routes: loadRoutes(notificationChannels),
+    QueuedNotification,
+    onFailure: ({ channel, eventType }) => notificationFailures.inc({ channel, event: eventType }),
 });
 
-// Helper function to escape CSV fields
-function escapeCsvField(field) {
-    if (field === null || field === undefined) {
-        return '';
+const webhookDispatcher = createWebhookDispatcher({
+    WebhookSubscription,
+    WebhookDelivery,
+    onFailure: ({ eventType }) => notificationFailures.inc({ channel: 'webhook', event: eventType }),
+});
+
+// Helper function to send an event to the notification channels and the webhook subscriptions.
+// Never rejects, so callers do not need to wait for it.
+function publishEvent(type, data) {
+    return Promise.all([
+        notifier.notify(type, data),
+        webhookDispatcher.dispatch(type, data),
+    ]);
+}
+
+const claimModerator = createClaimModerator({ Snapshot, ClaimAction, BlockedAddress });
+const auditLog = createAuditLog({ ClaimAttempt });
+const transparencyLog = createTransparencyLog({ TransparencyLogEntry });
+const claimVerifier = createClaimVerifier({
+    Campaign,
+    Snapshot,
+    SnapshotBalance,
+    ClaimChallenge,
+    findBlockedAddress: claimModerator.findBlockedAddress,
+});
+const destinationChanger = createDestinationChanger({
+    Snapshot,
+    DestinationChange,
+    ClaimAction,
+    findBlockedAddress: claimModerator.findBlockedAddress,
+    transparencyLog,
+    publishEvent,
+});
+
+// Helper function to store a claim that passed claimVerifier.checkClaim(), in the caller's transaction.
+// Consumes the nonce, then stores the claim, its transparency log entry and its accepted audit record.
+async function storeClaim({ checked, x42_address, epix_address, snapshot_balance, nonce, signature, attempt }, transaction) {
+    // Only one request can flip used_at, so a replay racing this one fails here
+    const [consumed] = await ClaimChallenge.update(
+        { used_at: new Date() },
+        { where: { nonce, used_at: null }, transaction }
+    );
+    if (consumed === 0) {
+        throw new ClaimRejectedError(ERROR_CODES.NONCE_USED, 'Nonce has already been used', 'nonce');
+    }
+
+    let created;
+    try {
+        created = await Snapshot.create({
+            raw_json: {
+                x42_address,
+                epix_address,
+                snapshot_balance,
+                campaign_id: checked.campaign.id,
+                nonce,
+                message: checked.message,
+            },
+            signature,
+            x42_address,
+            epix_address,
+            // A whole number of satoshis, sent as a JSON integer or a string of digits
+            snapshot_balance: BigInt(snapshot_balance).toString(),
+            campaign_id: checked.campaign.id,
+        }, { transaction });
+    } catch (error) {
+        // A concurrent claim of the same address was stored first; the unique index turned this one away
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            throw new ClaimRejectedError(ERROR_CODES.DUPLICATE_CLAIM, 'Duplicate address. Snapshot was already verified.', 'x42_address');
+        }
+        throw error;
     }
 
-    const stringField = String(field);
+    await transparencyLog.append(created, transaction);
+    await auditLog.recordAttempt({ ...attempt, claimId: created.id }, transaction);
+    return created;
+}
 
-    // If the field contains commas, quotes, or newlines, wrap it in quotes
-    // and escape any internal quotes by doubling them
-    if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n') || stringField.includes('\r')) {
-        return '"' + stringField.replace(/"/g, '""') + '"';
+// Helper function to compute the claim aggregates /total-claimed reports, over active claims only,
+// optionally only over the claims made since a point in time, optionally in a transaction
+async function getClaimTotals(campaign, since, transaction) {
+    const where = { campaign_id: campaign.id, status: CLAIM_STATUSES.ACTIVE };
+    if (since) {
+        where.createdAt = { [Op.gte]: since };
     }
 
-    return stringField;
+    const totalClaimed = await Snapshot.sum('snapshot_balance', { where, transaction });
+    const totalClaims = await Snapshot.count({ where, transaction });
+
+    return { totalClaimed, totalClaims };
 }
 
-// Define Snapshot model
-const Snapshot = sequelize.define('Snapshot', {
-    raw_json: {
-        type: DataTypes.JSON,
-        allowNull: false,
-    },
-    signature: {
-        type: DataTypes.STRING,
-        allowNull: false,
-    },
-    x42_address: {
-        type: DataTypes.STRING,
-        allowNull: false,
-    },
-    epix_address: {
-        type: DataTypes.STRING,
-        allowNull: false,
-    },
-    snapshot_balance: {
-        type: DataTypes.BIGINT,
-        allowNull: false,
-    },
+const milestoneScheduler = createMilestoneScheduler({
+    Campaign,
+    AnnouncedMilestone,
+    getClaimTotals,
+    publishEvent,
+});
+
+const reconciler = createReconciler({
+    Campaign,
+    Snapshot,
+    SnapshotBalance,
+    DestinationChange,
+    TransparencyLogEntry,
+    ReconciliationReport,
+    claimModerator,
+    getClaimTotals,
+});
+
+// Per-IP and per-address limits on the public routes, and on failed signatures per client and x42 address.
+// The Postgres store shares the counts between instances.
+const rateLimitRules = loadRateLimitRules();
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'postgres'
+    ? createPostgresStore({ RateLimitCounter })
+    : createMemoryStore();
+const rateLimiter = createRateLimiter({ store: rateLimitStore });
+const limitByIp = rateLimiter.limit(rateLimitRules.ip, req => req.ip);
+const limitByAddress = (getAddress) => rateLimiter.limit(rateLimitRules.address, getAddress);
+// Anyone can get a challenge for any address, so failed signatures are counted per client and
+// x42 address: failures sent by someone else must not lock the holder out of their own address
+const failedSignatureKey = (req, x42Address) => `${hashIp(req.ip, process.env.AUDIT_IP_HASH_SECRET)}:${x42Address}`;
+
+const NOTIFICATION_RETRY_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || 30;
+const MILESTONE_CHECK_INTERVAL_SECONDS = parseInt(process.env.MILESTONE_CHECK_INTERVAL_SECONDS) || 60;
+// 0 turns the scheduled reconciliation off
+const RECONCILIATION_INTERVAL_SECONDS = process.env.RECONCILIATION_INTERVAL_SECONDS === undefined
+    ? 86400
+    : parseInt(process.env.RECONCILIATION_INTERVAL_SECONDS) || 0;
+
+const migrator = createMigrator({ sequelize, SchemaMigration, migrations: loadMigrations() });
+
+// Migrate the database, seed the original campaign on first start and start the background jobs
+const initializeDatabase = () => migrator.up().then(async () => {
+    if (await Campaign.count() === 0) {
+        await Campaign.create(LEGACY_CAMPAIGN);
+    }
+
+    // Claims stored before the transparency log existed
+    const appended = await transparencyLog.appendMissingClaims(Snapshot);
+    if (appended > 0) {
+        console.log(`Added ${appended} existing claims to the transparency log`);
+    }
+
+    // Retry notifications and webhook deliveries that could not be sent
+    setInterval(() => {
+        notifier.processRetryQueue().catch(error => {
+            console.error('Error processing the notification retry queue:', error);
+        });
+        webhookDispatcher.processDueDeliveries().catch(error => {
+            console.error('Error processing webhook deliveries:', error);
+        });
+    }, NOTIFICATION_RETRY_INTERVAL_SECONDS * 1000).unref();
+
+    // Forget rate limit counters whose window has ended
+    setInterval(() => {
+        rateLimitStore.sweep().catch(error => {
+            console.error('Error sweeping rate limit counters:', error);
+        });
+    }, 60 * 1000).unref();
+
+    // Announce milestones, closing campaigns and the daily digest
+    setInterval(() => {
+        milestoneScheduler.runOnce().catch(error => {
+            console.error('Error running the milestone scheduler:', error);
+        });
+    }, MILESTONE_CHECK_INTERVAL_SECONDS * 1000).unref();
+
+    // Re-verify the stored claims of every campaign
+    if (RECONCILIATION_INTERVAL_SECONDS > 0) {
+        setInterval(() => {
+            reconciler.reconcileAll().catch(error => {
+                console.error('Error reconciling claims:', error);
+            });
+        }, RECONCILIATION_INTERVAL_SECONDS * 1000).unref();
+    }
+});
+
+// Timeouts, retries and failover across the nodes in NODE_HOST
+const nodeClient = createX42NodeClient({
+    ...loadNodeClientOptions(),
+    onRequest: ({ host, url, seconds, ok }) => nodeRequestDuration.observe({ endpoint: url, host, outcome: ok ? 'success' : 'error' }, seconds),
 });
 
-// Sync the database
-sequelize.sync();
+// Helper function to look up the campaign a request refers to.
+// Falls back to DEFAULT_CAMPAIGN_ID, then to the oldest campaign.
+async function resolveCampaign(campaignId) {
+    const id = campaignId || process.env.DEFAULT_CAMPAIGN_ID;
+
+    if (id) {
+        const parsedId = parseInt(id);
+        return Number.isNaN(parsedId) ? null : Campaign.findByPk(parsedId);
+    }
+
+    return Campaign.findOne({ order: [['id', 'ASC']] });
+}
+
+const checkReadiness = createReadinessCheck({ sequelize, nodeClient, resolveCampaign });
+
+// Helper function to run the allocation the export would make over a campaign's
+// active claims right now, with the campaign's strategy, cap and dust threshold.
+// Resolves with the allocation and the claimed total per epix address, or null
+// while the claims cannot be allocated, e.g. when every address is capped below the target.
+async function getProjectedAllocation(campaign) {
+    const rows = await Snapshot.findAll({
+        attributes: ['epix_address', [sequelize.fn('SUM', sequelize.col('snapshot_balance')), 'total_balance']],
+        where: { campaign_id: campaign.id, status: CLAIM_STATUSES.ACTIVE },
+        group: ['epix_address'],
+        order: [[sequelize.fn('MIN', sequelize.col('id')), 'ASC']],
+        raw: true,
+    });
+    const entries = rows.map(row => ({ address: row.epix_address, balance: BigInt(row.total_balance) }));
+
+    try {
+        return {
+            allocation: allocate(entries, getAllocationOptions(campaign)),
+            totals: new Map(entries.map(entry => [entry.address, entry.balance])),
+        };
+    } catch (error) {
+        if (error instanceof AllocationError) {
+            return null;
+        }
+        throw error;
+    }
+}
 
-const NODE_HOST = process.env.NODE_HOST || 'localhost';
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Error:
+ *       type: object
+ *       description: Body of every error response
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Machine-readable error code. Map errors by this, not by message.
+ *           enum:
+ *             - invalid_request
+ *             - invalid_json
+ *             - missing_field
+ *             - invalid_field
+ *             - invalid_epix_address
+ *             - unauthorized
+ *             - admin_not_configured
+ *             - rate_limited
+ *             - too_many_failed_signatures
+ *             - not_found
+ *             - campaign_not_found
+ *             - claim_not_found
+ *             - export_not_found
+ *             - subscription_not_found
+ *             - delivery_not_found
+ *             - blocklist_entry_not_found
+ *             - reconciliation_report_not_found
+ *             - signing_key_not_configured
+ *             - claim_period_not_started
+ *             - claim_period_ended
+ *             - duplicate_claim
+ *             - address_blocked
+ *             - address_not_in_snapshot
+ *             - unknown_nonce
+ *             - nonce_used
+ *             - nonce_expired
+ *             - challenge_mismatch
+ *             - balance_mismatch
+ *             - invalid_signature
+ *             - batch_rejected
+ *             - claim_not_active
+ *             - destination_locked
+ *             - destination_change_cooldown
+ *             - invalid_status_transition
+ *             - address_already_blocked
+ *             - subscription_inactive
+ *             - delivery_not_failed
+ *             - node_unavailable
+ *             - allocation_failed
+ *             - internal_error
+ *           example: balance_mismatch
+ *         message:
+ *           type: string
+ *           description: Human readable description, may change
+ *           example: Balance verification failed
+ *         field:
+ *           type: string
+ *           nullable: true
+ *           description: Request field the error is about, null when it is not about a single field
+ *           example: snapshot_balance
+ *         error:
+ *           type: string
+ *           deprecated: true
+ *           description: Same as message, kept for clients written before codes existed
+ *     Campaign:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: x42 Snapshot Airdrop
+ *         source_chain:
+ *           type: string
+ *           example: x42
+ *         snapshot_height:
+ *           type: integer
+ *           example: 3000000
+ *         opens_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         closes_at:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-02-10T00:00:00.000Z"
+ *         target_allocation:
+ *           type: string
+ *           description: Total amount distributed by the campaign, in satoshis
+ *           example: "1184476900000000"
+ *         allocation_strategy:
+ *           type: string
+ *           enum: [pro-rata, largest-remainder]
+ *           example: pro-rata
+ *         max_allocation_per_address:
+ *           type: string
+ *           nullable: true
+ *           description: Largest allocation a single epix address may receive, in satoshis
+ *         dust_threshold:
+ *           type: string
+ *           nullable: true
+ *           description: Allocations below this many satoshis are dropped and redistributed
+ *         vesting_schedule:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             How the allocation unlocks: immediate_percentage at start_time, the rest in period_count periods of
+ *             period_seconds after cliff_seconds. tiers apply other rules to final balances of at least min_balance
+ *             satoshis. Null when everything is available at genesis.
+ *           example:
+ *             start_time: "2025-03-01T00:00:00Z"
+ *             immediate_percentage: 25
+ *             cliff_seconds: 7776000
+ *             period_seconds: 2592000
+ *             period_count: 12
+ *             tiers:
+ *               - min_balance: "10000000000000"
+ *                 immediate_percentage: 10
+ *                 period_count: 24
+ *     Export:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         campaign_id:
+ *           type: integer
+ *           example: 1
+ *         format:
+ *           type: string
+ *           enum: [csv, cosmos-genesis, cosmos-vesting, jsonl, merkle]
+ *         detailed:
+ *           type: boolean
+ *         file_name:
+ *           type: string
+ *           example: snapshots.csv
+ *         status:
+ *           type: string
+ *           example: complete
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         manifest:
+ *           type: object
+ *           description: >
+ *             Signed description of the file: row_count, total_original_balance, total_final_balance,
+ *             multiplier, sha256, high_water_claim_id, created_at and the public_key it is signed with
+ *         signature:
+ *           type: string
+ *           nullable: true
+ *           description: Base64 Ed25519 signature over the manifest as canonical JSON, null if no signing key is configured
+ *         reconciliation_report_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The reconciliation of the campaign's claims run before the export, see /admin/reconciliation/reports/{id}
+ */
 
 /**
  * @swagger
  * /check-balance:
  *   get:
- *     summary: Check the balance of a given address
+ *     summary: Check the snapshot balance of a given address
  *     parameters:
  *       - in: query
  *         name: address
  *         schema:
  *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
  *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
  *         required: true
  *         description: Address to check balance
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign whose snapshot to read. Defaults to the default campaign.
  *     responses:
  *       200:
- *         description: Balance of the address
+ *         description: Balance of the address at the campaign's snapshot height. Addresses missing from the snapshot have a balance of 0.
  *         content:
  *           application/json:
  *             schema:
@@ -112,30 +610,198 @@ const NODE_HOST = process.env.NODE_HOST || 'localhost';
  *                   example: "1000000000"
  *       400:
  *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP or for this address. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.get('/check-balance', async (req, res) => {
+app.get('/check-balance', limitByIp, limitByAddress(req => req.query.address), async (req, res) => {
     const { address } = req.query;
 
     if (!address) {
-        return res.status(400).json({ error: 'Address is required' });
+        return sendError(res, 400, ERROR_CODES.MISSING_FIELD, 'Address is required', 'address');
     }
 
     try {
-        // Call an external API or node to get the balance
-        const balanceResponse = await axios.get(`${NODE_HOST}/api/BlockStore/getaddressesbalances?addresses=${address}&minConfirmations=1`);
-
-        if (!balanceResponse.data || !balanceResponse.data.balances || balanceResponse.data.balances.length === 0) {
-            return res.status(400).json({ error: 'Unable to retrieve balance for the given address' });
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
         }
 
-        const balance = balanceResponse.data.balances[0].balance;
+        // Read the balance from the imported snapshot
+        const snapshotBalance = await SnapshotBalance.findOne({ where: { campaign_id: campaign.id, address } });
+        const balance = snapshotBalance ? String(snapshotBalance.balance) : '0';
 
         return res.status(200).json({ balance });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /claim-challenge:
+ *   get:
+ *     summary: Issue a single-use nonce and the canonical message to sign for a claim
+ *     parameters:
+ *       - in: query
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         required: true
+ *         description: Address the balance is claimed from
+ *       - in: query
+ *         name: epix_address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *         required: true
+ *         description: Address the allocation is sent to, as epix1... bech32 or 0x hex. Hex addresses are converted to epix1...
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign being claimed from. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: Challenge to sign with the x42 key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonce:
+ *                   type: string
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                 message:
+ *                   type: string
+ *                   description: Exact message to sign
+ *                 snapshot_balance:
+ *                   type: string
+ *                   example: "69223563046"
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP or for this address. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/claim-challenge', limitByIp, limitByAddress(req => req.query.x42_address), async (req, res) => {
+    const { x42_address } = req.query;
+
+    if (!x42_address) {
+        return sendError(res, 400, ERROR_CODES.MISSING_FIELD, 'x42 address is required', 'x42_address');
+    }
+
+    const epixAddress = validateEpixAddress(req.query.epix_address);
+    if (!epixAddress.isvalid) {
+        return sendError(res, 400, ERROR_CODES.INVALID_EPIX_ADDRESS, `Invalid epix address: ${epixAddress.error}`, 'epix_address');
+    }
+
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        const claimWindowError = getClaimWindowError(campaign);
+        if (claimWindowError) {
+            return sendError(res, 400, CLAIM_WINDOW_ERROR_CODES[getClaimWindowState(campaign)], claimWindowError);
+        }
+
+        const existingSnapshot = await Snapshot.findOne({ where: { x42_address, campaign_id: campaign.id } });
+        if (existingSnapshot) {
+            return sendError(res, 400, ERROR_CODES.DUPLICATE_CLAIM, 'Duplicate address. Snapshot was already verified.');
+        }
+
+        if (await claimModerator.findBlockedAddress(x42_address, epixAddress.address)) {
+            return sendError(res, 400, ERROR_CODES.ADDRESS_BLOCKED, 'Address is blocked');
+        }
+
+        const snapshotBalance = await SnapshotBalance.findOne({ where: { campaign_id: campaign.id, address: x42_address } });
+        if (!snapshotBalance) {
+            return sendError(res, 400, ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT, 'Address not found in snapshot');
+        }
+
+        const challenge = await ClaimChallenge.create({
+            nonce: generateNonce(),
+            campaign_id: campaign.id,
+            x42_address,
+            epix_address: epixAddress.address,
+            snapshot_balance: snapshotBalance.balance,
+            expires_at: new Date(Date.now() + getChallengeTtlSeconds() * 1000),
+        });
+
+        res.status(200).json({
+            nonce: challenge.nonce,
+            message: buildClaimMessage({
+                campaign,
+                x42Address: challenge.x42_address,
+                epixAddress: challenge.epix_address,
+                balance: challenge.snapshot_balance,
+                nonce: challenge.nonce,
+                expiresAt: challenge.expires_at,
+            }),
+            snapshot_balance: String(challenge.snapshot_balance),
+            expires_at: challenge.expires_at,
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
@@ -144,174 +810,577 @@ app.get('/check-balance', async (req, res) => {
  * /verify-snapshot:
  *   post:
  *     summary: Verify and store a snapshot
+ *     description: The signature must be made over the exact message returned by /claim-challenge for the given nonce.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [x42_address, epix_address, snapshot_balance, nonce]
  *             properties:
  *               x42_address:
  *                 type: string
+ *                 pattern: ^[A-Za-z0-9]+$
+ *                 maxLength: 100
  *                 example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
  *               epix_address:
  *                 type: string
+ *                 pattern: ^[A-Za-z0-9]+$
+ *                 maxLength: 100
  *                 example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
  *               snapshot_balance:
- *                 type: integer
+ *                 oneOf:
+ *                   - type: integer
+ *                     minimum: 0
+ *                   - type: string
+ *                     pattern: ^\d+$
  *                 example: 69223563046
+ *                 description: Balance from /claim-challenge in satoshis, as an integer or a string of digits
+ *               nonce:
+ *                 type: string
+ *                 pattern: ^[0-9a-f]+$
+ *                 maxLength: 64
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                 description: Nonce issued by /claim-challenge
  *     parameters:
  *       - in: header
  *         name: signature
  *         schema:
  *           type: string
  *         required: true
- *         description: Signature for verification
+ *         description: Signature of the challenge message
  *     responses:
  *       200:
  *         description: Snapshot verified and stored successfully
  *       400:
  *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP or for this address, or too many failed signatures from this client for this x42 address. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.post('/verify-snapshot', async (req, res) => {
-    const { x42_address, epix_address, snapshot_balance } = req.body;
+app.post('/verify-snapshot', limitByIp, limitByAddress(req => req.body && req.body.x42_address), async (req, res) => {
+    const { x42_address, snapshot_balance, nonce } = req.body;
     const signature = req.headers['signature'];
 
-    if (!signature) {
-        return res.status(400).json({ error: 'Signature is required' });
-    }
+    let campaignId = null;
 
-    try {
-        // Check block height first
-        const blockHeightResponse = await axios.get(`${NODE_HOST}/api/BlockStore/addressindexertip`);
-        if (!blockHeightResponse.data || !blockHeightResponse.data.tipHeight) {
-            return res.status(400).json({ error: 'Unable to retrieve block height' });
-        }
+    // Every attempt is written to the audit log as it was submitted
+    const attempt = (outcome, reason) => ({
+        outcome,
+        reason,
+        ip: req.ip,
+        campaignId,
+        x42Address: x42_address,
+        epixAddress: req.body.epix_address,
+        snapshotBalance: snapshot_balance,
+        nonce,
+    });
 
-        const { tipHeight } = blockHeightResponse.data;
-        if (tipHeight != 3000000) {
-            return res.status(400).json({ error: 'Block height must be at 3,000,000 blocks' });
-        }
+    // Every rejected claim is audited, counted and published as a claim_rejected event
+    const reject = (code, reason, field = null) => {
+        claimsRejected.inc({ reason: code });
+        auditLog.recordAttempt(attempt('rejected', reason)).catch(error => {
+            console.error('Failed to record a rejected claim attempt:', error);
+        });
+        publishEvent(NOTIFICATION_EVENTS.CLAIM_REJECTED, {
+            campaign_id: campaignId,
+            x42_address,
+            epix_address: req.body.epix_address,
+            snapshot_balance,
+            reason,
+        });
+        return sendError(res, 400, code, reason, field);
+    };
 
-        // Check if claim period has ended
-        const claimDeadline = new Date('2025-02-10T00:00:00Z');
-        if (new Date() > claimDeadline) {
-            return res.status(400).json({ error: 'Claim period has ended. The deadline was Febuary 10th, 2025 at 00:00:00 UTC' });
-        }
+    // Checked against the Swagger schema by the request validator, which leaves the response to this route
+    if (req.validationError) {
+        const { code, message, field } = req.validationError;
+        return reject(code, message, field);
+    }
 
-        // Check if address already exists
-        const existingSnapshot = await Snapshot.findOne({ where: { x42_address } });
-        if (existingSnapshot) {
-            return res.status(400).json({ error: 'Duplicate address. Snapshot was already verified.' });
-        }
+    // Store the normalized epix1... form so the genesis export only ever contains valid addresses
+    const epixAddress = validateEpixAddress(req.body.epix_address);
+    if (!epixAddress.isvalid) {
+        return reject(ERROR_CODES.INVALID_EPIX_ADDRESS, `Invalid epix address: ${epixAddress.error}`, 'epix_address');
+    }
+    const epix_address = epixAddress.address;
 
-        // Verify balance by calling external API
-        const balanceResponse = await axios.get(
-            `${NODE_HOST}/api/BlockStore/getaddressesbalances?addresses=${x42_address}&minConfirmations=1`
-        );
-        const { balance } = balanceResponse.data.balances[0];
+    // A client with too many failed signatures for an x42 address is locked out of it until its window ends
+    const signatureRetryAfter = await rateLimiter.getRetryAfter(rateLimitRules.failedSignature, failedSignatureKey(req, x42_address));
+    if (signatureRetryAfter > 0) {
+        claimsRejected.inc({ reason: ERROR_CODES.TOO_MANY_FAILED_SIGNATURES });
+        auditLog.recordAttempt(attempt('rejected', 'Too many failed signature attempts')).catch(error => {
+            console.error('Failed to record a rejected claim attempt:', error);
+        });
+        return rateLimiter.tooManyRequests(res, signatureRetryAfter, ERROR_CODES.TOO_MANY_FAILED_SIGNATURES);
+    }
 
-        if (balance !== snapshot_balance) {
-            return res.status(400).json({ error: 'Balance verification failed' });
-        }
+    try {
+        const checked = await claimVerifier.checkClaim({
+            x42Address: x42_address,
+            epixAddress: epix_address,
+            snapshotBalance: BigInt(snapshot_balance),
+            nonce,
+            signature,
+        });
+        campaignId = checked.campaignId;
 
-        // Verify signature by calling external API
-        const verificationResponse = await axios.post(
-            `${NODE_HOST}/api/Wallet/verifymessage`,
-            {
-                signature,
-                externalAddress: x42_address,
-                message: JSON.stringify(req.body),
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json-patch+json',
-                },
+        if (checked.rejection) {
+            if (checked.rejection.code === ERROR_CODES.INVALID_SIGNATURE) {
+                await rateLimiter.recordFailure(rateLimitRules.failedSignature, failedSignatureKey(req, x42_address));
             }
-        );
-
-        if (verificationResponse.data !== "True") {
-            return res.status(400).json({ error: 'Signature verification failed' });
+            const { code, message, field } = checked.rejection;
+            return reject(code, message, field);
         }
 
-        // Save data to PostgreSQL
-        await Snapshot.create({
-            raw_json: req.body,
+        // The nonce, the claim, its transparency log entry and the audit record are stored together or not at all
+        await sequelize.transaction(transaction => storeClaim({
+            checked,
+            x42_address,
+            epix_address,
+            snapshot_balance,
+            nonce,
             signature,
+            attempt: attempt('accepted'),
+        }, transaction));
+        claimsAccepted.inc();
+
+        // Not awaited, so the response is not held up. Failed sends are retried later.
+        publishEvent(NOTIFICATION_EVENTS.CLAIM_VERIFIED, {
+            campaign_id: campaignId,
             x42_address,
             epix_address,
             snapshot_balance,
         });
 
-        // Send Discord notification asynchronously
-        // We don't await this call since we don't want to delay the API response
-        sendSnapshotVerificationNotification(x42_address, snapshot_balance)
-            .then(success => {
-                if (!success) {
-                    console.warn('Discord notification failed for address:', x42_address);
-                }
-            })
-            .catch(error => {
-                console.error('Error in Discord notification:', error);
-            });
-
         res.status(200).json({ message: 'Snapshot verified and stored successfully' });
     } catch (error) {
+        if (error instanceof ClaimRejectedError) {
+            return reject(error.code, error.message, error.field);
+        }
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        claimsRejected.inc({ reason: ERROR_CODES.INTERNAL_ERROR });
+        auditLog.recordAttempt(attempt('rejected', 'Internal server error')).catch(auditError => {
+            console.error('Failed to record a failed claim attempt:', auditError);
+        });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
 /**
  * @swagger
- * /verify-address:
- *   get:
- *     summary: Verify if an address is valid and not a witness
- *     parameters:
- *       - in: query
- *         name: address
- *         schema:
+ * components:
+ *   schemas:
+ *     ClaimResult:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Position of the claim in the request
+ *           example: 0
+ *         x42_address:
  *           type: string
  *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
- *         required: true
- *         description: Address to verify
- *     responses:
- *       200:
- *         description: Address verification result
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 isvalid:
- *                   type: boolean
- *                   example: true
- *                 iswitness:
- *                   type: boolean
- *                   example: false
- *       400:
- *         description: Error message
- *       500:
+ *         status:
+ *           type: string
+ *           enum: [accepted, rejected, valid]
+ *           description: >
+ *             accepted claims were stored. valid claims passed every check but were not stored because another
+ *             claim in the batch was rejected.
+ *         claim_id:
+ *           type: integer
+ *           description: Id of the stored claim, only for accepted claims
+ *         code:
+ *           type: string
+ *           description: Error code, only for rejected claims
+ *         message:
+ *           type: string
+ *           description: Why the claim was rejected, only for rejected claims
+ *         field:
+ *           type: string
+ *           nullable: true
+ *           description: Request field the rejection is about, e.g. claims[1].nonce
+ */
+
+/**
+ * @swagger
+ * /verify-snapshot/batch:
+ *   post:
+ *     summary: Verify and store the snapshots of several x42 addresses claimed to one epix address
+ *     description: >
+ *       Each claim needs its own nonce from /claim-challenge and a signature over the message returned with it.
+ *       The claims are stored together in one transaction: if any claim is rejected, none are stored.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [epix_address, claims]
+ *             properties:
+ *               epix_address:
+ *                 type: string
+ *                 pattern: ^[A-Za-z0-9]+$
+ *                 maxLength: 100
+ *                 example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *               claims:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required: [x42_address, snapshot_balance, nonce, signature]
+ *                   properties:
+ *                     x42_address:
+ *                       type: string
+ *                       pattern: ^[A-Za-z0-9]+$
+ *                       maxLength: 100
+ *                       example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *                     snapshot_balance:
+ *                       oneOf:
+ *                         - type: integer
+ *                           minimum: 0
+ *                         - type: string
+ *                           pattern: ^\d+$
+ *                       example: 69223563046
+ *                       description: Balance from /claim-challenge in satoshis, as an integer or a string of digits
+ *                     nonce:
+ *                       type: string
+ *                       pattern: ^[0-9a-f]+$
+ *                       maxLength: 64
+ *                       example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                       description: Nonce issued by /claim-challenge for this x42 address
+ *                     signature:
+ *                       type: string
+ *                       maxLength: 200
+ *                       description: Signature of the challenge message
+ *     responses:
+ *       200:
+ *         description: Every claim was verified and stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 2 snapshots verified and stored successfully
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClaimResult'
+ *       400:
+ *         description: >
+ *           The request is invalid, or at least one claim was rejected (code batch_rejected) and nothing was
+ *           stored. A rejected batch lists the outcome of every claim in results.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClaimResult'
+ *       429:
+ *         description: Too many requests from this IP or for this epix address. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/verify-snapshot/batch', limitByIp, limitByAddress(req => req.body && req.body.epix_address), async (req, res) => {
+    const { claims } = req.body;
+    const results = claims.map((claim, index) => ({ index, x42_address: claim.x42_address, status: 'valid' }));
+    const campaignIds = claims.map(() => null);
+
+    // Every claim is written to the audit log as it was submitted
+    const attempt = (index, outcome, reason) => ({
+        outcome,
+        reason,
+        ip: req.ip,
+        campaignId: campaignIds[index],
+        x42Address: claims[index].x42_address,
+        epixAddress: req.body.epix_address,
+        snapshotBalance: claims[index].snapshot_balance,
+        nonce: claims[index].nonce,
+    });
+
+    // Every rejected claim is audited, counted and published as a claim_rejected event
+    const recordRejection = (index, code, reason) => {
+        claimsRejected.inc({ reason: code });
+        auditLog.recordAttempt(attempt(index, 'rejected', reason)).catch(error => {
+            console.error('Failed to record a rejected claim attempt:', error);
+        });
+        publishEvent(NOTIFICATION_EVENTS.CLAIM_REJECTED, {
+            campaign_id: campaignIds[index],
+            x42_address: claims[index].x42_address,
+            epix_address: req.body.epix_address,
+            snapshot_balance: claims[index].snapshot_balance,
+            reason,
+        });
+    };
+
+    const rejectClaim = (index, code, message, field = null) => {
+        Object.assign(results[index], {
+            status: 'rejected',
+            code,
+            message,
+            field: field ? `claims[${index}].${field}` : `claims[${index}]`,
+        });
+    };
+
+    // Nothing is stored once a claim is rejected, so the claims that passed are rejected along with it
+    const rejectBatch = () => {
+        const rejected = results.filter(result => result.status === 'rejected');
+        results.forEach(result => {
+            if (result.status === 'rejected') {
+                recordRejection(result.index, result.code, result.message);
+            } else {
+                recordRejection(result.index, ERROR_CODES.BATCH_REJECTED, 'Another claim in the batch was rejected');
+            }
+        });
+        return res.status(400).json({
+            ...buildError(ERROR_CODES.BATCH_REJECTED, `${rejected.length} of ${results.length} claims were rejected. Nothing was stored.`),
+            results,
+        });
+    };
+
+    // Store the normalized epix1... form so the genesis export only ever contains valid addresses
+    const epixAddress = validateEpixAddress(req.body.epix_address);
+    if (!epixAddress.isvalid) {
+        const reason = `Invalid epix address: ${epixAddress.error}`;
+        claims.forEach((claim, index) => recordRejection(index, ERROR_CODES.INVALID_EPIX_ADDRESS, reason));
+        return sendError(res, 400, ERROR_CODES.INVALID_EPIX_ADDRESS, reason, 'epix_address');
+    }
+    const epix_address = epixAddress.address;
+
+    let storingIndex = null;
+    try {
+        const checks = [];
+        const seen = new Set();
+        for (const [index, claim] of claims.entries()) {
+            if (seen.has(claim.x42_address)) {
+                rejectClaim(index, ERROR_CODES.DUPLICATE_CLAIM, 'Address is claimed more than once in the batch', 'x42_address');
+                continue;
+            }
+            seen.add(claim.x42_address);
+
+            // A client with too many failed signatures for an x42 address is locked out of it until its window ends
+            if (await rateLimiter.getRetryAfter(rateLimitRules.failedSignature, failedSignatureKey(req, claim.x42_address)) > 0) {
+                rejectClaim(index, ERROR_CODES.TOO_MANY_FAILED_SIGNATURES, 'Too many failed signature attempts', 'x42_address');
+                continue;
+            }
+
+            const checked = await claimVerifier.checkClaim({
+                x42Address: claim.x42_address,
+                epixAddress: epix_address,
+                snapshotBalance: BigInt(claim.snapshot_balance),
+                nonce: claim.nonce,
+                signature: claim.signature,
+            });
+            campaignIds[index] = checked.campaignId;
+            checks[index] = checked;
+
+            if (checked.rejection) {
+                if (checked.rejection.code === ERROR_CODES.INVALID_SIGNATURE) {
+                    await rateLimiter.recordFailure(rateLimitRules.failedSignature, failedSignatureKey(req, claim.x42_address));
+                }
+                const { code, message, field } = checked.rejection;
+                rejectClaim(index, code, message, field);
+            }
+        }
+
+        if (results.some(result => result.status === 'rejected')) {
+            return rejectBatch();
+        }
+
+        // Every nonce, claim, transparency log entry and audit record is stored together or not at all
+        const created = await sequelize.transaction(async (transaction) => {
+            const snapshots = [];
+            for (const [index, claim] of claims.entries()) {
+                storingIndex = index;
+                snapshots.push(await storeClaim({
+                    checked: checks[index],
+                    x42_address: claim.x42_address,
+                    epix_address,
+                    snapshot_balance: claim.snapshot_balance,
+                    nonce: claim.nonce,
+                    signature: claim.signature,
+                    attempt: attempt(index, 'accepted'),
+                }, transaction));
+            }
+            return snapshots;
+        });
+
+        claimsAccepted.inc({}, created.length);
+        created.forEach((snapshot, index) => {
+            Object.assign(results[index], { status: 'accepted', claim_id: snapshot.id });
+
+            // Not awaited, so the response is not held up. Failed sends are retried later.
+            publishEvent(NOTIFICATION_EVENTS.CLAIM_VERIFIED, {
+                campaign_id: campaignIds[index],
+                x42_address: claims[index].x42_address,
+                epix_address,
+                snapshot_balance: claims[index].snapshot_balance,
+            });
+        });
+
+        res.status(200).json({ message: `${created.length} snapshots verified and stored successfully`, results });
+    } catch (error) {
+        if (error instanceof ClaimRejectedError && storingIndex !== null) {
+            rejectClaim(storingIndex, error.code, error.message, error.field);
+            return rejectBatch();
+        }
+        console.error(error);
+        claimsRejected.inc({ reason: ERROR_CODES.INTERNAL_ERROR }, claims.length);
+        claims.forEach((claim, index) => {
+            auditLog.recordAttempt(attempt(index, 'rejected', 'Internal server error')).catch(auditError => {
+                console.error('Failed to record a failed claim attempt:', auditError);
+            });
+        });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /verify-address:
+ *   get:
+ *     summary: Verify if an address is valid and not a witness
+ *     parameters:
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         required: true
+ *         description: Address to verify
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *           enum: [x42, epix]
+ *           default: x42
+ *         description: Chain the address belongs to. x42 addresses are checked by the node, epix addresses are decoded locally as epix1... bech32 or 0x hex.
+ *     responses:
+ *       200:
+ *         description: Address verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isvalid:
+ *                   type: boolean
+ *                   example: true
+ *                 iswitness:
+ *                   type: boolean
+ *                   example: false
+ *                   description: Only returned for x42 addresses
+ *                 format:
+ *                   type: string
+ *                   enum: [bech32, hex]
+ *                   description: Only returned for valid epix addresses
+ *                 address:
+ *                   type: string
+ *                   example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *                   description: Normalized epix1... form, only returned for valid epix addresses
+ *                 hex_address:
+ *                   type: string
+ *                   example: "0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3"
+ *                   description: EIP-55 hex form, only returned for valid 20 byte epix addresses
+ *                 error:
+ *                   type: string
+ *                   description: Reason an epix address is invalid
+ *       400:
+ *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests from this IP or for this address. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: No x42 node answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.get('/verify-address', async (req, res) => {
+app.get('/verify-address', limitByIp, limitByAddress(req => req.query.address), async (req, res) => {
     const { address } = req.query;
+    const chain = req.query.chain || 'x42';
 
     if (!address) {
-        return res.status(400).json({ error: 'Address is required' });
+        return sendError(res, 400, ERROR_CODES.MISSING_FIELD, 'Address is required', 'address');
+    }
+
+    if (chain === 'epix') {
+        return res.status(200).json(validateEpixAddress(address));
+    }
+
+    if (chain !== 'x42') {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'Chain must be x42 or epix', 'chain');
     }
 
     try {
         // Verify address validity
-        const response = await axios.get(`${NODE_HOST}/api/Node/validateaddress?address=${address}`);
-        const { isvalid, iswitness } = response.data;
+        const { isvalid, iswitness } = await nodeClient.validateAddress(address);
         return res.status(200).json({ isvalid, iswitness });
 
     } catch (error) {
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        if (error instanceof X42NodeError) {
+            return sendError(res, 502, ERROR_CODES.NODE_UNAVAILABLE, 'The x42 node is unavailable');
+        }
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
@@ -320,6 +1389,14 @@ app.get('/verify-address', async (req, res) => {
  * /total-claimed:
  *   get:
  *     summary: Get total claimed amount and dashboard information
+ *     description: Flagged and revoked claims are not counted.
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to report on. Defaults to the default campaign.
  *     responses:
  *       200:
  *         description: Total claimed amount and other relevant info
@@ -334,13 +1411,27 @@ app.get('/verify-address', async (req, res) => {
  *                 total_claims:
  *                   type: integer
  *                   example: 100
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 app.get('/total-claimed', async (req, res) => {
     try {
-        const totalClaimed = await Snapshot.sum('snapshot_balance');
-        const totalClaims = await Snapshot.count();
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        const { totalClaimed, totalClaims } = await getClaimTotals(campaign);
 
         res.status(200).json({
             total_claimed: totalClaimed,
@@ -348,7 +1439,7 @@ app.get('/total-claimed', async (req, res) => {
         });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
@@ -356,252 +1447,3254 @@ app.get('/total-claimed', async (req, res) => {
  * @swagger
  * /claims:
  *   get:
- *     summary: Get raw JSON and signature for claims
+ *     summary: List claims with filtering, sorting and pagination
+ *     description: |
+ *       Pass the returned next_cursor as cursor to fetch the following page. Cursor pagination stays
+ *       stable while new claims arrive; page based offset pagination is kept for older clients.
  *     parameters:
  *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to list claims for. Defaults to the default campaign.
+ *       - in: query
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *         description: Only claims from this x42 address
+ *       - in: query
+ *         name: epix_address
+ *         schema:
+ *           type: string
+ *         description: Only claims to this epix address, as epix1... bech32 or 0x hex
+ *       - in: query
+ *         name: min_balance
+ *         schema:
+ *           type: string
+ *           example: "100000000"
+ *         description: Only claims with a snapshot balance of at least this many satoshis
+ *       - in: query
+ *         name: max_balance
+ *         schema:
+ *           type: string
+ *         description: Only claims with a snapshot balance of at most this many satoshis
+ *       - in: query
+ *         name: created_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only claims created at or after this time
+ *       - in: query
+ *         name: created_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only claims created before this time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, snapshot_balance]
+ *           default: id
+ *         description: Attribute to sort by. Ties are broken by id.
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor from the previous page. Must be used with the same sort.
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           example: 1
+ *         description: Page number for offset pagination. Ignored when cursor is set.
  *       - in: query
  *         name: pageSize
  *         schema:
  *           type: integer
  *           example: 10
+ *           minimum: 1
+ *         description: Claims per page. Values above 100 are capped at 100.
  *     responses:
  *       200:
- *         description: List of claims with raw JSON and signature
+ *         description: Page of claims
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   raw_json:
+ *               type: object
+ *               properties:
+ *                 claims:
+ *                   type: array
+ *                   items:
  *                     type: object
- *                   signature:
- *                     type: string
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       x42_address:
+ *                         type: string
+ *                       epix_address:
+ *                         type: string
+ *                       snapshot_balance:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [active, flagged, revoked]
+ *                         description: Flagged and revoked claims are left out of the totals and the export
+ *                       raw_json:
+ *                         type: object
+ *                       signature:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 total:
+ *                   type: integer
+ *                   description: Number of claims matching the filters
+ *                   example: 100
+ *                 page_size:
+ *                   type: integer
+ *                   example: 10
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next page, null on the last page
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 app.get('/claims', async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 10;
+    const claimsQuery = buildClaimsQuery(req.query);
+    if (claimsQuery.error) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, claimsQuery.error, claimsQuery.field);
+    }
 
     try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        // Fetch one extra row to know whether there is a next page
         const claims = await Snapshot.findAll({
-            attributes: ['raw_json', 'signature'],
-            order: [['id', 'DESC']],
-            offset: (page - 1) * pageSize,
-            limit: pageSize,
+            attributes: ['id', 'x42_address', 'epix_address', 'snapshot_balance', 'status', 'raw_json', 'signature', 'createdAt'],
+            where: { ...claimsQuery.where, campaign_id: campaign.id },
+            order: claimsQuery.order,
+            offset: claimsQuery.offset,
+            limit: claimsQuery.limit + 1,
         });
+        const total = await Snapshot.count({ where: { ...claimsQuery.filters, campaign_id: campaign.id } });
+
+        const page = claims.slice(0, claimsQuery.limit);
+        const last = page[page.length - 1];
+        const nextCursor = claims.length > claimsQuery.limit
+            ? encodeCursor(claimsQuery.sort, last[SORT_FIELDS[claimsQuery.sort]], last.id)
+            : null;
 
-        res.status(200).json(claims);
+        res.status(200).json({
+            claims: page,
+            total,
+            page_size: claimsQuery.limit,
+            next_cursor: nextCursor,
+        });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
 /**
  * @swagger
- * /get-blockheight:
+ * /claims/x42/{address}:
  *   get:
- *     summary: Get the block height of the address indexer
+ *     summary: Get the claim status of an x42 address
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         required: true
+ *         description: x42 address the balance was claimed from
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to look in. Defaults to the default campaign.
  *     responses:
  *       200:
- *         description: Block height and tip hash of the address indexer
+ *         description: Claim status of the address
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 tipHash:
- *                   type: string
- *                   example: "180d965fba96850ea57454f4149d4a7b514f8ec0513aacbc7cbf112180ab3e32"
- *                 tipHeight:
+ *                 campaign_id:
  *                   type: integer
- *                   example: 2909914
+ *                   example: 1
+ *                 x42_address:
+ *                   type: string
+ *                   example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *                 status:
+ *                   type: string
+ *                   enum: [claimed, not_claimed, flagged, revoked]
+ *                   description: flagged and revoked claims are on hold or removed by an admin and receive no allocation
+ *                 snapshot_balance:
+ *                   type: string
+ *                   description: Balance at the snapshot height in satoshis, null if the address is not in the snapshot
+ *                   example: "69223563046"
+ *                 epix_address:
+ *                   type: string
+ *                   example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *                 claimed_at:
+ *                   type: string
+ *                   format: date-time
+ *                 claimed_balance:
+ *                   type: string
+ *                   example: "69223563046"
+ *                 projected_final_balance:
+ *                   type: string
+ *                   nullable: true
+ *                   description: >
+ *                     Allocation in satoshis if the export ran now, with the campaign's allocation strategy, cap and dust
+ *                     threshold. A claim receives its part of the allocation of its epix address, in proportion to its balance.
+ *                     0 for flagged and revoked claims, null while the active claims cannot be allocated. Changes as more claims arrive.
+ *                   example: "61234567890"
+ *                 deduction_percentage:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Deduction from the claimed total across the campaign, null while the active claims cannot be allocated
+ *                   example: "11.54%"
+ *                 destination_changes:
+ *                   type: array
+ *                   description: Changes of the epix address since the claim was made, oldest first
+ *                   items:
+ *                     $ref: '#/components/schemas/DestinationChange'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.get('/get-blockheight', async (req, res) => {
+app.get('/claims/x42/:address', async (req, res) => {
+    const { address } = req.params;
+
     try {
-        // Make a request to get the block height of the address indexer
-        const blockHeightResponse = await axios.get(`${NODE_HOST}/api/BlockStore/addressindexertip`);
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
 
-        if (!blockHeightResponse.data || !blockHeightResponse.data.tipHeight) {
-            return res.status(400).json({ error: 'Unable to retrieve block height' });
+        const snapshotBalance = await SnapshotBalance.findOne({ where: { campaign_id: campaign.id, address } });
+        const claim = await Snapshot.findOne({ where: { campaign_id: campaign.id, x42_address: address } });
+
+        let claimStatus = 'not_claimed';
+        if (claim) {
+            claimStatus = claim.status === CLAIM_STATUSES.ACTIVE ? 'claimed' : claim.status;
         }
 
-        const { tipHash, tipHeight } = blockHeightResponse.data;
+        const status = {
+            campaign_id: campaign.id,
+            x42_address: address,
+            status: claimStatus,
+            snapshot_balance: snapshotBalance ? String(snapshotBalance.balance) : null,
+        };
 
-        return res.status(200).json({ tipHash, tipHeight });
+        if (!claim) {
+            return res.status(200).json(status);
+        }
+
+        const projection = await getProjectedAllocation(campaign);
+        const destinationChanges = await destinationChanger.getHistory(claim.id);
+
+        // The export allocates per epix address, so the claim gets its part of its address's allocation
+        let projectedBalance = null;
+        if (projection) {
+            const addressTotal = projection.totals.get(claim.epix_address);
+            projectedBalance = claim.status === CLAIM_STATUSES.ACTIVE && addressTotal > 0n
+                ? projection.allocation.balances.get(claim.epix_address) * BigInt(claim.snapshot_balance) / addressTotal
+                : 0n;
+        }
+
+        res.status(200).json({
+            ...status,
+            epix_address: claim.epix_address,
+            claimed_at: claim.createdAt,
+            claimed_balance: String(claim.snapshot_balance),
+            projected_final_balance: projectedBalance === null ? null : projectedBalance.toString(),
+            deduction_percentage: projection ? formatDeductionPercentage(projection.allocation.multiplier) : null,
+            destination_changes: destinationChanges.map(formatDestinationChange),
+        });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
 /**
  * @swagger
- * /download-csv:
+ * /claims/epix/{address}:
  *   get:
- *     summary: Download a CSV file of snapshots with optional detailed data
+ *     summary: Get the claim status and projected allocation of an epix address
  *     parameters:
- *       - in: query
- *         name: detailed
+ *       - in: path
+ *         name: address
  *         schema:
- *           type: boolean
- *           default: false
- *         description: If true, returns all data fields including raw balances and signatures
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *         required: true
+ *         description: Epix address the allocation is sent to, as epix1... bech32 or 0x hex
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to look in. Defaults to the default campaign.
  *     responses:
  *       200:
- *         description: CSV file containing snapshot data
+ *         description: Claims made to the address and its projected allocation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 campaign_id:
+ *                   type: integer
+ *                   example: 1
+ *                 epix_address:
+ *                   type: string
+ *                   example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *                 status:
+ *                   type: string
+ *                   enum: [claimed, not_claimed]
+ *                 claims:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       x42_address:
+ *                         type: string
+ *                       claimed_balance:
+ *                         type: string
+ *                       claimed_at:
+ *                         type: string
+ *                         format: date-time
+ *                       status:
+ *                         type: string
+ *                         enum: [active, flagged, revoked]
+ *                 claimed_balance:
+ *                   type: string
+ *                   description: Sum of the active claims to the address in satoshis
+ *                   example: "69223563046"
+ *                 projected_final_balance:
+ *                   type: string
+ *                   nullable: true
+ *                   description: >
+ *                     Allocation of the address in satoshis if the export ran now, with the campaign's allocation strategy, cap and
+ *                     dust threshold. 0 when the allocation falls below the dust threshold, null while the active claims cannot be
+ *                     allocated. Changes as more claims arrive.
+ *                   example: "61234567890"
+ *                 deduction_percentage:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Deduction from the claimed total across the campaign, null while the active claims cannot be allocated
+ *                   example: "11.54%"
+ *       400:
+ *         description: Invalid epix address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.get('/download-csv', async (req, res) => {
+app.get('/claims/epix/:address', async (req, res) => {
+    const epixAddress = validateEpixAddress(req.params.address);
+    if (!epixAddress.isvalid) {
+        return sendError(res, 400, ERROR_CODES.INVALID_EPIX_ADDRESS, `Invalid epix address: ${epixAddress.error}`, 'address');
+    }
+
     try {
-        const TOTAL_SUPPLY = 23689538;
-        const TARGET_BALANCE = TOTAL_SUPPLY / 2; // 11,844,769
-        const TARGET_BALANCE_SATS = BigInt(TARGET_BALANCE * 100000000); // Convert to satoshis
-        const detailed = req.query.detailed === 'true';
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
 
-        // Get all snapshots
-        const snapshots = await Snapshot.findAll({
-            attributes: detailed
-                ? ['epix_address', 'x42_address', 'snapshot_balance', 'signature', 'raw_json']
-                : ['epix_address', 'snapshot_balance'],
+        const claims = await Snapshot.findAll({
+            attributes: ['x42_address', 'snapshot_balance', 'status', 'createdAt'],
+            where: { campaign_id: campaign.id, epix_address: epixAddress.address },
             order: [['id', 'ASC']],
         });
 
-        // First, aggregate balances for duplicate EPIX addresses
-        const aggregatedBalances = new Map();
-        const aggregatedDetails = new Map();
+        if (claims.length === 0) {
+            return res.status(200).json({
+                campaign_id: campaign.id,
+                epix_address: epixAddress.address,
+                status: 'not_claimed',
+                claims: [],
+            });
+        }
 
-        snapshots.forEach(snapshot => {
-            const currentBalance = BigInt(snapshot.snapshot_balance);
-            const existingBalance = aggregatedBalances.get(snapshot.epix_address) || 0n;
-            aggregatedBalances.set(snapshot.epix_address, existingBalance + currentBalance);
+        // The export aggregates all active claims to an epix address before applying the deduction
+        const claimedBalance = claims
+            .filter(claim => claim.status === CLAIM_STATUSES.ACTIVE)
+            .reduce((sum, claim) => sum + BigInt(claim.snapshot_balance), 0n);
+        const projection = await getProjectedAllocation(campaign);
+        const projectedBalance = projection ? projection.allocation.balances.get(epixAddress.address) || 0n : null;
 
-            if (detailed) {
-                const details = aggregatedDetails.get(snapshot.epix_address) || [];
-                details.push({
-                    x42_address: snapshot.x42_address,
-                    snapshot_balance: snapshot.snapshot_balance,
-                    signature: snapshot.signature,
-                    raw_json: snapshot.raw_json
-                });
-                aggregatedDetails.set(snapshot.epix_address, details);
-            }
+        res.status(200).json({
+            campaign_id: campaign.id,
+            epix_address: epixAddress.address,
+            status: 'claimed',
+            claims: claims.map(claim => ({
+                x42_address: claim.x42_address,
+                claimed_balance: String(claim.snapshot_balance),
+                claimed_at: claim.createdAt,
+                status: claim.status,
+            })),
+            claimed_balance: claimedBalance.toString(),
+            projected_final_balance: projectedBalance === null ? null : projectedBalance.toString(),
+            deduction_percentage: projection ? formatDeductionPercentage(projection.allocation.multiplier) : null,
         });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
 
-        // Calculate total claimed before deductions using BigInt for precision
-        const totalClaimedRaw = Array.from(aggregatedBalances.values()).reduce((sum, balance) => sum + balance, 0n);
-        const totalClaimedEPIX = Number(totalClaimedRaw) / 100000000;
-
-        // Calculate exact multiplier if deduction is needed using BigInt arithmetic
-        const multiplierBigInt = totalClaimedRaw > TARGET_BALANCE_SATS
-            ? ((TARGET_BALANCE_SATS * BigInt(100000000)) / totalClaimedRaw)
-            : BigInt(100000000);
-
-        let totalFinalBalance = 0n; // Using BigInt for accumulation
-        const aggregatedEntries = Array.from(aggregatedBalances.entries());
-        let lastIndex = aggregatedEntries.length - 1;
-
-        if (detailed) {
-            // Create detailed CSV with all fields
-            const headers = [
-                'epix_address',
-                'x42_address',
-                'original_balance',
-                'final_balance',
-                'deduction_amount',
-                'deduction_percentage',
-                'signature',
-                'raw_json'
-            ].join(',');
-
-            const csvRows = aggregatedEntries.map(([epixAddress, originalBalance], index) => {
-                // Calculate final balance using pure BigInt arithmetic
-                let finalBalance = (originalBalance * multiplierBigInt) / BigInt(100000000);
-
-                if (index === lastIndex) {
-                    // For the last entry, ensure we hit exactly the target
-                    const remaining = TARGET_BALANCE_SATS - totalFinalBalance;
-                    if (remaining > 0n) {
-                        finalBalance = remaining;
-                    }
-                }
+// Helper function to send a refused destination change, with Retry-After while the claim is cooling down
+function sendDestinationChangeError(res, error) {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    return sendError(res, error.status, error.code, error.message, error.field);
+}
 
-                totalFinalBalance += finalBalance;
-
-                // Format balance strings with exact precision
-                const finalBalanceStr = (finalBalance / BigInt(100000000)).toString() + '.' +
-                    (finalBalance % BigInt(100000000)).toString().padStart(8, '0');
-
-                const details = aggregatedDetails.get(epixAddress);
-                // For each EPIX address, create a row for each x42 source
-                return details.map(d => [
-                    escapeCsvField(epixAddress),
-                    escapeCsvField(d.x42_address),
-                    escapeCsvField(d.snapshot_balance),
-                    escapeCsvField(finalBalanceStr),
-                    escapeCsvField((BigInt(d.snapshot_balance) - finalBalance).toString()),
-                    escapeCsvField(((BigInt(100000000) - multiplierBigInt) * BigInt(10000) / BigInt(100000000)).toString().replace(/(\d{2})$/, '.$1') + '%'),
-                    escapeCsvField(d.signature),
-                    escapeCsvField(JSON.stringify(d.raw_json))
-                ].join(',')).join('\n');
-            });
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DestinationChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         claim_id:
+ *           type: integer
+ *         from_epix_address:
+ *           type: string
+ *           example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *         to_epix_address:
+ *           type: string
+ *           example: epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66
+ *         message:
+ *           type: string
+ *           description: Message signed with the x42 key of the claim
+ *         signature:
+ *           type: string
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ */
 
-            verifyBalances(totalClaimedEPIX, Number(totalFinalBalance) / 100000000, TARGET_BALANCE);
-
-            const csvContent = headers + '\n' + csvRows.join('\n');
-            res.setHeader('Content-Disposition', 'attachment; filename=snapshots_detailed.csv');
-            res.setHeader('Content-Type', 'text/csv');
-            return res.send(csvContent);
-        } else {
-            // Create simple CSV with just address and final balance
-            const csvRows = aggregatedEntries.map(([epixAddress, originalBalance], index) => {
-                // Calculate final balance using pure BigInt arithmetic
-                let finalBalance = (originalBalance * multiplierBigInt) / BigInt(100000000);
-
-                if (index === lastIndex) {
-                    // For the last entry, ensure we hit exactly the target
-                    const remaining = TARGET_BALANCE_SATS - totalFinalBalance;
-                    if (remaining > 0n) {
-                        finalBalance = remaining;
-                    }
-                }
+/**
+ * @swagger
+ * /claims/{x42_address}/destination-challenge:
+ *   get:
+ *     summary: Get the message to sign to move a claim to another epix address
+ *     description: >
+ *       The claim must be active and its campaign still open: destinations are locked once the claim period ends,
+ *       so exports of a closed campaign do not change. The challenge expires like the one of /claim-challenge.
+ *     parameters:
+ *       - in: path
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         required: true
+ *         description: x42 address the balance was claimed from
+ *       - in: query
+ *         name: epix_address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66
+ *         required: true
+ *         description: New destination, as epix1... bech32 or 0x hex. Hex addresses are converted to epix1...
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign of the claim. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: Challenge to sign with the x42 key of the claim
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonce:
+ *                   type: string
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                 message:
+ *                   type: string
+ *                   description: Exact message to sign
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign or claim not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The claim period has ended (destination_locked) or the claim is flagged or revoked (claim_not_active)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: >
+ *           Too many requests from this IP or for this address, or the destination was changed within the cooldown
+ *           (destination_change_cooldown). Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/claims/:x42_address/destination-challenge', limitByIp, limitByAddress(req => req.params.x42_address), async (req, res) => {
+    const epixAddress = validateEpixAddress(req.query.epix_address);
+    if (!epixAddress.isvalid) {
+        return sendError(res, 400, ERROR_CODES.INVALID_EPIX_ADDRESS, `Invalid epix address: ${epixAddress.error}`, 'epix_address');
+    }
+
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
 
-                totalFinalBalance += finalBalance;
+        const challenge = await destinationChanger.issueChallenge({
+            campaign,
+            x42Address: req.params.x42_address,
+            toEpixAddress: epixAddress.address,
+        });
 
-                // Format balance string with exact precision
-                const finalBalanceStr = (finalBalance / BigInt(100000000)).toString() + '.' +
-                    (finalBalance % BigInt(100000000)).toString().padStart(8, '0');
+        res.status(200).json({
+            nonce: challenge.nonce,
+            message: challenge.message,
+            expires_at: challenge.expiresAt,
+        });
+    } catch (error) {
+        if (error instanceof DestinationChangeError) {
+            return sendDestinationChangeError(res, error);
+        }
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
 
-                return `${escapeCsvField(epixAddress)},${escapeCsvField(finalBalanceStr)}`;
-            });
+/**
+ * @swagger
+ * /claims/{x42_address}/change-destination:
+ *   post:
+ *     summary: Move a claim to another epix address
+ *     description: >
+ *       The signature must be made with the x42 key of the claim over the exact message returned by
+ *       /claims/{x42_address}/destination-challenge for the given nonce. Every applied change is kept in the
+ *       history of the claim.
+ *     parameters:
+ *       - in: path
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *           pattern: ^[A-Za-z0-9]+$
+ *           maxLength: 100
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         required: true
+ *         description: x42 address the balance was claimed from
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign of the claim. Defaults to the default campaign.
+ *       - in: header
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Signature of the challenge message
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [epix_address, nonce]
+ *             properties:
+ *               epix_address:
+ *                 type: string
+ *                 pattern: ^[A-Za-z0-9]+$
+ *                 maxLength: 100
+ *                 example: epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66
+ *                 description: New destination named in the challenge
+ *               nonce:
+ *                 type: string
+ *                 pattern: ^[0-9a-f]+$
+ *                 maxLength: 64
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                 description: Nonce issued by /claims/{x42_address}/destination-challenge
+ *     responses:
+ *       200:
+ *         description: Destination changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Destination changed successfully
+ *                 x42_address:
+ *                   type: string
+ *                   example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *                 epix_address:
+ *                   type: string
+ *                   example: epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66
+ *                 destination_changes:
+ *                   type: array
+ *                   description: Every change of the claim, oldest first
+ *                   items:
+ *                     $ref: '#/components/schemas/DestinationChange'
+ *       400:
+ *         description: Error message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign or claim not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The claim period has ended (destination_locked) or the claim is flagged or revoked (claim_not_active)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: >
+ *           Too many requests from this IP or for this address, too many failed signatures from this client for this x42 address, or
+ *           the destination was changed within the cooldown (destination_change_cooldown). Retry-After gives the
+ *           seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/claims/:x42_address/change-destination', limitByIp, limitByAddress(req => req.params.x42_address), async (req, res) => {
+    const { x42_address } = req.params;
+    const { nonce } = req.body;
+    const signature = req.headers['signature'];
+
+    const epixAddress = validateEpixAddress(req.body.epix_address);
+    if (!epixAddress.isvalid) {
+        return sendError(res, 400, ERROR_CODES.INVALID_EPIX_ADDRESS, `Invalid epix address: ${epixAddress.error}`, 'epix_address');
+    }
 
-            verifyBalances(totalClaimedEPIX, Number(totalFinalBalance) / 100000000, TARGET_BALANCE);
+    // Failed signatures count towards the same lockout as claims
+    const signatureRetryAfter = await rateLimiter.getRetryAfter(rateLimitRules.failedSignature, failedSignatureKey(req, x42_address));
+    if (signatureRetryAfter > 0) {
+        return rateLimiter.tooManyRequests(res, signatureRetryAfter, ERROR_CODES.TOO_MANY_FAILED_SIGNATURES);
+    }
+
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
 
-            const csvContent = 'epix_address,balance\n' + csvRows.join('\n');
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', 'attachment; filename=snapshots.csv');
-            return res.send(csvContent);
+        const { claim } = await destinationChanger.applyChange({
+            campaign,
+            x42Address: x42_address,
+            toEpixAddress: epixAddress.address,
+            nonce,
+            signature,
+        });
+        const history = await destinationChanger.getHistory(claim.id);
+
+        res.status(200).json({
+            message: 'Destination changed successfully',
+            x42_address,
+            epix_address: claim.epix_address,
+            destination_changes: history.map(formatDestinationChange),
+        });
+    } catch (error) {
+        if (error instanceof DestinationChangeError) {
+            if (error.code === ERROR_CODES.INVALID_SIGNATURE) {
+                await rateLimiter.recordFailure(rateLimitRules.failedSignature, failedSignatureKey(req, x42_address));
+            }
+            return sendDestinationChangeError(res, error);
         }
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, fail, skipped]
+ *           description: skipped when a check it depends on failed
+ *         error:
+ *           type: string
+ *           description: Why the check failed
+ *         campaign_id:
+ *           type: integer
+ *           description: Campaign whose snapshot height was compared, indexer_tip only
+ *         tip_height:
+ *           type: integer
+ *           description: Block height of the address indexer, indexer_tip only
+ *         snapshot_height:
+ *           type: integer
+ *           description: Snapshot height of the campaign, indexer_tip only
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not_ready]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *             x42_node:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *             indexer_tip:
+ *               $ref: '#/components/schemas/HealthCheck'
+ */
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers as long as the process serves requests. It does not check any dependency.
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ */
+app.get('/healthz', (req, res) => {
+    res.status(200).json({ status: 'ok' });
+});
 
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: >
+ *       Checks that the database and an x42 node answer, and that the node's address indexer is at
+ *       the snapshot height of the campaign. Every check waits at most READINESS_TIMEOUT_MS.
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign whose snapshot height the indexer must be at. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: Every check passed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: At least one check failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+app.get('/readyz', async (req, res) => {
+    try {
+        const { ready, checks } = await checkReadiness(req.query.campaign_id);
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
     } catch (error) {
-        console.error('Error generating CSV:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
     }
 });
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Request counts and latency per route, accepted and rejected claims by error code, x42 node
+ *       request latency and failed notifications, in the Prometheus text format. Metrics are kept
+ *       per process and start from zero on every restart.
+ *     responses:
+ *       200:
+ *         description: Metrics of this instance
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', metrics.contentType).send(metrics.render());
 });
 
+/**
+ * @swagger
+ * /get-blockheight:
+ *   get:
+ *     summary: Get the block height of the address indexer
+ *     responses:
+ *       200:
+ *         description: Block height and tip hash of the address indexer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tipHash:
+ *                   type: string
+ *                   example: "180d965fba96850ea57454f4149d4a7b514f8ec0513aacbc7cbf112180ab3e32"
+ *                 tipHeight:
+ *                   type: integer
+ *                   example: 2909914
+ *       429:
+ *         description: Too many requests from this IP. Retry-After gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: No x42 node answered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/get-blockheight', limitByIp, async (req, res) => {
+    try {
+        // Get the block height of the address indexer
+        const tip = await nodeClient.getAddressIndexerTip();
+
+        if (!tip || !tip.tipHeight) {
+            return sendError(res, 400, ERROR_CODES.NODE_UNAVAILABLE, 'Unable to retrieve block height');
+        }
+
+        const { tipHash, tipHeight } = tip;
+
+        return res.status(200).json({ tipHash, tipHeight });
+    } catch (error) {
+        console.error(error);
+        if (error instanceof X42NodeError) {
+            return sendError(res, 502, ERROR_CODES.NODE_UNAVAILABLE, 'The x42 node is unavailable');
+        }
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /download-csv:
+ *   get:
+ *     summary: Download the allocation as a CSV file or a genesis-ready format
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, cosmos-genesis, cosmos-vesting, jsonl, merkle]
+ *           default: csv
+ *         description: >
+ *           csv is the snapshot CSV, cosmos-genesis the balances and supply of a bank module genesis,
+ *           cosmos-vesting the vesting accounts of an auth module genesis (campaigns with a vesting schedule only),
+ *           jsonl one JSON object per epix address, and merkle a merkle root with a proof per address.
+ *           With a vesting schedule, the CSV also has the immediate and vesting part of every balance and its unlock dates.
+ *       - in: query
+ *         name: detailed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: If true, returns all data fields including raw balances and signatures. CSV only.
+ *       - in: query
+ *         name: denom
+ *         schema:
+ *           type: string
+ *           example: aepix
+ *         description: Denomination for the non-CSV formats. Defaults to GENESIS_DENOM, or aepix.
+ *       - in: query
+ *         name: decimals
+ *         schema:
+ *           type: integer
+ *           minimum: 8
+ *           maximum: 36
+ *           example: 18
+ *         description: Decimal places of the denomination, used to convert from x42 satoshis. Defaults to GENESIS_DECIMALS, or 18.
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to export. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: >
+ *           Export file in the requested format. The file is kept, and its signed manifest can be
+ *           fetched from /exports/{id} using the X-Export-Id response header.
+ *         headers:
+ *           X-Export-Id:
+ *             schema:
+ *               type: integer
+ *             description: Id of the persisted export
+ *           X-Reconciliation-Report-Id:
+ *             schema:
+ *               type: integer
+ *             description: Id of the reconciliation run before the export
+ *       400:
+ *         description: Invalid format, denom or decimals, or cosmos-vesting for a campaign without a vesting schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: >
+ *           Internal server error, or the allocation did not add up to the campaign target or the vesting schedule
+ *           of the campaign is invalid, and nothing was exported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/download-csv', async (req, res) => {
+    let exportRecord = null;
+    let exportFile = null;
+
+    try {
+        const exportOptions = getExportOptions(req.query);
+        if (exportOptions.error) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, exportOptions.error, exportOptions.field);
+        }
+
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        const allocationOptions = getAllocationOptions(campaign);
+        const vesting = campaign.vesting_schedule ? parseVestingSchedule(campaign.vesting_schedule) : null;
+        if (exportOptions.format === 'cosmos-vesting' && !vesting) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'The campaign has no vesting schedule', 'format');
+        }
+        const detailed = req.query.detailed === 'true';
+        const signingKey = getSigningKey();
+
+        // Re-verify the claims first. Claims it flags are left out of the export.
+        const reconciliationReport = await reconciler.reconcile(campaign, { trigger: 'export' });
+
+        await withExportSnapshot(Snapshot, campaign.id, async ({ streamAddressTotals, streamClaims, getHighWaterClaimId }) => {
+            // First pass: aggregate balances per epix address and allocate the target across them
+            const entries = [];
+            for await (const row of streamAddressTotals()) {
+                entries.push({ address: row.epix_address, balance: BigInt(row.total_balance) });
+            }
+
+            const allocation = allocate(entries, allocationOptions);
+            verifyBalances(
+                Number(allocation.totalOriginal) / 100000000,
+                Number(allocation.totalFinal) / 100000000,
+                Number(allocationOptions.target) / 100000000
+            );
+
+            const highWaterClaimId = await getHighWaterClaimId();
+            const { format, denom, decimals } = exportOptions;
+            const fileName = format === 'csv'
+                ? (detailed ? 'snapshots_detailed.csv' : 'snapshots.csv')
+                : EXPORT_FORMATS[format].fileName;
+
+            exportRecord = await Export.create({
+                campaign_id: campaign.id,
+                format,
+                detailed: format === 'csv' && detailed,
+                file_name: fileName,
+                content_type: EXPORT_FORMATS[format].contentType,
+                reconciliation_report_id: reconciliationReport.id,
+            });
+            exportFile = await createExportFile(exportRecord.id, fileName);
+
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+            res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+            res.setHeader('X-Export-Id', exportRecord.id);
+            res.setHeader('X-Reconciliation-Report-Id', reconciliationReport.id);
+
+            // Everything sent to the client is also kept, so the export can be fetched again byte for byte
+            const write = async (chunk) => {
+                await exportFile.write(chunk);
+                await writeChunk(res, chunk);
+            };
+
+            // Second pass: stream the rows straight into the response
+            let rowCount;
+            if (format === 'cosmos-genesis') {
+                rowCount = await writeBankGenesis({ allocation, denom, decimals, write });
+            } else if (format === 'cosmos-vesting') {
+                rowCount = await writeVestingGenesis({ allocation, vesting, denom, decimals, write });
+            } else if (format === 'jsonl') {
+                rowCount = await writeJsonLines({ allocation, denom, decimals, write });
+            } else if (format === 'merkle') {
+                rowCount = await writeMerkleDistribution({ allocation, denom, decimals, write });
+            } else {
+                rowCount = await writeSnapshotCsv({
+                    allocation,
+                    claims: detailed ? streamClaims() : null,
+                    detailed,
+                    vesting,
+                    write,
+                });
+            }
+
+            const manifest = buildManifest({
+                exportId: exportRecord.id,
+                campaignId: campaign.id,
+                format,
+                detailed: exportRecord.detailed,
+                fileName,
+                denom: format === 'csv' ? null : denom,
+                decimals: format === 'csv' ? null : decimals,
+                rowCount,
+                allocation,
+                sha256: await exportFile.finish(),
+                highWaterClaimId,
+                createdAt: exportRecord.createdAt,
+                signingKey,
+            });
+
+            await exportRecord.update({
+                status: 'complete',
+                storage_name: exportFile.storageName,
+                manifest,
+                signature: signingKey ? signManifest(manifest, signingKey) : null,
+            });
+        });
+
+        res.end();
+    } catch (error) {
+        console.error('Error generating export:', error);
+
+        if (exportFile) {
+            await exportFile.abort().catch(() => {});
+        }
+        if (exportRecord) {
+            await exportRecord.update({ status: 'failed' }).catch(() => {});
+        }
+
+        // Once streaming has started the status line is gone, so cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        if (error instanceof AllocationError) {
+            return sendError(res, 500, ERROR_CODES.ALLOCATION_FAILED, `Allocation failed: ${error.message}`);
+        }
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+// Helper function to look up a completed export by the id in the route
+async function findCompletedExport(id) {
+    const parsedId = parseInt(id);
+    if (Number.isNaN(parsedId)) {
+        return null;
+    }
+
+    return Export.findOne({ where: { id: parsedId, status: 'complete' } });
+}
+
+/**
+ * @swagger
+ * /exports/public-key:
+ *   get:
+ *     summary: Get the public key export manifests are signed with
+ *     responses:
+ *       200:
+ *         description: Ed25519 public key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 algorithm:
+ *                   type: string
+ *                   example: ed25519
+ *                 public_key:
+ *                   type: string
+ *                   description: Base64 DER SubjectPublicKeyInfo, as it appears in manifests
+ *                 pem:
+ *                   type: string
+ *       404:
+ *         description: No export signing key is configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/exports/public-key', async (req, res) => {
+    try {
+        const signingKey = getSigningKey();
+        if (!signingKey) {
+            return sendError(res, 404, ERROR_CODES.SIGNING_KEY_NOT_CONFIGURED, 'No export signing key is configured');
+        }
+
+        res.status(200).json({
+            algorithm: 'ed25519',
+            public_key: encodePublicKey(signingKey),
+            pem: crypto.createPublicKey(signingKey).export({ type: 'spki', format: 'pem' }),
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /exports:
+ *   get:
+ *     summary: List completed exports of a campaign, newest first
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Campaign to list exports of. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: Exports with their manifests and signatures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Export'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/exports', async (req, res) => {
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        const exports = await Export.findAll({
+            where: { campaign_id: campaign.id, status: 'complete' },
+            order: [['id', 'DESC']],
+        });
+
+        res.status(200).json(exports.map(formatExport));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /exports/{id}:
+ *   get:
+ *     summary: Get the signed manifest of an export
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Export id, as sent in the X-Export-Id header of /download-csv
+ *     responses:
+ *       200:
+ *         description: Export with its manifest and signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Export'
+ *       404:
+ *         description: Export not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/exports/:id', async (req, res) => {
+    try {
+        const exportRecord = await findCompletedExport(req.params.id);
+        if (!exportRecord) {
+            return sendError(res, 404, ERROR_CODES.EXPORT_NOT_FOUND, 'Export not found');
+        }
+
+        res.status(200).json(formatExport(exportRecord));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /exports/{id}/download:
+ *   get:
+ *     summary: Download an earlier export exactly as it was first served
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The stored export file
+ *       404:
+ *         description: Export not found, or its file is no longer stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/exports/:id/download', async (req, res) => {
+    try {
+        const exportRecord = await findCompletedExport(req.params.id);
+        if (!exportRecord) {
+            return sendError(res, 404, ERROR_CODES.EXPORT_NOT_FOUND, 'Export not found');
+        }
+
+        const filePath = getExportPath(exportRecord.storage_name);
+        try {
+            await fs.promises.access(filePath);
+        } catch (error) {
+            return sendError(res, 404, ERROR_CODES.EXPORT_NOT_FOUND, 'Export file not found');
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename=${exportRecord.file_name}`);
+        res.setHeader('Content-Type', exportRecord.content_type);
+        res.setHeader('X-Export-Id', exportRecord.id);
+
+        await pipeline(fs.createReadStream(filePath), res);
+    } catch (error) {
+        console.error(error);
+
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /exports/{id}/verify:
+ *   get:
+ *     summary: Check a stored export against its signed manifest
+ *     description: >
+ *       Re-hashes the stored file and checks the manifest signature against the
+ *       server's current signing key.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 export_id:
+ *                   type: integer
+ *                 valid:
+ *                   type: boolean
+ *                   description: True if both the file hash and the signature check out
+ *                 sha256_matches:
+ *                   type: boolean
+ *                 signature_valid:
+ *                   type: boolean
+ *                 expected_sha256:
+ *                   type: string
+ *                 actual_sha256:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Null if the file is no longer stored
+ *       404:
+ *         description: Export not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/exports/:id/verify', async (req, res) => {
+    try {
+        const exportRecord = await findCompletedExport(req.params.id);
+        if (!exportRecord) {
+            return sendError(res, 404, ERROR_CODES.EXPORT_NOT_FOUND, 'Export not found');
+        }
+
+        const result = await verifyExport({
+            filePath: getExportPath(exportRecord.storage_name),
+            manifest: exportRecord.manifest,
+            signature: exportRecord.signature,
+            publicKey: getSigningKey(),
+        });
+
+        res.status(200).json({
+            export_id: exportRecord.id,
+            valid: result.valid,
+            sha256_matches: result.sha256Matches,
+            signature_valid: result.signatureValid,
+            expected_sha256: exportRecord.manifest.sha256,
+            actual_sha256: result.actualSha256,
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransparencyLogHead:
+ *       type: object
+ *       properties:
+ *         size:
+ *           type: integer
+ *           description: Number of entries, which is also the sequence of the last one
+ *           example: 1250
+ *         head_hash:
+ *           type: string
+ *           description: entry_hash of the last entry, 64 zeros while the log is empty
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         signature:
+ *           type: string
+ *           nullable: true
+ *           description: >
+ *             Base64 Ed25519 signature over the canonical JSON of { head_hash, size, timestamp }, made with the
+ *             export signing key. Null if no signing key is configured.
+ *         public_key:
+ *           type: string
+ *           nullable: true
+ *     TransparencyLogEntry:
+ *       type: object
+ *       properties:
+ *         sequence:
+ *           type: integer
+ *           example: 1
+ *         prev_hash:
+ *           type: string
+ *           description: entry_hash of the previous entry, 64 zeros for the first one
+ *         entry_hash:
+ *           type: string
+ *           description: Hex SHA-256 of the canonical JSON of { leaf, prev_hash, sequence }
+ *         leaf:
+ *           type: object
+ *           description: >
+ *             The accepted claim: claim_id, campaign_id, x42_address, epix_address, snapshot_balance,
+ *             signature, the signed message and claimed_at. Entries of destination changes have type
+ *             destination_change, claim_id, campaign_id, x42_address, from_epix_address, to_epix_address,
+ *             signature, the signed message and changed_at.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /transparency/head:
+ *   get:
+ *     summary: Get the current head of the transparency log of accepted claims
+ *     description: >
+ *       Keep heads you have seen. Any later head must extend them; GET /transparency/log lets you check that
+ *       the entry at an earlier size still has the same hash.
+ *     responses:
+ *       200:
+ *         description: The head of the log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransparencyLogHead'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/transparency/head', async (req, res) => {
+    try {
+        const head = await transparencyLog.getHead();
+        const signingKey = getSigningKey();
+
+        res.status(200).json({
+            ...head,
+            signature: signingKey ? signManifest(head, signingKey) : null,
+            public_key: signingKey ? encodePublicKey(signingKey) : null,
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /transparency/log:
+ *   get:
+ *     summary: Page through the transparency log of accepted claims
+ *     description: >
+ *       Every entry commits to the one before it, so editing or removing a claim after the fact changes
+ *       every later hash. scripts/verify-transparency-log.js checks the whole log against the head.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           minimum: 1
+ *         description: First sequence to return
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           minimum: 1
+ *         description: Entries per page. Values above 1000 are capped at 1000.
+ *     responses:
+ *       200:
+ *         description: Entries in log order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransparencyLogEntry'
+ *                 next_from:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: from for the next page, null when this page reaches the end of the log
+ *       400:
+ *         description: Invalid from or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/transparency/log', async (req, res) => {
+    const from = req.query.from === undefined ? 1 : parseInt(req.query.from);
+    if (!(from > 0)) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'from must be a positive integer', 'from');
+    }
+
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+    if (!(limit > 0)) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'limit must be a positive integer', 'limit');
+    }
+
+    try {
+        const pageSize = Math.min(limit, MAX_LOG_PAGE_SIZE);
+        const entries = await transparencyLog.getEntries({ from, limit: pageSize });
+        const last = entries[entries.length - 1];
+
+        res.status(200).json({
+            entries: entries.map(formatLogEntry),
+            next_from: entries.length === pageSize ? last.sequence + 1 : null,
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns:
+ *   get:
+ *     summary: List all claim campaigns
+ *     responses:
+ *       200:
+ *         description: List of campaigns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Campaign'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/campaigns', async (req, res) => {
+    try {
+        const campaigns = await Campaign.findAll({ order: [['id', 'ASC']] });
+        res.status(200).json(campaigns.map(formatCampaign));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /campaigns/{id}:
+ *   get:
+ *     summary: Get a single claim campaign
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         required: true
+ *         description: Campaign id
+ *     responses:
+ *       200:
+ *         description: Campaign details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campaign'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/campaigns/:id', async (req, res) => {
+    try {
+        const campaign = await resolveCampaign(req.params.id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        res.status(200).json(formatCampaign(campaign));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     AdminApiKey:
+ *       type: http
+ *       scheme: bearer
+ *       description: The ADMIN_API_KEY, or an HS256 JWT signed with ADMIN_JWT_SECRET
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         url:
+ *           type: string
+ *           example: https://wallet.example.com/hooks/epix
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: ["*", claim_verified, claim_rejected, destination_changed, milestone_reached, campaign_closing, daily_digest]
+ *         campaign_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Only deliver events of this campaign, all campaigns when null
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         subscription_id:
+ *           type: integer
+ *         event_type:
+ *           type: string
+ *           example: claim_verified
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: integer
+ *         last_status_code:
+ *           type: integer
+ *           nullable: true
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         payload:
+ *           type: object
+ *           description: The JSON body that is delivered
+ */
+
+/**
+ * @swagger
+ * /admin/webhooks:
+ *   post:
+ *     summary: Register a webhook subscription
+ *     description: >
+ *       Deliveries are POSTed as JSON with X-Epix-Event, X-Epix-Delivery and X-Epix-Signature headers.
+ *       The signature is t=<unix time>,v1=<hex HMAC-SHA256 of "<unix time>.<body>"> keyed with the
+ *       subscription secret, which is only returned here.
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               campaign_id:
+ *                 type: integer
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The subscription, including its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/WebhookSubscription'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *       400:
+ *         description: Invalid subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List webhook subscriptions
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: All subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/webhooks', requireAdmin(), async (req, res) => {
+    try {
+        const { values, error, field } = validateSubscriptionInput(req.body || {}, false);
+        if (error) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, error, field);
+        }
+
+        const subscription = await WebhookSubscription.create({ ...values, secret: generateWebhookSecret() });
+
+        res.status(201).json({ ...formatSubscription(subscription), secret: subscription.secret });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+app.get('/admin/webhooks', requireAdmin(), async (req, res) => {
+    try {
+        const subscriptions = await WebhookSubscription.findAll({ order: [['id', 'ASC']] });
+        res.status(200).json(subscriptions.map(formatSubscription));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook subscription
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               campaign_id:
+ *                 type: integer
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Invalid subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Subscription deleted
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.patch('/admin/webhooks/:id', requireAdmin(), async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findByPk(parseInt(req.params.id) || 0);
+        if (!subscription) {
+            return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+        }
+
+        const { values, error, field } = validateSubscriptionInput(req.body || {}, true);
+        if (error) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, error, field);
+        }
+
+        await subscription.update(values);
+        res.status(200).json(formatSubscription(subscription));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+app.delete('/admin/webhooks/:id', requireAdmin(), async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findByPk(parseInt(req.params.id) || 0);
+        if (!subscription) {
+            return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await WebhookDelivery.destroy({ where: { subscription_id: subscription.id }, transaction });
+            await subscription.destroy({ transaction });
+        });
+        res.status(204).end();
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook subscription, newest first
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *         description: Deliveries per page. Values above 100 are capped at 100.
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/webhooks/:id/deliveries', requireAdmin(), async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findByPk(parseInt(req.params.id) || 0);
+        if (!subscription) {
+            return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+        }
+
+        const where = { subscription_id: subscription.id };
+        if (req.query.status) {
+            where.status = req.query.status;
+        }
+
+        const deliveries = await WebhookDelivery.findAll({
+            where,
+            order: [['id', 'DESC']],
+            limit: Math.min(parseInt(req.query.limit) || 50, 100),
+        });
+
+        res.status(200).json(deliveries.map(formatDelivery));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}/replay-failed:
+ *   post:
+ *     summary: Replay every failed delivery of a webhook subscription
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The replayed deliveries after their new attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The subscription is inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/webhooks/:id/replay-failed', requireAdmin(), async (req, res) => {
+    try {
+        const subscription = await WebhookSubscription.findByPk(parseInt(req.params.id) || 0);
+        if (!subscription) {
+            return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+        }
+        if (!subscription.active) {
+            return sendError(res, 409, ERROR_CODES.SUBSCRIPTION_INACTIVE, 'Subscription is inactive');
+        }
+
+        const failed = await WebhookDelivery.findAll({
+            where: { subscription_id: subscription.id, status: 'failed' },
+            order: [['id', 'ASC']],
+        });
+
+        // One at a time, so the receiver gets them in their original order
+        const replayed = [];
+        for (const delivery of failed) {
+            replayed.push(await webhookDispatcher.replay(delivery));
+        }
+
+        res.status(200).json(replayed.map(formatDelivery));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Replay a single failed delivery
+ *     description: Sends the original payload again under the same X-Epix-Delivery id, so receivers can de-duplicate.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The delivery after its new attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The delivery has not failed, or its subscription is inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/webhooks/deliveries/:id/replay', requireAdmin(), async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findByPk(parseInt(req.params.id) || 0, { include: WebhookSubscription });
+        if (!delivery) {
+            return sendError(res, 404, ERROR_CODES.DELIVERY_NOT_FOUND, 'Delivery not found');
+        }
+        if (delivery.status !== 'failed') {
+            return sendError(res, 409, ERROR_CODES.DELIVERY_NOT_FAILED, 'Only failed deliveries can be replayed');
+        }
+        if (!delivery.WebhookSubscription.active) {
+            return sendError(res, 409, ERROR_CODES.SUBSCRIPTION_INACTIVE, 'Subscription is inactive');
+        }
+
+        res.status(200).json(formatDelivery(await webhookDispatcher.replay(delivery)));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminClaim:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         campaign_id:
+ *           type: integer
+ *           example: 1
+ *         x42_address:
+ *           type: string
+ *           example: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf
+ *         epix_address:
+ *           type: string
+ *           example: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x
+ *         snapshot_balance:
+ *           type: string
+ *           example: "69223563046"
+ *         status:
+ *           type: string
+ *           enum: [active, flagged, revoked]
+ *           description: Flagged and revoked claims are left out of /total-claimed and the export
+ *         status_reason:
+ *           type: string
+ *           nullable: true
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status_changed_by:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ClaimAction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         claim_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [flag, revoke, restore, note, change_destination]
+ *         reason:
+ *           type: string
+ *           description: Reason of the status change, the text of the note, or the addresses of the destination change
+ *         actor:
+ *           type: string
+ *           description: api-key, the sub of the admin JWT, reconciliation, or the x42 address that changed the destination
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     BlockedAddress:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chain:
+ *           type: string
+ *           enum: [x42, epix]
+ *         address:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         created_by:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/claims:
+ *   get:
+ *     summary: List claims with their moderation status
+ *     description: Takes the same filters, sorting and pagination as /claims.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, flagged, revoked]
+ *       - in: query
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: epix_address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, snapshot_balance]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Claims per page. Values above 100 are capped at 100.
+ *     responses:
+ *       200:
+ *         description: Page of claims
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 claims:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminClaim'
+ *                 total:
+ *                   type: integer
+ *                 page_size:
+ *                   type: integer
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/claims', requireAdmin(), async (req, res) => {
+    const claimsQuery = buildClaimsQuery(req.query);
+    if (claimsQuery.error) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, claimsQuery.error, claimsQuery.field);
+    }
+
+    const statusFilter = {};
+    if (req.query.status !== undefined) {
+        if (!Object.values(CLAIM_STATUSES).includes(req.query.status)) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, `status must be one of ${Object.values(CLAIM_STATUSES).join(', ')}`, 'status');
+        }
+        statusFilter.status = req.query.status;
+    }
+
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        // Fetch one extra row to know whether there is a next page
+        const claims = await Snapshot.findAll({
+            where: { ...claimsQuery.where, ...statusFilter, campaign_id: campaign.id },
+            order: claimsQuery.order,
+            offset: claimsQuery.offset,
+            limit: claimsQuery.limit + 1,
+        });
+        const total = await Snapshot.count({ where: { ...claimsQuery.filters, ...statusFilter, campaign_id: campaign.id } });
+
+        const page = claims.slice(0, claimsQuery.limit);
+        const last = page[page.length - 1];
+        const nextCursor = claims.length > claimsQuery.limit
+            ? encodeCursor(claimsQuery.sort, last[SORT_FIELDS[claimsQuery.sort]], last.id)
+            : null;
+
+        res.status(200).json({
+            claims: page.map(formatClaim),
+            total,
+            page_size: claimsQuery.limit,
+            next_cursor: nextCursor,
+        });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/claims/{id}:
+ *   get:
+ *     summary: Get a claim with its moderation history
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The claim and its history, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AdminClaim'
+ *                 - type: object
+ *                   properties:
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ClaimAction'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Claim not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/claims/:id', requireAdmin(), async (req, res) => {
+    try {
+        const claim = await Snapshot.findByPk(parseInt(req.params.id) || 0);
+        if (!claim) {
+            return sendError(res, 404, ERROR_CODES.CLAIM_NOT_FOUND, 'Claim not found');
+        }
+
+        const actions = await ClaimAction.findAll({ where: { claim_id: claim.id }, order: [['id', 'ASC']] });
+
+        res.status(200).json({ ...formatClaim(claim), actions: actions.map(formatClaimAction) });
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/claims/{id}/{action}:
+ *   post:
+ *     summary: Flag, revoke or restore a claim
+ *     description: >
+ *       flag puts an active claim on hold, revoke removes an active or flagged claim, and restore makes a
+ *       flagged or revoked claim active again. Flagged and revoked claims are left out of /total-claimed
+ *       and the export. The reason is stored with the claim and in its history.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [flag, revoke, restore]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Signature reused from another claim
+ *     responses:
+ *       200:
+ *         description: The updated claim
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminClaim'
+ *       400:
+ *         description: Missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Claim not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The claim's status does not allow the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/claims/:id/:action(flag|revoke|restore)', requireAdmin(), async (req, res) => {
+    const { text: reason, error, field } = validateReason((req.body || {}).reason);
+    if (error) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, error, field);
+    }
+
+    try {
+        const claim = await claimModerator.changeStatus(parseInt(req.params.id) || 0, req.params.action, reason, req.admin.subject);
+        if (!claim) {
+            return sendError(res, 404, ERROR_CODES.CLAIM_NOT_FOUND, 'Claim not found');
+        }
+
+        res.status(200).json(formatClaim(claim));
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return sendError(res, 409, error.code, error.message);
+        }
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/claims/{id}/notes:
+ *   post:
+ *     summary: Add a note to a claim's history
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClaimAction'
+ *       400:
+ *         description: Missing note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Claim not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/claims/:id/notes', requireAdmin(), async (req, res) => {
+    const { text: note, error, field } = validateReason((req.body || {}).note, 'note');
+    if (error) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, error, field);
+    }
+
+    try {
+        const action = await claimModerator.annotate(parseInt(req.params.id) || 0, note, req.admin.subject);
+        if (!action) {
+            return sendError(res, 404, ERROR_CODES.CLAIM_NOT_FOUND, 'Claim not found');
+        }
+
+        res.status(201).json(formatClaimAction(action));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/claim-attempts:
+ *   get:
+ *     summary: Audit log of /verify-snapshot attempts, newest first
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [accepted, rejected]
+ *       - in: query
+ *         name: x42_address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip_hash
+ *         schema:
+ *           type: string
+ *         description: Only attempts from the client with this hashed IP
+ *       - in: query
+ *         name: before_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only attempts older than this one, for paging
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *         description: Attempts per page. Values above 100 are capped at 100.
+ *     responses:
+ *       200:
+ *         description: Attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   campaign_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   x42_address:
+ *                     type: string
+ *                     nullable: true
+ *                   epix_address:
+ *                     type: string
+ *                     nullable: true
+ *                     description: As submitted, before normalization
+ *                   snapshot_balance:
+ *                     type: string
+ *                     nullable: true
+ *                   nonce:
+ *                     type: string
+ *                     nullable: true
+ *                   outcome:
+ *                     type: string
+ *                     enum: [accepted, rejected]
+ *                   reason:
+ *                     type: string
+ *                     nullable: true
+ *                   ip_hash:
+ *                     type: string
+ *                     nullable: true
+ *                   claim_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/claim-attempts', requireAdmin(), async (req, res) => {
+    const where = {};
+
+    if (req.query.outcome !== undefined) {
+        if (req.query.outcome !== 'accepted' && req.query.outcome !== 'rejected') {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'outcome must be accepted or rejected', 'outcome');
+        }
+        where.outcome = req.query.outcome;
+    }
+    if (req.query.x42_address) {
+        where.x42_address = req.query.x42_address;
+    }
+    if (req.query.ip_hash) {
+        where.ip_hash = req.query.ip_hash;
+    }
+    if (req.query.before_id !== undefined) {
+        const beforeId = parseInt(req.query.before_id);
+        if (!(beforeId > 0)) {
+            return sendError(res, 400, ERROR_CODES.INVALID_FIELD, 'before_id must be a positive integer', 'before_id');
+        }
+        where.id = { [Op.lt]: beforeId };
+    }
+
+    try {
+        const attempts = await ClaimAttempt.findAll({
+            where,
+            order: [['id', 'DESC']],
+            limit: Math.min(parseInt(req.query.limit) || 50, 100),
+        });
+        res.status(200).json(attempts.map(formatClaimAttempt));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationReport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         campaign_id:
+ *           type: integer
+ *           example: 1
+ *         trigger:
+ *           type: string
+ *           enum: [scheduled, admin, export]
+ *         status:
+ *           type: string
+ *           enum: [running, complete, failed]
+ *         summary:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             claims_checked, active_claims, active_total (sum of the active claims in satoshis), total_claimed
+ *             (as /total-claimed reports it), logged_claims and logged_total (the active claims as the transparency
+ *             log recorded them), issues, issue_counts by type and claims_flagged
+ *         issues:
+ *           type: array
+ *           nullable: true
+ *           description: Only returned by /admin/reconciliation/reports/{id} and POST /admin/reconciliation
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [raw_json_mismatch, invalid_signature, not_in_snapshot, balance_mismatch, duplicate_address, total_mismatch]
+ *               message:
+ *                 type: string
+ *               claim_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Null for total_mismatch, which is about the campaign
+ *               x42_address:
+ *                 type: string
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Status of the claim when it was checked
+ *               flagged:
+ *                 type: boolean
+ *                 description: Whether this run flagged the claim
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /admin/reconciliation:
+ *   post:
+ *     summary: Re-verify the stored claims of a campaign now
+ *     description: >
+ *       Checks every claim's signature against its raw_json, its stored columns against raw_json, and its
+ *       balance against the imported snapshot. Also looks for x42 addresses claimed more than once and for
+ *       a difference between the active claims and /total-claimed, or the balances the transparency log
+ *       recorded for them. Active claims with a problem are flagged.
+ *       The same run happens on a schedule and before every /download-csv export.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *         description: Campaign to reconcile. Defaults to the default campaign.
+ *     responses:
+ *       200:
+ *         description: The report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReconciliationReport'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaign not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error. The report is kept with status failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/admin/reconciliation', requireAdmin(), async (req, res) => {
+    try {
+        const campaign = await resolveCampaign(req.query.campaign_id);
+        if (!campaign) {
+            return sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+        }
+
+        const report = await reconciler.reconcile(campaign, { trigger: 'admin' });
+        res.status(200).json(formatReconciliationReport(report));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports:
+ *   get:
+ *     summary: List reconciliation reports, newest first, without their issues
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *         description: Only reports of this campaign
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *         description: Reports to return. Values above 100 are capped at 100.
+ *     responses:
+ *       200:
+ *         description: Reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReconciliationReport'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/reconciliation/reports', requireAdmin(), async (req, res) => {
+    const where = {};
+    if (req.query.campaign_id !== undefined) {
+        where.campaign_id = parseInt(req.query.campaign_id);
+    }
+
+    try {
+        const reports = await ReconciliationReport.findAll({
+            where,
+            attributes: { exclude: ['issues'] },
+            order: [['id', 'DESC']],
+            limit: Math.min(parseInt(req.query.limit) || 20, 100),
+        });
+        res.status(200).json(reports.map(report => formatReconciliationReport(report, { includeIssues: false })));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports/{id}:
+ *   get:
+ *     summary: Get a reconciliation report with its issues
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReconciliationReport'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Report not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/reconciliation/reports/:id', requireAdmin(), async (req, res) => {
+    try {
+        const report = await ReconciliationReport.findByPk(parseInt(req.params.id) || 0);
+        if (!report) {
+            return sendError(res, 404, ERROR_CODES.RECONCILIATION_REPORT_NOT_FOUND, 'Reconciliation report not found');
+        }
+
+        res.status(200).json(formatReconciliationReport(report));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/blocklist:
+ *   get:
+ *     summary: List blocked addresses
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Blocked addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BlockedAddress'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Block an x42 or epix address
+ *     description: >
+ *       Blocked addresses cannot request a challenge or claim. Active claims the address already made,
+ *       in any campaign, are flagged with the reason.
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [chain, address, reason]
+ *             properties:
+ *               chain:
+ *                 type: string
+ *                 enum: [x42, epix]
+ *               address:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The blocklist entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BlockedAddress'
+ *                 - type: object
+ *                   properties:
+ *                     flagged_claims:
+ *                       type: integer
+ *                       description: Number of existing claims that were flagged
+ *       400:
+ *         description: Invalid entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Address is already blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/admin/blocklist', requireAdmin(), async (req, res) => {
+    try {
+        const entries = await BlockedAddress.findAll({ order: [['id', 'ASC']] });
+        res.status(200).json(entries.map(formatBlockedAddress));
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+app.post('/admin/blocklist', requireAdmin(), async (req, res) => {
+    const { values, error, field } = validateBlockedAddressInput(req.body || {});
+    if (error) {
+        return sendError(res, 400, ERROR_CODES.INVALID_FIELD, error, field);
+    }
+
+    try {
+        const { entry, flaggedClaims } = await claimModerator.blockAddress(values, req.admin.subject);
+        res.status(201).json({ ...formatBlockedAddress(entry), flagged_claims: flaggedClaims });
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return sendError(res, 409, error.code, error.message);
+        }
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+/**
+ * @swagger
+ * /admin/blocklist/{id}:
+ *   delete:
+ *     summary: Remove an address from the blocklist
+ *     description: Claims flagged when the address was blocked stay flagged until they are restored.
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Entry removed
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/admin/blocklist/:id', requireAdmin(), async (req, res) => {
+    try {
+        const entry = await BlockedAddress.findByPk(parseInt(req.params.id) || 0);
+        if (!entry) {
+            return sendError(res, 404, ERROR_CODES.BLOCKLIST_ENTRY_NOT_FOUND, 'Blocklist entry not found');
+        }
+
+        await entry.destroy();
+        res.status(204).end();
+    } catch (error) {
+        console.error(error);
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+});
+
+// Requests no route matched, and errors no route handled, in the same shape as every other error
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Start the server, unless the app is loaded by the tests
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+
+    // Serve only once the schema is up to date; a failed migration is rolled back and stops the process
+    initializeDatabase()
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`Server running on port ${PORT}`);
+            });
+        })
+        .catch(error => {
+            console.error('Database initialization failed:', error);
+            process.exit(1);
+        });
+}
+
 // Export for testing
-module.exports = { escapeCsvField };
+module.exports = { app, escapeCsvField };
@@ -0,0 +1,119 @@
+// migrations/001-initial-schema.js
+//
+// The schema as sequelize.sync() created it before migrations existed. Every statement is
+// IF NOT EXISTS, so databases created by sync() take this migration as already applied.
+// sync() never added columns to existing tables, so older databases also get the columns added
+// since, and claims stored before campaigns existed are assigned to the oldest campaign.
+
+const { LEGACY_CAMPAIGN } = require('../utils/campaignUtils');
+
+const STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS "Campaigns" ("id" SERIAL, "name" VARCHAR(255) NOT NULL, "source_chain" VARCHAR(255) NOT NULL DEFAULT 'x42',
+        "snapshot_height" INTEGER NOT NULL, "opens_at" TIMESTAMP WITH TIME ZONE, "closes_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "target_allocation" BIGINT NOT NULL, "allocation_strategy" VARCHAR(255) NOT NULL DEFAULT 'pro-rata', "max_allocation_per_address" BIGINT,
+        "dust_threshold" BIGINT, "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "Snapshots" ("id" SERIAL, "raw_json" JSON NOT NULL, "signature" VARCHAR(255) NOT NULL, "x42_address" VARCHAR(255) NOT NULL,
+        "epix_address" VARCHAR(255) NOT NULL, "snapshot_balance" BIGINT NOT NULL,
+        "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "status" VARCHAR(255) NOT NULL DEFAULT 'active', "status_reason" TEXT, "status_changed_at" TIMESTAMP WITH TIME ZONE, "status_changed_by" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "ClaimActions" ("id" SERIAL, "claim_id" INTEGER NOT NULL REFERENCES "Snapshots" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "action" VARCHAR(255) NOT NULL, "reason" TEXT NOT NULL, "actor" VARCHAR(255) NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE INDEX IF NOT EXISTS "claim_actions_claim_id" ON "ClaimActions" ("claim_id")',
+    `CREATE TABLE IF NOT EXISTS "BlockedAddresses" ("id" SERIAL, "chain" VARCHAR(255) NOT NULL, "address" VARCHAR(255) NOT NULL, "reason" TEXT NOT NULL,
+        "created_by" VARCHAR(255) NOT NULL, "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "blocked_addresses_chain_address" ON "BlockedAddresses" ("chain", "address")',
+    `CREATE TABLE IF NOT EXISTS "ClaimAttempts" ("id" SERIAL, "campaign_id" INTEGER, "x42_address" VARCHAR(255), "epix_address" VARCHAR(255),
+        "snapshot_balance" VARCHAR(255), "nonce" VARCHAR(255), "outcome" VARCHAR(255) NOT NULL, "reason" TEXT, "ip_hash" VARCHAR(255), "claim_id" INTEGER,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE INDEX IF NOT EXISTS "claim_attempts_x42_address" ON "ClaimAttempts" ("x42_address")',
+    'CREATE INDEX IF NOT EXISTS "claim_attempts_outcome_created_at" ON "ClaimAttempts" ("outcome", "createdAt")',
+    `CREATE TABLE IF NOT EXISTS "TransparencyLogEntries" ("id" SERIAL, "sequence" INTEGER NOT NULL UNIQUE,
+        "claim_id" INTEGER NOT NULL UNIQUE REFERENCES "Snapshots" ("id") ON DELETE CASCADE ON UPDATE CASCADE, "leaf" JSON NOT NULL,
+        "prev_hash" VARCHAR(64) NOT NULL, "entry_hash" VARCHAR(64) NOT NULL, "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "SnapshotBalances" ("id" SERIAL, "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "address" VARCHAR(255) NOT NULL, "balance" BIGINT NOT NULL, "height" INTEGER NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "snapshot_balances_campaign_id_address" ON "SnapshotBalances" ("campaign_id", "address")',
+    `CREATE TABLE IF NOT EXISTS "ClaimChallenges" ("id" SERIAL, "nonce" VARCHAR(255) NOT NULL UNIQUE,
+        "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "x42_address" VARCHAR(255) NOT NULL, "epix_address" VARCHAR(255) NOT NULL, "snapshot_balance" BIGINT NOT NULL,
+        "expires_at" TIMESTAMP WITH TIME ZONE NOT NULL, "used_at" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "Exports" ("id" SERIAL, "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "format" VARCHAR(255) NOT NULL, "detailed" BOOLEAN NOT NULL DEFAULT false, "file_name" VARCHAR(255) NOT NULL, "content_type" VARCHAR(255) NOT NULL,
+        "status" VARCHAR(255) NOT NULL DEFAULT 'pending', "storage_name" VARCHAR(255), "manifest" JSON, "signature" TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "QueuedNotifications" ("id" SERIAL, "channel" VARCHAR(255) NOT NULL, "event_type" VARCHAR(255) NOT NULL, "payload" JSON NOT NULL,
+        "status" VARCHAR(255) NOT NULL DEFAULT 'pending', "attempts" INTEGER NOT NULL DEFAULT 0, "last_error" TEXT,
+        "next_attempt_at" TIMESTAMP WITH TIME ZONE NOT NULL, "sent_at" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE INDEX IF NOT EXISTS "queued_notifications_status_next_attempt_at" ON "QueuedNotifications" ("status", "next_attempt_at")',
+    `CREATE TABLE IF NOT EXISTS "WebhookSubscriptions" ("id" SERIAL, "url" TEXT NOT NULL, "secret" VARCHAR(255) NOT NULL, "events" JSON NOT NULL,
+        "campaign_id" INTEGER, "description" VARCHAR(255), "active" BOOLEAN NOT NULL DEFAULT true,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    `CREATE TABLE IF NOT EXISTS "WebhookDeliveries" ("id" SERIAL,
+        "subscription_id" INTEGER NOT NULL REFERENCES "WebhookSubscriptions" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        "event_type" VARCHAR(255) NOT NULL, "payload" JSON NOT NULL, "status" VARCHAR(255) NOT NULL DEFAULT 'pending',
+        "attempts" INTEGER NOT NULL DEFAULT 0, "last_status_code" INTEGER, "last_error" TEXT,
+        "next_attempt_at" TIMESTAMP WITH TIME ZONE NOT NULL, "delivered_at" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE INDEX IF NOT EXISTS "webhook_deliveries_status_next_attempt_at" ON "WebhookDeliveries" ("status", "next_attempt_at")',
+    'CREATE INDEX IF NOT EXISTS "webhook_deliveries_subscription_id" ON "WebhookDeliveries" ("subscription_id")',
+    `CREATE TABLE IF NOT EXISTS "AnnouncedMilestones" ("id" SERIAL,
+        "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE, "key" VARCHAR(255) NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL, "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS "announced_milestones_campaign_id_key" ON "AnnouncedMilestones" ("campaign_id", "key")',
+    `CREATE TABLE IF NOT EXISTS "RateLimitCounters" ("key" VARCHAR(255), "count" INTEGER NOT NULL, "reset_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY ("key"))`,
+    'CREATE INDEX IF NOT EXISTS "rate_limit_counters_reset_at" ON "RateLimitCounters" ("reset_at")',
+];
+
+// Columns missing from tables created by sync() before campaigns, allocation strategies and claim moderation
+const LEGACY_COLUMNS = [
+    'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "allocation_strategy" VARCHAR(255) NOT NULL DEFAULT \'pro-rata\'',
+    'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "max_allocation_per_address" BIGINT',
+    'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "dust_threshold" BIGINT',
+    'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "campaign_id" INTEGER REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE',
+    'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status" VARCHAR(255) NOT NULL DEFAULT \'active\'',
+    'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_reason" TEXT',
+    'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_changed_at" TIMESTAMP WITH TIME ZONE',
+    'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_changed_by" VARCHAR(255)',
+];
+
+/**
+ * Assigns claims stored before campaigns existed to the oldest campaign, creating the original
+ * x42 campaign when there is none yet
+ */
+async function assignLegacyClaims(sequelize, transaction) {
+    const [[{ claims }]] = await sequelize.query('SELECT COUNT(*) AS "claims" FROM "Snapshots" WHERE "campaign_id" IS NULL', { transaction });
+    if (Number(claims) === 0) {
+        return;
+    }
+
+    let [[campaign]] = await sequelize.query('SELECT "id" FROM "Campaigns" ORDER BY "id" LIMIT 1', { transaction });
+    if (!campaign) {
+        [[campaign]] = await sequelize.query(
+            `INSERT INTO "Campaigns" ("name", "source_chain", "snapshot_height", "opens_at", "closes_at", "target_allocation", "createdAt", "updatedAt")
+             VALUES (:name, :source_chain, :snapshot_height, :opens_at, :closes_at, :target_allocation, NOW(), NOW()) RETURNING "id"`,
+            { replacements: LEGACY_CAMPAIGN, transaction }
+        );
+    }
+
+    await sequelize.query('UPDATE "Snapshots" SET "campaign_id" = :campaignId WHERE "campaign_id" IS NULL', {
+        replacements: { campaignId: campaign.id },
+        transaction,
+    });
+}
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        for (const statement of [...STATEMENTS, ...LEGACY_COLUMNS]) {
+            await sequelize.query(statement, { transaction });
+        }
+
+        await assignLegacyClaims(sequelize, transaction);
+        await sequelize.query('ALTER TABLE "Snapshots" ALTER COLUMN "campaign_id" SET NOT NULL', { transaction });
+    },
+};
@@ -0,0 +1,23 @@
+// migrations/002-snapshot-indexes.js
+//
+// One claim per x42 address and campaign, enforced by the database so concurrent claims of the
+// same address cannot both be stored. Also indexes the columns claims are looked up and exported by.
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        // The unique index cannot be built over duplicates, and which one to keep is an admin's call
+        const [duplicates] = await sequelize.query(
+            `SELECT "campaign_id", "x42_address", COUNT(*) AS "claims" FROM "Snapshots"
+             GROUP BY "campaign_id", "x42_address" HAVING COUNT(*) > 1 ORDER BY "campaign_id", "x42_address"`,
+            { transaction }
+        );
+        if (duplicates.length > 0) {
+            const list = duplicates.map(row => `${row.x42_address} in campaign ${row.campaign_id} (${row.claims} claims)`).join(', ');
+            throw new Error(`Remove the duplicate claims before migrating: ${list}`);
+        }
+
+        await sequelize.query('CREATE UNIQUE INDEX IF NOT EXISTS "snapshots_x42_address_campaign_id" ON "Snapshots" ("x42_address", "campaign_id")', { transaction });
+        await sequelize.query('CREATE INDEX IF NOT EXISTS "snapshots_epix_address" ON "Snapshots" ("epix_address")', { transaction });
+        await sequelize.query('CREATE INDEX IF NOT EXISTS "snapshots_created_at" ON "Snapshots" ("createdAt")', { transaction });
+    },
+};
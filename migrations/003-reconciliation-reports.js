@@ -0,0 +1,21 @@
+// migrations/003-reconciliation-reports.js
+//
+// Reports of the reconciliation of stored claims, and the report each export was preceded by.
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS "ReconciliationReports" ("id" SERIAL,
+                "campaign_id" INTEGER NOT NULL REFERENCES "Campaigns" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+                "trigger" VARCHAR(255) NOT NULL, "status" VARCHAR(255) NOT NULL, "summary" JSON, "issues" JSON, "error" TEXT,
+                "completed_at" TIMESTAMP WITH TIME ZONE, "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+                "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+            { transaction }
+        );
+        await sequelize.query(
+            'CREATE INDEX IF NOT EXISTS "reconciliation_reports_campaign_id_created_at" ON "ReconciliationReports" ("campaign_id", "createdAt")',
+            { transaction }
+        );
+        await sequelize.query('ALTER TABLE "Exports" ADD COLUMN IF NOT EXISTS "reconciliation_report_id" INTEGER', { transaction });
+    },
+};
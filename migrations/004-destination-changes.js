@@ -0,0 +1,21 @@
+// migrations/004-destination-changes.js
+//
+// Signed requests to send an existing claim to another epix address, and the history of applied ones.
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS "DestinationChanges" ("id" SERIAL, "nonce" VARCHAR(255) NOT NULL UNIQUE,
+                "claim_id" INTEGER NOT NULL REFERENCES "Snapshots" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+                "campaign_id" INTEGER NOT NULL, "x42_address" VARCHAR(255) NOT NULL, "from_epix_address" VARCHAR(255) NOT NULL,
+                "to_epix_address" VARCHAR(255) NOT NULL, "message" TEXT NOT NULL, "expires_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+                "signature" VARCHAR(255), "applied_at" TIMESTAMP WITH TIME ZONE, "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+                "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL, PRIMARY KEY ("id"))`,
+            { transaction }
+        );
+        await sequelize.query(
+            'CREATE INDEX IF NOT EXISTS "destination_changes_claim_id_applied_at" ON "DestinationChanges" ("claim_id", "applied_at")',
+            { transaction }
+        );
+    },
+};
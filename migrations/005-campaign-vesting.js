@@ -0,0 +1,9 @@
+// migrations/005-campaign-vesting.js
+//
+// Optional vesting schedule of a campaign, applied to the allocation by the exports.
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        await sequelize.query('ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "vesting_schedule" JSON', { transaction });
+    },
+};
@@ -0,0 +1,20 @@
+// migrations/006-transparency-destination-changes.js
+//
+// Destination changes are appended to the transparency log after the claim they move, so a claim
+// may now have several entries. Only its claim entry stays unique.
+
+module.exports = {
+    async up({ sequelize, transaction }) {
+        await sequelize.query(
+            'ALTER TABLE "TransparencyLogEntries" ADD COLUMN IF NOT EXISTS "entry_type" VARCHAR(255) NOT NULL DEFAULT \'claim\'',
+            { transaction }
+        );
+        // The unique constraint 001-initial-schema and sequelize.sync() created on claim_id
+        await sequelize.query('ALTER TABLE "TransparencyLogEntries" DROP CONSTRAINT IF EXISTS "TransparencyLogEntries_claim_id_key"', { transaction });
+        await sequelize.query(
+            `CREATE UNIQUE INDEX IF NOT EXISTS "transparency_log_entries_claim_id" ON "TransparencyLogEntries" ("claim_id")
+             WHERE "entry_type" = 'claim'`,
+            { transaction }
+        );
+    },
+};
@@ -0,0 +1,676 @@
+// models/index.js
+const { Sequelize, DataTypes } = require('sequelize');
+require('dotenv').config();
+
+// Setup Sequelize
+const sequelize = new Sequelize(process.env.DB_NAME, process.env.DB_USER, process.env.DB_PASSWORD, {
+    host: process.env.DB_HOST,
+    dialect: 'postgres',
+    port: process.env.DB_PORT,
+});
+
+// Define Campaign model
+const Campaign = sequelize.define('Campaign', {
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    source_chain: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'x42',
+    },
+    snapshot_height: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    opens_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    closes_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    // Total amount distributed by this campaign, in satoshis
+    target_allocation: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+    },
+    // How the target is split across claims, see utils/allocation.js
+    allocation_strategy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pro-rata',
+    },
+    // Largest allocation a single epix address may receive, in satoshis
+    max_allocation_per_address: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+    },
+    // Allocations below this many satoshis are dropped and redistributed
+    dust_threshold: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+    },
+    // How the allocation unlocks over time, see utils/vesting.js. Null when it is all available at genesis.
+    vesting_schedule: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+});
+
+// Define Snapshot model
+const Snapshot = sequelize.define('Snapshot', {
+    raw_json: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    signature: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    x42_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    epix_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    snapshot_balance: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+    },
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // active, or flagged / revoked by an admin. Only active claims count towards totals and exports.
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'active',
+    },
+    // Reason given for the last status change
+    status_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    status_changed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    status_changed_by: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+}, {
+    // Created by migrations/002-snapshot-indexes.js. The unique index is what stops two concurrent
+    // claims of the same address from both being stored.
+    indexes: [
+        { unique: true, fields: ['x42_address', 'campaign_id'] },
+        { fields: ['epix_address'] },
+        { fields: ['createdAt'] },
+    ],
+});
+
+// Define ClaimAction model: the moderation history of a claim, one row per flag, revoke, restore or note
+const ClaimAction = sequelize.define('ClaimAction', {
+    claim_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // The reason of a status change, or the text of a note
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    // Admin who took the action
+    actor: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+}, {
+    indexes: [
+        { fields: ['claim_id'] },
+    ],
+});
+
+// Define BlockedAddress model: x42 or epix addresses that may not claim
+const BlockedAddress = sequelize.define('BlockedAddress', {
+    // x42 or epix
+    chain: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    created_by: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ['chain', 'address'] },
+    ],
+});
+
+// Define ClaimAttempt model: the audit log of every /verify-snapshot attempt. Rows are only ever inserted.
+const ClaimAttempt = sequelize.define('ClaimAttempt', {
+    // Null when the attempt was rejected before its campaign was known
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // Addresses, balance and nonce as they were submitted
+    x42_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    epix_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    snapshot_balance: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    nonce: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // accepted or rejected
+    outcome: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // Keyed hash of the client IP, see utils/auditLog.js
+    ip_hash: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    // The stored claim, for accepted attempts
+    claim_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+}, {
+    updatedAt: false,
+    indexes: [
+        { fields: ['x42_address'] },
+        { fields: ['outcome', 'createdAt'] },
+    ],
+});
+
+// Define TransparencyLogEntry model: the hash chain of accepted claims and their destination changes,
+// see utils/transparencyLog.js. Rows are only ever inserted.
+const TransparencyLogEntry = sequelize.define('TransparencyLogEntry', {
+    // Position in the log, starting at 1
+    sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+    },
+    // claim or destination_change, see ENTRY_TYPES
+    entry_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'claim',
+    },
+    claim_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // The claim or the change as committed to by entry_hash
+    leaf: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    prev_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    entry_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+}, {
+    updatedAt: false,
+    // Created by migrations/006-transparency-destination-changes.js. One claim entry per claim.
+    indexes: [
+        { unique: true, fields: ['claim_id'], where: { entry_type: 'claim' } },
+    ],
+});
+
+// Define SnapshotBalance model, holding the imported balance of every
+// address at the campaign's snapshot height
+const SnapshotBalance = sequelize.define('SnapshotBalance', {
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    balance: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+    },
+    height: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ['campaign_id', 'address'] },
+    ],
+});
+
+// Define ClaimChallenge model, a single-use nonce issued before a claim is signed
+const ClaimChallenge = sequelize.define('ClaimChallenge', {
+    nonce: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+    },
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    x42_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    epix_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    snapshot_balance: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+});
+
+// Define DestinationChange model: a request to send an existing claim to another epix address,
+// see utils/destinationChange.js. Pending until signed, then kept as the claim's destination history.
+const DestinationChange = sequelize.define('DestinationChange', {
+    nonce: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+    },
+    claim_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    x42_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    from_epix_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    to_epix_address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // The message the holder signs
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    // Set once the change is applied
+    signature: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    applied_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    indexes: [
+        { fields: ['claim_id', 'applied_at'] },
+    ],
+});
+
+// Define Export model: a persisted /download-csv file and its signed manifest
+const Export = sequelize.define('Export', {
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    format: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    detailed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    file_name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    content_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // pending while the file is written, then complete or failed
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    // Name of the file in EXPORT_DIR
+    storage_name: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    manifest: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    signature: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    // The reconciliation run before the export, see utils/reconciliation.js
+    reconciliation_report_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+});
+
+// Define ReconciliationReport model: the outcome of re-verifying a campaign's stored claims, see utils/reconciliation.js
+const ReconciliationReport = sequelize.define('ReconciliationReport', {
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // scheduled, admin or export
+    trigger: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // running, then complete or failed
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // Counts and totals of the run
+    summary: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    // One entry per problem found
+    issues: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    // Why a failed run failed
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    indexes: [
+        { fields: ['campaign_id', 'createdAt'] },
+    ],
+});
+
+// Define QueuedNotification model: a notification that failed to send and is waiting for a retry
+const QueuedNotification = sequelize.define('QueuedNotification', {
+    channel: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    event_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // The event as it is handed to the channel
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    // pending until it is sent, or failed once it has been given up on
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    indexes: [
+        { fields: ['status', 'next_attempt_at'] },
+    ],
+});
+
+// Define WebhookSubscription model: an integrator URL that receives events
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+    url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    // Deliveries are signed with this, see utils/webhooks.js
+    secret: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // Event types to deliver, or ['*'] for all of them
+    events: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    // Only deliver events of this campaign, or of every campaign when null
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+});
+
+// Define WebhookDelivery model: the delivery log, one row per event sent to a subscription
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    subscription_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    event_type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // The JSON body, sent as is on every attempt
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    // pending until it is delivered, or failed once it has been given up on
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    last_status_code: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    delivered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    indexes: [
+        { fields: ['status', 'next_attempt_at'] },
+        { fields: ['subscription_id'] },
+    ],
+});
+
+// Define AnnouncedMilestone model: milestones, closing notices and digests already posted for a campaign
+const AnnouncedMilestone = sequelize.define('AnnouncedMilestone', {
+    campaign_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // e.g. percent:50, claims:1000, closing or digest:2025-01-31
+    key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ['campaign_id', 'key'] },
+    ],
+});
+
+// Define RateLimitCounter model: fixed-window request counters when RATE_LIMIT_STORE=postgres, see utils/rateLimit.js
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+    // Rule name and the value counted, e.g. ip:203.0.113.7
+    key: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+    },
+    count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // End of the current window
+    reset_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+}, {
+    timestamps: false,
+    indexes: [
+        { fields: ['reset_at'] },
+    ],
+});
+
+// Define SchemaMigration model: the migrations applied to the database, see utils/migrations.js
+const SchemaMigration = sequelize.define('SchemaMigration', {
+    // File name of the migration without .js, e.g. 002-snapshot-indexes
+    name: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+    },
+}, {
+    updatedAt: false,
+});
+
+Campaign.hasMany(Snapshot, { foreignKey: 'campaign_id' });
+Snapshot.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+Snapshot.hasMany(ClaimAction, { foreignKey: 'claim_id' });
+ClaimAction.belongsTo(Snapshot, { foreignKey: 'claim_id' });
+Snapshot.hasMany(DestinationChange, { foreignKey: 'claim_id' });
+DestinationChange.belongsTo(Snapshot, { foreignKey: 'claim_id' });
+Snapshot.hasOne(TransparencyLogEntry, { foreignKey: 'claim_id' });
+TransparencyLogEntry.belongsTo(Snapshot, { foreignKey: 'claim_id' });
+Campaign.hasMany(SnapshotBalance, { foreignKey: 'campaign_id' });
+SnapshotBalance.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+Campaign.hasMany(ClaimChallenge, { foreignKey: 'campaign_id' });
+ClaimChallenge.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+Campaign.hasMany(Export, { foreignKey: 'campaign_id' });
+Export.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+Campaign.hasMany(ReconciliationReport, { foreignKey: 'campaign_id' });
+ReconciliationReport.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+Campaign.hasMany(AnnouncedMilestone, { foreignKey: 'campaign_id' });
+AnnouncedMilestone.belongsTo(Campaign, { foreignKey: 'campaign_id' });
+WebhookSubscription.hasMany(WebhookDelivery, { foreignKey: 'subscription_id', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookSubscription, { foreignKey: 'subscription_id' });
+
+module.exports = {
+    sequelize,
+    Campaign,
+    Snapshot,
+    ClaimAction,
+    BlockedAddress,
+    ClaimAttempt,
+    TransparencyLogEntry,
+    SnapshotBalance,
+    ClaimChallenge,
+    DestinationChange,
+    Export,
+    ReconciliationReport,
+    QueuedNotification,
+    WebhookSubscription,
+    WebhookDelivery,
+    AnnouncedMilestone,
+    RateLimitCounter,
+    SchemaMigration,
+};
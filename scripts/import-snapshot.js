@@ -0,0 +1,92 @@
+// scripts/import-snapshot.js
+//
+// Imports a snapshot dump (address -> balance at the snapshot height) into
+// the SnapshotBalances table so claims can be verified without a live node.
+//
+// Usage:
+//   node scripts/import-snapshot.js <file> [--campaign <id>] [--format csv|json] [--replace]
+
+const fs = require('fs');
+const { sequelize, Campaign, SnapshotBalance, SchemaMigration } = require('../models');
+const { loadMigrations, createMigrator } = require('../utils/migrations');
+const { parseSnapshotDump, detectFormat } = require('../utils/snapshotImport');
+
+const BATCH_SIZE = 1000;
+
+function parseArgs(argv) {
+    const args = { file: null, campaignId: process.env.DEFAULT_CAMPAIGN_ID, format: null, replace: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--campaign') {
+            args.campaignId = argv[++i];
+        } else if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg === '--replace') {
+            args.replace = true;
+        } else {
+            args.file = arg;
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file) {
+        throw new Error('Usage: node scripts/import-snapshot.js <file> [--campaign <id>] [--format csv|json] [--replace]');
+    }
+
+    if (!args.campaignId) {
+        throw new Error('A campaign id is required. Pass --campaign <id> or set DEFAULT_CAMPAIGN_ID.');
+    }
+
+    const format = args.format || detectFormat(args.file);
+    if (!format) {
+        throw new Error('Unable to detect the dump format from the file name. Pass --format csv|json.');
+    }
+
+    await createMigrator({ sequelize, SchemaMigration, migrations: loadMigrations() }).up();
+
+    const campaign = await Campaign.findByPk(parseInt(args.campaignId));
+    if (!campaign) {
+        throw new Error(`Campaign ${args.campaignId} not found`);
+    }
+
+    const content = fs.readFileSync(args.file, 'utf8');
+    const entries = parseSnapshotDump(content, format, campaign.snapshot_height);
+
+    await sequelize.transaction(async (transaction) => {
+        if (args.replace) {
+            await SnapshotBalance.destroy({ where: { campaign_id: campaign.id }, transaction });
+        }
+
+        for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+            const rows = entries.slice(i, i + BATCH_SIZE).map(entry => ({
+                campaign_id: campaign.id,
+                address: entry.address,
+                balance: entry.balance.toString(),
+                height: campaign.snapshot_height,
+            }));
+
+            await SnapshotBalance.bulkCreate(rows, {
+                updateOnDuplicate: ['balance', 'height', 'updatedAt'],
+                transaction,
+            });
+        }
+    });
+
+    const total = entries.reduce((sum, entry) => sum + entry.balance, 0n);
+    console.log(`Imported ${entries.length} balances into campaign ${campaign.id} (${campaign.name})`);
+    console.log('Total snapshot balance:', (Number(total) / 100000000).toFixed(8));
+}
+
+main()
+    .then(() => sequelize.close())
+    .catch(async (error) => {
+        console.error('Snapshot import failed:', error.message);
+        await sequelize.close();
+        process.exit(1);
+    });
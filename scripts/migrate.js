@@ -0,0 +1,32 @@
+// scripts/migrate.js
+//
+// Applies the pending database migrations from migrations/. The API also applies them when it
+// starts; run this to migrate ahead of a deploy, or with --status to list what has been applied.
+//
+// Usage:
+//   node scripts/migrate.js [--status]
+
+const { sequelize, SchemaMigration } = require('../models');
+const { loadMigrations, createMigrator } = require('../utils/migrations');
+
+async function main() {
+    const migrator = createMigrator({ sequelize, SchemaMigration, migrations: loadMigrations() });
+
+    if (process.argv.includes('--status')) {
+        for (const migration of await migrator.status()) {
+            console.log(`${migration.applied ? 'applied' : 'pending'}  ${migration.name}`);
+        }
+        return;
+    }
+
+    const applied = await migrator.up();
+    console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'The database is up to date');
+}
+
+main()
+    .then(() => sequelize.close())
+    .catch(async (error) => {
+        console.error('Migration failed:', error.message);
+        await sequelize.close();
+        process.exit(1);
+    });
@@ -0,0 +1,72 @@
+// scripts/verify-export.js
+//
+// Checks a downloaded export against its signed manifest without access to the
+// server or the database. The manifest file is the JSON returned by
+// GET /exports/:id. The public key is the one published at GET /exports/public-key,
+// as a PEM file or the base64 string.
+//
+// Usage:
+//   node scripts/verify-export.js <export file> <manifest.json> [--public-key <file or base64>]
+
+const fs = require('fs');
+const { encodePublicKey, parsePublicKey, verifyExport } = require('../utils/exportManifest');
+
+function parseArgs(argv) {
+    const args = { files: [], publicKey: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--public-key') {
+            args.publicKey = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.files.length !== 2) {
+        throw new Error('Usage: node scripts/verify-export.js <export file> <manifest.json> [--public-key <file or base64>]');
+    }
+
+    const [filePath, manifestPath] = args.files;
+    const { manifest, signature } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!manifest) {
+        throw new Error(`${manifestPath} does not contain a manifest`);
+    }
+
+    let publicKey = args.publicKey;
+    if (publicKey && fs.existsSync(publicKey)) {
+        publicKey = fs.readFileSync(publicKey, 'utf8');
+    }
+    if (!publicKey) {
+        // Only proves the manifest was not altered after signing, not who signed it
+        console.warn('No --public-key given, checking against the key embedded in the manifest');
+        publicKey = manifest.public_key;
+    } else if (manifest.public_key && encodePublicKey(parsePublicKey(publicKey)) !== manifest.public_key) {
+        console.warn('The manifest names a different public key than the one given');
+    }
+
+    const result = await verifyExport({ filePath, manifest, signature, publicKey });
+
+    console.log(`Export ${manifest.export_id} of campaign ${manifest.campaign_id} (${manifest.format}, ${manifest.created_at})`);
+    console.log(`  Rows: ${manifest.row_count}, total original: ${manifest.total_original_balance}, total final: ${manifest.total_final_balance}`);
+    console.log(`  High-water claim id: ${manifest.high_water_claim_id}`);
+    console.log(`  SHA-256: ${result.sha256Matches ? 'OK' : `MISMATCH (expected ${manifest.sha256}, got ${result.actualSha256})`}`);
+    console.log(`  Signature: ${result.signatureValid ? 'OK' : 'INVALID'}`);
+
+    return result.valid;
+}
+
+main()
+    .then((valid) => {
+        console.log(valid ? 'Export verified' : 'Export verification FAILED');
+        process.exit(valid ? 0 : 1);
+    })
+    .catch((error) => {
+        console.error('Export verification failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,113 @@
+// scripts/verify-transparency-log.js
+//
+// Downloads the whole transparency log of accepted claims from a running API and checks
+// the hash chain up to the current head. Pass a head hash seen earlier with --expect to
+// check that the log still extends it, i.e. that no earlier claim was edited or removed.
+//
+// Usage:
+//   node scripts/verify-transparency-log.js <api url> [--public-key <file or base64>] [--expect <size>:<head hash>]
+
+const fs = require('fs');
+const axios = require('axios');
+const { verifyManifestSignature } = require('../utils/exportManifest');
+const { GENESIS_HASH, MAX_PAGE_SIZE, verifyLogEntries } = require('../utils/transparencyLog');
+
+function parseArgs(argv) {
+    const args = { urls: [], publicKey: null, expect: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--public-key') {
+            args.publicKey = argv[++i];
+        } else if (argv[i] === '--expect') {
+            const [size, hash] = String(argv[++i]).split(':');
+            args.expect = { size: parseInt(size), hash };
+        } else {
+            args.urls.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.urls.length !== 1) {
+        throw new Error('Usage: node scripts/verify-transparency-log.js <api url> [--public-key <file or base64>] [--expect <size>:<head hash>]');
+    }
+    const baseUrl = args.urls[0].replace(/\/+$/, '');
+
+    // Fetch the head first; entries appended while paging are ignored
+    const { data: head } = await axios.get(`${baseUrl}/transparency/head`);
+    console.log(`Head: size ${head.size}, hash ${head.head_hash} (${head.timestamp})`);
+
+    let valid = true;
+
+    const { signature, public_key: headPublicKey, ...signedHead } = head;
+
+    if (signature) {
+        let publicKey = args.publicKey;
+        if (publicKey && fs.existsSync(publicKey)) {
+            publicKey = fs.readFileSync(publicKey, 'utf8');
+        }
+        if (!publicKey) {
+            console.warn('No --public-key given, checking against the key the head names');
+            publicKey = headPublicKey;
+        }
+
+        const signatureValid = verifyManifestSignature(signedHead, signature, publicKey);
+        console.log(`  Signature: ${signatureValid ? 'OK' : 'INVALID'}`);
+        valid = valid && signatureValid;
+    } else {
+        console.warn('  The head is not signed');
+    }
+
+    let prevHash = GENESIS_HASH;
+    let from = 1;
+
+    while (from <= head.size) {
+        const limit = Math.min(MAX_PAGE_SIZE, head.size - from + 1);
+        const { data } = await axios.get(`${baseUrl}/transparency/log`, { params: { from, limit } });
+
+        if (data.entries.length === 0 || data.entries[0].sequence !== from) {
+            console.log(`  Entry ${from} is missing`);
+            return false;
+        }
+
+        const result = verifyLogEntries(data.entries, prevHash);
+        if (!result.valid) {
+            console.log(`  Entry ${result.sequence}: ${result.error}`);
+            return false;
+        }
+
+        if (args.expect && args.expect.size >= from && args.expect.size < from + data.entries.length) {
+            const expected = data.entries[args.expect.size - from];
+            const matches = expected.entry_hash === args.expect.hash;
+            console.log(`  Entry ${args.expect.size} ${matches ? 'matches' : 'DOES NOT match'} the expected hash`);
+            valid = valid && matches;
+        }
+
+        prevHash = result.headHash;
+        from += data.entries.length;
+    }
+
+    if (args.expect && args.expect.size > head.size) {
+        console.log(`  The log is shorter than the expected size ${args.expect.size}`);
+        valid = false;
+    }
+
+    const headMatches = prevHash === head.head_hash;
+    console.log(`  Chain of ${head.size} entries: ${headMatches ? 'OK' : 'DOES NOT match the head'}`);
+
+    return valid && headMatches;
+}
+
+main()
+    .then((valid) => {
+        console.log(valid ? 'Transparency log verified' : 'Transparency log verification FAILED');
+        process.exit(valid ? 0 : 1);
+    })
+    .catch((error) => {
+        console.error('Transparency log verification failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { verifyAdminJwt, requireAdmin } = require('../utils/adminAuth');
+const { runMiddleware } = require('./fakeExpress');
+
+function signJwt(claims, secret, header = { alg: 'HS256', typ: 'JWT' }) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function run(middleware, headers) {
+    return runMiddleware(middleware, { headers });
+}
+
+describe('Admin Auth', () => {
+    test('should let requests with the API key through', () => {
+        const { req, next } = run(requireAdmin({ ADMIN_API_KEY: 'secret-key' }), { authorization: 'Bearer secret-key' });
+
+        expect(next).toHaveBeenCalled();
+        expect(req.admin).toEqual({ method: 'api_key', subject: 'api-key' });
+    });
+
+    test('should let requests with a valid JWT through as its subject', () => {
+        const token = signJwt({ sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60 }, 'jwt-secret');
+        const { req, next } = run(requireAdmin({ ADMIN_JWT_SECRET: 'jwt-secret' }), { authorization: `Bearer ${token}` });
+
+        expect(next).toHaveBeenCalled();
+        expect(req.admin).toEqual({ method: 'jwt', subject: 'alice' });
+    });
+
+    test('should reject forged, expired and unsigned JWTs', () => {
+        const now = 1700000000;
+
+        expect(verifyAdminJwt(signJwt({ sub: 'alice', exp: now + 60 }, 'jwt-secret'), 'jwt-secret', { now })).toEqual({ sub: 'alice', exp: now + 60 });
+        expect(verifyAdminJwt(signJwt({ sub: 'alice', exp: now + 60 }, 'other-secret'), 'jwt-secret', { now })).toBeNull();
+        expect(verifyAdminJwt(signJwt({ sub: 'alice', exp: now }, 'jwt-secret'), 'jwt-secret', { now })).toBeNull();
+        expect(verifyAdminJwt(signJwt({ sub: 'alice' }, 'jwt-secret'), 'jwt-secret', { now })).toBeNull();
+        expect(verifyAdminJwt(signJwt({ sub: 'alice', exp: now + 60, nbf: now + 30 }, 'jwt-secret'), 'jwt-secret', { now })).toBeNull();
+        expect(verifyAdminJwt(signJwt({ sub: 'alice', exp: now + 60 }, 'jwt-secret', { alg: 'none' }), 'jwt-secret', { now })).toBeNull();
+        expect(verifyAdminJwt('not-a-token', 'jwt-secret', { now })).toBeNull();
+    });
+
+    test('should reject a wrong or missing API key', () => {
+        const middleware = requireAdmin({ ADMIN_API_KEY: 'secret-key' });
+
+        [{}, { authorization: 'Bearer wrong-key' }, { authorization: 'secret-key' }].forEach(headers => {
+            const { res, next } = run(middleware, headers);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(401);
+            expect(res.body).toEqual({ code: 'unauthorized', message: 'Unauthorized', field: null, error: 'Unauthorized' });
+        });
+    });
+
+    test('should refuse every request when no API key is configured', () => {
+        const { res, next } = run(requireAdmin({}), { authorization: 'Bearer ' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(503);
+        expect(res.body.code).toBe('admin_not_configured');
+    });
+});
@@ -0,0 +1,205 @@
+const { AllocationError, allocate } = require('../utils/allocation');
+
+// Small deterministic PRNG so the randomized checks are reproducible
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state;
+    };
+}
+
+function entriesOf(balances) {
+    return balances.map((balance, index) => ({ address: `epix1address${index}`, balance: BigInt(balance) }));
+}
+
+function sharesOf(result) {
+    return Array.from(result.balances.values());
+}
+
+describe('Allocation', () => {
+    describe('pro-rata strategy', () => {
+        test('should scale balances down to the target and give the remainder to the last address', () => {
+            const result = allocate(entriesOf([3, 3, 3]), { target: 8n });
+
+            // Multiplier is 8e8 / 9 = 88888888, so each share rounds down to 2
+            expect(sharesOf(result)).toEqual([2n, 2n, 4n]);
+            expect(result.multiplier).toBe(88888888n);
+            expect(result.totalFinal).toBe(8n);
+        });
+
+        test('should keep balances and give the unclaimed target to the last address when under the target', () => {
+            const result = allocate(entriesOf([100, 200]), { target: 1000n });
+
+            expect(sharesOf(result)).toEqual([100n, 900n]);
+            expect(result.multiplier).toBe(100000000n);
+        });
+
+        test('should be the default strategy', () => {
+            expect(sharesOf(allocate(entriesOf([3, 3, 3]), { target: 8n })))
+                .toEqual(sharesOf(allocate(entriesOf([3, 3, 3]), { target: 8n, strategy: 'pro-rata' })));
+        });
+    });
+
+    describe('largest-remainder strategy', () => {
+        test('should hand out leftover satoshis by largest remainder', () => {
+            // Exact shares are 16.67, 33.33 and 50
+            const result = allocate(entriesOf([1, 2, 3]), { target: 100n, strategy: 'largest-remainder' });
+
+            expect(sharesOf(result)).toEqual([17n, 33n, 50n]);
+        });
+
+        test('should break remainder ties in favour of earlier addresses', () => {
+            const result = allocate(entriesOf([1, 1, 1]), { target: 10n, strategy: 'largest-remainder' });
+
+            expect(sharesOf(result)).toEqual([4n, 3n, 3n]);
+        });
+
+        test('should scale balances up when less than the target was claimed', () => {
+            const result = allocate(entriesOf([1, 3]), { target: 1000n, strategy: 'largest-remainder' });
+
+            expect(sharesOf(result)).toEqual([250n, 750n]);
+        });
+
+        test('should stay exact beyond the safe integer range', () => {
+            const result = allocate(
+                entriesOf(['900000000000000001', '333333333333333333', '7']),
+                { target: 1184476900000000n, strategy: 'largest-remainder' }
+            );
+
+            expect(result.totalFinal).toBe(1184476900000000n);
+            expect(result.totalOriginal).toBe(1233333333333333341n);
+        });
+    });
+
+    describe('per-address cap', () => {
+        test('should cap large addresses and redistribute the excess', () => {
+            const result = allocate(entriesOf([90, 5, 5]), { target: 100n, strategy: 'largest-remainder', maxPerAddress: 50n });
+
+            expect(sharesOf(result)).toEqual([50n, 25n, 25n]);
+        });
+
+        test('should keep capping until no share exceeds the cap', () => {
+            const result = allocate(entriesOf([50, 30, 20]), { target: 100n, strategy: 'largest-remainder', maxPerAddress: 35n });
+
+            expect(sharesOf(result)).toEqual([35n, 35n, 30n]);
+        });
+
+        test('should also apply to the pro-rata strategy', () => {
+            const result = allocate(entriesOf([10, 10, 10]), { target: 100n, maxPerAddress: 40n });
+
+            // The last address takes the unclaimed target, gets capped, and the next one takes it over
+            expect(sharesOf(result)).toEqual([20n, 40n, 40n]);
+        });
+
+        test('should fail when the cap makes the target unreachable', () => {
+            expect(() => allocate(entriesOf([1, 1]), { target: 100n, strategy: 'largest-remainder', maxPerAddress: 10n }))
+                .toThrow(AllocationError);
+            expect(() => allocate(entriesOf([1, 1]), { target: 100n, strategy: 'largest-remainder', maxPerAddress: 10n }))
+                .toThrow(/does not match the target/);
+        });
+    });
+
+    describe('dust threshold', () => {
+        test('should drop addresses below the threshold and redistribute their share', () => {
+            const result = allocate(entriesOf([997, 2, 1]), { target: 1000n, strategy: 'largest-remainder', dustThreshold: 5n });
+
+            expect(sharesOf(result)).toEqual([1000n, 0n, 0n]);
+            expect(result.excluded).toEqual(new Set(['epix1address1', 'epix1address2']));
+        });
+
+        test('should keep addresses at exactly the threshold', () => {
+            const result = allocate(entriesOf([95, 5]), { target: 100n, strategy: 'largest-remainder', dustThreshold: 5n });
+
+            expect(sharesOf(result)).toEqual([95n, 5n]);
+            expect(result.excluded.size).toBe(0);
+        });
+
+        test('should allow every address to be dropped', () => {
+            const result = allocate(entriesOf([1, 1]), { target: 2n, strategy: 'largest-remainder', dustThreshold: 5n });
+
+            expect(sharesOf(result)).toEqual([0n, 0n]);
+            expect(result.totalFinal).toBe(0n);
+        });
+
+        test('should combine with a cap', () => {
+            const result = allocate(
+                entriesOf([800, 150, 45, 5]),
+                { target: 1000n, strategy: 'largest-remainder', maxPerAddress: 500n, dustThreshold: 15n }
+            );
+
+            expect(result.totalFinal).toBe(1000n);
+            expect(result.balances.get('epix1address0')).toBe(500n);
+            expect(result.balances.get('epix1address3')).toBe(0n);
+        });
+    });
+
+    describe('validation', () => {
+        test('should reject unknown strategies', () => {
+            expect(() => allocate(entriesOf([1]), { target: 1n, strategy: 'random' })).toThrow(/Unknown allocation strategy/);
+        });
+
+        test('should reject a cap below the dust threshold', () => {
+            expect(() => allocate(entriesOf([1]), { target: 1n, maxPerAddress: 1n, dustThreshold: 2n })).toThrow(/cap must not be below/);
+        });
+
+        test('should reject duplicate addresses and negative balances', () => {
+            expect(() => allocate([
+                { address: 'epix1a', balance: 1n },
+                { address: 'epix1a', balance: 2n },
+            ], { target: 3n })).toThrow(/Duplicate address/);
+            expect(() => allocate([{ address: 'epix1a', balance: -1n }], { target: 3n })).toThrow(/Negative balance/);
+        });
+
+        test('should allocate nothing when there are no claims', () => {
+            const result = allocate([], { target: 1000n, strategy: 'largest-remainder' });
+
+            expect(result.balances.size).toBe(0);
+            expect(result.totalFinal).toBe(0n);
+        });
+    });
+
+    test('should keep the input order of addresses', () => {
+        const entries = [
+            { address: 'epix1c', balance: 1n },
+            { address: 'epix1a', balance: 2n },
+            { address: 'epix1b', balance: 3n },
+        ];
+
+        expect(Array.from(allocate(entries, { target: 6n }).balances.keys())).toEqual(['epix1c', 'epix1a', 'epix1b']);
+    });
+
+    test('should always distribute exactly the target over random inputs', () => {
+        const random = createRandom(42);
+
+        for (let run = 0; run < 200; run++) {
+            const count = 1 + (random() % 30);
+            const balances = Array.from({ length: count }, () => BigInt(random()) * BigInt(1 + (random() % 1000)));
+            const target = BigInt(1 + random()) * 1000n;
+            const strategy = run % 2 === 0 ? 'pro-rata' : 'largest-remainder';
+            const dustThreshold = run % 3 === 0 ? target / 1000n : null;
+            const maxPerAddress = run % 5 === 0 ? target / 2n + 1n : null;
+
+            let result;
+            try {
+                result = allocate(entriesOf(balances), { target, strategy, maxPerAddress, dustThreshold });
+            } catch (error) {
+                // Only a cap can make the target unreachable
+                expect(error).toBeInstanceOf(AllocationError);
+                continue;
+            }
+
+            const shares = sharesOf(result);
+            expect(shares.reduce((sum, share) => sum + share, 0n)).toBe(result.excluded.size === count ? 0n : target);
+            shares.forEach(share => {
+                expect(share >= 0n).toBe(true);
+                if (maxPerAddress !== null) {
+                    expect(share <= maxPerAddress).toBe(true);
+                }
+                if (dustThreshold !== null && share > 0n) {
+                    expect(share >= dustThreshold).toBe(true);
+                }
+            });
+        }
+    });
+});
@@ -0,0 +1,70 @@
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+const { ERROR_CODES, buildError, sendError, notFoundHandler, errorHandler } = require('../utils/apiErrors');
+const { createResponse } = require('./fakeExpress');
+
+describe('API Errors', () => {
+    test('should build errors with a code, message and field', () => {
+        expect(buildError(ERROR_CODES.BALANCE_MISMATCH, 'Balance verification failed', 'snapshot_balance')).toEqual({
+            code: 'balance_mismatch',
+            message: 'Balance verification failed',
+            field: 'snapshot_balance',
+            error: 'Balance verification failed',
+        });
+        expect(buildError(ERROR_CODES.INTERNAL_ERROR, 'Internal server error').field).toBeNull();
+    });
+
+    test('should send errors with their status', () => {
+        const res = createResponse();
+        sendError(res, 404, ERROR_CODES.CAMPAIGN_NOT_FOUND, 'Campaign not found');
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.code).toBe('campaign_not_found');
+    });
+
+    test('should answer unknown routes with not_found', () => {
+        const res = createResponse();
+        notFoundHandler({ method: 'GET', path: '/nope' }, res);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body).toEqual(buildError('not_found', 'No route for GET /nope'));
+    });
+
+    test('should turn malformed JSON bodies into invalid_json', () => {
+        const res = createResponse();
+        const error = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' });
+        errorHandler(error, {}, res, jest.fn());
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('invalid_json');
+    });
+
+    test('should hide unexpected errors behind internal_error', () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const res = createResponse();
+        errorHandler(new Error('connection refused'), {}, res, jest.fn());
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toEqual(buildError('internal_error', 'Internal server error'));
+        consoleError.mockRestore();
+    });
+
+    test('should leave responses that already started to Express', () => {
+        const res = { ...createResponse(), headersSent: true };
+        const next = jest.fn();
+        const error = new Error('stream failed');
+        errorHandler(error, {}, res, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.statusCode).toBeNull();
+    });
+
+    test('should document every error code in the Swagger Error schema', () => {
+        const apiDocs = swaggerJsDoc({
+            swaggerDefinition: { openapi: '3.0.0', info: { title: 'Snapshot Verification API', version: '1.0.0' } },
+            apis: [path.join(__dirname, '..', 'index.js')],
+        });
+
+        expect(apiDocs.components.schemas.Error.properties.code.enum).toEqual(Object.values(ERROR_CODES));
+    });
+});
@@ -0,0 +1,80 @@
+const { hashIp, formatClaimAttempt, createAuditLog } = require('../utils/auditLog');
+
+describe('Audit Log', () => {
+    let rows;
+    let ClaimAttempt;
+
+    beforeEach(() => {
+        rows = [];
+        ClaimAttempt = {
+            create: async (values, options) => {
+                const row = { id: rows.length + 1, ...values, options, createdAt: new Date('2025-01-20T10:00:00Z') };
+                rows.push(row);
+                return row;
+            },
+        };
+    });
+
+    test('should hash IPs with the secret as the HMAC key', () => {
+        // echo -n 127.0.0.1 | openssl dgst -sha256 -hmac secret
+        expect(hashIp('127.0.0.1', 'secret')).toBe('299377a49635304c65b9a2398a2b0149b6767e1839214ee368be146f92afe3fd');
+        expect(hashIp('127.0.0.1', 'secret')).not.toBe(hashIp('127.0.0.1', 'other'));
+        expect(hashIp(undefined, 'secret')).toBeNull();
+    });
+
+    test('should record a rejected attempt as it was submitted', async () => {
+        const auditLog = createAuditLog({ ClaimAttempt, ipHashSecret: 'secret' });
+
+        await auditLog.recordAttempt({
+            outcome: 'rejected',
+            reason: 'Signature verification failed',
+            ip: '10.0.0.1',
+            x42Address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            epixAddress: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+            snapshotBalance: 69223563046,
+            nonce: 'abc',
+        });
+
+        expect(formatClaimAttempt(rows[0])).toEqual({
+            id: 1,
+            campaign_id: null,
+            x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            epix_address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+            snapshot_balance: '69223563046',
+            nonce: 'abc',
+            outcome: 'rejected',
+            reason: 'Signature verification failed',
+            ip_hash: hashIp('10.0.0.1', 'secret'),
+            claim_id: null,
+            created_at: new Date('2025-01-20T10:00:00Z'),
+        });
+    });
+
+    test('should write accepted attempts in the claim transaction', async () => {
+        const auditLog = createAuditLog({ ClaimAttempt, ipHashSecret: 'secret' });
+        const transaction = {};
+
+        await auditLog.recordAttempt({ outcome: 'accepted', campaignId: 1, claimId: 7 }, transaction);
+
+        expect(rows[0]).toMatchObject({ outcome: 'accepted', campaign_id: 1, claim_id: 7, reason: null });
+        expect(rows[0].options.transaction).toBe(transaction);
+    });
+
+    test('should cut oversized fields to the column length', async () => {
+        const auditLog = createAuditLog({ ClaimAttempt, ipHashSecret: 'secret' });
+
+        await auditLog.recordAttempt({ outcome: 'rejected', x42Address: 'X'.repeat(1000), nonce: { not: 'a string' } });
+
+        expect(rows[0].x42_address).toHaveLength(255);
+        expect(rows[0].nonce).toBe('[object Object]');
+    });
+
+    test('should warn when IPs are hashed without a secret', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        createAuditLog({ ClaimAttempt, ipHashSecret: undefined });
+
+        expect(warn).toHaveBeenCalledWith('AUDIT_IP_HASH_SECRET is not set, client IPs in the audit log are hashed without a key');
+        warn.mockRestore();
+    });
+});
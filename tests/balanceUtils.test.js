@@ -0,0 +1,39 @@
+const {
+    calculateMultiplier,
+    applyMultiplier,
+    formatSats,
+    formatDeductionPercentage,
+} = require('../utils/balanceUtils');
+
+describe('Balance Utilities', () => {
+    test('should not deduct when less than the target was claimed', () => {
+        expect(calculateMultiplier(500n, 1000n)).toBe(100000000n);
+        expect(calculateMultiplier(1000n, 1000n)).toBe(100000000n);
+    });
+
+    test('should scale claims down to the target', () => {
+        const multiplier = calculateMultiplier(4000n, 1000n);
+
+        expect(multiplier).toBe(25000000n);
+        expect(applyMultiplier(4000n, multiplier)).toBe(1000n);
+    });
+
+    test('should round final balances down', () => {
+        const multiplier = calculateMultiplier(3n, 2n);
+
+        expect(multiplier).toBe(66666666n);
+        expect(applyMultiplier(100000000n, multiplier)).toBe(66666666n);
+    });
+
+    test('should format satoshis with 8 decimals', () => {
+        expect(formatSats(69223563046n)).toBe('692.23563046');
+        expect(formatSats(5n)).toBe('0.00000005');
+        expect(formatSats(0n)).toBe('0.00000000');
+    });
+
+    test('should format the deduction percentage', () => {
+        expect(formatDeductionPercentage(25000000n)).toBe('75.00%');
+        expect(formatDeductionPercentage(88456789n)).toBe('11.54%');
+        expect(formatDeductionPercentage(100000000n)).toBe('0%');
+    });
+});
@@ -0,0 +1,45 @@
+const { LEGACY_CAMPAIGN, getClaimWindowState, getClaimWindowError, formatCampaign } = require('../utils/campaignUtils');
+
+describe('Campaign Utilities', () => {
+    const campaign = {
+        id: 2,
+        name: 'Second Airdrop',
+        source_chain: 'x42',
+        snapshot_height: 3500000,
+        opens_at: new Date('2026-01-01T00:00:00Z'),
+        closes_at: new Date('2026-03-01T00:00:00Z'),
+        target_allocation: '500000000000000',
+    };
+
+    test('should keep the original airdrop parameters for the legacy campaign', () => {
+        expect(LEGACY_CAMPAIGN.snapshot_height).toBe(3000000);
+        expect(LEGACY_CAMPAIGN.closes_at.toISOString()).toBe('2025-02-10T00:00:00.000Z');
+        expect(LEGACY_CAMPAIGN.target_allocation).toBe('1184476900000000');
+    });
+
+    test('should accept claims inside the claim window', () => {
+        expect(getClaimWindowError(campaign, new Date('2026-02-01T00:00:00Z'))).toBeNull();
+    });
+
+    test('should reject claims before the campaign opens', () => {
+        expect(getClaimWindowError(campaign, new Date('2025-12-31T23:59:59Z'))).toMatch(/has not started yet/);
+    });
+
+    test('should reject claims after the deadline', () => {
+        expect(getClaimWindowError(campaign, new Date('2026-03-01T00:00:01Z'))).toMatch(/Claim period has ended/);
+    });
+
+    test('should treat a missing opening date as already open', () => {
+        expect(getClaimWindowError({ ...campaign, opens_at: null }, new Date('2020-01-01T00:00:00Z'))).toBeNull();
+    });
+
+    test('should report where a point in time falls in the claim window', () => {
+        expect(getClaimWindowState(campaign, new Date('2025-12-31T23:59:59Z'))).toBe('not_started');
+        expect(getClaimWindowState(campaign, new Date('2026-02-01T00:00:00Z'))).toBe('open');
+        expect(getClaimWindowState(campaign, new Date('2026-03-01T00:00:01Z'))).toBe('ended');
+    });
+
+    test('should format the target allocation as a string', () => {
+        expect(formatCampaign({ ...campaign, target_allocation: 500000000000000 }).target_allocation).toBe('500000000000000');
+    });
+});
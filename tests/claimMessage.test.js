@@ -0,0 +1,82 @@
+const { generateNonce, getChallengeTtlSeconds, buildClaimMessage, buildDestinationChangeMessage } = require('../utils/claimMessage');
+
+describe('Claim Message', () => {
+    const params = {
+        campaign: { id: 1, name: 'x42 Snapshot Airdrop' },
+        x42Address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+        epixAddress: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+        balance: '69223563046',
+        nonce: '9f86d081884c7d659a2feaa0c55ad015',
+        expiresAt: new Date('2025-01-01T00:10:00Z'),
+    };
+
+    test('should build the canonical claim message', () => {
+        expect(buildClaimMessage(params)).toBe([
+            'Epix claim',
+            'Campaign: 1 (x42 Snapshot Airdrop)',
+            'x42 address: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            'Epix address: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            'Balance: 69223563046',
+            'Nonce: 9f86d081884c7d659a2feaa0c55ad015',
+            'Expires: 2025-01-01T00:10:00.000Z',
+        ].join('\n'));
+    });
+
+    test('should produce the same message regardless of input types', () => {
+        const fromDatabase = buildClaimMessage({
+            ...params,
+            balance: 69223563046n,
+            expiresAt: '2025-01-01T00:10:00.000Z',
+        });
+
+        expect(fromDatabase).toBe(buildClaimMessage(params));
+    });
+
+    test('should build the canonical destination change message', () => {
+        expect(buildDestinationChangeMessage({
+            campaign: params.campaign,
+            claimId: 7,
+            x42Address: params.x42Address,
+            fromEpixAddress: params.epixAddress,
+            toEpixAddress: 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66',
+            nonce: params.nonce,
+            expiresAt: params.expiresAt,
+        })).toBe([
+            'Epix destination change',
+            'Campaign: 1 (x42 Snapshot Airdrop)',
+            'Claim: 7',
+            'x42 address: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            'From epix address: epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            'To epix address: epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66',
+            'Nonce: 9f86d081884c7d659a2feaa0c55ad015',
+            'Expires: 2025-01-01T00:10:00.000Z',
+        ].join('\n'));
+    });
+
+    test('should generate unique hex nonces', () => {
+        const first = generateNonce();
+        const second = generateNonce();
+
+        expect(first).toMatch(/^[0-9a-f]{32}$/);
+        expect(first).not.toBe(second);
+    });
+
+    test('should read the challenge lifetime from the environment', () => {
+        const originalTtl = process.env.CLAIM_CHALLENGE_TTL_SECONDS;
+
+        delete process.env.CLAIM_CHALLENGE_TTL_SECONDS;
+        expect(getChallengeTtlSeconds()).toBe(600);
+
+        process.env.CLAIM_CHALLENGE_TTL_SECONDS = '120';
+        expect(getChallengeTtlSeconds()).toBe(120);
+
+        process.env.CLAIM_CHALLENGE_TTL_SECONDS = 'invalid';
+        expect(getChallengeTtlSeconds()).toBe(600);
+
+        if (originalTtl === undefined) {
+            delete process.env.CLAIM_CHALLENGE_TTL_SECONDS;
+        } else {
+            process.env.CLAIM_CHALLENGE_TTL_SECONDS = originalTtl;
+        }
+    });
+});
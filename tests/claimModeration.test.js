@@ -0,0 +1,118 @@
+const {
+    ModerationError,
+    validateReason,
+    validateBlockedAddressInput,
+    formatClaim,
+    createClaimModerator,
+} = require('../utils/claimModeration');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+const EPIX_ADDRESS = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+
+// The Snapshot, ClaimAction and BlockedAddress models, sharing one fake database
+function createModels() {
+    const sequelize = createFakeSequelize();
+    const Snapshot = createFakeModel({ sequelize });
+    const ClaimAction = createFakeModel({ sequelize });
+    const BlockedAddress = createFakeModel({ sequelize, unique: [['chain', 'address']] });
+
+    return {
+        claims: Snapshot.rows,
+        actions: ClaimAction.rows,
+        blocked: BlockedAddress.rows,
+        Snapshot,
+        ClaimAction,
+        BlockedAddress,
+    };
+}
+
+describe('Claim Moderation', () => {
+    const clock = new Date('2025-01-20T10:00:00Z');
+    let models;
+    let moderator;
+
+    beforeEach(() => {
+        models = createModels();
+        moderator = createClaimModerator({ ...models, now: () => clock });
+        models.Snapshot.insert({ x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', epix_address: EPIX_ADDRESS, snapshot_balance: '100', status: 'active', campaign_id: 1 });
+        models.Snapshot.insert({ x42_address: 'XSecondAddress', epix_address: EPIX_ADDRESS, snapshot_balance: '200', status: 'active', campaign_id: 1 });
+    });
+
+    test('should require a reason of bounded length', () => {
+        expect(validateReason('  Duplicate signature ')).toEqual({ text: 'Duplicate signature' });
+        expect(validateReason('   ')).toEqual({ error: 'reason is required', field: 'reason' });
+        expect(validateReason(undefined, 'note')).toEqual({ error: 'note is required', field: 'note' });
+        expect(validateReason('x'.repeat(2001))).toEqual({ error: 'reason must be at most 2000 characters', field: 'reason' });
+    });
+
+    test('should validate and normalize blocklist entries', () => {
+        expect(validateBlockedAddressInput({ chain: 'x42', address: ' XBad ', reason: 'Exchange wallet' }))
+            .toEqual({ values: { chain: 'x42', address: 'XBad', reason: 'Exchange wallet' } });
+        expect(validateBlockedAddressInput({ chain: 'epix', address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3', reason: 'Sanctioned' }).values.address)
+            .toBe(EPIX_ADDRESS);
+        expect(validateBlockedAddressInput({ chain: 'btc', address: 'x', reason: 'r' })).toEqual({ error: 'chain must be x42 or epix', field: 'chain' });
+        expect(validateBlockedAddressInput({ chain: 'epix', address: 'epix1nope', reason: 'r' }).error).toMatch(/^Invalid epix address/);
+        expect(validateBlockedAddressInput({ chain: 'x42', address: 'XBad' })).toEqual({ error: 'reason is required', field: 'reason' });
+    });
+
+    test('should flag a claim and record who did it and why', async () => {
+        const claim = await moderator.changeStatus(1, 'flag', 'Signature reused', 'alice');
+
+        expect(formatClaim(claim)).toMatchObject({
+            id: 1,
+            status: 'flagged',
+            status_reason: 'Signature reused',
+            status_changed_at: clock,
+            status_changed_by: 'alice',
+        });
+        expect(models.actions).toEqual([expect.objectContaining({ claim_id: 1, action: 'flag', reason: 'Signature reused', actor: 'alice' })]);
+    });
+
+    test('should move claims only along the allowed transitions', async () => {
+        await moderator.changeStatus(1, 'revoke', 'Fraud', 'alice');
+
+        await expect(moderator.changeStatus(1, 'flag', 'Again', 'alice')).rejects.toThrow(new ModerationError('Cannot flag a claim that is revoked'));
+        await expect(moderator.changeStatus(2, 'restore', 'Never flagged', 'alice')).rejects.toThrow('Cannot restore a claim that is active');
+
+        const restored = await moderator.changeStatus(1, 'restore', 'Owner proved control', 'bob');
+        expect(restored.status).toBe('active');
+        expect(models.actions.map(action => action.action)).toEqual(['revoke', 'restore']);
+    });
+
+    test('should return null for a claim that does not exist', async () => {
+        expect(await moderator.changeStatus(99, 'flag', 'Missing', 'alice')).toBeNull();
+        expect(await moderator.annotate(99, 'Missing', 'alice')).toBeNull();
+    });
+
+    test('should add notes without changing the status', async () => {
+        const note = await moderator.annotate(2, 'Contacted the owner', 'alice');
+
+        expect(note).toMatchObject({ claim_id: 2, action: 'note', reason: 'Contacted the owner', actor: 'alice' });
+        expect(models.claims[1].status).toBe('active');
+    });
+
+    test('should flag the existing claims of a blocked address', async () => {
+        await moderator.changeStatus(2, 'revoke', 'Fraud', 'alice');
+
+        const { entry, flaggedClaims } = await moderator.blockAddress({ chain: 'epix', address: EPIX_ADDRESS, reason: 'Sanctioned' }, 'bob');
+
+        expect(entry).toMatchObject({ chain: 'epix', address: EPIX_ADDRESS, created_by: 'bob' });
+        expect(flaggedClaims).toBe(1);
+        expect(models.claims.map(claim => claim.status)).toEqual(['flagged', 'revoked']);
+        expect(models.claims[0].status_reason).toBe('Blocked address: Sanctioned');
+    });
+
+    test('should refuse to block an address twice', async () => {
+        await moderator.blockAddress({ chain: 'x42', address: 'XBad', reason: 'Exchange wallet' }, 'bob');
+
+        await expect(moderator.blockAddress({ chain: 'x42', address: 'XBad', reason: 'Again' }, 'bob'))
+            .rejects.toThrow(new ModerationError('Address is already blocked'));
+    });
+
+    test('should find a blocklist entry matching either side of a claim', async () => {
+        await moderator.blockAddress({ chain: 'x42', address: 'XBad', reason: 'Exchange wallet' }, 'bob');
+
+        expect(await moderator.findBlockedAddress('XBad', EPIX_ADDRESS)).toMatchObject({ address: 'XBad' });
+        expect(await moderator.findBlockedAddress('XGood', EPIX_ADDRESS)).toBeNull();
+    });
+});
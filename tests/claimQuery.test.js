@@ -0,0 +1,95 @@
+const { Op } = require('sequelize');
+const { MAX_PAGE_SIZE, encodeCursor, decodeCursor, buildClaimsQuery } = require('../utils/claimQuery');
+
+describe('Claims Query', () => {
+    test('should default to the newest claims first', () => {
+        const query = buildClaimsQuery({});
+
+        expect(query.order).toEqual([['id', 'DESC']]);
+        expect(query.limit).toBe(10);
+        expect(query.offset).toBe(0);
+        expect(query.where).toEqual({});
+    });
+
+    test('should keep supporting offset pagination', () => {
+        const query = buildClaimsQuery({ page: '3', pageSize: '20' });
+
+        expect(query.limit).toBe(20);
+        expect(query.offset).toBe(40);
+    });
+
+    test('should cap the page size', () => {
+        expect(buildClaimsQuery({ pageSize: '100000' }).limit).toBe(MAX_PAGE_SIZE);
+    });
+
+    test('should build filters for addresses, balances and dates', () => {
+        const query = buildClaimsQuery({
+            x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            epix_address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+            min_balance: '100',
+            max_balance: '200',
+            created_after: '2025-01-01T00:00:00Z',
+            created_before: '2025-02-01T00:00:00Z',
+        });
+
+        expect(query.filters).toEqual({
+            x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+            epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            snapshot_balance: { [Op.gte]: '100', [Op.lte]: '200' },
+            createdAt: {
+                [Op.gte]: new Date('2025-01-01T00:00:00Z'),
+                [Op.lt]: new Date('2025-02-01T00:00:00Z'),
+            },
+        });
+    });
+
+    test('should sort by the selected attribute with id as tie breaker', () => {
+        expect(buildClaimsQuery({ sort: 'snapshot_balance', order: 'asc' }).order)
+            .toEqual([['snapshot_balance', 'ASC'], ['id', 'ASC']]);
+        expect(buildClaimsQuery({ sort: 'created_at' }).order)
+            .toEqual([['createdAt', 'DESC'], ['id', 'DESC']]);
+    });
+
+    test('should round trip cursors', () => {
+        const cursor = encodeCursor('created_at', new Date('2025-01-01T00:00:00Z'), 42);
+
+        expect(decodeCursor(cursor)).toEqual({ sort: 'created_at', value: '2025-01-01T00:00:00.000Z', id: 42 });
+        expect(decodeCursor('not a cursor')).toBeNull();
+    });
+
+    test('should continue after the cursor position', () => {
+        const query = buildClaimsQuery({ cursor: encodeCursor('id', 42, 42) });
+
+        expect(query.offset).toBe(0);
+        expect(query.where[Op.and]).toEqual([{ id: { [Op.lt]: 42 } }]);
+    });
+
+    test('should break ties on id when continuing a non-id sort', () => {
+        const query = buildClaimsQuery({
+            sort: 'snapshot_balance',
+            order: 'asc',
+            min_balance: '5',
+            cursor: encodeCursor('snapshot_balance', '1000', 7),
+        });
+
+        expect(query.where.snapshot_balance).toEqual({ [Op.gte]: '5' });
+        expect(query.where[Op.and]).toEqual([{
+            [Op.or]: [
+                { snapshot_balance: { [Op.gt]: '1000' } },
+                { snapshot_balance: '1000', id: { [Op.gt]: 7 } },
+            ],
+        }]);
+        expect(query.filters[Op.and]).toBeUndefined();
+    });
+
+    test('should reject invalid parameters', () => {
+        expect(buildClaimsQuery({ sort: 'raw_json' }).error).toMatch(/sort must be one of/);
+        expect(buildClaimsQuery({ order: 'sideways' }).error).toMatch(/order must be/);
+        expect(buildClaimsQuery({ pageSize: '0' }).error).toMatch(/pageSize/);
+        expect(buildClaimsQuery({ page: '-1' }).error).toMatch(/page must be/);
+        expect(buildClaimsQuery({ min_balance: '1.5' }).error).toMatch(/min_balance/);
+        expect(buildClaimsQuery({ created_after: 'yesterday' }).error).toMatch(/created_after/);
+        expect(buildClaimsQuery({ epix_address: 'epix1invalid' }).error).toMatch(/Invalid epix address/);
+        expect(buildClaimsQuery({ sort: 'created_at', cursor: encodeCursor('id', 1, 1) }).error).toMatch(/Invalid cursor/);
+    });
+});
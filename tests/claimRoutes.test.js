@@ -0,0 +1,363 @@
+const http = require('http');
+const { buildClaimMessage } = require('../utils/claimMessage');
+const { createX42Signer } = require('./x42Signer');
+const { uniqueConstraintError } = require('./fakeModels');
+
+function request(baseUrl, method, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}${path}`, { method, headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+// Sums the active claims per epix address, as the GROUP BY query behind the projections does
+function addressTotals(claims) {
+    const totals = new Map();
+    claims.filter(claim => claim.status === 'active').forEach(claim => {
+        totals.set(claim.epix_address, (totals.get(claim.epix_address) || 0n) + BigInt(claim.snapshot_balance));
+    });
+    return Array.from(totals, ([epix_address, total]) => ({ epix_address, total_balance: total.toString() }));
+}
+
+describe('Claim routes', () => {
+    const env = { ...process.env };
+    let models;
+    let server;
+    let baseUrl;
+    let campaign;
+    let claims;
+
+    beforeAll(async () => {
+        Object.assign(process.env, {
+            AUDIT_IP_HASH_SECRET: 'test-secret',
+            RATE_LIMIT_IP_MAX: '0',
+            RATE_LIMIT_ADDRESS_MAX: '0',
+            // Lets the tests send claims from several clients through X-Forwarded-For
+            TRUST_PROXY: 'true',
+        });
+
+        let app;
+        jest.isolateModules(() => {
+            models = require('../models');
+            ({ app } = require('../index'));
+        });
+
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        process.env = env;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        campaign = {
+            id: 1,
+            name: 'x42 snapshot',
+            snapshot_height: 3000000,
+            opens_at: null,
+            closes_at: '2099-01-01T00:00:00Z',
+            target_allocation: '1000',
+            allocation_strategy: 'pro-rata',
+            max_allocation_per_address: null,
+            dust_threshold: null,
+        };
+        claims = [];
+
+        const { Campaign, Snapshot, SnapshotBalance, DestinationChange } = models;
+        jest.spyOn(Campaign, 'findByPk').mockImplementation(async () => campaign);
+        jest.spyOn(Campaign, 'findOne').mockImplementation(async () => campaign);
+        jest.spyOn(SnapshotBalance, 'findOne').mockImplementation(async () => null);
+        jest.spyOn(DestinationChange, 'findAll').mockImplementation(async () => []);
+        jest.spyOn(Snapshot, 'findOne').mockImplementation(async ({ where }) =>
+            claims.find(claim => claim.x42_address === where.x42_address) || null);
+        jest.spyOn(Snapshot, 'findAll').mockImplementation(async ({ where, group }) => (group
+            ? addressTotals(claims)
+            : claims.filter(claim => claim.epix_address === where.epix_address)));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const claim = (id, x42Address, epixAddress, balance, status = 'active') => ({
+        id,
+        x42_address: x42Address,
+        epix_address: epixAddress,
+        snapshot_balance: String(balance),
+        status,
+        createdAt: '2025-01-01T00:00:00.000Z',
+    });
+
+    describe('projected allocations', () => {
+        const EPIX_A = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+        const EPIX_B = 'epix1qyqszqgpqyqszqgpqyqszqgpqyqszqgp8c0t28';
+
+        test('should apply the per-address cap the export applies', async () => {
+            campaign.max_allocation_per_address = '600';
+            claims = [claim(1, 'XAddressA', EPIX_A, 900), claim(2, 'XAddressB', EPIX_B, 100)];
+
+            // Pro-rata alone would project 900 and 100
+            expect((await request(baseUrl, 'GET', '/claims/x42/XAddressA')).body.projected_final_balance).toBe('600');
+            expect((await request(baseUrl, 'GET', `/claims/epix/${EPIX_B}`)).body.projected_final_balance).toBe('400');
+        });
+
+        test('should project nothing for addresses below the dust threshold', async () => {
+            campaign.dust_threshold = '50';
+            claims = [claim(1, 'XAddressA', EPIX_A, 990), claim(2, 'XAddressB', EPIX_B, 10)];
+
+            expect((await request(baseUrl, 'GET', `/claims/epix/${EPIX_B}`)).body.projected_final_balance).toBe('0');
+            expect((await request(baseUrl, 'GET', '/claims/x42/XAddressA')).body.projected_final_balance).toBe('1000');
+        });
+
+        test('should split the allocation of an epix address across its claims', async () => {
+            campaign.target_allocation = '500';
+            claims = [claim(1, 'XAddressA', EPIX_A, 600), claim(2, 'XAddressB', EPIX_A, 400), claim(3, 'XAddressC', EPIX_B, 0, 'flagged')];
+
+            const { body } = await request(baseUrl, 'GET', '/claims/x42/XAddressA');
+            expect(body).toMatchObject({ projected_final_balance: '300', deduction_percentage: '50.00%' });
+            expect((await request(baseUrl, 'GET', '/claims/x42/XAddressC')).body.projected_final_balance).toBe('0');
+        });
+
+        test('should project null while the claims cannot be allocated', async () => {
+            campaign.max_allocation_per_address = '100';
+            claims = [claim(1, 'XAddressA', EPIX_A, 900)];
+
+            const { status, body } = await request(baseUrl, 'GET', '/claims/x42/XAddressA');
+            expect(status).toBe(200);
+            expect(body).toMatchObject({ projected_final_balance: null, deduction_percentage: null });
+        });
+    });
+
+    describe('claim submission', () => {
+        const EPIX = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+        let challenges;
+        let balances;
+
+        beforeEach(() => {
+            challenges = new Map();
+            balances = new Map();
+
+            const {
+                sequelize,
+                ClaimChallenge,
+                BlockedAddress,
+                SnapshotBalance,
+                Snapshot,
+                TransparencyLogEntry,
+                ClaimAttempt,
+                WebhookSubscription,
+            } = models;
+
+            // A transaction that fails leaves the claims and challenges as they were
+            jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => {
+                const savedClaims = [...claims];
+                const savedUses = new Map(Array.from(challenges, ([nonce, challenge]) => [nonce, challenge.used_at]));
+                try {
+                    return await callback({});
+                } catch (error) {
+                    claims = savedClaims;
+                    savedUses.forEach((usedAt, nonce) => {
+                        challenges.get(nonce).used_at = usedAt;
+                    });
+                    throw error;
+                }
+            });
+            jest.spyOn(sequelize, 'query').mockImplementation(async () => [[], null]);
+            jest.spyOn(ClaimChallenge, 'findOne').mockImplementation(async ({ where }) => challenges.get(where.nonce) || null);
+            jest.spyOn(ClaimChallenge, 'update').mockImplementation(async (values, { where }) => {
+                const challenge = challenges.get(where.nonce);
+                if (!challenge || challenge.used_at) {
+                    return [0];
+                }
+                challenge.used_at = values.used_at;
+                return [1];
+            });
+            jest.spyOn(BlockedAddress, 'findOne').mockImplementation(async () => null);
+            jest.spyOn(SnapshotBalance, 'findOne').mockImplementation(async ({ where }) =>
+                (balances.has(where.address) ? { balance: balances.get(where.address) } : null));
+            jest.spyOn(Snapshot, 'create').mockImplementation(async (values) => {
+                const created = { id: claims.length + 1, status: 'active', createdAt: new Date(), ...values };
+                claims.push(created);
+                return created;
+            });
+            jest.spyOn(TransparencyLogEntry, 'findOne').mockImplementation(async () => null);
+            jest.spyOn(TransparencyLogEntry, 'create').mockImplementation(async values => values);
+            jest.spyOn(ClaimAttempt, 'create').mockImplementation(async values => values);
+            jest.spyOn(WebhookSubscription, 'findAll').mockImplementation(async () => []);
+        });
+
+        // Issues a challenge the way /claim-challenge does, and signs it with the key of the signer
+        const issueChallenge = async (signer, balance, { signWith = signer } = {}) => {
+            const nonce = String(challenges.size + 1).padStart(32, '0');
+            const challenge = {
+                nonce,
+                campaign_id: campaign.id,
+                x42_address: signer.address,
+                epix_address: EPIX,
+                snapshot_balance: String(balance),
+                expires_at: new Date(Date.now() + 600000),
+                used_at: null,
+            };
+            challenges.set(nonce, challenge);
+            balances.set(signer.address, String(balance));
+
+            const message = buildClaimMessage({
+                campaign,
+                x42Address: signer.address,
+                epixAddress: EPIX,
+                balance,
+                nonce,
+                expiresAt: challenge.expires_at,
+            });
+            return { x42_address: signer.address, snapshot_balance: String(balance), nonce, signature: await signWith.sign(message) };
+        };
+
+        const submit = ({ signature, ...claim }, headers = {}) => request(
+            baseUrl,
+            'POST',
+            '/verify-snapshot',
+            { ...claim, epix_address: EPIX },
+            { signature, ...headers }
+        );
+
+        test('should not lock the holder out with failed signatures sent by another client', async () => {
+            const holder = createX42Signer('holder of a locked out address');
+            const claim = await issueChallenge(holder, 1000);
+            const forged = { ...claim, signature: (await issueChallenge(holder, 1000, { signWith: createX42Signer('attacker') })).signature };
+            const attacker = { 'X-Forwarded-For': '203.0.113.7' };
+
+            for (let i = 0; i < 5; i++) {
+                expect((await submit(forged, attacker)).body.code).toBe('invalid_signature');
+            }
+            const lockedOut = await submit(forged, attacker);
+            expect(lockedOut.status).toBe(429);
+            expect(lockedOut.body.code).toBe('too_many_failed_signatures');
+
+            const { status, body } = await submit(claim, { 'X-Forwarded-For': '198.51.100.2' });
+            expect(status).toBe(200);
+            expect(body.message).toBe('Snapshot verified and stored successfully');
+            expect(claims).toHaveLength(1);
+        });
+
+        test('should answer duplicate_claim when the database refuses a second claim of the address', async () => {
+            const claim = await issueChallenge(createX42Signer('claimed concurrently'), 1000);
+            // Another request stored a claim of the same address after this one was checked
+            jest.spyOn(models.Snapshot, 'create').mockImplementationOnce(async () => {
+                throw uniqueConstraintError();
+            });
+
+            const { status, body } = await submit(claim);
+
+            expect(status).toBe(400);
+            expect(body).toMatchObject({
+                code: 'duplicate_claim',
+                message: 'Duplicate address. Snapshot was already verified.',
+                field: 'x42_address',
+            });
+            expect(claims).toEqual([]);
+            expect(challenges.get(claim.nonce).used_at).toBeNull();
+            expect(models.ClaimAttempt.create.mock.calls[0][0]).toMatchObject({ outcome: 'rejected', reason: 'Duplicate address. Snapshot was already verified.' });
+        });
+
+        describe('batches', () => {
+            const submitBatch = async (batch) => request(baseUrl, 'POST', '/verify-snapshot/batch', {
+                epix_address: EPIX,
+                claims: batch.map(({ signature, ...claim }) => ({ ...claim, signature })),
+            });
+
+            test('should store every claim and answer with a result per claim, in request order', async () => {
+                const batch = [];
+                for (const seed of ['first', 'second', 'third']) {
+                    batch.push(await issueChallenge(createX42Signer(`batch ${seed}`), 1000));
+                }
+
+                const { status, body } = await submitBatch(batch);
+
+                expect(status).toBe(200);
+                expect(body.message).toBe('3 snapshots verified and stored successfully');
+                expect(body.results).toEqual(batch.map((claim, index) => ({
+                    index,
+                    x42_address: claim.x42_address,
+                    status: 'accepted',
+                    claim_id: index + 1,
+                })));
+                expect(claims.map(claim => claim.x42_address)).toEqual(batch.map(claim => claim.x42_address));
+            });
+
+            test('should store nothing when one claim is rejected', async () => {
+                const valid = await issueChallenge(createX42Signer('batch valid'), 1000);
+                const holder = createX42Signer('batch forged');
+                const forged = await issueChallenge(holder, 2000, { signWith: createX42Signer('batch attacker') });
+
+                const { status, body } = await submitBatch([valid, forged]);
+
+                expect(status).toBe(400);
+                expect(body.code).toBe('batch_rejected');
+                expect(body.message).toBe('1 of 2 claims were rejected. Nothing was stored.');
+                expect(body.results).toEqual([
+                    { index: 0, x42_address: valid.x42_address, status: 'valid' },
+                    {
+                        index: 1,
+                        x42_address: holder.address,
+                        status: 'rejected',
+                        code: 'invalid_signature',
+                        message: 'Signature verification failed',
+                        field: 'claims[1].signature',
+                    },
+                ]);
+                expect(claims).toEqual([]);
+                expect(challenges.get(valid.nonce).used_at).toBeNull();
+            });
+
+            test('should roll back the claims already stored when a later one fails to store', async () => {
+                const batch = [
+                    await issueChallenge(createX42Signer('rollback first'), 1000),
+                    await issueChallenge(createX42Signer('rollback second'), 1000),
+                ];
+                // Another request claims the second address between the checks and the insert
+                const { Snapshot } = models;
+                const create = Snapshot.create.getMockImplementation();
+                Snapshot.create
+                    .mockImplementationOnce(create)
+                    .mockImplementationOnce(async () => {
+                        throw uniqueConstraintError();
+                    });
+
+                const { status, body } = await submitBatch(batch);
+
+                expect(status).toBe(400);
+                expect(body.code).toBe('batch_rejected');
+                expect(body.results[1]).toMatchObject({ status: 'rejected', code: 'duplicate_claim', field: 'claims[1].x42_address' });
+                expect(claims).toEqual([]);
+                expect(batch.map(claim => challenges.get(claim.nonce).used_at)).toEqual([null, null]);
+            });
+
+            test('should refuse batches over the size limit before checking any claim', async () => {
+                const claim = await issueChallenge(createX42Signer('batch too large'), 1000);
+                models.ClaimChallenge.findOne.mockClear();
+
+                const { status, body } = await submitBatch(Array.from({ length: 51 }, () => claim));
+
+                expect(status).toBe(400);
+                expect(body).toMatchObject({ code: 'invalid_field', field: 'claims' });
+                expect(body.message).toMatch(/at most 50 items/);
+                expect(models.ClaimChallenge.findOne).not.toHaveBeenCalled();
+                expect(claims).toEqual([]);
+            });
+        });
+    });
+});
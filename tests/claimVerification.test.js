@@ -0,0 +1,167 @@
+const { CLAIM_WINDOW_ERROR_CODES, ClaimRejectedError, createClaimVerifier } = require('../utils/claimVerification');
+const { buildClaimMessage } = require('../utils/claimMessage');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+const X42_ADDRESS = 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf';
+const EPIX_ADDRESS = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+
+// The Campaign, Snapshot, SnapshotBalance and ClaimChallenge models, holding one campaign, balance and challenge
+function createModels() {
+    const sequelize = createFakeSequelize();
+    const [Campaign, Snapshot, SnapshotBalance, ClaimChallenge] = Array.from({ length: 4 }, () => createFakeModel({ sequelize }));
+
+    Campaign.insert({ name: 'x42 Airdrop', opens_at: null, closes_at: new Date('2025-02-01T00:00:00Z') });
+    SnapshotBalance.insert({ campaign_id: 1, address: X42_ADDRESS, balance: '69223563046' });
+    ClaimChallenge.insert({
+        nonce: 'abc123',
+        campaign_id: 1,
+        x42_address: X42_ADDRESS,
+        epix_address: EPIX_ADDRESS,
+        snapshot_balance: '69223563046',
+        expires_at: new Date('2025-01-20T10:10:00Z'),
+        used_at: null,
+    });
+
+    return {
+        campaigns: Campaign.rows,
+        snapshots: Snapshot.rows,
+        balances: SnapshotBalance.rows,
+        challenges: ClaimChallenge.rows,
+        Campaign,
+        Snapshot,
+        SnapshotBalance,
+        ClaimChallenge,
+    };
+}
+
+describe('Claim Verification', () => {
+    let clock;
+    let models;
+    let blocked;
+    let verifySignature;
+    let verifier;
+
+    const claim = (overrides = {}) => ({
+        x42Address: X42_ADDRESS,
+        epixAddress: EPIX_ADDRESS,
+        snapshotBalance: 69223563046n,
+        nonce: 'abc123',
+        signature: 'c2ln',
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        clock = new Date('2025-01-20T10:00:00Z');
+        models = createModels();
+        blocked = [];
+        verifySignature = jest.fn(() => true);
+        verifier = createClaimVerifier({
+            ...models,
+            findBlockedAddress: async (x42Address, epixAddress) => blocked.find(address => address === x42Address || address === epixAddress) || null,
+            verifySignature,
+            now: () => clock,
+        });
+    });
+
+    test('should pass a claim matching its challenge and return the signed message', async () => {
+        const checked = await verifier.checkClaim(claim());
+        const message = buildClaimMessage({
+            campaign: models.campaigns[0],
+            x42Address: X42_ADDRESS,
+            epixAddress: EPIX_ADDRESS,
+            balance: '69223563046',
+            nonce: 'abc123',
+            expiresAt: models.challenges[0].expires_at,
+        });
+
+        expect(checked).toEqual({ campaignId: 1, campaign: models.campaigns[0], message });
+        expect(verifySignature).toHaveBeenCalledWith(message, X42_ADDRESS, 'c2ln');
+    });
+
+    test('should reject unknown, used and expired nonces', async () => {
+        expect(await verifier.checkClaim(claim({ nonce: 'ffff' }))).toEqual({
+            campaignId: null,
+            rejection: { code: 'unknown_nonce', message: 'Unknown nonce', field: 'nonce' },
+        });
+
+        models.challenges[0].used_at = clock;
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe('nonce_used');
+
+        models.challenges[0].used_at = null;
+        clock = new Date('2025-01-20T10:10:01Z');
+        expect(await verifier.checkClaim(claim())).toEqual({
+            campaignId: 1,
+            rejection: { code: 'nonce_expired', message: 'Nonce has expired', field: 'nonce' },
+        });
+    });
+
+    test('should reject claims that do not match the challenge', async () => {
+        expect((await verifier.checkClaim(claim({ x42Address: 'XOtherAddress' }))).rejection.code).toBe('challenge_mismatch');
+        expect((await verifier.checkClaim(claim({ epixAddress: 'epix1other' }))).rejection.code).toBe('challenge_mismatch');
+    });
+
+    test('should reject claims outside the claim window', async () => {
+        models.campaigns[0].closes_at = new Date('2025-01-19T00:00:00Z');
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe(CLAIM_WINDOW_ERROR_CODES.ended);
+
+        models.campaigns[0].opens_at = new Date('2025-01-21T00:00:00Z');
+        models.campaigns[0].closes_at = new Date('2025-02-01T00:00:00Z');
+        expect((await verifier.checkClaim(claim())).rejection).toEqual({
+            code: 'claim_period_not_started',
+            message: expect.any(String),
+            field: null,
+        });
+    });
+
+    test('should reject duplicate, blocked and unknown addresses', async () => {
+        models.snapshots.push({ campaign_id: 1, x42_address: X42_ADDRESS });
+        expect((await verifier.checkClaim(claim())).rejection).toEqual({
+            code: 'duplicate_claim',
+            message: 'Duplicate address. Snapshot was already verified.',
+            field: 'x42_address',
+        });
+
+        models.snapshots.length = 0;
+        blocked.push(EPIX_ADDRESS);
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe('address_blocked');
+
+        blocked.length = 0;
+        models.balances.length = 0;
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe('address_not_in_snapshot');
+    });
+
+    test('should compare balances exactly', async () => {
+        expect((await verifier.checkClaim(claim({ snapshotBalance: 69223563047n }))).rejection).toEqual({
+            code: 'balance_mismatch',
+            message: 'Balance verification failed',
+            field: 'snapshot_balance',
+        });
+
+        // The imported balance changed after the challenge was issued
+        models.balances[0].balance = '1';
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe('balance_mismatch');
+    });
+
+    test('should reject invalid signatures last', async () => {
+        verifySignature.mockReturnValue(false);
+
+        expect(await verifier.checkClaim(claim())).toEqual({
+            campaignId: 1,
+            rejection: { code: 'invalid_signature', message: 'Signature verification failed', field: 'signature' },
+        });
+
+        models.balances.length = 0;
+        verifySignature.mockClear();
+        expect((await verifier.checkClaim(claim())).rejection.code).toBe('address_not_in_snapshot');
+        expect(verifySignature).not.toHaveBeenCalled();
+    });
+
+    test('should carry the code and field of a rejected claim', () => {
+        const error = new ClaimRejectedError('nonce_used', 'Nonce has already been used', 'nonce');
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('ClaimRejectedError');
+        expect(error.code).toBe('nonce_used');
+        expect(error.field).toBe('nonce');
+    });
+});
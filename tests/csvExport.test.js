@@ -0,0 +1,251 @@
+const { escapeCsvField, writeSnapshotCsv } = require('../utils/csvExport');
+const { allocate } = require('../utils/allocation');
+const { parseVestingSchedule } = require('../utils/vesting');
+
+// The in-memory export as /download-csv produced it before streaming, kept as the reference output
+function buildLegacyCsv(snapshots, detailed, TARGET_BALANCE_SATS) {
+    const aggregatedBalances = new Map();
+    const aggregatedDetails = new Map();
+
+    snapshots.forEach(snapshot => {
+        const currentBalance = BigInt(snapshot.snapshot_balance);
+        const existingBalance = aggregatedBalances.get(snapshot.epix_address) || 0n;
+        aggregatedBalances.set(snapshot.epix_address, existingBalance + currentBalance);
+
+        if (detailed) {
+            const details = aggregatedDetails.get(snapshot.epix_address) || [];
+            details.push(snapshot);
+            aggregatedDetails.set(snapshot.epix_address, details);
+        }
+    });
+
+    const totalClaimedRaw = Array.from(aggregatedBalances.values()).reduce((sum, balance) => sum + balance, 0n);
+    const multiplierBigInt = totalClaimedRaw > TARGET_BALANCE_SATS
+        ? ((TARGET_BALANCE_SATS * BigInt(100000000)) / totalClaimedRaw)
+        : BigInt(100000000);
+
+    let totalFinalBalance = 0n;
+    const aggregatedEntries = Array.from(aggregatedBalances.entries());
+    const lastIndex = aggregatedEntries.length - 1;
+
+    const csvRows = aggregatedEntries.map(([epixAddress, originalBalance], index) => {
+        let finalBalance = (originalBalance * multiplierBigInt) / BigInt(100000000);
+
+        if (index === lastIndex) {
+            const remaining = TARGET_BALANCE_SATS - totalFinalBalance;
+            if (remaining > 0n) {
+                finalBalance = remaining;
+            }
+        }
+
+        totalFinalBalance += finalBalance;
+
+        const finalBalanceStr = (finalBalance / BigInt(100000000)).toString() + '.' +
+            (finalBalance % BigInt(100000000)).toString().padStart(8, '0');
+
+        if (!detailed) {
+            return `${escapeCsvField(epixAddress)},${escapeCsvField(finalBalanceStr)}`;
+        }
+
+        return aggregatedDetails.get(epixAddress).map(d => [
+            escapeCsvField(epixAddress),
+            escapeCsvField(d.x42_address),
+            escapeCsvField(d.snapshot_balance),
+            escapeCsvField(finalBalanceStr),
+            escapeCsvField((BigInt(d.snapshot_balance) - finalBalance).toString()),
+            escapeCsvField(((BigInt(100000000) - multiplierBigInt) * BigInt(10000) / BigInt(100000000)).toString().replace(/(\d{2})$/, '.$1') + '%'),
+            escapeCsvField(d.signature),
+            escapeCsvField(JSON.stringify(d.raw_json))
+        ].join(',')).join('\n');
+    });
+
+    const headers = detailed
+        ? 'epix_address,x42_address,original_balance,final_balance,deduction_amount,deduction_percentage,signature,raw_json'
+        : 'epix_address,balance';
+    return headers + '\n' + csvRows.join('\n');
+}
+
+// Mirrors the address totals and claims queries in utils/exportQueries.js
+function simulateQueries(snapshots) {
+    const groups = new Map();
+    snapshots.forEach(snapshot => {
+        const group = groups.get(snapshot.epix_address) || { total: 0n, rows: [] };
+        group.total += BigInt(snapshot.snapshot_balance);
+        group.rows.push(snapshot);
+        groups.set(snapshot.epix_address, group);
+    });
+
+    return {
+        entries: Array.from(groups.entries()).map(([address, group]) => ({ address, balance: group.total })),
+        claims: Array.from(groups.values()).flatMap(group => group.rows),
+    };
+}
+
+async function* toAsyncIterable(rows) {
+    for (const row of rows) {
+        yield row;
+    }
+}
+
+async function buildStreamedCsv(snapshots, detailed, options, vesting = null) {
+    const { entries, claims } = simulateQueries(snapshots);
+    const chunks = [];
+
+    await writeSnapshotCsv({
+        allocation: allocate(entries, options),
+        claims: toAsyncIterable(claims),
+        detailed,
+        vesting,
+        write: async (chunk) => {
+            chunks.push(chunk);
+        },
+    });
+
+    return chunks.join('');
+}
+
+function claim(id, epixAddress, balance, extra = {}) {
+    return {
+        epix_address: epixAddress,
+        x42_address: `XAddress${id}`,
+        snapshot_balance: String(balance),
+        signature: `signature+${id}/==`,
+        raw_json: { x42_address: `XAddress${id}`, epix_address: epixAddress, snapshot_balance: balance, ...extra },
+    };
+}
+
+describe('CSV Export', () => {
+    const TARGET = 1184476900000000n;
+
+    const datasets = {
+        'no claims': [],
+        'a single claim': [claim(1, 'epix1a', 69223563046)],
+        'claims below the target': [
+            claim(1, 'epix1a', 100000000),
+            claim(2, 'epix1b', 250000000),
+            claim(3, 'epix1c', 1),
+        ],
+        'claims above the target with a pro-rata deduction': [
+            claim(1, 'epix1a', 900000000000000),
+            claim(2, 'epix1b', 333333333333333),
+            claim(3, 'epix1c', 777777777777777),
+            claim(4, 'epix1d', 12345),
+        ],
+        'several x42 addresses claiming to the same epix address': [
+            claim(1, 'epix1a', 700000000000000),
+            claim(2, 'epix1b', 500000000000000),
+            claim(3, 'epix1a', 300000000000000),
+            claim(4, 'epix1c', 99999999),
+            claim(5, 'epix1b', 1),
+        ],
+        'fields that need escaping': [
+            claim(1, 'epix1a', 500000000000000, { note: 'comma, "quote"\nnewline' }),
+            claim(2, 'epix1b', 900000000000000, { note: 'carriage\rreturn' }),
+        ],
+    };
+
+    Object.entries(datasets).forEach(([name, snapshots]) => {
+        test(`should match the in-memory simple export for ${name}`, async () => {
+            expect(await buildStreamedCsv(snapshots, false, { target: TARGET })).toBe(buildLegacyCsv(snapshots, false, TARGET));
+        });
+
+        test(`should match the in-memory detailed export for ${name}`, async () => {
+            expect(await buildStreamedCsv(snapshots, true, { target: TARGET })).toBe(buildLegacyCsv(snapshots, true, TARGET));
+        });
+    });
+
+    test('should write the header before any rows', async () => {
+        const chunks = [];
+        await writeSnapshotCsv({
+            allocation: allocate([], { target: TARGET }),
+            claims: toAsyncIterable([]),
+            detailed: false,
+            write: async (chunk) => {
+                chunks.push(chunk);
+            },
+        });
+
+        expect(chunks).toEqual(['epix_address,balance\n']);
+    });
+
+    test('should leave excluded addresses out of the simple export', async () => {
+        const snapshots = [claim(1, 'epix1a', 999999), claim(2, 'epix1b', 1)];
+        const csv = await buildStreamedCsv(snapshots, false, { target: 1000000n, strategy: 'largest-remainder', dustThreshold: 10n });
+
+        expect(csv).toBe('epix_address,balance\nepix1a,0.01000000');
+    });
+
+    test('should show excluded addresses with a zero balance in the detailed export', async () => {
+        const snapshots = [claim(1, 'epix1a', 999999), claim(2, 'epix1b', 1)];
+        const csv = await buildStreamedCsv(snapshots, true, { target: 1000000n, strategy: 'largest-remainder', dustThreshold: 10n });
+
+        expect(csv.split('\n')[2]).toMatch(/^epix1b,XAddress2,1,0\.00000000,1,/);
+    });
+
+    describe('with a vesting schedule', () => {
+        const vesting = parseVestingSchedule({
+            start_time: '2025-03-01T00:00:00Z',
+            immediate_percentage: 25,
+            cliff_seconds: 86400,
+            period_seconds: 86400,
+            period_count: 3,
+            tiers: [{ min_balance: '500000000000000', immediate_percentage: 5, period_count: 7 }],
+        });
+        const toSats = (formatted) => BigInt(formatted.replace('.', ''));
+
+        test('should add the immediate part and the unlock schedule of every address', async () => {
+            const csv = await buildStreamedCsv([claim(1, 'epix1a', 100000000)], false, { target: 100000000n }, vesting);
+
+            expect(csv).toBe([
+                'epix_address,balance,immediate_balance,vesting_balance,vesting_start,vesting_end,unlock_schedule',
+                'epix1a,1.00000000,0.25000000,0.75000000,2025-03-01T00:00:00.000Z,2025-03-05T00:00:00.000Z,"[' + [
+                    '{""unlocks_at"":""2025-03-03T00:00:00.000Z"",""amount"":""0.25000000""}',
+                    '{""unlocks_at"":""2025-03-04T00:00:00.000Z"",""amount"":""0.25000000""}',
+                    '{""unlocks_at"":""2025-03-05T00:00:00.000Z"",""amount"":""0.25000000""}',
+                ].join(',') + ']"',
+            ].join('\n'));
+        });
+
+        test('should unlock exactly the final balance of every address', async () => {
+            const csv = await buildStreamedCsv(datasets['claims above the target with a pro-rata deduction'], false, { target: TARGET }, vesting);
+            const rows = csv.split('\n').slice(1);
+
+            expect(rows).toHaveLength(4);
+            rows.forEach(row => {
+                const [, , balance, immediate, vested, , , schedule] = row.match(/^([^,]+),([^,]+),([^,]+),([^,]+),([^,]*),([^,]*),(.*)$/);
+                const periods = JSON.parse(schedule.startsWith('"') ? schedule.slice(1, -1).replace(/""/g, '"') : schedule);
+                const unlocked = periods.reduce((sum, period) => sum + toSats(period.amount), 0n);
+
+                expect(unlocked).toBe(toSats(vested));
+                expect(toSats(immediate) + unlocked).toBe(toSats(balance));
+            });
+        });
+
+        test('should append the vesting columns to the detailed layout', async () => {
+            const csv = await buildStreamedCsv([claim(1, 'epix1a', 100000000)], true, { target: 100000000n }, vesting);
+            const [header, row] = csv.split('\n');
+
+            expect(header).toBe('epix_address,x42_address,original_balance,final_balance,deduction_amount,deduction_percentage,signature,raw_json,'
+                + 'immediate_balance,vesting_balance,vesting_start,vesting_end,unlock_schedule');
+            expect(row).toContain(',0.25000000,0.75000000,2025-03-01T00:00:00.000Z,2025-03-05T00:00:00.000Z,');
+        });
+    });
+
+    test('should return the number of lines written', async () => {
+        const { entries, claims } = simulateQueries(datasets['several x42 addresses claiming to the same epix address']);
+        const allocation = allocate(entries, { target: TARGET });
+        const write = async () => {};
+
+        expect(await writeSnapshotCsv({ allocation, detailed: false, write })).toBe(3);
+        expect(await writeSnapshotCsv({ allocation, claims: toAsyncIterable(claims), detailed: true, write })).toBe(5);
+    });
+
+    test('should escape CSV fields', () => {
+        expect(escapeCsvField(null)).toBe('');
+        expect(escapeCsvField(undefined)).toBe('');
+        expect(escapeCsvField('plain')).toBe('plain');
+        expect(escapeCsvField('a,b')).toBe('"a,b"');
+        expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(escapeCsvField('line\nbreak')).toBe('"line\nbreak"');
+    });
+});
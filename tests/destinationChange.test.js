@@ -0,0 +1,250 @@
+const {
+    DestinationChangeError,
+    getDestinationChangeCooldownSeconds,
+    formatDestinationChange,
+    createDestinationChanger,
+} = require('../utils/destinationChange');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+const X42_ADDRESS = 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf';
+const EPIX_ADDRESS = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+const NEW_EPIX_ADDRESS = 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66';
+const THIRD_EPIX_ADDRESS = 'epix1xqqx9pzstqcg4fgllqdqh4zkdlvsjk5ph3jqaw';
+
+// The Snapshot, DestinationChange and ClaimAction models, sharing one fake database
+function createModels() {
+    const sequelize = createFakeSequelize();
+    const Snapshot = createFakeModel({ sequelize });
+    const DestinationChange = createFakeModel({ sequelize, defaults: { signature: null, applied_at: null } });
+    const ClaimAction = createFakeModel({ sequelize });
+
+    return {
+        sequelize,
+        claims: Snapshot.rows,
+        changes: DestinationChange.rows,
+        actions: ClaimAction.rows,
+        Snapshot,
+        DestinationChange,
+        ClaimAction,
+    };
+}
+
+describe('Destination Change', () => {
+    const campaign = { id: 1, name: 'x42 Airdrop', closes_at: new Date('2025-02-01T00:00:00Z') };
+    let clock;
+    let models;
+    let blocked;
+    let verifySignature;
+    let transparencyLog;
+    let publishEvent;
+    let changer;
+
+    const apply = (nonce, overrides = {}) => changer.applyChange({
+        campaign,
+        x42Address: X42_ADDRESS,
+        toEpixAddress: NEW_EPIX_ADDRESS,
+        nonce,
+        signature: 'c2ln',
+        ...overrides,
+    });
+
+    const rejection = async (promise) => {
+        const error = await promise.catch(caught => caught);
+        expect(error).toBeInstanceOf(DestinationChangeError);
+        return { code: error.code, status: error.status, field: error.field, retryAfter: error.retryAfter };
+    };
+
+    beforeEach(() => {
+        clock = new Date('2025-01-20T10:00:00Z');
+        models = createModels();
+        models.Snapshot.insert({ id: 7, campaign_id: 1, x42_address: X42_ADDRESS, epix_address: EPIX_ADDRESS, status: 'active' });
+        blocked = [];
+        verifySignature = jest.fn(() => true);
+        transparencyLog = { appendDestinationChange: jest.fn(async () => ({})) };
+        publishEvent = jest.fn(async () => {});
+        changer = createDestinationChanger({
+            ...models,
+            findBlockedAddress: async (x42Address, epixAddress) => blocked.find(address => address === epixAddress) || null,
+            transparencyLog,
+            publishEvent,
+            cooldownSeconds: 3600,
+            verifySignature,
+            now: () => clock,
+        });
+    });
+
+    test('should read the cooldown from the environment', () => {
+        expect(getDestinationChangeCooldownSeconds({})).toBe(86400);
+        expect(getDestinationChangeCooldownSeconds({ DESTINATION_CHANGE_COOLDOWN_SECONDS: '600' })).toBe(600);
+        expect(getDestinationChangeCooldownSeconds({ DESTINATION_CHANGE_COOLDOWN_SECONDS: '0' })).toBe(0);
+        expect(getDestinationChangeCooldownSeconds({ DESTINATION_CHANGE_COOLDOWN_SECONDS: 'soon' })).toBe(86400);
+    });
+
+    test('should issue a challenge naming both addresses', async () => {
+        const challenge = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+
+        expect(challenge.message).toContain(`From epix address: ${EPIX_ADDRESS}`);
+        expect(challenge.message).toContain(`To epix address: ${NEW_EPIX_ADDRESS}`);
+        expect(models.changes[0]).toMatchObject({
+            nonce: challenge.nonce,
+            claim_id: 7,
+            from_epix_address: EPIX_ADDRESS,
+            to_epix_address: NEW_EPIX_ADDRESS,
+            message: challenge.message,
+            applied_at: null,
+        });
+    });
+
+    test('should move the claim and record the change in its history', async () => {
+        const { nonce, message } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+
+        const { claim, change } = await apply(nonce);
+
+        expect(verifySignature).toHaveBeenCalledWith(message, X42_ADDRESS, 'c2ln');
+        expect(claim.epix_address).toBe(NEW_EPIX_ADDRESS);
+        expect(change).toMatchObject({ signature: 'c2ln', applied_at: clock });
+        expect(models.actions).toEqual([expect.objectContaining({
+            claim_id: 7,
+            action: 'change_destination',
+            reason: `Destination changed from ${EPIX_ADDRESS} to ${NEW_EPIX_ADDRESS}`,
+            actor: X42_ADDRESS,
+        })]);
+        expect((await changer.getHistory(7)).map(formatDestinationChange)).toEqual([{
+            id: 1,
+            claim_id: 7,
+            from_epix_address: EPIX_ADDRESS,
+            to_epix_address: NEW_EPIX_ADDRESS,
+            message,
+            signature: 'c2ln',
+            changed_at: clock,
+        }]);
+    });
+
+    test('should append the change to the transparency log in its transaction', async () => {
+        const { nonce, message } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+
+        await apply(nonce);
+
+        expect(transparencyLog.appendDestinationChange).toHaveBeenCalledTimes(1);
+        const [change, transaction] = transparencyLog.appendDestinationChange.mock.calls[0];
+        expect(change).toMatchObject({
+            claim_id: 7,
+            from_epix_address: EPIX_ADDRESS,
+            to_epix_address: NEW_EPIX_ADDRESS,
+            message,
+            signature: 'c2ln',
+            applied_at: clock,
+        });
+        expect(transaction).toBe(models.sequelize.transactions[0]);
+    });
+
+    test('should publish the change once it is applied', async () => {
+        const { nonce } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+
+        await apply(nonce);
+
+        expect(publishEvent).toHaveBeenCalledWith('destination_changed', {
+            campaign_id: 1,
+            claim_id: 7,
+            x42_address: X42_ADDRESS,
+            from_epix_address: EPIX_ADDRESS,
+            to_epix_address: NEW_EPIX_ADDRESS,
+            changed_at: clock,
+        });
+    });
+
+    test('should not publish a change whose transaction failed', async () => {
+        const { nonce } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        transparencyLog.appendDestinationChange.mockRejectedValue(new Error('could not serialize access'));
+
+        await expect(apply(nonce)).rejects.toThrow('could not serialize access');
+        expect(publishEvent).not.toHaveBeenCalled();
+        expect(models.claims[0].epix_address).toBe(EPIX_ADDRESS);
+        expect(models.changes[0].applied_at).toBeNull();
+    });
+
+    test('should keep every prior destination', async () => {
+        const first = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        await apply(first.nonce);
+        clock = new Date('2025-01-20T12:00:00Z');
+        const second = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: THIRD_EPIX_ADDRESS });
+        await apply(second.nonce, { toEpixAddress: THIRD_EPIX_ADDRESS });
+
+        const history = await changer.getHistory(7);
+
+        expect(history.map(change => [change.from_epix_address, change.to_epix_address])).toEqual([
+            [EPIX_ADDRESS, NEW_EPIX_ADDRESS],
+            [NEW_EPIX_ADDRESS, THIRD_EPIX_ADDRESS],
+        ]);
+        expect(models.claims[0].epix_address).toBe(THIRD_EPIX_ADDRESS);
+    });
+
+    test('should lock destinations once the claim period has ended', async () => {
+        clock = new Date('2025-01-31T23:59:00Z');
+        const { nonce } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        clock = new Date('2025-02-01T00:00:01Z');
+
+        expect(await rejection(apply(nonce))).toMatchObject({ code: 'destination_locked', status: 409 });
+        expect(await rejection(changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS })))
+            .toMatchObject({ code: 'destination_locked', status: 409 });
+        expect(models.claims[0].epix_address).toBe(EPIX_ADDRESS);
+    });
+
+    test('should refuse a second change within the cooldown', async () => {
+        const first = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        await apply(first.nonce);
+        clock = new Date('2025-01-20T10:15:00Z');
+
+        expect(await rejection(changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: THIRD_EPIX_ADDRESS })))
+            .toEqual({ code: 'destination_change_cooldown', status: 429, field: null, retryAfter: 2700 });
+    });
+
+    test('should refuse claims that cannot be moved', async () => {
+        const challenge = (toEpixAddress = NEW_EPIX_ADDRESS, x42Address = X42_ADDRESS) => changer.issueChallenge({ campaign, x42Address, toEpixAddress });
+
+        expect(await rejection(challenge(NEW_EPIX_ADDRESS, 'XUnknown'))).toMatchObject({ code: 'claim_not_found', status: 404 });
+        expect(await rejection(challenge(EPIX_ADDRESS))).toMatchObject({ code: 'invalid_field', field: 'epix_address' });
+
+        blocked.push(NEW_EPIX_ADDRESS);
+        expect(await rejection(challenge())).toMatchObject({ code: 'address_blocked', status: 400 });
+
+        models.claims[0].status = 'flagged';
+        expect(await rejection(challenge(THIRD_EPIX_ADDRESS))).toMatchObject({ code: 'claim_not_active', status: 409 });
+        expect(models.changes).toEqual([]);
+    });
+
+    test('should refuse unknown, used and expired nonces', async () => {
+        expect(await rejection(apply('ffff'))).toMatchObject({ code: 'unknown_nonce', field: 'nonce' });
+
+        const used = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        await apply(used.nonce);
+        expect(await rejection(apply(used.nonce))).toMatchObject({ code: 'nonce_used', field: 'nonce' });
+
+        clock = new Date('2025-01-21T10:00:00Z');
+        const expired = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: THIRD_EPIX_ADDRESS });
+        clock = new Date('2025-01-21T11:00:00Z');
+        expect(await rejection(apply(expired.nonce, { toEpixAddress: THIRD_EPIX_ADDRESS }))).toMatchObject({ code: 'nonce_expired' });
+    });
+
+    test('should refuse a request that does not match its challenge', async () => {
+        const { nonce } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+
+        expect(await rejection(apply(nonce, { toEpixAddress: THIRD_EPIX_ADDRESS }))).toMatchObject({ code: 'challenge_mismatch' });
+
+        // Another change applied since this challenge was issued
+        models.claims[0].epix_address = THIRD_EPIX_ADDRESS;
+        expect(await rejection(apply(nonce))).toMatchObject({ code: 'challenge_mismatch' });
+    });
+
+    test('should refuse a bad signature and leave the claim alone', async () => {
+        const { nonce } = await changer.issueChallenge({ campaign, x42Address: X42_ADDRESS, toEpixAddress: NEW_EPIX_ADDRESS });
+        verifySignature.mockReturnValue(false);
+
+        expect(await rejection(apply(nonce))).toMatchObject({ code: 'invalid_signature', field: 'signature' });
+        expect(models.claims[0].epix_address).toBe(EPIX_ADDRESS);
+        expect(models.changes[0].applied_at).toBeNull();
+        expect(models.actions).toEqual([]);
+        expect(transparencyLog.appendDestinationChange).not.toHaveBeenCalled();
+        expect(publishEvent).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,71 @@
+const { toChecksumHexAddress, validateEpixAddress } = require('../utils/epixAddress');
+
+describe('Epix Address Validation', () => {
+    test('should accept a valid epix1 bech32 address', () => {
+        expect(validateEpixAddress('epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x')).toEqual({
+            isvalid: true,
+            format: 'bech32',
+            address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            hex_address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+        });
+    });
+
+    test('should normalize upper case bech32 addresses', () => {
+        const result = validateEpixAddress('EPIX1R2357F40WPKRUZXU6SS87RVF0HP7HNLN246H4X');
+
+        expect(result.isvalid).toBe(true);
+        expect(result.address).toBe('epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x');
+    });
+
+    test('should accept 32 byte module and contract addresses', () => {
+        const result = validateEpixAddress('epix1qgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqfh05u4');
+
+        expect(result.isvalid).toBe(true);
+        expect(result.hex_address).toBeNull();
+    });
+
+    test('should reject a typo caught by the bech32 checksum', () => {
+        expect(validateEpixAddress('epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4y')).toEqual({
+            isvalid: false,
+            error: 'Invalid bech32 address or checksum',
+        });
+    });
+
+    test('should reject addresses with another prefix', () => {
+        expect(validateEpixAddress('cosmos1qyqszqgpqyqszqgpqyqszqgpqyqszqgpjnp7du').error).toMatch(/prefix must be "epix"/);
+        expect(validateEpixAddress('epixvaloper1qyqszqgpqyqszqgpqyqszqgpqyqszqgpm2lnj8').error).toMatch(/prefix must be "epix"/);
+    });
+
+    test('should reject addresses with an invalid payload length', () => {
+        expect(validateEpixAddress('epix1qgpqyqszqgpqyqszj92f32').error).toMatch(/20 or 32 bytes/);
+    });
+
+    test('should accept a checksummed hex address and convert it to bech32', () => {
+        expect(validateEpixAddress('0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3')).toEqual({
+            isvalid: true,
+            format: 'hex',
+            address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            hex_address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+        });
+    });
+
+    test('should accept single case hex addresses without a checksum', () => {
+        expect(validateEpixAddress('0x1aa34f26af706c3e08dcd4207f0d897dc3ebcff3').isvalid).toBe(true);
+        expect(validateEpixAddress('0x1AA34F26AF706C3E08DCD4207F0D897DC3EBCFF3').isvalid).toBe(true);
+    });
+
+    test('should reject hex addresses with a wrong checksum or length', () => {
+        expect(validateEpixAddress('0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCff3').error).toMatch(/checksum/);
+        expect(validateEpixAddress('0x1aa34f26af706c3e08dcd4207f0d897dc3ebcf').error).toMatch(/40 hex characters/);
+    });
+
+    test('should reject missing addresses', () => {
+        expect(validateEpixAddress(undefined).isvalid).toBe(false);
+        expect(validateEpixAddress('').isvalid).toBe(false);
+    });
+
+    test('should compute EIP-55 checksums', () => {
+        expect(toChecksumHexAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toBe('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+        expect(toChecksumHexAddress('fb6916095ca1df60bb79ce92ce3ea74c37c5d359')).toBe('0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359');
+    });
+});
@@ -0,0 +1,217 @@
+const {
+    getExportOptions,
+    toDenomAmount,
+    writeBankGenesis,
+    writeVestingGenesis,
+    writeJsonLines,
+    writeMerkleDistribution,
+} = require('../utils/exportFormats');
+const { allocate } = require('../utils/allocation');
+const { parseVestingSchedule } = require('../utils/vesting');
+const { hashLeaf, verifyMerkleProof } = require('../utils/merkle');
+
+const ADDRESS_A = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+const ADDRESS_B = 'epix1qyqszqgpqyqszqgpqyqszqgpqyqszqgp8c0t28';
+const ADDRESS_C = 'epix1qgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqyqszqgpqfh05u4';
+
+async function collect(writer, params) {
+    let output = '';
+    const result = await writer({ ...params, write: async (chunk) => { output += chunk; } });
+    return { output, result };
+}
+
+function allocationOf(balances, options) {
+    return allocate(balances.map(([address, balance]) => ({ address, balance: BigInt(balance) })), options);
+}
+
+describe('Export Formats', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        delete process.env.GENESIS_DENOM;
+        delete process.env.GENESIS_DECIMALS;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe('getExportOptions', () => {
+        test('should default to csv with aepix and 18 decimals', () => {
+            expect(getExportOptions({})).toEqual({ format: 'csv', denom: 'aepix', decimals: 18 });
+        });
+
+        test('should read the denom and decimals from the environment', () => {
+            process.env.GENESIS_DENOM = 'uepix';
+            process.env.GENESIS_DECIMALS = '8';
+
+            expect(getExportOptions({ format: 'jsonl' })).toEqual({ format: 'jsonl', denom: 'uepix', decimals: 8 });
+        });
+
+        test('should let the query override the environment', () => {
+            process.env.GENESIS_DENOM = 'uepix';
+
+            expect(getExportOptions({ format: 'merkle', denom: 'aepix', decimals: '12' }))
+                .toEqual({ format: 'merkle', denom: 'aepix', decimals: 12 });
+        });
+
+        test('should reject unknown formats', () => {
+            expect(getExportOptions({ format: 'xml' }).error).toMatch(/^format must be one of/);
+        });
+
+        test('should reject invalid denoms', () => {
+            expect(getExportOptions({ denom: '1epix' })).toEqual({ error: 'Invalid denom', field: 'denom' });
+            expect(getExportOptions({ denom: 'ep' })).toEqual({ error: 'Invalid denom', field: 'denom' });
+        });
+
+        test('should reject decimals that would lose satoshis or are not integers', () => {
+            ['7', '37', '18.5', '-18', 'abc'].forEach(decimals => {
+                expect(getExportOptions({ decimals }).error).toBe('decimals must be an integer between 8 and 36');
+            });
+        });
+    });
+
+    describe('toDenomAmount', () => {
+        test('should convert satoshis to the smallest unit of the denomination', () => {
+            expect(toDenomAmount(100000000n, 18)).toBe(1000000000000000000n);
+            expect(toDenomAmount(12345n, 8)).toBe(12345n);
+        });
+    });
+
+    describe('writeBankGenesis', () => {
+        test('should write balances and the matching supply', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 150], [ADDRESS_B, 50]], { target: 100n });
+            const { output, result } = await collect(writeBankGenesis, { allocation, denom: 'aepix', decimals: 10 });
+
+            expect(result).toBe(2);
+            expect(JSON.parse(output)).toEqual({
+                balances: [
+                    { address: ADDRESS_A, coins: [{ denom: 'aepix', amount: '7500' }] },
+                    { address: ADDRESS_B, coins: [{ denom: 'aepix', amount: '2500' }] },
+                ],
+                supply: [{ denom: 'aepix', amount: '10000' }],
+            });
+        });
+
+        test('should leave out excluded and empty addresses', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 0], [ADDRESS_B, 1], [ADDRESS_C, 99]], { target: 100n, dustThreshold: 5n });
+            const { output } = await collect(writeBankGenesis, { allocation, denom: 'aepix', decimals: 8 });
+
+            expect(JSON.parse(output).balances.map(balance => balance.address)).toEqual([ADDRESS_C]);
+        });
+
+        test('should write an empty genesis when nothing was claimed', async () => {
+            const allocation = allocationOf([], { target: 100n });
+            const { output } = await collect(writeBankGenesis, { allocation, denom: 'aepix', decimals: 18 });
+
+            expect(JSON.parse(output)).toEqual({ balances: [], supply: [] });
+        });
+    });
+
+    describe('writeVestingGenesis', () => {
+        const vesting = parseVestingSchedule({
+            start_time: '2025-03-01T00:00:00Z',
+            immediate_percentage: 20,
+            cliff_seconds: 600,
+            period_seconds: 60,
+            period_count: 3,
+            tiers: [{ min_balance: 1000000, immediate_percentage: 100 }],
+        });
+
+        test('should write a periodic vesting account for the vesting part of every allocation', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 1000], [ADDRESS_B, 50]], { target: 1000n });
+            const { output, result } = await collect(writeVestingGenesis, { allocation, vesting, denom: 'aepix', decimals: 10 });
+
+            expect(result).toBe(2);
+            expect(JSON.parse(output).accounts[0]).toEqual({
+                '@type': '/cosmos.vesting.v1beta1.PeriodicVestingAccount',
+                base_vesting_account: {
+                    base_account: { address: ADDRESS_A, pub_key: null, account_number: '0', sequence: '0' },
+                    original_vesting: [{ denom: 'aepix', amount: '76200' }],
+                    delegated_free: [],
+                    delegated_vesting: [],
+                    end_time: '1740787980',
+                },
+                start_time: '1740787200',
+                vesting_periods: [
+                    { length: '660', amount: [{ denom: 'aepix', amount: '25400' }] },
+                    { length: '60', amount: [{ denom: 'aepix', amount: '25400' }] },
+                    { length: '60', amount: [{ denom: 'aepix', amount: '25400' }] },
+                ],
+            });
+        });
+
+        test('should lock exactly the bank balance less the immediate part of every address', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 987654], [ADDRESS_B, 123457], [ADDRESS_C, 5]], { target: 1111111n });
+            const { output: accountsOutput } = await collect(writeVestingGenesis, { allocation, vesting, denom: 'aepix', decimals: 18 });
+            const { output: bankOutput } = await collect(writeBankGenesis, { allocation, denom: 'aepix', decimals: 18 });
+            const balances = new Map(JSON.parse(bankOutput).balances.map(balance => [balance.address, BigInt(balance.coins[0].amount)]));
+
+            JSON.parse(accountsOutput).accounts.forEach(account => {
+                const { address } = account.base_vesting_account.base_account;
+                const locked = BigInt(account.base_vesting_account.original_vesting[0].amount);
+                const periodSum = account.vesting_periods
+                    .reduce((sum, period) => sum + (period.amount.length ? BigInt(period.amount[0].amount) : 0n), 0n);
+                const immediate = toDenomAmount(allocation.balances.get(address) / 5n, 18);
+
+                expect(periodSum).toBe(locked);
+                expect(locked + immediate).toBe(balances.get(address));
+            });
+        });
+
+        test('should leave out addresses receiving everything immediately', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 2000000], [ADDRESS_B, 2]], { target: 2000002n });
+            const { output } = await collect(writeVestingGenesis, { allocation, vesting, denom: 'aepix', decimals: 8 });
+            const [account] = JSON.parse(output).accounts;
+
+            expect(JSON.parse(output).accounts).toHaveLength(1);
+            expect(account.base_vesting_account.base_account.address).toBe(ADDRESS_B);
+            expect(account.vesting_periods.map(period => period.amount)).toEqual([[], [], [{ denom: 'aepix', amount: '2' }]]);
+        });
+    });
+
+    describe('writeJsonLines', () => {
+        test('should write one object per included address', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 1], [ADDRESS_B, 99]], { target: 100n, dustThreshold: 5n });
+            const { output, result } = await collect(writeJsonLines, { allocation, denom: 'aepix', decimals: 18 });
+
+            expect(result).toBe(1);
+            expect(output.split('\n')).toEqual([
+                JSON.stringify({ epix_address: ADDRESS_B, balance: '100', amount: '1000000000000', denom: 'aepix' }),
+                '',
+            ]);
+        });
+    });
+
+    describe('writeMerkleDistribution', () => {
+        test('should write a root and a proof per recipient that verifies against it', async () => {
+            const allocation = allocationOf([[ADDRESS_A, 30], [ADDRESS_B, 20], [ADDRESS_C, 50]], { target: 100n });
+            const { output, result } = await collect(writeMerkleDistribution, { allocation, denom: 'aepix', decimals: 18 });
+            const distribution = JSON.parse(output);
+            const root = Buffer.from(distribution.merkle_root.slice(2), 'hex');
+
+            expect(result).toBe(3);
+            expect(distribution.denom).toBe('aepix');
+            expect(distribution.decimals).toBe(18);
+            expect(distribution.token_total).toBe('1000000000000');
+            expect(Object.keys(distribution.claims)).toEqual([ADDRESS_A, ADDRESS_B, ADDRESS_C]);
+            expect(distribution.claims[ADDRESS_A]).toMatchObject({
+                index: 0,
+                hex_address: '0x1aa34f26AF706c3e08Dcd4207F0D897dC3eBCfF3',
+                amount: '300000000000',
+            });
+            expect(distribution.claims[ADDRESS_C].hex_address).toBeNull();
+
+            Object.values(distribution.claims).forEach(claim => {
+                const addressBytes = claim.hex_address
+                    ? Buffer.from(claim.hex_address.slice(2), 'hex')
+                    : Buffer.alloc(32, 2);
+                const leaf = hashLeaf(claim.index, addressBytes, BigInt(claim.amount));
+                const proof = claim.proof.map(hash => Buffer.from(hash.slice(2), 'hex'));
+
+                expect(verifyMerkleProof(leaf, proof, root)).toBe(true);
+            });
+        });
+    });
+});
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    canonicalJson,
+    getSigningKey,
+    encodePublicKey,
+    buildManifest,
+    signManifest,
+    verifyManifestSignature,
+    hashFile,
+    verifyExport,
+} = require('../utils/exportManifest');
+const { allocate } = require('../utils/allocation');
+
+function createManifest(signingKey, sha256 = 'a'.repeat(64)) {
+    const allocation = allocate(
+        [{ address: 'epix1a', balance: 150n }, { address: 'epix1b', balance: 50n }],
+        { target: 100n }
+    );
+
+    return buildManifest({
+        exportId: 7,
+        campaignId: 1,
+        format: 'csv',
+        detailed: false,
+        fileName: 'snapshots.csv',
+        denom: null,
+        decimals: null,
+        rowCount: 2,
+        allocation,
+        sha256,
+        highWaterClaimId: 42,
+        createdAt: new Date('2025-01-01T00:00:00Z'),
+        signingKey,
+    });
+}
+
+describe('Export Manifests', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const originalEnv = process.env;
+    let tempDir;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        delete process.env.EXPORT_SIGNING_KEY;
+        delete process.env.EXPORT_SIGNING_KEY_FILE;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-manifest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    test('should serialize objects with sorted keys at every level', () => {
+        expect(canonicalJson({ b: 1, a: { d: [2, { f: null, e: 'x' }], c: true } }))
+            .toBe('{"a":{"c":true,"d":[2,{"e":"x","f":null}]},"b":1}');
+    });
+
+    test('should describe the allocation with balances as strings', () => {
+        expect(createManifest(privateKey)).toEqual({
+            version: 1,
+            export_id: 7,
+            campaign_id: 1,
+            format: 'csv',
+            detailed: false,
+            file_name: 'snapshots.csv',
+            denom: null,
+            decimals: null,
+            row_count: 2,
+            total_original_balance: '200',
+            total_final_balance: '100',
+            multiplier: '50000000',
+            sha256: 'a'.repeat(64),
+            high_water_claim_id: 42,
+            created_at: '2025-01-01T00:00:00.000Z',
+            public_key: encodePublicKey(privateKey),
+        });
+    });
+
+    test('should verify a signed manifest against the public key in any encoding', () => {
+        const manifest = createManifest(privateKey);
+        const signature = signManifest(manifest, privateKey);
+        const publicKey = crypto.createPublicKey(privateKey);
+
+        expect(verifyManifestSignature(manifest, signature, publicKey)).toBe(true);
+        expect(verifyManifestSignature(manifest, signature, manifest.public_key)).toBe(true);
+        expect(verifyManifestSignature(manifest, signature, publicKey.export({ type: 'spki', format: 'pem' }))).toBe(true);
+    });
+
+    test('should not depend on the key order of the manifest', () => {
+        const manifest = createManifest(privateKey);
+        const signature = signManifest(manifest, privateKey);
+        const reordered = Object.fromEntries(Object.entries(manifest).reverse());
+
+        expect(verifyManifestSignature(reordered, signature, manifest.public_key)).toBe(true);
+    });
+
+    test('should reject altered manifests, other keys and missing signatures', () => {
+        const manifest = createManifest(privateKey);
+        const signature = signManifest(manifest, privateKey);
+        const otherKey = crypto.generateKeyPairSync('ed25519').publicKey;
+
+        expect(verifyManifestSignature({ ...manifest, total_final_balance: '101' }, signature, manifest.public_key)).toBe(false);
+        expect(verifyManifestSignature(manifest, signature, otherKey)).toBe(false);
+        expect(verifyManifestSignature(manifest, null, manifest.public_key)).toBe(false);
+        expect(verifyManifestSignature(manifest, signature, 'not a key')).toBe(false);
+    });
+
+    describe('getSigningKey', () => {
+        test('should return null when no key is configured', () => {
+            expect(getSigningKey()).toBeNull();
+        });
+
+        test('should read a PEM key with escaped newlines from the environment', () => {
+            process.env.EXPORT_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+
+            expect(encodePublicKey(getSigningKey())).toBe(encodePublicKey(privateKey));
+        });
+
+        test('should read a PEM key from a file', () => {
+            const keyFile = path.join(tempDir, 'export-key.pem');
+            fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+            process.env.EXPORT_SIGNING_KEY_FILE = keyFile;
+
+            expect(encodePublicKey(getSigningKey())).toBe(encodePublicKey(privateKey));
+        });
+
+        test('should reject keys that are not Ed25519', () => {
+            const { privateKey: ecKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+            process.env.EXPORT_SIGNING_KEY = ecKey.export({ type: 'pkcs8', format: 'pem' });
+
+            expect(() => getSigningKey()).toThrow('The export signing key must be an Ed25519 private key');
+        });
+    });
+
+    describe('verifyExport', () => {
+        test('should accept an untouched file with a valid signature', async () => {
+            const filePath = path.join(tempDir, 'snapshots.csv');
+            fs.writeFileSync(filePath, 'epix_address,balance\nepix1a,0.00000075');
+            const manifest = createManifest(privateKey, await hashFile(filePath));
+
+            expect(await verifyExport({
+                filePath,
+                manifest,
+                signature: signManifest(manifest, privateKey),
+                publicKey: manifest.public_key,
+            })).toEqual({
+                valid: true,
+                sha256Matches: true,
+                signatureValid: true,
+                actualSha256: crypto.createHash('sha256').update('epix_address,balance\nepix1a,0.00000075').digest('hex'),
+            });
+        });
+
+        test('should catch a modified file', async () => {
+            const filePath = path.join(tempDir, 'snapshots.csv');
+            fs.writeFileSync(filePath, 'epix_address,balance\nepix1a,0.00000075');
+            const manifest = createManifest(privateKey, await hashFile(filePath));
+            fs.appendFileSync(filePath, '\nepix1c,1.00000000');
+
+            const result = await verifyExport({
+                filePath,
+                manifest,
+                signature: signManifest(manifest, privateKey),
+                publicKey: manifest.public_key,
+            });
+
+            expect(result.valid).toBe(false);
+            expect(result.sha256Matches).toBe(false);
+            expect(result.signatureValid).toBe(true);
+        });
+
+        test('should fail without throwing when the file is missing or no key is given', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const manifest = createManifest(privateKey);
+
+            const result = await verifyExport({
+                filePath: path.join(tempDir, 'missing.csv'),
+                manifest,
+                signature: signManifest(manifest, privateKey),
+                publicKey: null,
+            });
+
+            expect(result).toEqual({ valid: false, sha256Matches: false, signatureValid: false, actualSha256: null });
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getExportDir, getExportPath, createExportFile } = require('../utils/exportStore');
+
+describe('Export Store', () => {
+    const originalEnv = process.env;
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-store-'));
+        process.env = { ...originalEnv, EXPORT_DIR: path.join(tempDir, 'exports') };
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    test('should keep exports in EXPORT_DIR', () => {
+        expect(getExportDir()).toBe(path.join(tempDir, 'exports'));
+        expect(getExportPath('1-snapshots.csv')).toBe(path.join(tempDir, 'exports', '1-snapshots.csv'));
+    });
+
+    test('should not resolve paths outside the export directory', () => {
+        expect(getExportPath('../../etc/passwd')).toBe(path.join(tempDir, 'exports', 'passwd'));
+    });
+
+    test('should write the file and return the SHA-256 of its content', async () => {
+        const exportFile = await createExportFile(3, 'snapshots.csv');
+        await exportFile.write('epix_address,balance\n');
+        await exportFile.write('epix1a,1.00000000');
+
+        const sha256 = await exportFile.finish();
+        const content = fs.readFileSync(getExportPath(exportFile.storageName), 'utf8');
+
+        expect(exportFile.storageName).toBe('3-snapshots.csv');
+        expect(content).toBe('epix_address,balance\nepix1a,1.00000000');
+        expect(sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    });
+
+    test('should remove the file when aborted', async () => {
+        const exportFile = await createExportFile(4, 'snapshots.csv');
+        await exportFile.write('partial');
+        await exportFile.abort();
+
+        expect(fs.existsSync(getExportPath(exportFile.storageName))).toBe(false);
+    });
+
+    test('should refuse to overwrite an existing export', async () => {
+        const first = await createExportFile(5, 'snapshots.csv');
+        await first.write('original');
+        await first.finish();
+
+        const second = await createExportFile(5, 'snapshots.csv');
+        await expect(second.finish()).rejects.toThrow(/EEXIST/);
+        expect(fs.readFileSync(getExportPath(first.storageName), 'utf8')).toBe('original');
+    });
+});
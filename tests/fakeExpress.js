@@ -0,0 +1,50 @@
+// tests/fakeExpress.js
+//
+// A stand-in for the Express response and a harness running one middleware on it, shared by the
+// tests of the middleware in utils/.
+
+/**
+ * Creates a fake response recording its status, JSON body and headers
+ * @returns {Object}
+ */
+function createResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        headers: {},
+        headersSent: false,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+}
+
+/**
+ * Runs a middleware on a request and a fake response
+ * @param {function(Object, Object, function): *} middleware
+ * @param {Object} req - Fake request, e.g. { ip, headers, query }
+ * @returns {{req: Object, res: Object, next: function, passed: boolean}|Promise<Object>} passed is true when the
+ *   middleware called next. A promise of the same when the middleware is async.
+ */
+function runMiddleware(middleware, req) {
+    const res = createResponse();
+    const next = jest.fn();
+    const result = () => ({ req, res, next, passed: next.mock.calls.length === 1 });
+
+    const returned = middleware(req, res, next);
+    return returned && typeof returned.then === 'function' ? returned.then(result) : result();
+}
+
+module.exports = {
+    createResponse,
+    runMiddleware,
+};
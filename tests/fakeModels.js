@@ -0,0 +1,172 @@
+// tests/fakeModels.js
+//
+// In-memory stand-ins for the Sequelize instance and its models, shared by the unit tests. A fake
+// model keeps its rows in an array and answers the where clauses the utils use; a fake transaction
+// puts the rows of every model back as they were when its callback throws.
+
+const { Op } = require('sequelize');
+
+// What Sequelize throws when an insert hits a unique index
+function uniqueConstraintError() {
+    return Object.assign(new Error('Validation error'), { name: 'SequelizeUniqueConstraintError' });
+}
+
+const OPERATORS = new Map([
+    [Op.eq, (actual, expected) => actual === expected],
+    [Op.ne, (actual, expected) => actual !== expected],
+    [Op.gt, (actual, expected) => actual > expected],
+    [Op.gte, (actual, expected) => actual >= expected],
+    [Op.lt, (actual, expected) => actual < expected],
+    [Op.lte, (actual, expected) => actual <= expected],
+    [Op.in, (actual, expected) => expected.includes(actual)],
+    [Op.notIn, (actual, expected) => !expected.includes(actual)],
+]);
+
+function matchesValue(actual, expected) {
+    if (expected === null) {
+        return actual === null || actual === undefined;
+    }
+    if (Array.isArray(expected)) {
+        return expected.includes(actual);
+    }
+    if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+        return Object.getOwnPropertySymbols(expected).every(operator => {
+            if (!OPERATORS.has(operator)) {
+                throw new Error(`The fake models do not support ${String(operator)}`);
+            }
+            return OPERATORS.get(operator)(actual, expected[operator]);
+        });
+    }
+    if (expected instanceof Date) {
+        return actual instanceof Date && actual.getTime() === expected.getTime();
+    }
+    return actual === expected;
+}
+
+/**
+ * Checks a row against a where clause: equality, null, arrays as IN, the OPERATORS and Op.or
+ * @param {Object} row
+ * @param {Object} [where]
+ * @returns {boolean}
+ */
+function matches(row, where = {}) {
+    const or = where[Op.or];
+    if (or && !or.some(condition => matches(row, condition))) {
+        return false;
+    }
+    return Object.entries(where).every(([key, expected]) => matchesValue(row[key], expected));
+}
+
+// Sorts a copy of the rows by a Sequelize order, e.g. [['applied_at', 'DESC'], ['id', 'ASC']]
+function sortRows(rows, order = []) {
+    return [...rows].sort((a, b) => {
+        for (const [key, direction = 'ASC'] of order) {
+            if (a[key] < b[key]) {
+                return direction === 'DESC' ? 1 : -1;
+            }
+            if (a[key] > b[key]) {
+                return direction === 'DESC' ? -1 : 1;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Creates a fake Sequelize instance. inTransaction is true while a transaction callback runs, the
+ * transactions opened are kept in transactions, and every raw query is recorded in queries and
+ * answered with respond().
+ * @param {Object} [options]
+ * @param {function(string, Object): Array} [options.respond] - Result of a raw query, [[], 0] by default
+ * @returns {Object}
+ */
+function createFakeSequelize({ respond = () => [[], 0] } = {}) {
+    const models = [];
+    const transactions = [];
+    const queries = [];
+
+    const sequelize = {
+        models,
+        transactions,
+        queries,
+        inTransaction: false,
+        // transaction(callback) or transaction(options, callback), as Sequelize takes them
+        transaction: async (options, callback) => {
+            if (typeof options === 'function') {
+                return sequelize.transaction({}, options);
+            }
+
+            const transaction = { options };
+            const saved = models.map(model => model.rows.map(row => [row, { ...row }]));
+            transactions.push(transaction);
+            sequelize.inTransaction = true;
+            try {
+                return await callback(transaction);
+            } catch (error) {
+                models.forEach((model, index) => {
+                    model.rows.splice(0, model.rows.length, ...saved[index].map(([row, values]) => {
+                        Object.keys(row).forEach(key => delete row[key]);
+                        return Object.assign(row, values);
+                    }));
+                });
+                throw error;
+            } finally {
+                sequelize.inTransaction = false;
+            }
+        },
+        query: async (sql, options) => {
+            queries.push({ sql, options });
+            return respond(sql, options);
+        },
+    };
+    return sequelize;
+}
+
+/**
+ * Creates a fake model holding its rows in memory
+ * @param {Object} [options]
+ * @param {Object} [options.sequelize] - From createFakeSequelize(), a new one by default
+ * @param {Object} [options.defaults] - Column defaults of created rows
+ * @param {string[][]} [options.unique] - Unique indexes, each a list of columns
+ * @returns {Object} Model with rows, insert(), create(), findByPk(), findOne(), findAll(), update() and count()
+ */
+function createFakeModel({ sequelize = createFakeSequelize(), defaults = {}, unique = [] } = {}) {
+    const rows = [];
+
+    const model = {
+        rows,
+        sequelize,
+        // Adds a row synchronously, for setting up a test
+        insert: (values) => {
+            const row = { id: rows.length + 1, ...defaults, ...values };
+            row.update = async (changes) => Object.assign(row, changes);
+            rows.push(row);
+            return row;
+        },
+        create: async (values) => {
+            const row = { ...defaults, ...values };
+            if (unique.some(columns => rows.some(existing => columns.every(column => existing[column] === row[column])))) {
+                throw uniqueConstraintError();
+            }
+            return model.insert(values);
+        },
+        findByPk: async (id) => rows.find(row => row.id === id) || null,
+        findOne: async ({ where, order } = {}) => sortRows(rows.filter(row => matches(row, where)), order)[0] || null,
+        findAll: async ({ where, order, limit } = {}) => sortRows(rows.filter(row => matches(row, where)), order).slice(0, limit),
+        update: async (values, { where }) => {
+            const updated = rows.filter(row => matches(row, where));
+            updated.forEach(row => Object.assign(row, values));
+            return [updated.length];
+        },
+        count: async ({ where } = {}) => rows.filter(row => matches(row, where)).length,
+    };
+    sequelize.models.push(model);
+    return model;
+}
+
+module.exports = {
+    uniqueConstraintError,
+    matches,
+    createFakeSequelize,
+    createFakeModel,
+};
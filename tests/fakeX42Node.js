@@ -0,0 +1,103 @@
+// tests/fakeX42Node.js
+//
+// In-process stand-in for the BlockCore API of an x42 node, so code that talks to the node
+// can be tested offline. Only the endpoints the API uses are implemented.
+
+const express = require('express');
+
+/**
+ * Creates a fake node. Its state can be changed between requests.
+ * @param {Object} [state]
+ * @param {{tipHash: string, tipHeight: number}} [state.tip] - Address indexer tip
+ * @param {Object<string, number>} [state.balances] - Balances in satoshis by address, others are 0
+ * @param {Object<string, {iswitness: boolean}>} [state.addresses] - Valid addresses, others are invalid
+ * @param {Array<{address: string, message: string, signature: string}>} [state.signatures] - Valid signed messages
+ * @returns {{state: Object, requests: string[], failNext: function, start: function, stop: function}}
+ */
+function createFakeX42Node({
+    tip = { tipHash: '180d965fba96850ea57454f4149d4a7b514f8ec0513aacbc7cbf112180ab3e32', tipHeight: 3000000 },
+    balances = {},
+    addresses = {},
+    signatures = [],
+} = {}) {
+    const state = { tip, balances, addresses, signatures, delayMs: 0 };
+    const requests = [];
+    const failures = [];
+    let server = null;
+
+    const app = express();
+    app.use(express.json({ type: ['application/json', 'application/json-patch+json'] }));
+
+    app.use((req, res, next) => {
+        requests.push(`${req.method} ${req.originalUrl}`);
+        const status = failures.shift();
+        if (status) {
+            return res.status(status).json({ errors: [{ message: 'Fake node failure' }] });
+        }
+        setTimeout(next, state.delayMs);
+    });
+
+    app.get('/api/BlockStore/addressindexertip', (req, res) => {
+        res.json(state.tip);
+    });
+
+    app.get('/api/BlockStore/getaddressesbalances', (req, res) => {
+        const list = String(req.query.addresses || '').split(',').filter(Boolean);
+        res.json({
+            balances: list.map(address => ({ address, balance: state.balances[address] || 0 })),
+            reason: null,
+        });
+    });
+
+    app.get('/api/Node/validateaddress', (req, res) => {
+        const known = state.addresses[req.query.address];
+        res.json({ isvalid: Boolean(known), address: req.query.address, iswitness: Boolean(known && known.iswitness) });
+    });
+
+    app.post('/api/Wallet/verifymessage', (req, res) => {
+        const { externalAddress, message, signature } = req.body;
+        const valid = state.signatures.some(entry =>
+            entry.address === externalAddress && entry.message === message && entry.signature === signature);
+        res.type('text/plain').send(valid ? 'True' : 'False');
+    });
+
+    return {
+        state,
+        requests,
+        /**
+         * Makes the next requests fail
+         * @param {number} count - Number of requests to fail
+         * @param {number} [status] - HTTP status to fail with
+         */
+        failNext(count, status = 500) {
+            for (let i = 0; i < count; i++) {
+                failures.push(status);
+            }
+        },
+        /**
+         * Starts listening on a free local port
+         * @returns {Promise<string>} Base URL of the node
+         */
+        start() {
+            return new Promise((resolve, reject) => {
+                server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+                server.once('error', reject);
+            });
+        },
+        /**
+         * Stops the node, dropping open connections
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise((resolve) => {
+                if (!server) {
+                    return resolve();
+                }
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        },
+    };
+}
+
+module.exports = { createFakeX42Node };
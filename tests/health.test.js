@@ -0,0 +1,82 @@
+const { getReadinessTimeoutMs, createReadinessCheck } = require('../utils/health');
+
+describe('Health', () => {
+    const campaign = { id: 1, snapshot_height: 2909914 };
+
+    const createCheck = ({
+        authenticate = async () => {},
+        getAddressIndexerTip = async () => ({ tipHash: 'ab'.repeat(32), tipHeight: 2909914 }),
+        resolveCampaign = async () => campaign,
+        timeoutMs = 1000,
+    } = {}) => createReadinessCheck({
+        sequelize: { authenticate },
+        nodeClient: { getAddressIndexerTip },
+        resolveCampaign,
+        timeoutMs,
+    });
+
+    test('should read the timeout from the environment', () => {
+        expect(getReadinessTimeoutMs({})).toBe(3000);
+        expect(getReadinessTimeoutMs({ READINESS_TIMEOUT_MS: '500' })).toBe(500);
+        expect(getReadinessTimeoutMs({ READINESS_TIMEOUT_MS: '0' })).toBe(3000);
+    });
+
+    test('should be ready when the indexer is at the snapshot height', async () => {
+        const resolveCampaign = jest.fn(async () => campaign);
+
+        expect(await createCheck({ resolveCampaign })('1')).toEqual({
+            ready: true,
+            checks: {
+                database: { status: 'ok' },
+                x42_node: { status: 'ok' },
+                indexer_tip: { status: 'ok', campaign_id: 1, tip_height: 2909914, snapshot_height: 2909914 },
+            },
+        });
+        expect(resolveCampaign).toHaveBeenCalledWith('1');
+    });
+
+    test('should not be ready when the indexer is off the snapshot height', async () => {
+        const check = createCheck({ getAddressIndexerTip: async () => ({ tipHeight: 2909915 }) });
+
+        expect(await check()).toEqual({
+            ready: false,
+            checks: {
+                database: { status: 'ok' },
+                x42_node: { status: 'ok' },
+                indexer_tip: {
+                    status: 'fail',
+                    campaign_id: 1,
+                    tip_height: 2909915,
+                    snapshot_height: 2909914,
+                    error: 'Indexer tip 2909915 does not match the snapshot height 2909914',
+                },
+            },
+        });
+    });
+
+    test('should skip the tip check when the database is down', async () => {
+        const check = createCheck({ authenticate: async () => { throw new Error('connect ECONNREFUSED'); } });
+
+        const { ready, checks } = await check();
+        expect(ready).toBe(false);
+        expect(checks.database).toEqual({ status: 'fail', error: 'connect ECONNREFUSED' });
+        expect(checks.x42_node).toEqual({ status: 'ok' });
+        expect(checks.indexer_tip).toEqual({ status: 'skipped' });
+    });
+
+    test('should fail the tip check when the campaign does not exist', async () => {
+        const { ready, checks } = await createCheck({ resolveCampaign: async () => null })('9');
+
+        expect(ready).toBe(false);
+        expect(checks.indexer_tip).toEqual({ status: 'fail', error: 'Campaign not found' });
+    });
+
+    test('should time out a node that does not answer', async () => {
+        const check = createCheck({ getAddressIndexerTip: () => new Promise(() => {}), timeoutMs: 20 });
+
+        const { ready, checks } = await check();
+        expect(ready).toBe(false);
+        expect(checks.x42_node).toEqual({ status: 'fail', error: 'x42 node did not answer within 20 ms' });
+        expect(checks.indexer_tip).toEqual({ status: 'skipped' });
+    });
+});
@@ -0,0 +1,64 @@
+const { keccak_256 } = require('@noble/hashes/sha3');
+const {
+    hashLeaf,
+    buildMerkleTree,
+    getMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof,
+} = require('../utils/merkle');
+
+function leavesOf(count) {
+    return Array.from({ length: count }, (_, index) => hashLeaf(index, Buffer.alloc(20, index + 1), BigInt(index + 1) * 1000n));
+}
+
+describe('Merkle Tree', () => {
+    test('should hash leaves as index, address and amount packed into 32, 20 and 32 bytes', () => {
+        const address = Buffer.from('1aa34f26af706c3e08dcd4207f0d897dc3ebcff3', 'hex');
+        const packed = Buffer.concat([
+            Buffer.from('00'.repeat(31) + '05', 'hex'),
+            address,
+            Buffer.from('00'.repeat(30) + '03e8', 'hex'),
+        ]);
+
+        expect(hashLeaf(5, address, 1000n)).toEqual(Buffer.from(keccak_256(packed)));
+    });
+
+    test('should use the only leaf as the root of a single leaf tree', () => {
+        const [leaf] = leavesOf(1);
+        const layers = buildMerkleTree([leaf]);
+
+        expect(getMerkleRoot(layers)).toEqual(leaf);
+        expect(getMerkleProof(layers, 0)).toEqual([]);
+    });
+
+    test('should hash a pair in sorted order', () => {
+        const [a, b] = leavesOf(2);
+        const [low, high] = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
+
+        expect(getMerkleRoot(buildMerkleTree([a, b]))).toEqual(Buffer.from(keccak_256(Buffer.concat([low, high]))));
+        expect(getMerkleRoot(buildMerkleTree([b, a]))).toEqual(getMerkleRoot(buildMerkleTree([a, b])));
+    });
+
+    test('should give a zero root for an empty tree', () => {
+        expect(getMerkleRoot(buildMerkleTree([]))).toEqual(Buffer.alloc(32));
+    });
+
+    test('should produce a valid proof for every leaf of trees of any size', () => {
+        for (let size = 1; size <= 17; size++) {
+            const leaves = leavesOf(size);
+            const layers = buildMerkleTree(leaves);
+            const root = getMerkleRoot(layers);
+
+            leaves.forEach((leaf, index) => {
+                expect(verifyMerkleProof(leaf, getMerkleProof(layers, index), root)).toBe(true);
+            });
+        }
+    });
+
+    test('should reject a proof for a different leaf', () => {
+        const leaves = leavesOf(5);
+        const layers = buildMerkleTree(leaves);
+
+        expect(verifyMerkleProof(leaves[1], getMerkleProof(layers, 0), getMerkleRoot(layers))).toBe(false);
+    });
+});
@@ -0,0 +1,106 @@
+const { EventEmitter } = require('events');
+const { createMetricsRegistry, createRequestMetrics } = require('../utils/metrics');
+
+describe('Metrics', () => {
+    test('should render counters with their labels', () => {
+        const registry = createMetricsRegistry();
+        const rejected = registry.counter('claims_rejected_total', 'Claims rejected, by error code', ['reason']);
+
+        rejected.inc({ reason: 'invalid_signature' });
+        rejected.inc({ reason: 'invalid_signature' });
+        rejected.inc({ reason: 'address_blocked' }, 3);
+
+        expect(registry.render()).toBe([
+            '# HELP claims_rejected_total Claims rejected, by error code',
+            '# TYPE claims_rejected_total counter',
+            'claims_rejected_total{reason="invalid_signature"} 2',
+            'claims_rejected_total{reason="address_blocked"} 3',
+            '',
+        ].join('\n'));
+    });
+
+    test('should render counters without labels', () => {
+        const registry = createMetricsRegistry();
+        registry.counter('claims_accepted_total', 'Claims verified and stored').inc();
+
+        expect(registry.render()).toContain('\nclaims_accepted_total 1\n');
+    });
+
+    test('should escape label values', () => {
+        const registry = createMetricsRegistry();
+        registry.counter('events_total', 'Events', ['name']).inc({ name: 'a "b"\\c\nd' });
+
+        expect(registry.render()).toContain('events_total{name="a \\"b\\"\\\\c\\nd"} 1');
+    });
+
+    test('should render cumulative histogram buckets, sum and count', () => {
+        const registry = createMetricsRegistry();
+        const duration = registry.histogram('node_seconds', 'Node latency', ['host'], [0.1, 1]);
+
+        duration.observe({ host: 'a' }, 0.05);
+        duration.observe({ host: 'a' }, 0.5);
+        duration.observe({ host: 'a' }, 2);
+
+        expect(registry.render().split('\n').slice(2, 7)).toEqual([
+            'node_seconds_bucket{host="a",le="0.1"} 1',
+            'node_seconds_bucket{host="a",le="1"} 2',
+            'node_seconds_bucket{host="a",le="+Inf"} 3',
+            'node_seconds_sum{host="a"} 2.55',
+            'node_seconds_count{host="a"} 3',
+        ]);
+    });
+
+    test('should time with startTimer and merge the labels given when it stops', () => {
+        const registry = createMetricsRegistry();
+        const duration = registry.histogram('work_seconds', 'Work', ['kind', 'outcome']);
+
+        const seconds = duration.startTimer({ kind: 'export' })({ outcome: 'ok' });
+
+        expect(seconds).toBeGreaterThanOrEqual(0);
+        expect(registry.render()).toContain('work_seconds_count{kind="export",outcome="ok"} 1');
+    });
+
+    test('should refuse to register a name twice', () => {
+        const registry = createMetricsRegistry();
+        registry.counter('requests_total', 'Requests');
+
+        expect(() => registry.histogram('requests_total', 'Requests')).toThrow('Metric requests_total is already registered');
+    });
+
+    describe('request middleware', () => {
+        const handle = (middleware, req, statusCode) => {
+            const res = Object.assign(new EventEmitter(), { statusCode });
+            middleware(req, res, () => {});
+            res.emit('finish');
+        };
+
+        test('should label requests with their route pattern and status', () => {
+            const registry = createMetricsRegistry();
+            const middleware = createRequestMetrics({
+                requests: registry.counter('http_requests_total', 'Requests', ['method', 'route', 'status']),
+                duration: registry.histogram('http_request_duration_seconds', 'Latency', ['method', 'route', 'status']),
+            });
+
+            handle(middleware, { method: 'GET', baseUrl: '', route: { path: '/claims/x42/:address' } }, 200);
+            handle(middleware, { method: 'GET', baseUrl: '', route: { path: '/claims/x42/:address' } }, 200);
+            handle(middleware, { method: 'POST', baseUrl: '' }, 400);
+
+            const output = registry.render();
+            expect(output).toContain('http_requests_total{method="GET",route="/claims/x42/:address",status="200"} 2');
+            expect(output).toContain('http_requests_total{method="POST",route="unmatched",status="400"} 1');
+            expect(output).toContain('http_request_duration_seconds_count{method="GET",route="/claims/x42/:address",status="200"} 2');
+        });
+
+        test('should label requests the validator answered with the Swagger path they matched', () => {
+            const registry = createMetricsRegistry();
+            const middleware = createRequestMetrics({
+                requests: registry.counter('http_requests_total', 'Requests', ['method', 'route', 'status']),
+                duration: registry.histogram('http_request_duration_seconds', 'Latency', ['method', 'route', 'status']),
+            });
+
+            handle(middleware, { method: 'GET', baseUrl: '', operationPath: '/admin/claims/{id}/actions' }, 400);
+
+            expect(registry.render()).toContain('http_requests_total{method="GET",route="/admin/claims/:id/actions",status="400"} 1');
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const { loadMigrations, createMigrator } = require('../utils/migrations');
+const { LEGACY_CAMPAIGN } = require('../utils/campaignUtils');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+// The Sequelize instance and the SchemaMigration model. Raw queries are answered by respond().
+function createDatabase(respond) {
+    const sequelize = createFakeSequelize({ respond });
+    const SchemaMigration = Object.assign(createFakeModel({ sequelize }), { sync: async () => {} });
+
+    return {
+        sequelize,
+        SchemaMigration,
+        queries: sequelize.queries,
+        applied: () => SchemaMigration.rows.map(row => row.name),
+    };
+}
+
+describe('Migrations', () => {
+    let db;
+    let ran;
+
+    const migration = (name, up = async () => {}) => ({
+        name,
+        up: async (context) => {
+            ran.push(name);
+            await up(context);
+        },
+    });
+
+    beforeEach(() => {
+        db = createDatabase();
+        ran = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should load the bundled migrations in order', () => {
+        const names = loadMigrations().map(loaded => loaded.name);
+
+        expect(names.slice(0, 2)).toEqual(['001-initial-schema', '002-snapshot-indexes']);
+        expect([...names].sort()).toEqual(names);
+        loadMigrations().forEach(loaded => expect(typeof loaded.up).toBe('function'));
+    });
+
+    test('should apply pending migrations in order under the migration lock', async () => {
+        const migrator = createMigrator({ ...db, migrations: [migration('001-a'), migration('002-b')] });
+
+        expect(await migrator.up()).toEqual(['001-a', '002-b']);
+        expect(ran).toEqual(['001-a', '002-b']);
+        expect(db.applied()).toEqual(['001-a', '002-b']);
+        expect(db.queries[0].sql).toBe('SELECT pg_advisory_xact_lock(:key)');
+    });
+
+    test('should skip migrations already applied', async () => {
+        db.SchemaMigration.insert({ name: '001-a' });
+        const migrator = createMigrator({ ...db, migrations: [migration('001-a'), migration('002-b')] });
+
+        expect(await migrator.up()).toEqual(['002-b']);
+        expect(await migrator.up()).toEqual([]);
+        expect(ran).toEqual(['002-b']);
+        expect(await migrator.status()).toEqual([
+            { name: '001-a', applied: true },
+            { name: '002-b', applied: true },
+        ]);
+    });
+
+    test('should run each migration in the shared transaction', async () => {
+        let context;
+        const create = jest.spyOn(db.SchemaMigration, 'create');
+        const migrator = createMigrator({ ...db, migrations: [migration('001-a', async (received) => { context = received; })] });
+
+        await migrator.up();
+
+        expect(context.sequelize).toBe(db.sequelize);
+        expect(context.transaction).toBe(db.sequelize.transactions[0]);
+        expect(create).toHaveBeenCalledWith({ name: '001-a' }, { transaction: context.transaction });
+    });
+
+    test('should record nothing when a migration fails', async () => {
+        const migrator = createMigrator({
+            ...db,
+            migrations: [migration('001-a'), migration('002-b', async () => { throw new Error('boom'); })],
+        });
+
+        await expect(migrator.up()).rejects.toThrow('boom');
+        expect(db.applied()).toEqual([]);
+        expect(await migrator.status()).toEqual([
+            { name: '001-a', applied: false },
+            { name: '002-b', applied: false },
+        ]);
+    });
+
+    test('should refuse duplicate migration names', () => {
+        expect(() => createMigrator({ ...db, migrations: [migration('001-a'), migration('001-a')] })).toThrow('Migration names must be unique');
+    });
+
+    test('should refuse to index snapshots holding duplicate claims', async () => {
+        const snapshotIndexes = loadMigrations().find(loaded => loaded.name === '002-snapshot-indexes');
+        const sequelize = {
+            query: jest.fn(async () => [[{ campaign_id: 1, x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', claims: '2' }], 1]),
+        };
+
+        await expect(snapshotIndexes.up({ sequelize, transaction: {} }))
+            .rejects.toThrow('Remove the duplicate claims before migrating: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf in campaign 1 (2 claims)');
+        expect(sequelize.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should create the unique claim index', async () => {
+        const snapshotIndexes = loadMigrations().find(loaded => loaded.name === '002-snapshot-indexes');
+        const sequelize = { query: jest.fn(async () => [[], 0]) };
+
+        await snapshotIndexes.up({ sequelize, transaction: {} });
+
+        expect(sequelize.query).toHaveBeenCalledWith(
+            'CREATE UNIQUE INDEX IF NOT EXISTS "snapshots_x42_address_campaign_id" ON "Snapshots" ("x42_address", "campaign_id")',
+            { transaction: {} }
+        );
+    });
+
+    describe('databases created before migrations existed', () => {
+        // Answers the queries of the bundled migrations the way a database created by the first
+        // release's sync() would: one Snapshots table whose claims have no campaign
+        const migrateBaseline = async ({ unassignedClaims = 2, campaigns = [] } = {}) => {
+            db = createDatabase((sql) => {
+                if (sql.startsWith('SELECT COUNT(*) AS "claims" FROM "Snapshots" WHERE "campaign_id" IS NULL')) {
+                    return [[{ claims: String(unassignedClaims) }], 1];
+                }
+                if (sql.startsWith('SELECT "id" FROM "Campaigns"')) {
+                    return [campaigns, campaigns.length];
+                }
+                if (sql.startsWith('INSERT INTO "Campaigns"')) {
+                    return [[{ id: 1 }], 1];
+                }
+                return [[], 0];
+            });
+
+            await createMigrator({ ...db, migrations: loadMigrations() }).up();
+            return db.queries.map(query => query.sql);
+        };
+
+        test('should add the missing columns before the claims are indexed by campaign', async () => {
+            const statements = await migrateBaseline();
+            const position = (start) => {
+                const index = statements.findIndex(sql => sql.startsWith(start));
+                expect(index).toBeGreaterThanOrEqual(0);
+                return index;
+            };
+
+            const uniqueIndex = position('CREATE UNIQUE INDEX IF NOT EXISTS "snapshots_x42_address_campaign_id"');
+            [
+                'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "campaign_id"',
+                'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status"',
+                'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_reason"',
+                'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_changed_at"',
+                'ALTER TABLE "Snapshots" ADD COLUMN IF NOT EXISTS "status_changed_by"',
+                'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "allocation_strategy"',
+                'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "max_allocation_per_address"',
+                'ALTER TABLE "Campaigns" ADD COLUMN IF NOT EXISTS "dust_threshold"',
+                'UPDATE "Snapshots" SET "campaign_id"',
+                'ALTER TABLE "Snapshots" ALTER COLUMN "campaign_id" SET NOT NULL',
+            ].forEach(start => expect(position(start)).toBeLessThan(uniqueIndex));
+            expect(position('UPDATE "Snapshots" SET "campaign_id"'))
+                .toBeLessThan(position('ALTER TABLE "Snapshots" ALTER COLUMN "campaign_id" SET NOT NULL'));
+        });
+
+        test('should assign claims without a campaign to the original x42 campaign', async () => {
+            await migrateBaseline();
+
+            const insert = db.queries.find(query => query.sql.startsWith('INSERT INTO "Campaigns"'));
+            expect(insert.options.replacements).toEqual(LEGACY_CAMPAIGN);
+            const update = db.queries.find(query => query.sql.startsWith('UPDATE "Snapshots" SET "campaign_id"'));
+            expect(update.options.replacements).toEqual({ campaignId: 1 });
+        });
+
+        test('should assign claims without a campaign to the oldest existing campaign', async () => {
+            const statements = await migrateBaseline({ campaigns: [{ id: 3 }] });
+
+            expect(statements.some(sql => sql.startsWith('INSERT INTO "Campaigns"'))).toBe(false);
+            const update = db.queries.find(query => query.sql.startsWith('UPDATE "Snapshots" SET "campaign_id"'));
+            expect(update.options.replacements).toEqual({ campaignId: 3 });
+        });
+
+        test('should create no campaign when every claim has one', async () => {
+            const statements = await migrateBaseline({ unassignedClaims: 0 });
+
+            expect(statements.some(sql => sql.startsWith('INSERT INTO "Campaigns"') || sql.startsWith('UPDATE "Snapshots"'))).toBe(false);
+            expect(statements).toContain('ALTER TABLE "Snapshots" ALTER COLUMN "campaign_id" SET NOT NULL');
+        });
+    });
+});
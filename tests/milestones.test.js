@@ -0,0 +1,194 @@
+const {
+    loadMilestoneConfig,
+    formatPercentOfTarget,
+    getReachedMilestones,
+    createMilestoneScheduler,
+} = require('../utils/milestones');
+const { createFakeModel } = require('./fakeModels');
+
+// The AnnouncedMilestone model, with its unique (campaign_id, key) index
+function createAnnouncedModel() {
+    return createFakeModel({ unique: [['campaign_id', 'key']] });
+}
+
+const campaign = {
+    id: 1,
+    name: 'x42 Snapshot Airdrop',
+    opens_at: null,
+    closes_at: '2025-02-10T00:00:00Z',
+    target_allocation: '1000',
+};
+
+const config = { percentages: [25, 50, 75, 100], claimStep: 1000, closingNoticeHours: 24, digestHourUtc: 12 };
+
+describe('Milestones', () => {
+    test('should read the settings with their defaults', () => {
+        expect(loadMilestoneConfig({})).toEqual(config);
+        expect(loadMilestoneConfig({
+            MILESTONE_PERCENTAGES: '90,10,x',
+            MILESTONE_CLAIM_STEP: '500',
+            CAMPAIGN_CLOSING_NOTICE_HOURS: '0',
+            DAILY_DIGEST_HOUR_UTC: '',
+        })).toEqual({ percentages: [10, 90], claimStep: 500, closingNoticeHours: 0, digestHourUtc: null });
+    });
+
+    test('should fall back to the default claim step when it is not a whole number of claims', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        try {
+            expect(loadMilestoneConfig({ MILESTONE_CLAIM_STEP: '-5' }).claimStep).toBe(1000);
+            expect(loadMilestoneConfig({ MILESTONE_CLAIM_STEP: '0.001' }).claimStep).toBe(1000);
+            expect(loadMilestoneConfig({ MILESTONE_CLAIM_STEP: 'abc' }).claimStep).toBe(1000);
+            expect(warn).toHaveBeenCalledTimes(3);
+            expect(warn.mock.calls[0][0]).toMatch(/MILESTONE_CLAIM_STEP must be a whole number of claims, got "-5"/);
+
+            // 0 still turns claim count milestones off
+            expect(loadMilestoneConfig({ MILESTONE_CLAIM_STEP: '0' }).claimStep).toBe(0);
+            expect(warn).toHaveBeenCalledTimes(3);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('should format the claimed share of the target', () => {
+        expect(formatPercentOfTarget(4217n, 10000n)).toBe('42.17%');
+        expect(formatPercentOfTarget(15n, 10n)).toBe('150.00%');
+        expect(formatPercentOfTarget(5n, 0n)).toBe('0.00%');
+    });
+
+    test('should list the percentage and claim count milestones reached', () => {
+        expect(getReachedMilestones({
+            totalClaimed: 500n,
+            claimCount: 2500,
+            target: 1000n,
+            percentages: [25, 50, 75],
+            claimStep: 1000,
+        }).map(milestone => milestone.key)).toEqual(['percent:25', 'percent:50', 'claims:1000', 'claims:2000']);
+    });
+
+    test('should label milestones for announcements', () => {
+        const [percent, claims] = getReachedMilestones({
+            totalClaimed: 1000n,
+            claimCount: 1000,
+            target: 1000n,
+            percentages: [100],
+            claimStep: 1000,
+        });
+
+        expect(percent.label).toBe('100% of the target claimed');
+        expect(claims.label).toBe('1,000 claims');
+    });
+
+    test('should not count claim milestones when the step is off', () => {
+        expect(getReachedMilestones({ totalClaimed: 0n, claimCount: 5000, target: 1000n, percentages: [], claimStep: null })).toEqual([]);
+    });
+
+    describe('scheduler', () => {
+        let clock;
+        let totals;
+        let events;
+        let AnnouncedMilestone;
+
+        function createScheduler(overrides = {}) {
+            return createMilestoneScheduler({
+                Campaign: { findAll: async () => [campaign] },
+                AnnouncedMilestone,
+                getClaimTotals: async (_, since) => (since ? { totalClaimed: '40', totalClaims: 3 } : totals),
+                publishEvent: async (type, data) => {
+                    events.push({ type, data });
+                },
+                config: { ...config, closingNoticeHours: 0, digestHourUtc: null },
+                now: () => clock,
+                ...overrides,
+            });
+        }
+
+        beforeEach(() => {
+            clock = new Date('2025-01-15T08:00:00Z');
+            totals = { totalClaimed: 600, totalClaims: 2100 };
+            events = [];
+            AnnouncedMilestone = createAnnouncedModel();
+        });
+
+        test('should announce only the highest milestone of each kind passed at once', async () => {
+            expect(await createScheduler().runOnce())
+                .toEqual(['1/percent:25', '1/percent:50', '1/claims:1000', '1/claims:2000']);
+
+            expect(events.map(event => event.data.milestone)).toEqual(['50% of the target claimed', '2,000 claims']);
+            expect(events[0]).toEqual({
+                type: 'milestone_reached',
+                data: {
+                    campaign_id: 1,
+                    campaign_name: 'x42 Snapshot Airdrop',
+                    claim_count: 2100,
+                    total_claimed: '600',
+                    target_allocation: '1000',
+                    percent_of_target: '60.00%',
+                    milestone: '50% of the target claimed',
+                    milestone_key: 'percent:50',
+                },
+            });
+        });
+
+        test('should not repost milestones after a restart', async () => {
+            await createScheduler().runOnce();
+            events = [];
+
+            // A new scheduler shares nothing with the old one but the table
+            expect(await createScheduler().runOnce()).toEqual([]);
+            expect(events).toEqual([]);
+
+            totals = { totalClaimed: 800, totalClaims: 2100 };
+            expect(await createScheduler().runOnce()).toEqual(['1/percent:75']);
+        });
+
+        test('should not post a milestone another instance already recorded', async () => {
+            const scheduler = createScheduler();
+            AnnouncedMilestone.findAll = async () => [];
+            AnnouncedMilestone.rows.push({ campaign_id: 1, key: 'percent:50' }, { campaign_id: 1, key: 'claims:2000' });
+
+            await scheduler.runOnce();
+
+            expect(events.map(event => event.data.milestone_key)).toEqual(['percent:25', 'claims:1000']);
+        });
+
+        test('should announce once that the campaign is closing soon', async () => {
+            const scheduler = createScheduler({ config: { ...config, percentages: [], claimStep: null, digestHourUtc: null } });
+
+            expect(await scheduler.runOnce()).toEqual([]);
+
+            clock = new Date('2025-02-09T01:00:00Z');
+            expect(await scheduler.runOnce()).toEqual(['1/closing']);
+            expect(await scheduler.runOnce()).toEqual([]);
+            expect(events).toEqual([{
+                type: 'campaign_closing',
+                data: expect.objectContaining({ campaign_id: 1, closes_at: '2025-02-10T00:00:00.000Z' }),
+            }]);
+        });
+
+        test('should post one digest a day after the configured hour', async () => {
+            const scheduler = createScheduler({ config: { ...config, percentages: [], claimStep: null, closingNoticeHours: 0 } });
+
+            expect(await scheduler.runOnce()).toEqual([]);
+
+            clock = new Date('2025-01-15T12:00:00Z');
+            expect(await scheduler.runOnce()).toEqual(['1/digest:2025-01-15']);
+            clock = new Date('2025-01-15T18:00:00Z');
+            expect(await scheduler.runOnce()).toEqual([]);
+            clock = new Date('2025-01-16T12:30:00Z');
+            expect(await scheduler.runOnce()).toEqual(['1/digest:2025-01-16']);
+
+            expect(events[0]).toEqual({
+                type: 'daily_digest',
+                data: expect.objectContaining({ claims_last_24h: 3, claimed_last_24h: '40', claim_count: 2100 }),
+            });
+        });
+
+        test('should skip campaigns that are not accepting claims', async () => {
+            clock = new Date('2025-03-01T00:00:00Z');
+
+            expect(await createScheduler().runOnce()).toEqual([]);
+            expect(AnnouncedMilestone.rows).toEqual([]);
+        });
+    });
+});
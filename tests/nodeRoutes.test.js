@@ -0,0 +1,91 @@
+const http = require('http');
+const { createFakeX42Node } = require('./fakeX42Node');
+
+function get(baseUrl, path) {
+    return new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, (res) => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+describe('Routes backed by the x42 node', () => {
+    const env = { ...process.env };
+    let node;
+    let server;
+    let baseUrl;
+    let consoleError;
+
+    beforeAll(async () => {
+        node = createFakeX42Node({ addresses: { XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf: { iswitness: false } } });
+        const nodeUrl = await node.start();
+
+        Object.assign(process.env, {
+            NODE_HOST: nodeUrl,
+            NODE_RETRIES: '0',
+            NODE_CACHE_TTL_SECONDS: '0',
+            AUDIT_IP_HASH_SECRET: 'test-secret',
+            RATE_LIMIT_IP_MAX: '0',
+            RATE_LIMIT_ADDRESS_MAX: '0',
+        });
+
+        let app;
+        jest.isolateModules(() => {
+            ({ app } = require('../index'));
+        });
+
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        process.env = env;
+        await new Promise(resolve => server.close(resolve));
+        await node.stop();
+    });
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should report the address indexer tip', async () => {
+        expect(await get(baseUrl, '/get-blockheight')).toEqual({ status: 200, body: node.state.tip });
+    });
+
+    test('should validate x42 addresses with the node', async () => {
+        expect(await get(baseUrl, '/verify-address?address=XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf')).toEqual({
+            status: 200,
+            body: { isvalid: true, iswitness: false },
+        });
+        expect((await get(baseUrl, '/verify-address?address=XNotAnAddress')).body.isvalid).toBe(false);
+    });
+
+    test('should reject malformed addresses before calling the node', async () => {
+        const requests = node.requests.length;
+        const { status, body } = await get(baseUrl, '/verify-address?address=X1%26address%3DX2');
+
+        expect(status).toBe(400);
+        expect(body.field).toBe('address');
+        expect(node.requests).toHaveLength(requests);
+    });
+
+    test('should answer 502 when the node is down', async () => {
+        node.failNext(1);
+        const { status, body } = await get(baseUrl, '/get-blockheight');
+
+        expect(status).toBe(502);
+        expect(body.code).toBe('node_unavailable');
+        expect(consoleError).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,136 @@
+jest.mock('axios');
+const axios = require('axios');
+const {
+    NOTIFICATION_EVENTS,
+    formatNotification,
+    createDiscordChannel,
+    createTelegramChannel,
+    createSlackChannel,
+    createWebhookChannel,
+    loadChannels,
+} = require('../utils/notificationChannels');
+
+const verifiedEvent = {
+    type: NOTIFICATION_EVENTS.CLAIM_VERIFIED,
+    data: { x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', snapshot_balance: 69223563046 },
+    timestamp: '2025-01-01T00:00:00.000Z',
+};
+
+describe('Notification Channels', () => {
+    beforeEach(() => {
+        axios.post.mockReset();
+        axios.post.mockResolvedValue({ status: 200 });
+    });
+
+    test('should format every event type', () => {
+        expect(formatNotification(verifiedEvent).fields).toEqual([
+            { name: 'x42 Address', value: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf' },
+            { name: 'Amount', value: '692.23563046 x42' },
+        ]);
+        expect(formatNotification({
+            type: NOTIFICATION_EVENTS.CLAIM_REJECTED,
+            data: { x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', reason: 'Signature verification failed' },
+        }).description).toBe('Signature verification failed');
+        expect(formatNotification({
+            type: NOTIFICATION_EVENTS.DESTINATION_CHANGED,
+            data: {
+                x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf',
+                from_epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+                to_epix_address: 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66',
+            },
+        }).fields).toEqual([
+            { name: 'x42 Address', value: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf' },
+            { name: 'From', value: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x' },
+            { name: 'To', value: 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66' },
+        ]);
+        expect(formatNotification({
+            type: NOTIFICATION_EVENTS.MILESTONE_REACHED,
+            data: { milestone: '1,000 claims', campaign_name: 'x42 Snapshot Airdrop', claim_count: 1000, total_claimed: '100000000' },
+        }).title).toBe('🏁 1,000 claims');
+        expect(formatNotification({
+            type: NOTIFICATION_EVENTS.CAMPAIGN_CLOSING,
+            data: { campaign_name: 'x42 Snapshot Airdrop', closes_at: '2025-02-10T00:00:00Z', claim_count: 5, total_claimed: '0' },
+        }).description).toBe('x42 Snapshot Airdrop stops accepting claims on Mon, 10 Feb 2025 00:00:00 GMT.');
+        expect(formatNotification({
+            type: NOTIFICATION_EVENTS.DAILY_DIGEST,
+            data: {
+                campaign_name: 'x42 Snapshot Airdrop',
+                claims_last_24h: 3,
+                claimed_last_24h: '150000000',
+                claim_count: 40,
+                total_claimed: '2000000000',
+                percent_of_target: '20.00%',
+            },
+        }).fields).toEqual([
+            { name: 'New Claims', value: '3' },
+            { name: 'Newly Claimed', value: '1.50000000 x42' },
+            { name: 'Total Claims', value: '40' },
+            { name: 'Total Claimed', value: '20.00000000 x42 (20.00% of the target)' },
+        ]);
+    });
+
+    test('should reject unknown event types', () => {
+        expect(() => formatNotification({ type: 'unknown', data: {} })).toThrow('Unknown notification event: unknown');
+    });
+
+    test('should post a Discord embed', async () => {
+        await createDiscordChannel({ url: 'https://discord.test/hook' }).send(verifiedEvent);
+
+        const [url, body] = axios.post.mock.calls[0];
+        expect(url).toBe('https://discord.test/hook');
+        expect(body.embeds[0]).toMatchObject({
+            title: '🎉 New Claim Verified! 🎉',
+            color: 3447003,
+            timestamp: '2025-01-01T00:00:00.000Z',
+        });
+        expect(body.embeds[0].fields[1]).toEqual({ name: 'Amount', value: '692.23563046 x42', inline: true });
+    });
+
+    test('should send a plain text Telegram message to the chat', async () => {
+        await createTelegramChannel({ botToken: '123:abc', chatId: '-100' }).send(verifiedEvent);
+
+        const [url, body] = axios.post.mock.calls[0];
+        expect(url).toBe('https://api.telegram.org/bot123:abc/sendMessage');
+        expect(body.chat_id).toBe('-100');
+        expect(body.text).toMatch(/^🎉 New Claim Verified! 🎉\n\n/);
+        expect(body.text).toMatch(/\n\nx42 Address: XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf\nAmount: 692.23563046 x42$/);
+    });
+
+    test('should post Slack blocks with Slack style links', async () => {
+        await createSlackChannel({ url: 'https://hooks.slack.test/x' }).send(verifiedEvent);
+
+        const [, body] = axios.post.mock.calls[0];
+        expect(body.text).toBe('🎉 New Claim Verified! 🎉');
+        expect(body.blocks[1].text.text).toContain('<https://claim.epix.zone/|claim.epix.zone>');
+        expect(body.blocks[2].fields[0]).toEqual({ type: 'mrkdwn', text: '*x42 Address*\nXG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf' });
+    });
+
+    test('should post the raw event to a generic webhook', async () => {
+        await createWebhookChannel({ url: 'https://example.test/events' }).send(verifiedEvent);
+
+        expect(axios.post).toHaveBeenCalledWith('https://example.test/events', {
+            event: 'claim_verified',
+            data: verifiedEvent.data,
+            timestamp: '2025-01-01T00:00:00.000Z',
+        }, { timeout: 10000 });
+    });
+
+    test('should let send failures propagate', async () => {
+        axios.post.mockRejectedValue(new Error('Request failed with status code 500'));
+
+        await expect(createWebhookChannel({ url: 'https://example.test/events' }).send(verifiedEvent))
+            .rejects.toThrow('Request failed with status code 500');
+    });
+
+    test('should only load the channels that are configured', () => {
+        expect(Object.keys(loadChannels({}))).toEqual([]);
+        expect(Object.keys(loadChannels({ TELEGRAM_BOT_TOKEN: '123:abc' }))).toEqual([]);
+        expect(Object.keys(loadChannels({
+            DISCORD_WEBHOOK_URL: 'https://discord.test/hook',
+            TELEGRAM_BOT_TOKEN: '123:abc',
+            TELEGRAM_CHAT_ID: '-100',
+            SLACK_WEBHOOK_URL: 'https://hooks.slack.test/x',
+            NOTIFY_WEBHOOK_URL: 'https://example.test/events',
+        }))).toEqual(['discord', 'telegram', 'slack', 'webhook']);
+    });
+});
@@ -0,0 +1,247 @@
+const { getRetryDelaySeconds, claimDueRows, loadRoutes, createNotifier } = require('../utils/notifier');
+const { createFakeModel } = require('./fakeModels');
+
+// The QueuedNotification model. Its sequelize.inTransaction is true while a transaction is open.
+function createQueueModel() {
+    return createFakeModel({ defaults: { status: 'pending' } });
+}
+
+function createChannel(failures = 0) {
+    const sent = [];
+    return {
+        sent,
+        send: async (event) => {
+            if (failures-- > 0) {
+                throw new Error('Service unavailable');
+            }
+            sent.push(event);
+        },
+    };
+}
+
+describe('Notifier', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = new Date('2025-01-01T00:00:00Z');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should double the retry delay up to an hour', () => {
+        expect([1, 2, 3, 7, 8, 20].map(getRetryDelaySeconds)).toEqual([30, 60, 120, 1920, 3600, 3600]);
+    });
+
+    test('should claim the due pending rows by locking them and moving them past the lease', async () => {
+        const Model = createQueueModel();
+        jest.spyOn(Model, 'findAll');
+        Model.insert({ next_attempt_at: new Date('2025-01-01T00:00:00Z') });
+        Model.insert({ next_attempt_at: new Date('2024-12-31T23:00:00Z') });
+        Model.insert({ next_attempt_at: new Date('2025-01-01T00:05:00Z') });
+        Model.insert({ status: 'sent', next_attempt_at: new Date('2024-12-31T00:00:00Z') });
+
+        const claimed = await claimDueRows(Model, { limit: 50, now: clock, leaseSeconds: 60 });
+
+        expect(claimed.map(row => row.id)).toEqual([2, 1]);
+        expect(Model.findAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 50, lock: true, skipLocked: true }));
+        expect(Model.rows.map(row => row.next_attempt_at.toISOString())).toEqual([
+            '2025-01-01T00:01:00.000Z',
+            '2025-01-01T00:01:00.000Z',
+            '2025-01-01T00:05:00.000Z',
+            '2024-12-31T00:00:00.000Z',
+        ]);
+    });
+
+    describe('loadRoutes', () => {
+        const channels = { discord: {}, slack: {} };
+
+        test('should send every event except rejections to all channels by default', () => {
+            expect(loadRoutes(channels, {})).toEqual({
+                claim_verified: ['discord', 'slack'],
+                claim_rejected: [],
+                destination_changed: ['discord', 'slack'],
+                milestone_reached: ['discord', 'slack'],
+                campaign_closing: ['discord', 'slack'],
+                daily_digest: ['discord', 'slack'],
+            });
+        });
+
+        test('should follow NOTIFY_<EVENT> and drop channels that are not configured', () => {
+            const routes = loadRoutes(channels, {
+                NOTIFY_CLAIM_VERIFIED: 'slack',
+                NOTIFY_CLAIM_REJECTED: 'discord, telegram',
+                NOTIFY_MILESTONE_REACHED: '',
+            });
+
+            expect(routes.claim_verified).toEqual(['slack']);
+            expect(routes.claim_rejected).toEqual(['discord']);
+            expect(routes.milestone_reached).toEqual([]);
+            expect(console.warn).toHaveBeenCalledWith('Notification channel "telegram" for claim_rejected is not configured, ignoring it');
+        });
+    });
+
+    test('should send an event to the channels routed for it', async () => {
+        const discord = createChannel();
+        const slack = createChannel();
+        const QueuedNotification = createQueueModel();
+        const notifier = createNotifier({
+            channels: { discord, slack },
+            routes: { claim_verified: ['discord'] },
+            QueuedNotification,
+            now,
+        });
+
+        await notifier.notify('claim_verified', { x42_address: 'X1' });
+
+        expect(discord.sent).toEqual([{ type: 'claim_verified', data: { x42_address: 'X1' }, timestamp: '2025-01-01T00:00:00.000Z' }]);
+        expect(slack.sent).toEqual([]);
+        expect(QueuedNotification.rows).toEqual([]);
+    });
+
+    test('should queue a failed send and retry it once it is due', async () => {
+        const discord = createChannel(1);
+        const QueuedNotification = createQueueModel();
+        const notifier = createNotifier({ channels: { discord }, routes: { claim_verified: ['discord'] }, QueuedNotification, now });
+
+        await notifier.notify('claim_verified', { x42_address: 'X1' });
+
+        expect(QueuedNotification.rows[0]).toMatchObject({
+            channel: 'discord',
+            event_type: 'claim_verified',
+            attempts: 1,
+            last_error: 'Service unavailable',
+            next_attempt_at: new Date('2025-01-01T00:00:30Z'),
+        });
+
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 0, failed: 0 });
+
+        clock = new Date('2025-01-01T00:00:30Z');
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 1, retried: 0, failed: 0 });
+        expect(QueuedNotification.rows[0]).toMatchObject({ status: 'sent', attempts: 2, sent_at: clock });
+        expect(discord.sent[0].timestamp).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    test('should report every failed send to onFailure', async () => {
+        const failures = [];
+        const QueuedNotification = createQueueModel();
+        const notifier = createNotifier({
+            channels: { discord: createChannel(2), telegram: createChannel() },
+            routes: { claim_verified: ['discord', 'telegram'] },
+            QueuedNotification,
+            onFailure: failure => failures.push(failure),
+            now,
+        });
+
+        await notifier.notify('claim_verified', { x42_address: 'X1' });
+        clock = new Date('2025-01-01T00:00:30Z');
+        await notifier.processRetryQueue();
+
+        expect(failures).toEqual([
+            { channel: 'discord', eventType: 'claim_verified' },
+            { channel: 'discord', eventType: 'claim_verified' },
+        ]);
+    });
+
+    test('should back off between retries and give up after the last attempt', async () => {
+        const webhook = createChannel(Infinity);
+        const QueuedNotification = createQueueModel();
+        const notifier = createNotifier({
+            channels: { webhook },
+            routes: { claim_verified: ['webhook'] },
+            QueuedNotification,
+            maxAttempts: 3,
+            now,
+        });
+
+        await notifier.notify('claim_verified', {});
+
+        clock = new Date('2025-01-01T00:00:30Z');
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 1, failed: 0 });
+        expect(QueuedNotification.rows[0].next_attempt_at).toEqual(new Date('2025-01-01T00:01:30Z'));
+
+        clock = new Date('2025-01-01T00:01:30Z');
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 0, failed: 1 });
+        expect(QueuedNotification.rows[0]).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    test('should send retries after the claiming transaction has committed', async () => {
+        const QueuedNotification = createQueueModel();
+        const sentInTransaction = [];
+        const discord = {
+            send: async () => {
+                sentInTransaction.push(QueuedNotification.sequelize.inTransaction);
+            },
+        };
+        await QueuedNotification.create({ channel: 'discord', event_type: 'claim_verified', attempts: 1, next_attempt_at: clock, payload: {} });
+        const notifier = createNotifier({ channels: { discord }, routes: {}, QueuedNotification, now });
+
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 1, retried: 0, failed: 0 });
+        expect(sentInTransaction).toEqual([false]);
+    });
+
+    test('should lease claimed notifications so a concurrent run skips them', async () => {
+        const QueuedNotification = createQueueModel();
+        let finishSend;
+        const discord = {
+            send: () => new Promise((resolve) => {
+                finishSend = resolve;
+            }),
+        };
+        await QueuedNotification.create({ channel: 'discord', event_type: 'claim_verified', attempts: 1, next_attempt_at: clock, payload: {} });
+        const notifier = createNotifier({ channels: { discord }, routes: {}, QueuedNotification, now });
+
+        const firstRun = notifier.processRetryQueue();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(QueuedNotification.rows[0].next_attempt_at).toEqual(new Date('2025-01-01T00:15:00Z'));
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 0, failed: 0 });
+
+        finishSend();
+        expect(await firstRun).toEqual({ sent: 1, retried: 0, failed: 0 });
+    });
+
+    test('should retry a claimed notification once its lease runs out', async () => {
+        const QueuedNotification = createQueueModel();
+        await QueuedNotification.create({ channel: 'discord', event_type: 'claim_verified', attempts: 1, next_attempt_at: clock, payload: {} });
+        const crashed = createNotifier({ channels: { discord: { send: () => new Promise(() => {}) } }, routes: {}, QueuedNotification, now });
+        crashed.processRetryQueue();
+        await new Promise(resolve => setImmediate(resolve));
+
+        const discord = createChannel();
+        const notifier = createNotifier({ channels: { discord }, routes: {}, QueuedNotification, now });
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 0, failed: 0 });
+
+        clock = new Date('2025-01-01T00:15:00Z');
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 1, retried: 0, failed: 0 });
+        expect(discord.sent).toHaveLength(1);
+    });
+
+    test('should fail queued notifications whose channel was removed', async () => {
+        const QueuedNotification = createQueueModel();
+        await QueuedNotification.create({ channel: 'slack', attempts: 1, next_attempt_at: clock, payload: {} });
+        const notifier = createNotifier({ channels: {}, routes: {}, QueuedNotification, now });
+
+        expect(await notifier.processRetryQueue()).toEqual({ sent: 0, retried: 0, failed: 1 });
+        expect(QueuedNotification.rows[0].last_error).toBe('Channel is no longer configured');
+    });
+
+    test('should not reject when the retry cannot be queued', async () => {
+        const QueuedNotification = createQueueModel();
+        QueuedNotification.create = async () => {
+            throw new Error('Database unavailable');
+        };
+        const notifier = createNotifier({
+            channels: { discord: createChannel(1) },
+            routes: { claim_verified: ['discord'] },
+            QueuedNotification,
+            now,
+        });
+
+        await expect(notifier.notify('claim_verified', {})).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,114 @@
+// Runs against a real Postgres database, for what the in-memory fakes cannot show: the advisory
+// lock, the unique indexes and the upserts of the rate-limit store. Skipped unless TEST_DATABASE_URL
+// is set. The tests drop every table in the database, so point it at a throwaway one.
+
+const { loadMigrations, createMigrator } = require('../utils/migrations');
+const { createTransparencyLog, verifyLogEntries, formatLogEntry } = require('../utils/transparencyLog');
+const { createPostgresStore } = require('../utils/rateLimit');
+
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('Postgres', () => {
+    let models;
+    let campaign;
+
+    beforeAll(async () => {
+        const url = new URL(process.env.TEST_DATABASE_URL);
+        Object.assign(process.env, {
+            DB_NAME: decodeURIComponent(url.pathname.slice(1)),
+            DB_USER: decodeURIComponent(url.username),
+            DB_PASSWORD: decodeURIComponent(url.password),
+            DB_HOST: url.hostname,
+            DB_PORT: url.port || '5432',
+        });
+        jest.isolateModules(() => {
+            models = require('../models');
+        });
+        models.sequelize.options.logging = false;
+
+        await models.sequelize.query('DROP SCHEMA public CASCADE');
+        await models.sequelize.query('CREATE SCHEMA public');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await createMigrator({ sequelize: models.sequelize, SchemaMigration: models.SchemaMigration, migrations: loadMigrations() }).up();
+        console.log.mockRestore();
+
+        campaign = await models.Campaign.create({
+            name: 'x42 Genesis',
+            snapshot_height: 2909914,
+            closes_at: new Date('2030-01-01T00:00:00Z'),
+            target_allocation: '1000000000',
+        });
+    });
+
+    afterAll(async () => {
+        if (models) {
+            await models.sequelize.close();
+        }
+    });
+
+    const claimValues = (x42Address) => ({
+        raw_json: { message: `Claim for ${x42Address}` },
+        signature: 'c2lnbmF0dXJl',
+        x42_address: x42Address,
+        epix_address: 'epix1qyqszqgpqyqszqgpqyqszqgpqyqszqgp8h2x4n',
+        snapshot_balance: '100000000',
+        campaign_id: campaign.id,
+    });
+
+    test('should find nothing pending once the migrations are applied', async () => {
+        const migrator = createMigrator({ sequelize: models.sequelize, SchemaMigration: models.SchemaMigration, migrations: loadMigrations() });
+
+        expect(await migrator.up()).toEqual([]);
+    });
+
+    test('should let only one of two concurrent claims of an address through the unique index', async () => {
+        const results = await Promise.allSettled([
+            models.Snapshot.create(claimValues('XUniqueIndex111111111111111111111')),
+            models.Snapshot.create(claimValues('XUniqueIndex111111111111111111111')),
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.name).toBe('SequelizeUniqueConstraintError');
+        expect(await models.Snapshot.count({ where: { x42_address: 'XUniqueIndex111111111111111111111' } })).toBe(1);
+    });
+
+    test('should chain concurrent appends under the advisory lock', async () => {
+        const log = createTransparencyLog({ TransparencyLogEntry: models.TransparencyLogEntry });
+
+        await Promise.all(Array.from({ length: 8 }, (_, index) => models.sequelize.transaction(async (transaction) => {
+            const claim = await models.Snapshot.create(claimValues(`XAdvisoryLock${index}`), { transaction });
+            await log.append(claim, transaction);
+        })));
+
+        const entries = (await log.getEntries()).map(formatLogEntry);
+        expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+        expect(verifyLogEntries(entries)).toMatchObject({ valid: true });
+    });
+
+    describe('rate-limit store', () => {
+        test('should count every concurrent hit', async () => {
+            const store = createPostgresStore({ RateLimitCounter: models.RateLimitCounter });
+
+            const hits = await Promise.all(Array.from({ length: 20 }, () => store.hit('ip:203.0.113.7', 60000)));
+
+            expect(hits.map(hit => hit.count).sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, index) => index + 1));
+            expect(await store.peek('ip:203.0.113.7')).toMatchObject({ count: 20 });
+        });
+
+        test('should start a new window once the last one ends and sweep the ended ones', async () => {
+            let now = Date.parse('2030-01-01T00:00:00Z');
+            const store = createPostgresStore({ RateLimitCounter: models.RateLimitCounter, now: () => now });
+
+            await store.hit('ip:198.51.100.1', 60000);
+            await store.hit('ip:198.51.100.1', 60000);
+            await store.hit('ip:198.51.100.2', 60000);
+            now += 60000;
+
+            expect(await store.peek('ip:198.51.100.1')).toBeNull();
+            expect(await store.hit('ip:198.51.100.1', 60000)).toEqual({ count: 1, resetAt: now + 60000 });
+            expect(await store.sweep()).toBeGreaterThanOrEqual(1);
+            expect(await models.RateLimitCounter.findByPk('ip:198.51.100.2')).toBeNull();
+            expect(await store.peek('ip:198.51.100.1')).toEqual({ count: 1, resetAt: now + 60000 });
+        });
+    });
+});
@@ -0,0 +1,179 @@
+const {
+    loadRateLimitRules,
+    createMemoryStore,
+    createPostgresStore,
+    createRateLimiter,
+} = require('../utils/rateLimit');
+const { runMiddleware } = require('./fakeExpress');
+
+describe('Rate Limiting', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = Date.parse('2025-01-20T10:00:00Z');
+    });
+
+    test('should read the limits with their defaults', () => {
+        expect(loadRateLimitRules({})).toEqual({
+            ip: { name: 'ip', max: 60, windowSeconds: 60 },
+            address: { name: 'address', max: 20, windowSeconds: 60 },
+            failedSignature: { name: 'failedSignature', max: 5, windowSeconds: 3600 },
+        });
+        expect(loadRateLimitRules({
+            RATE_LIMIT_IP_MAX: '100',
+            RATE_LIMIT_IP_WINDOW_SECONDS: '10',
+            RATE_LIMIT_ADDRESS_MAX: '0',
+            RATE_LIMIT_FAILED_SIGNATURE_MAX: '',
+        })).toEqual({
+            ip: { name: 'ip', max: 100, windowSeconds: 10 },
+            address: null,
+            failedSignature: null,
+        });
+    });
+
+    describe('memory store', () => {
+        test('should count hits within a window and start over after it', async () => {
+            const store = createMemoryStore({ now });
+
+            expect(await store.hit('ip:1', 1000)).toEqual({ count: 1, resetAt: clock + 1000 });
+            expect(await store.hit('ip:1', 1000)).toEqual({ count: 2, resetAt: clock + 1000 });
+            expect(await store.hit('ip:2', 1000)).toEqual({ count: 1, resetAt: clock + 1000 });
+
+            clock += 1000;
+            expect(await store.peek('ip:1')).toBeNull();
+            expect(await store.hit('ip:1', 1000)).toEqual({ count: 1, resetAt: clock + 1000 });
+        });
+
+        test('should sweep counters whose window has ended', async () => {
+            const store = createMemoryStore({ now });
+            await store.hit('ip:1', 1000);
+            await store.hit('ip:2', 5000);
+
+            clock += 1000;
+
+            expect(await store.sweep()).toBe(1);
+            expect(await store.peek('ip:2')).toEqual({ count: 1, resetAt: clock + 4000 });
+        });
+    });
+
+    describe('postgres store', () => {
+        function createCounterModel(rows) {
+            const queries = [];
+            return {
+                queries,
+                sequelize: {
+                    getQueryInterface: () => ({ quoteIdentifier: (name) => `"${name}"` }),
+                    query: async (sql, options) => {
+                        queries.push({ sql, options });
+                        return [rows, { rowCount: 3 }];
+                    },
+                },
+                getTableName: () => 'RateLimitCounters',
+                findByPk: async (key) => rows.find(row => row.key === key) || null,
+            };
+        }
+
+        test('should count a hit with a single upsert', async () => {
+            const RateLimitCounter = createCounterModel([{ count: 4, reset_at: new Date(clock + 30000) }]);
+            const store = createPostgresStore({ RateLimitCounter, now });
+
+            expect(await store.hit('ip:1', 60000)).toEqual({ count: 4, resetAt: clock + 30000 });
+
+            const [{ sql, options }] = RateLimitCounter.queries;
+            expect(sql).toMatch(/^INSERT INTO "RateLimitCounters" .* ON CONFLICT \(key\) DO UPDATE SET/s);
+            expect(options.replacements).toEqual({ key: 'ip:1', now: new Date(clock), resetAt: new Date(clock + 60000) });
+        });
+
+        test('should ignore counters whose window has ended when peeking', async () => {
+            const RateLimitCounter = createCounterModel([
+                { key: 'open', count: 2, reset_at: new Date(clock + 1000) },
+                { key: 'ended', count: 9, reset_at: new Date(clock) },
+            ]);
+            const store = createPostgresStore({ RateLimitCounter, now });
+
+            expect(await store.peek('open')).toEqual({ count: 2, resetAt: clock + 1000 });
+            expect(await store.peek('ended')).toBeNull();
+            expect(await store.peek('missing')).toBeNull();
+            expect(await store.sweep()).toBe(3);
+        });
+    });
+
+    describe('limiter', () => {
+        const rule = { name: 'ip', max: 2, windowSeconds: 60 };
+
+        test('should answer 429 with Retry-After once the limit is used up', async () => {
+            const limiter = createRateLimiter({ store: createMemoryStore({ now }), now });
+            const middleware = limiter.limit(rule, req => req.ip);
+
+            expect((await runMiddleware(middleware, { ip: '1.2.3.4' })).passed).toBe(true);
+            clock += 15000;
+            expect((await runMiddleware(middleware, { ip: '1.2.3.4' })).passed).toBe(true);
+
+            const { res, passed } = await runMiddleware(middleware, { ip: '1.2.3.4' });
+            expect(passed).toBe(false);
+            expect(res.statusCode).toBe(429);
+            expect(res.headers['Retry-After']).toBe('45');
+            expect(res.body).toEqual({
+                code: 'rate_limited',
+                message: 'Too many requests. Try again in 45 seconds.',
+                field: null,
+                error: 'Too many requests. Try again in 45 seconds.',
+            });
+
+            expect((await runMiddleware(middleware, { ip: '5.6.7.8' })).passed).toBe(true);
+
+            clock += 45000;
+            expect((await runMiddleware(middleware, { ip: '1.2.3.4' })).passed).toBe(true);
+        });
+
+        test('should not count requests without a key or without a rule', async () => {
+            const store = createMemoryStore({ now });
+            const limiter = createRateLimiter({ store, now });
+
+            for (let i = 0; i < 5; i++) {
+                expect((await runMiddleware(limiter.limit(rule, req => req.query.address), { query: {} })).passed).toBe(true);
+                expect((await runMiddleware(limiter.limit(null, req => req.ip), { ip: '1.2.3.4' })).passed).toBe(true);
+            }
+            expect(await store.sweep()).toBe(0);
+        });
+
+        test('should let requests through when the store fails', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const store = {
+                hit: async () => {
+                    throw new Error('Database unavailable');
+                },
+                peek: async () => {
+                    throw new Error('Database unavailable');
+                },
+            };
+            const limiter = createRateLimiter({ store, now });
+
+            expect((await runMiddleware(limiter.limit(rule, req => req.ip), { ip: '1.2.3.4' })).passed).toBe(true);
+            expect(await limiter.getRetryAfter(rule, 'X1')).toBe(0);
+            await expect(limiter.recordFailure(rule, 'X1')).resolves.toBeUndefined();
+            error.mockRestore();
+        });
+
+        test('should only count failures for failure rules', async () => {
+            const limiter = createRateLimiter({ store: createMemoryStore({ now }), now });
+            const failedSignature = { name: 'failedSignature', max: 2, windowSeconds: 3600 };
+
+            expect(await limiter.getRetryAfter(failedSignature, 'X1')).toBe(0);
+            expect(await limiter.getRetryAfter(failedSignature, 'X1')).toBe(0);
+
+            await limiter.recordFailure(failedSignature, 'X1');
+            expect(await limiter.getRetryAfter(failedSignature, 'X1')).toBe(0);
+            await limiter.recordFailure(failedSignature, 'X1');
+
+            clock += 600000;
+            expect(await limiter.getRetryAfter(failedSignature, 'X1')).toBe(3000);
+            expect(await limiter.getRetryAfter(failedSignature, 'X2')).toBe(0);
+            expect(await limiter.getRetryAfter(null, 'X1')).toBe(0);
+
+            clock += 3000000;
+            expect(await limiter.getRetryAfter(failedSignature, 'X1')).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,313 @@
+const { ModerationError } = require('../utils/claimModeration');
+const {
+    RECONCILIATION_ISSUES,
+    getSignedMessage,
+    checkStoredClaim,
+    formatReconciliationReport,
+    createReconciler,
+} = require('../utils/reconciliation');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+const EPIX_ADDRESS = 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x';
+
+function createClaim(id, values = {}) {
+    const x42Address = values.x42_address || `X${id}`;
+    return {
+        id,
+        campaign_id: 1,
+        x42_address: x42Address,
+        epix_address: EPIX_ADDRESS,
+        snapshot_balance: '100',
+        signature: `sig-${id}`,
+        status: 'active',
+        raw_json: {
+            x42_address: x42Address,
+            epix_address: EPIX_ADDRESS,
+            snapshot_balance: '100',
+            campaign_id: 1,
+            nonce: 'abc',
+            message: `claim ${id}`,
+        },
+        ...values,
+    };
+}
+
+// The Campaign, Snapshot, SnapshotBalance, DestinationChange, TransparencyLogEntry and ReconciliationReport models,
+// sharing one fake database that holds two campaigns
+function createModels() {
+    const sequelize = createFakeSequelize();
+    const [Campaign, Snapshot, SnapshotBalance, DestinationChange, TransparencyLogEntry] = Array.from({ length: 5 }, () => createFakeModel({ sequelize }));
+    const ReconciliationReport = createFakeModel({ sequelize, defaults: { createdAt: new Date('2025-01-20T10:00:00Z') } });
+    Campaign.insert({ id: 1 });
+    Campaign.insert({ id: 2 });
+
+    return {
+        claims: Snapshot.rows,
+        balances: SnapshotBalance.rows,
+        changes: DestinationChange.rows,
+        entries: TransparencyLogEntry.rows,
+        reports: ReconciliationReport.rows,
+        Campaign,
+        Snapshot,
+        SnapshotBalance,
+        DestinationChange,
+        TransparencyLogEntry,
+        ReconciliationReport,
+    };
+}
+
+describe('Reconciliation', () => {
+    const clock = new Date('2025-01-20T10:05:00Z');
+    let models;
+    let claimModerator;
+    let totals;
+    let reconciler;
+
+    // The entry the transparency log appended when the claim was accepted
+    const logClaim = (claim) => models.entries.push({
+        entry_type: 'claim',
+        claim_id: claim.id,
+        leaf: { claim_id: claim.id, snapshot_balance: String(claim.snapshot_balance) },
+    });
+
+    beforeEach(() => {
+        models = createModels();
+        claimModerator = { changeStatus: jest.fn(async () => ({})) };
+        totals = null;
+        reconciler = createReconciler({
+            ...models,
+            claimModerator,
+            getClaimTotals: async () => totals || {
+                totalClaimed: models.claims
+                    .filter(claim => claim.status === 'active')
+                    .reduce((sum, claim) => sum + Number(claim.snapshot_balance), 0),
+                totalClaims: models.claims.filter(claim => claim.status === 'active').length,
+            },
+            // A signature is valid when it names the claim whose message it signs
+            verifySignature: (message, address, signature) => message === `claim ${signature.slice(4)}`,
+            now: () => clock,
+        });
+
+        for (let id = 1; id <= 3; id++) {
+            models.claims.push(createClaim(id));
+            models.balances.push({ campaign_id: 1, address: `X${id}`, balance: '100' });
+            logClaim(models.claims[id - 1]);
+        }
+    });
+
+    describe('getSignedMessage', () => {
+        test('should use the stored message, or the JSON of older claims', () => {
+            expect(getSignedMessage({ message: 'Epix claim\n...' })).toBe('Epix claim\n...');
+
+            const legacy = { x42_address: 'X1', epix_address: EPIX_ADDRESS, snapshot_balance: 100 };
+            expect(getSignedMessage(legacy)).toBe(JSON.stringify(legacy));
+        });
+    });
+
+    describe('checkStoredClaim', () => {
+        const valid = () => true;
+
+        test('should pass a claim matching its raw_json and the snapshot', () => {
+            expect(checkStoredClaim(createClaim(1), { balance: '100' }, valid)).toEqual([]);
+            expect(checkStoredClaim(createClaim(1, { raw_json: { x42_address: 'X1', epix_address: EPIX_ADDRESS, snapshot_balance: 100 } }), { balance: 100 }, valid))
+                .toEqual([]);
+        });
+
+        test('should report columns that differ from raw_json', () => {
+            const claim = createClaim(1, { snapshot_balance: '150', epix_address: 'epix1other' });
+
+            expect(checkStoredClaim(claim, { balance: '150' }, valid)).toEqual([{
+                type: RECONCILIATION_ISSUES.RAW_JSON_MISMATCH,
+                message: 'Stored epix_address, snapshot_balance differs from raw_json',
+            }]);
+        });
+
+        test('should follow signed destination changes from the claimed address', () => {
+            const changes = [
+                { id: 1, from_epix_address: EPIX_ADDRESS, to_epix_address: 'epix1second', message: 'change 1', signature: 'good' },
+                { id: 2, from_epix_address: 'epix1second', to_epix_address: 'epix1third', message: 'change 2', signature: 'bad' },
+            ];
+            const claim = createClaim(1, { epix_address: 'epix1third' });
+            const verify = (message, address, signature) => signature !== 'bad';
+
+            expect(checkStoredClaim(claim, { balance: '100' }, verify, changes)).toEqual([{
+                type: RECONCILIATION_ISSUES.INVALID_SIGNATURE,
+                message: 'Signature of destination change 2 does not verify',
+            }]);
+            expect(checkStoredClaim(claim, { balance: '100' }, verify, changes.slice(0, 1))).toEqual([{
+                type: RECONCILIATION_ISSUES.RAW_JSON_MISMATCH,
+                message: 'Stored epix_address differs from raw_json and its destination changes',
+            }]);
+            expect(checkStoredClaim(claim, { balance: '100' }, verify, changes.slice(1)).map(issue => issue.type))
+                .toEqual(['raw_json_mismatch', 'invalid_signature']);
+        });
+
+        test('should report bad signatures and balances', () => {
+            expect(checkStoredClaim(createClaim(1), { balance: '100' }, () => false).map(issue => issue.type)).toEqual(['invalid_signature']);
+            expect(checkStoredClaim(createClaim(1), null, valid).map(issue => issue.type)).toEqual(['not_in_snapshot']);
+            expect(checkStoredClaim(createClaim(1), { balance: '99' }, valid)).toEqual([{
+                type: RECONCILIATION_ISSUES.BALANCE_MISMATCH,
+                message: 'Stored balance 100 differs from snapshot balance 99',
+            }]);
+        });
+    });
+
+    test('should report a clean campaign without flagging anything', async () => {
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report).toMatchObject({
+            campaign_id: 1,
+            trigger: 'admin',
+            status: 'complete',
+            issues: [],
+            completed_at: clock,
+            summary: {
+                claims_checked: 3,
+                active_claims: 3,
+                active_total: '300',
+                total_claimed: '300',
+                logged_claims: 3,
+                logged_total: '300',
+                issues: 0,
+                issue_counts: {},
+                claims_flagged: 0,
+            },
+        });
+        expect(claimModerator.changeStatus).not.toHaveBeenCalled();
+    });
+
+    test('should flag active claims with problems, once per claim', async () => {
+        models.claims[0].snapshot_balance = '150';
+        models.claims[1].signature = 'sig-9';
+        models.claims[2].status = 'revoked';
+        models.balances[2].balance = '1';
+
+        const report = await reconciler.reconcile({ id: 1 }, { trigger: 'export' });
+
+        expect(report.trigger).toBe('export');
+        expect(report.summary.issue_counts).toEqual({ raw_json_mismatch: 1, balance_mismatch: 2, invalid_signature: 1, total_mismatch: 1 });
+        expect(report.summary.claims_flagged).toBe(2);
+        expect(claimModerator.changeStatus).toHaveBeenCalledTimes(2);
+        expect(claimModerator.changeStatus).toHaveBeenCalledWith(
+            1,
+            'flag',
+            'Reconciliation: Stored snapshot_balance differs from raw_json; Stored balance 150 differs from snapshot balance 100',
+            'reconciliation'
+        );
+        expect(report.issues.find(issue => issue.claim_id === 3)).toMatchObject({ status: 'revoked', flagged: false });
+    });
+
+    test('should accept claims moved by their destination changes', async () => {
+        models.claims[0].epix_address = 'epix1moved';
+        models.changes.push({ id: 1, claim_id: 1, from_epix_address: EPIX_ADDRESS, to_epix_address: 'epix1moved', message: 'claim 1', signature: 'sig-1', applied_at: clock });
+        models.changes.push({ id: 2, claim_id: 2, from_epix_address: EPIX_ADDRESS, to_epix_address: 'epix1pending', message: 'claim 2', signature: null, applied_at: null });
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.issues).toEqual([]);
+    });
+
+    test('should flag every claim of an address after the first', async () => {
+        models.claims.push(createClaim(4, { x42_address: 'X1', signature: 'sig-4' }));
+        logClaim(models.claims[3]);
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.issues).toEqual([{
+            type: RECONCILIATION_ISSUES.DUPLICATE_ADDRESS,
+            message: 'Address was already claimed by claim 1',
+            claim_id: 4,
+            x42_address: 'X1',
+            status: 'active',
+            flagged: true,
+        }]);
+    });
+
+    test('should report totals that differ from /total-claimed', async () => {
+        totals = { totalClaimed: '250', totalClaims: 3 };
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.issues).toEqual([expect.objectContaining({
+            type: RECONCILIATION_ISSUES.TOTAL_MISMATCH,
+            message: '/total-claimed reports 250 over 3 claims, the active claims add up to 300 over 3',
+            claim_id: null,
+            flagged: false,
+        })]);
+        expect(report.summary).toMatchObject({ active_total: '300', total_claimed: '250', logged_total: '300' });
+        expect(claimModerator.changeStatus).not.toHaveBeenCalled();
+    });
+
+    test('should report active claims that add up to more than the transparency log recorded', async () => {
+        // Balance, raw_json and snapshot all edited together, so only the log still has the accepted balance
+        Object.assign(models.claims[0], { snapshot_balance: '150', raw_json: { ...models.claims[0].raw_json, snapshot_balance: '150' } });
+        models.balances[0].balance = '150';
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.issues).toEqual([expect.objectContaining({
+            type: RECONCILIATION_ISSUES.TOTAL_MISMATCH,
+            message: 'The transparency log records 300 over 3 of the active claims, the active claims add up to 350 over 3',
+            claim_id: null,
+            flagged: false,
+        })]);
+        expect(report.summary).toMatchObject({ active_total: '350', logged_total: '300' });
+        expect(claimModerator.changeStatus).not.toHaveBeenCalled();
+    });
+
+    test('should report active claims missing from the transparency log', async () => {
+        models.entries.splice(1, 1);
+        models.claims[2].status = 'flagged';
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.issues.map(issue => issue.message)).toEqual([
+            'The transparency log records 100 over 1 of the active claims, the active claims add up to 200 over 2',
+        ]);
+    });
+
+    test('should leave claims an admin changed in the meantime alone', async () => {
+        models.balances[0].balance = '1';
+        claimModerator.changeStatus.mockRejectedValue(new ModerationError('Cannot flag a claim that is revoked'));
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.status).toBe('complete');
+        expect(report.summary.claims_flagged).toBe(0);
+    });
+
+    test('should mark the report failed when the run fails', async () => {
+        models.SnapshotBalance.findAll = async () => {
+            throw new Error('connection lost');
+        };
+
+        await expect(reconciler.reconcile({ id: 1 })).rejects.toThrow('connection lost');
+        expect(models.reports[0]).toMatchObject({ status: 'failed', error: 'connection lost', completed_at: clock });
+    });
+
+    test('should read in batches past the first page', async () => {
+        for (let id = 4; id <= 1201; id++) {
+            models.claims.push(createClaim(id));
+            models.balances.push({ campaign_id: 1, address: `X${id}`, balance: '100' });
+            logClaim(models.claims[id - 1]);
+        }
+
+        const report = await reconciler.reconcile({ id: 1 });
+
+        expect(report.summary.claims_checked).toBe(1201);
+        expect(report.issues).toEqual([]);
+    });
+
+    test('should reconcile every campaign on schedule', async () => {
+        const reports = await reconciler.reconcileAll();
+
+        expect(reports.map(report => [report.campaign_id, report.trigger])).toEqual([[1, 'scheduled'], [2, 'scheduled']]);
+    });
+
+    test('should leave the issues out of report lists', () => {
+        const report = { id: 1, campaign_id: 1, trigger: 'admin', status: 'complete', summary: {}, issues: [], error: null, createdAt: clock, completed_at: clock };
+
+        expect(formatReconciliationReport(report).issues).toEqual([]);
+        expect(formatReconciliationReport(report, { includeIssues: false })).not.toHaveProperty('issues');
+    });
+});
@@ -0,0 +1,222 @@
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+const { validateValue, coerceParameter, createRequestValidator } = require('../utils/requestValidation');
+const { runMiddleware } = require('./fakeExpress');
+
+const spec = {
+    openapi: '3.0.0',
+    components: {
+        schemas: {
+            Subscription: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string' },
+                    events: { type: 'array', items: { type: 'string', enum: ['claim_verified', '*'] } },
+                },
+            },
+        },
+    },
+    paths: {
+        '/claims/{id}': {
+            get: {
+                parameters: [
+                    { in: 'path', name: 'id', schema: { type: 'integer', minimum: 1 } },
+                    { in: 'query', name: 'pageSize', schema: { type: 'integer', minimum: 1 } },
+                ],
+            },
+        },
+        '/claims/{id}/notes': {
+            post: {
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: { type: 'object', properties: { note: { type: 'string', maxLength: 5 } } } } },
+                },
+            },
+        },
+        '/claims/{id}/{action}': {
+            post: {
+                parameters: [
+                    { in: 'path', name: 'id', schema: { type: 'integer' } },
+                    { in: 'path', name: 'action', schema: { type: 'string', enum: ['flag', 'revoke'] } },
+                ],
+            },
+        },
+        '/verify': {
+            post: {
+                parameters: [{ in: 'header', name: 'signature', required: true, schema: { type: 'string' } }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['x42_address', 'snapshot_balance'],
+                                properties: {
+                                    x42_address: { type: 'string', pattern: '^[A-Za-z0-9]+$' },
+                                    snapshot_balance: { oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^\\d+$' }] },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        '/subscriptions': {
+            post: {
+                requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Subscription' } } } },
+            },
+        },
+    },
+};
+
+function run(middleware, { method = 'GET', path: requestPath, query = {}, headers = {}, body }) {
+    const req = {
+        method,
+        path: requestPath,
+        query,
+        body,
+        get: name => headers[name.toLowerCase()],
+    };
+    return runMiddleware(middleware, req);
+}
+
+describe('Request Validation', () => {
+    const middleware = createRequestValidator(spec, { deferred: ['POST /verify'] });
+
+    describe('validateValue', () => {
+        test('should check types, ranges and patterns', () => {
+            expect(validateValue({ type: 'integer' }, 5, 'limit')).toBeNull();
+            expect(validateValue({ type: 'integer' }, 1.5, 'limit')).toEqual({ code: 'invalid_field', field: 'limit', message: 'limit must be an integer' });
+            expect(validateValue({ type: 'integer', minimum: 1 }, 0, 'limit').message).toBe('limit must be at least 1');
+            expect(validateValue({ type: 'string', pattern: /^\d+$/ }, '12a', 'balance').message).toBe('balance is not in the expected format');
+            expect(validateValue({ type: 'string', enum: ['x42', 'epix'] }, 'btc', 'chain').message).toBe('chain must be one of: x42, epix');
+            expect(validateValue({ type: 'string', maxLength: 3 }, 'abcd', 'note').message).toBe('note must be at most 3 characters');
+            expect(validateValue({ type: 'array', minItems: 1 }, [], 'claims').message).toBe('claims must have at least 1 item');
+            expect(validateValue({ type: 'array', maxItems: 2 }, [1, 2, 3], 'claims').message).toBe('claims must have at most 2 items');
+        });
+
+        test('should only accept null for nullable schemas', () => {
+            expect(validateValue({ type: 'integer', nullable: true }, null, 'campaign_id')).toBeNull();
+            expect(validateValue({ type: 'integer' }, null, 'campaign_id').message).toBe('campaign_id must not be null');
+        });
+
+        test('should report the oneOf option matching the value type', () => {
+            const schema = { oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: /^\d+$/ }] };
+
+            expect(validateValue(schema, 100, 'snapshot_balance')).toBeNull();
+            expect(validateValue(schema, '100', 'snapshot_balance')).toBeNull();
+            expect(validateValue(schema, -1, 'snapshot_balance').message).toBe('snapshot_balance must be at least 0');
+            expect(validateValue(schema, '1e3', 'snapshot_balance').message).toBe('snapshot_balance is not in the expected format');
+            expect(validateValue(schema, true, 'snapshot_balance').message).toBe('snapshot_balance must be an integer or a string');
+        });
+
+        test('should name nested fields', () => {
+            const schema = { type: 'object', required: ['events'], properties: { events: { type: 'array', items: { type: 'string' } } } };
+
+            expect(validateValue(schema, {}, null)).toEqual({ code: 'missing_field', field: 'events', message: 'events is required' });
+            expect(validateValue(schema, { events: ['a', 2] }, null).field).toBe('events[1]');
+            expect(validateValue(schema, [], null)).toEqual({ code: 'invalid_field', field: null, message: 'Request body must be an object' });
+        });
+    });
+
+    describe('coerceParameter', () => {
+        test('should convert query strings to the declared type', () => {
+            expect(coerceParameter({ type: 'integer' }, '42')).toBe(42);
+            expect(coerceParameter({ type: 'integer' }, '4.2')).toBe('4.2');
+            expect(coerceParameter({ type: 'number' }, '4.2')).toBe(4.2);
+            expect(coerceParameter({ type: 'boolean' }, 'false')).toBe(false);
+            expect(coerceParameter({ type: 'string' }, '42')).toBe('42');
+            expect(coerceParameter({ type: 'string' }, ['a', 'b'])).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('middleware', () => {
+        test('should pass valid requests and undocumented paths', () => {
+            expect(run(middleware, { path: '/claims/7', query: { pageSize: '10' } }).passed).toBe(true);
+            expect(run(middleware, { path: '/api-docs/' }).passed).toBe(true);
+            expect(run(middleware, { method: 'DELETE', path: '/claims/7' }).passed).toBe(true);
+        });
+
+        test('should answer 400 with the code, message and field', () => {
+            const { res, passed } = run(middleware, { path: '/claims/7', query: { pageSize: 'ten' } });
+
+            expect(passed).toBe(false);
+            expect(res.statusCode).toBe(400);
+            expect(res.body).toEqual({
+                code: 'invalid_field',
+                message: 'pageSize must be an integer',
+                field: 'pageSize',
+                error: 'pageSize must be an integer',
+            });
+        });
+
+        test('should record the Swagger path a request matched', () => {
+            expect(run(middleware, { path: '/claims/abc' }).req.operationPath).toBe('/claims/{id}');
+            expect(run(middleware, { method: 'POST', path: '/claims/7/notes', body: { note: 'ok' } }).req.operationPath).toBe('/claims/{id}/notes');
+            expect(run(middleware, { path: '/api-docs/' }).req.operationPath).toBeUndefined();
+        });
+
+        test('should validate path parameters', () => {
+            expect(run(middleware, { path: '/claims/abc' }).res.body.field).toBe('id');
+            expect(run(middleware, { path: '/claims/0' }).res.body.message).toBe('id must be at least 1');
+        });
+
+        test('should reject repeated query parameters', () => {
+            expect(run(middleware, { path: '/claims/7', query: { pageSize: ['1', '2'] } }).res.body.message).toBe('pageSize must be an integer');
+        });
+
+        test('should prefer literal path segments over parameters', () => {
+            expect(run(middleware, { method: 'POST', path: '/claims/7/notes', body: { note: 'ok' } }).passed).toBe(true);
+            expect(run(middleware, { method: 'POST', path: '/claims/7/notes', body: { note: 'too long' } }).res.body.field).toBe('note');
+            expect(run(middleware, { method: 'POST', path: '/claims/7/flag' }).passed).toBe(true);
+            expect(run(middleware, { method: 'POST', path: '/claims/7/delete' }).res.body.field).toBe('action');
+        });
+
+        test('should require a documented body', () => {
+            const { res } = run(middleware, { method: 'POST', path: '/claims/7/notes', body: {} });
+            expect(res.body.code).toBe('invalid_request');
+            expect(res.body.message).toBe('Request body is required');
+        });
+
+        test('should resolve schema references', () => {
+            expect(run(middleware, { method: 'POST', path: '/subscriptions', body: { url: 'https://a.test' } }).passed).toBe(true);
+            expect(run(middleware, { method: 'POST', path: '/subscriptions', body: { url: 'https://a.test', events: ['nope'] } }).res.body.field).toBe('events[0]');
+        });
+
+        test('should hand errors of deferred operations to the route', () => {
+            const { req, passed } = run(middleware, {
+                method: 'POST',
+                path: '/verify',
+                headers: { signature: 'sig' },
+                body: { x42_address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf&chain=epix', snapshot_balance: 1 },
+            });
+
+            expect(passed).toBe(true);
+            expect(req.validationError).toEqual({ code: 'invalid_field', field: 'x42_address', message: 'x42_address is not in the expected format' });
+
+            const missingSignature = run(middleware, { method: 'POST', path: '/verify', body: { x42_address: 'X1', snapshot_balance: '1' } });
+            expect(missingSignature.req.validationError).toEqual({ code: 'missing_field', field: 'signature', message: 'signature is required' });
+
+            const valid = run(middleware, { method: 'POST', path: '/verify', headers: { signature: 'sig' }, body: { x42_address: 'X1', snapshot_balance: '1' } });
+            expect(valid.req.validationError).toBeUndefined();
+        });
+    });
+
+    test('should refuse schemas using keywords it does not check', () => {
+        const unsupported = {
+            paths: { '/a': { get: { parameters: [{ in: 'query', name: 'q', schema: { type: 'string', multipleOf: 2 } }] } } },
+        };
+
+        expect(() => createRequestValidator(unsupported)).toThrow('Unsupported schema keyword "multipleOf" in GET /a query q');
+    });
+
+    test('should support every request schema in the API docs', () => {
+        const apiDocs = swaggerJsDoc({
+            swaggerDefinition: { openapi: '3.0.0', info: { title: 'Snapshot Verification API', version: '1.0.0' } },
+            apis: [path.join(__dirname, '..', 'index.js')],
+        });
+
+        expect(() => createRequestValidator(apiDocs)).not.toThrow();
+    });
+});
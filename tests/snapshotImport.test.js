@@ -0,0 +1,76 @@
+const { parseSnapshotDump, detectFormat } = require('../utils/snapshotImport');
+
+describe('Snapshot Import', () => {
+    test('should parse a CSV dump with a header row', () => {
+        const entries = parseSnapshotDump(
+            'address,balance,height\nXG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf,69223563046,3000000\nXAddress2,100,3000000\n',
+            'csv',
+            3000000
+        );
+
+        expect(entries).toEqual([
+            { address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', balance: 69223563046n, height: 3000000 },
+            { address: 'XAddress2', balance: 100n, height: 3000000 },
+        ]);
+    });
+
+    test('should parse a CSV dump without a header or height column', () => {
+        const entries = parseSnapshotDump('XAddress1,5\r\nXAddress2,7\r\n', 'csv');
+
+        expect(entries).toEqual([
+            { address: 'XAddress1', balance: 5n, height: null },
+            { address: 'XAddress2', balance: 7n, height: null },
+        ]);
+    });
+
+    test('should parse a JSON array dump', () => {
+        const entries = parseSnapshotDump(JSON.stringify([
+            { address: 'XAddress1', balance: '90071992547409930' },
+        ]), 'json');
+
+        expect(entries).toEqual([{ address: 'XAddress1', balance: 90071992547409930n, height: null }]);
+    });
+
+    test('should parse a JSON map dump with a height', () => {
+        const entries = parseSnapshotDump(JSON.stringify({
+            height: 3000000,
+            balances: { XAddress1: 1, XAddress2: '2' },
+        }), 'json', 3000000);
+
+        expect(entries).toEqual([
+            { address: 'XAddress1', balance: 1n, height: 3000000 },
+            { address: 'XAddress2', balance: 2n, height: 3000000 },
+        ]);
+    });
+
+    test('should reject fractional and negative balances', () => {
+        expect(() => parseSnapshotDump('XAddress1,1.5', 'csv')).toThrow(/whole satoshis/);
+        expect(() => parseSnapshotDump('XAddress1,-1', 'csv')).toThrow(/whole satoshis/);
+    });
+
+    test('should reject JSON numbers too large to be exact', () => {
+        // 90071992547409930 has no exact double, JSON.parse turns it into 90071992547409920
+        expect(() => parseSnapshotDump('[{"address": "XAddress1", "balance": 90071992547409930}]', 'json'))
+            .toThrow(/too large for a JSON number. Give balances as strings/);
+        expect(() => parseSnapshotDump('{"XAddress1": 1e21}', 'json')).toThrow(/too large for a JSON number/);
+        expect(parseSnapshotDump('{"XAddress1": 9007199254740991}', 'json')[0].balance).toBe(9007199254740991n);
+    });
+
+    test('should reject duplicate addresses', () => {
+        expect(() => parseSnapshotDump('XAddress1,1\nXAddress1,2', 'csv')).toThrow(/Duplicate address/);
+    });
+
+    test('should reject balances taken at a different height', () => {
+        expect(() => parseSnapshotDump('XAddress1,1,2999999', 'csv', 3000000)).toThrow(/expected 3000000/);
+    });
+
+    test('should reject unknown formats', () => {
+        expect(() => parseSnapshotDump('', 'xml')).toThrow(/Unsupported snapshot dump format/);
+    });
+
+    test('should detect the format from the file extension', () => {
+        expect(detectFormat('/tmp/snapshot.CSV')).toBe('csv');
+        expect(detectFormat('snapshot.json')).toBe('json');
+        expect(detectFormat('snapshot.txt')).toBeNull();
+    });
+});
@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+const {
+    GENESIS_HASH,
+    buildLeaf,
+    buildDestinationChangeLeaf,
+    hashEntry,
+    verifyLogEntries,
+    formatLogEntry,
+    createTransparencyLog,
+} = require('../utils/transparencyLog');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+// The TransparencyLogEntry model. Rows are stored as JSON, as the database would.
+function createLogModel() {
+    const sequelize = Object.assign(createFakeSequelize(), {
+        getQueryInterface: () => ({ quoteIdentifier: (name) => `"${name}"` }),
+        literal: (val) => ({ val }),
+    });
+    const model = createFakeModel({ sequelize, defaults: { createdAt: new Date('2025-01-20T10:00:00Z') } });
+    const insert = model.create;
+
+    return Object.assign(model, {
+        queries: sequelize.queries,
+        getTableName: () => 'TransparencyLogEntries',
+        create: async (values) => insert(JSON.parse(JSON.stringify(values))),
+    });
+}
+
+function createClaim(id, overrides = {}) {
+    return {
+        id,
+        campaign_id: 1,
+        x42_address: `XAddress${id}`,
+        epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+        snapshot_balance: BigInt(id * 100),
+        signature: `signature-${id}`,
+        raw_json: { message: `message ${id}` },
+        createdAt: new Date(`2025-01-0${id}T00:00:00Z`),
+        ...overrides,
+    };
+}
+
+describe('Transparency Log', () => {
+    let TransparencyLogEntry;
+    let log;
+
+    beforeEach(() => {
+        TransparencyLogEntry = createLogModel();
+        log = createTransparencyLog({ TransparencyLogEntry, now: () => new Date('2025-01-21T00:00:00Z') });
+    });
+
+    test('should turn a claim into a JSON-safe leaf', () => {
+        expect(buildLeaf(createClaim(1))).toEqual({
+            claim_id: 1,
+            campaign_id: 1,
+            x42_address: 'XAddress1',
+            epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            snapshot_balance: '100',
+            signature: 'signature-1',
+            message: 'message 1',
+            claimed_at: '2025-01-01T00:00:00.000Z',
+        });
+        expect(buildLeaf(createClaim(2, { raw_json: {} })).message).toBeNull();
+    });
+
+    test('should hash the canonical JSON of an entry', () => {
+        // printf '{"leaf":{"a":1},"prev_hash":"<64 zeros>","sequence":1}' | sha256sum
+        expect(hashEntry({ sequence: 1, prevHash: GENESIS_HASH, leaf: { a: 1 } }))
+            .toBe('03b3af09dad9f760fd8b770311561c311f2345756a46afbe9d393b8f73ac09e6');
+        expect(hashEntry({ sequence: 2, prevHash: GENESIS_HASH, leaf: { a: 1 } }))
+            .not.toBe(hashEntry({ sequence: 1, prevHash: GENESIS_HASH, leaf: { a: 1 } }));
+    });
+
+    test('should chain every entry to the one before it', async () => {
+        await log.append(createClaim(1), {});
+        await log.append(createClaim(2), {});
+
+        const [first, second] = TransparencyLogEntry.rows;
+        expect(first).toMatchObject({ sequence: 1, claim_id: 1, prev_hash: GENESIS_HASH });
+        expect(second).toMatchObject({ sequence: 2, claim_id: 2, prev_hash: first.entry_hash });
+        expect(verifyLogEntries(TransparencyLogEntry.rows)).toEqual({ valid: true, headHash: second.entry_hash });
+    });
+
+    test('should chain destination changes after the claim they move', async () => {
+        const change = {
+            claim_id: 1,
+            campaign_id: 1,
+            x42_address: 'XAddress1',
+            from_epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+            to_epix_address: 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66',
+            signature: 'change-signature',
+            message: 'change message',
+            applied_at: new Date('2025-01-20T10:00:00Z'),
+        };
+        const transaction = { id: 'change-transaction' };
+
+        await log.append(createClaim(1), {});
+        await log.appendDestinationChange(change, transaction);
+
+        const [claimEntry, changeEntry] = TransparencyLogEntry.rows;
+        expect(claimEntry.entry_type).toBe('claim');
+        expect(changeEntry).toMatchObject({
+            sequence: 2,
+            entry_type: 'destination_change',
+            claim_id: 1,
+            prev_hash: claimEntry.entry_hash,
+            leaf: {
+                type: 'destination_change',
+                claim_id: 1,
+                campaign_id: 1,
+                x42_address: 'XAddress1',
+                from_epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+                to_epix_address: 'epix1qperwt9wrnkg5k9e5gzfgjppzpqhyav5j24d66',
+                signature: 'change-signature',
+                message: 'change message',
+                changed_at: '2025-01-20T10:00:00.000Z',
+            },
+        });
+        expect(changeEntry.leaf).toEqual(buildDestinationChangeLeaf(change));
+        expect(TransparencyLogEntry.queries[1].options.transaction).toBe(transaction);
+        expect(verifyLogEntries(TransparencyLogEntry.rows)).toEqual({ valid: true, headHash: changeEntry.entry_hash });
+    });
+
+    test('should take the advisory lock in the claim transaction before appending', async () => {
+        const transaction = { id: 'claim-transaction' };
+
+        await log.append(createClaim(1), transaction);
+
+        expect(TransparencyLogEntry.queries).toEqual([{
+            sql: 'SELECT pg_advisory_xact_lock(:key)',
+            options: { replacements: { key: 0x45504958 }, transaction },
+        }]);
+    });
+
+    test('should detect an edited, removed or reordered entry', async () => {
+        for (let id = 1; id <= 3; id++) {
+            await log.append(createClaim(id), {});
+        }
+        const entries = TransparencyLogEntry.rows.map(formatLogEntry);
+
+        const edited = entries.map(entry => ({ ...entry, leaf: { ...entry.leaf } }));
+        edited[1].leaf.epix_address = 'epix1attacker';
+        expect(verifyLogEntries(edited)).toEqual({ valid: false, sequence: 2, error: 'entry_hash does not match the entry' });
+
+        expect(verifyLogEntries([entries[0], entries[2]]))
+            .toEqual({ valid: false, sequence: 3, error: 'Expected sequence 2' });
+
+        const rehashed = { ...entries[1], leaf: edited[1].leaf };
+        rehashed.entry_hash = hashEntry({ sequence: 2, prevHash: rehashed.prev_hash, leaf: rehashed.leaf });
+        expect(verifyLogEntries([entries[0], rehashed, entries[2]]))
+            .toEqual({ valid: false, sequence: 3, error: 'prev_hash does not match the previous entry' });
+    });
+
+    test('should verify a page against the hash of the entry before it', async () => {
+        for (let id = 1; id <= 3; id++) {
+            await log.append(createClaim(id), {});
+        }
+        const [first, ...rest] = TransparencyLogEntry.rows;
+
+        expect(verifyLogEntries(rest, first.entry_hash).valid).toBe(true);
+        expect(verifyLogEntries(rest).valid).toBe(false);
+    });
+
+    test('should report the head of the log', async () => {
+        expect(await log.getHead()).toEqual({ size: 0, head_hash: GENESIS_HASH, timestamp: '2025-01-21T00:00:00.000Z' });
+
+        await log.append(createClaim(1), {});
+        await log.append(createClaim(2), {});
+
+        expect(await log.getHead()).toEqual({
+            size: 2,
+            head_hash: TransparencyLogEntry.rows[1].entry_hash,
+            timestamp: '2025-01-21T00:00:00.000Z',
+        });
+    });
+
+    test('should page through the entries', async () => {
+        for (let id = 1; id <= 3; id++) {
+            await log.append(createClaim(id), {});
+        }
+
+        expect((await log.getEntries({ from: 2, limit: 1 })).map(entry => entry.sequence)).toEqual([2]);
+        expect((await log.getEntries({ from: 2 })).map(entry => entry.sequence)).toEqual([2, 3]);
+    });
+
+    test('should append the claims that have no entry yet in id order', async () => {
+        const claims = [createClaim(1), createClaim(2), createClaim(3)];
+        await log.append(claims[0], {});
+
+        const Snapshot = {
+            findAll: async ({ where, order }) => {
+                expect(where.id[Op.notIn].val).toBe('(SELECT claim_id FROM "TransparencyLogEntries" WHERE entry_type = \'claim\')');
+                expect(order).toEqual([['id', 'ASC']]);
+                return claims.filter(claim => !TransparencyLogEntry.rows.some(row => row.entry_type === 'claim' && row.claim_id === claim.id));
+            },
+        };
+
+        expect(await log.appendMissingClaims(Snapshot)).toBe(2);
+        expect(TransparencyLogEntry.rows.map(row => row.claim_id)).toEqual([1, 2, 3]);
+        expect(verifyLogEntries(TransparencyLogEntry.rows).valid).toBe(true);
+    });
+});
@@ -0,0 +1,98 @@
+const { parseVestingSchedule, buildUnlockSchedule } = require('../utils/vesting');
+
+describe('Vesting', () => {
+    const config = {
+        start_time: '2025-03-01T00:00:00Z',
+        immediate_percentage: 25,
+        cliff_seconds: 7776000,
+        period_seconds: 2592000,
+        period_count: 12,
+        tiers: [
+            { min_balance: '10000000000000', immediate_percentage: 10, period_count: 24 },
+            { min_balance: '100000000000', immediate_percentage: '12.5' },
+        ],
+    };
+
+    const sumOf = (unlocks) => unlocks.periods.reduce((sum, period) => sum + period.amount, unlocks.immediate);
+
+    describe('parseVestingSchedule', () => {
+        test('should read the rules and order the tiers by balance, highest first', () => {
+            const schedule = parseVestingSchedule(config);
+
+            expect(schedule.startTime).toEqual(new Date('2025-03-01T00:00:00Z'));
+            expect(schedule.rules).toEqual([
+                { minBalance: 10000000000000n, immediateBasisPoints: 1000n, cliffSeconds: 7776000, periodSeconds: 2592000, periodCount: 24 },
+                { minBalance: 100000000000n, immediateBasisPoints: 1250n, cliffSeconds: 7776000, periodSeconds: 2592000, periodCount: 12 },
+                { minBalance: 0n, immediateBasisPoints: 2500n, cliffSeconds: 7776000, periodSeconds: 2592000, periodCount: 12 },
+            ]);
+        });
+
+        test('should allow everything to be immediate without periods', () => {
+            const schedule = parseVestingSchedule({ start_time: '2025-03-01T00:00:00Z', immediate_percentage: 100 });
+
+            expect(buildUnlockSchedule(500n, schedule)).toMatchObject({ immediate: 500n, vesting: 0n, periods: [] });
+        });
+
+        test('should reject invalid schedules', () => {
+            const invalid = (overrides) => () => parseVestingSchedule({ ...config, ...overrides });
+
+            expect(invalid({ start_time: 'soon' })).toThrow('Invalid vesting schedule: start_time must be a date');
+            expect(invalid({ immediate_percentage: 100.5 })).toThrow('immediate_percentage must be between 0 and 100');
+            expect(invalid({ immediate_percentage: '12.345' })).toThrow('immediate_percentage must be a number with at most two decimals');
+            expect(invalid({ cliff_seconds: -1 })).toThrow('cliff_seconds must be an integer of at least 0');
+            expect(invalid({ period_count: 0 })).toThrow('period_count and period_seconds must be at least 1 unless immediate_percentage is 100');
+            expect(invalid({ tiers: [{ min_balance: 0 }] })).toThrow('tiers[0].min_balance must be a positive number of satoshis');
+            expect(invalid({ tiers: [{ min_balance: 5, period_seconds: 1.5 }] })).toThrow('tiers[0].period_seconds must be an integer of at least 0');
+            expect(invalid({ tiers: [{ min_balance: 5 }, { min_balance: '5' }] })).toThrow('more than one tier starts at 5');
+            expect(() => parseVestingSchedule([])).toThrow('Invalid vesting schedule: it must be an object');
+        });
+    });
+
+    describe('buildUnlockSchedule', () => {
+        const schedule = parseVestingSchedule(config);
+
+        test('should unlock the rest in equal periods after the cliff', () => {
+            const unlocks = buildUnlockSchedule(1200000000n, schedule);
+
+            expect(unlocks.immediate).toBe(300000000n);
+            expect(unlocks.vesting).toBe(900000000n);
+            expect(unlocks.periods).toHaveLength(12);
+            expect(unlocks.periods.every(period => period.amount === 75000000n)).toBe(true);
+            expect(unlocks.periods[0]).toEqual({ length: 7776000 + 2592000, unlocksAt: new Date('2025-06-29T00:00:00Z'), amount: 75000000n });
+            expect(unlocks.periods[1].length).toBe(2592000);
+            expect(unlocks.endTime).toEqual(unlocks.periods[11].unlocksAt);
+        });
+
+        test('should give the rounding remainder to the last period', () => {
+            const unlocks = buildUnlockSchedule(1000n, schedule);
+
+            expect(unlocks.immediate).toBe(250n);
+            expect(unlocks.periods.map(period => period.amount)).toEqual([...Array(11).fill(62n), 68n]);
+        });
+
+        test('should apply the tier an address reaches', () => {
+            expect(buildUnlockSchedule(99999999999n, schedule).immediate).toBe(24999999999n);
+            expect(buildUnlockSchedule(100000000000n, schedule).immediate).toBe(12500000000n);
+            expect(buildUnlockSchedule(10000000000000n, schedule).periods).toHaveLength(24);
+        });
+
+        test('should add up to the final balance in every period split', () => {
+            const balances = [0n, 1n, 11n, 12n, 13n, 99999999999n, 100000000000n, 10000000000000n, 1184476900000000n];
+
+            // Deterministic spread of awkward balances around every tier
+            let balance = 7n;
+            for (let i = 0; i < 200; i++) {
+                balance = (balance * 6364136223846793005n + 1442695040888963407n) % 20000000000000n;
+                balances.push(balance);
+            }
+
+            balances.forEach(finalBalance => {
+                const unlocks = buildUnlockSchedule(finalBalance, schedule);
+
+                expect(sumOf(unlocks)).toBe(finalBalance);
+                expect(unlocks.periods.reduce((sum, period) => sum + period.amount, 0n)).toBe(unlocks.vesting);
+                expect(unlocks.periods.every(period => period.amount >= 0n)).toBe(true);
+            });
+        });
+    });
+});
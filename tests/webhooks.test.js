@@ -0,0 +1,240 @@
+jest.mock('axios');
+const axios = require('axios');
+const {
+    generateWebhookSecret,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    validateSubscriptionInput,
+    subscriptionMatches,
+    createWebhookDispatcher,
+} = require('../utils/webhooks');
+const { createFakeSequelize, createFakeModel } = require('./fakeModels');
+
+// The WebhookSubscription and WebhookDelivery models, sharing one fake database whose
+// inTransaction is true while a transaction is open
+function createModels(subscriptions) {
+    const sequelize = createFakeSequelize();
+    const WebhookSubscription = createFakeModel({ sequelize });
+    const WebhookDelivery = createFakeModel({ sequelize, defaults: { status: 'pending', attempts: 0 } });
+    subscriptions.forEach(WebhookSubscription.insert);
+
+    return {
+        sequelize,
+        subscriptions: WebhookSubscription.rows,
+        deliveries: WebhookDelivery.rows,
+        WebhookSubscription,
+        WebhookDelivery,
+    };
+}
+
+function subscription(overrides) {
+    return { id: 1, url: 'https://wallet.test/hook', secret: 'a'.repeat(64), events: ['*'], campaign_id: null, active: true, ...overrides };
+}
+
+describe('Webhooks', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = new Date('2025-01-01T00:00:00Z');
+        axios.post.mockReset();
+        axios.post.mockResolvedValue({ status: 200 });
+    });
+
+    test('should generate distinct 32 byte secrets', () => {
+        expect(generateWebhookSecret()).toMatch(/^[0-9a-f]{64}$/);
+        expect(generateWebhookSecret()).not.toBe(generateWebhookSecret());
+    });
+
+    describe('signatures', () => {
+        const secret = 'test-secret';
+        const body = '{"event":"claim_verified"}';
+
+        test('should sign the timestamp and body with HMAC-SHA256', () => {
+            // echo -n '1735689600.{"event":"claim_verified"}' | openssl dgst -sha256 -hmac test-secret
+            expect(signWebhookPayload(secret, body, 1735689600))
+                .toBe('t=1735689600,v1=73f1c881beecf2123916676848d7c4b08d9136578e41d8a995de03bdd126305d');
+        });
+
+        test('should verify a fresh signature', () => {
+            const header = signWebhookPayload(secret, body, 1735689600);
+
+            expect(verifyWebhookSignature(secret, body, header, { now: 1735689700 })).toBe(true);
+        });
+
+        test('should reject tampered bodies, wrong secrets and stale timestamps', () => {
+            const header = signWebhookPayload(secret, body, 1735689600);
+
+            expect(verifyWebhookSignature(secret, '{"event":"claim_rejected"}', header, { now: 1735689600 })).toBe(false);
+            expect(verifyWebhookSignature('other-secret', body, header, { now: 1735689600 })).toBe(false);
+            expect(verifyWebhookSignature(secret, body, header, { now: 1735690000 })).toBe(false);
+            expect(verifyWebhookSignature(secret, body, 'garbage', { now: 1735689600 })).toBe(false);
+        });
+    });
+
+    describe('validateSubscriptionInput', () => {
+        test('should accept a new subscription', () => {
+            expect(validateSubscriptionInput({
+                url: 'https://wallet.test/hook',
+                events: ['claim_verified', 'claim_verified'],
+                campaign_id: 1,
+            }, false)).toEqual({ values: { url: 'https://wallet.test/hook', events: ['claim_verified'], campaign_id: 1 } });
+        });
+
+        test('should require a url and events for new subscriptions only', () => {
+            expect(validateSubscriptionInput({ events: ['*'] }, false)).toEqual({ error: 'url must be a valid URL', field: 'url' });
+            expect(validateSubscriptionInput({ url: 'https://wallet.test/hook' }, false)).toEqual({ error: 'events must be a non-empty array', field: 'events' });
+            expect(validateSubscriptionInput({ active: false }, true)).toEqual({ values: { active: false } });
+        });
+
+        test('should reject bad values', () => {
+            expect(validateSubscriptionInput({ url: 'ftp://wallet.test' }, true).error).toBe('url must be an http or https URL');
+            expect(validateSubscriptionInput({ events: ['claim_made'] }, true).error).toMatch(/^Unknown event: claim_made/);
+            expect(validateSubscriptionInput({ campaign_id: '1' }, true).error).toBe('campaign_id must be an integer or null');
+            expect(validateSubscriptionInput({ active: 'yes' }, true).error).toBe('active must be a boolean');
+        });
+    });
+
+    test('should match subscriptions on event type and campaign', () => {
+        expect(subscriptionMatches(subscription(), 'claim_rejected', { campaign_id: 2 })).toBe(true);
+        expect(subscriptionMatches(subscription({ events: ['claim_verified'] }), 'claim_rejected', {})).toBe(false);
+        expect(subscriptionMatches(subscription({ campaign_id: 1 }), 'claim_verified', { campaign_id: 2 })).toBe(false);
+        expect(subscriptionMatches(subscription({ campaign_id: 1 }), 'claim_verified', { campaign_id: 1 })).toBe(true);
+        expect(subscriptionMatches(subscription({ active: false }), 'claim_verified', {})).toBe(false);
+    });
+
+    describe('dispatcher', () => {
+        test('should deliver a signed event to matching subscriptions and log it', async () => {
+            const models = createModels([subscription(), subscription({ id: 2, events: ['claim_rejected'] })]);
+            const dispatcher = createWebhookDispatcher({ ...models, now });
+
+            await dispatcher.dispatch('claim_verified', { campaign_id: 1, x42_address: 'X1' });
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            const [url, body, { headers }] = axios.post.mock.calls[0];
+            expect(url).toBe('https://wallet.test/hook');
+            expect(JSON.parse(body)).toEqual({
+                event: 'claim_verified',
+                data: { campaign_id: 1, x42_address: 'X1' },
+                timestamp: '2025-01-01T00:00:00.000Z',
+            });
+            expect(headers['X-Epix-Event']).toBe('claim_verified');
+            expect(headers['X-Epix-Delivery']).toBe('1');
+            expect(verifyWebhookSignature('a'.repeat(64), body, headers['X-Epix-Signature'], { now: 1735689600 })).toBe(true);
+            expect(models.deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1, last_status_code: 200 });
+        });
+
+        test('should retry a failed delivery with backoff and mark it failed at the last attempt', async () => {
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, maxAttempts: 2, now });
+            const error = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+            axios.post.mockRejectedValue(error);
+
+            await dispatcher.dispatch('claim_verified', {});
+            expect(models.deliveries[0]).toMatchObject({
+                status: 'pending',
+                attempts: 1,
+                last_status_code: 503,
+                next_attempt_at: new Date('2025-01-01T00:00:30Z'),
+            });
+
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 0, retried: 0, failed: 0 });
+
+            clock = new Date('2025-01-01T00:00:30Z');
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 0, retried: 0, failed: 1 });
+            expect(models.deliveries[0]).toMatchObject({ status: 'failed', attempts: 2 });
+        });
+
+        test('should report every failed attempt to onFailure', async () => {
+            const failures = [];
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, onFailure: failure => failures.push(failure), now });
+            axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+            await dispatcher.dispatch('claim_verified', {});
+            clock = new Date('2025-01-01T00:00:30Z');
+            await dispatcher.processDueDeliveries();
+
+            expect(failures).toEqual([{ eventType: 'claim_verified' }]);
+            expect(models.deliveries[0].status).toBe('delivered');
+        });
+
+        test('should attempt due deliveries after the claiming transaction has committed', async () => {
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, now });
+            axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+            await dispatcher.dispatch('claim_verified', {});
+
+            const postedInTransaction = [];
+            axios.post.mockImplementation(async () => {
+                postedInTransaction.push(models.sequelize.inTransaction);
+                return { status: 200 };
+            });
+            clock = new Date('2025-01-01T00:00:30Z');
+
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 1, retried: 0, failed: 0 });
+            expect(postedInTransaction).toEqual([false]);
+        });
+
+        test('should lease claimed deliveries so a concurrent run skips them, until the lease runs out', async () => {
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, now });
+            axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+            await dispatcher.dispatch('claim_verified', {});
+
+            // The first run hangs on its attempt, like an instance that stopped mid-run
+            axios.post.mockImplementationOnce(() => new Promise(() => {}));
+            clock = new Date('2025-01-01T00:00:30Z');
+            dispatcher.processDueDeliveries();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(models.deliveries[0].next_attempt_at).toEqual(new Date('2025-01-01T00:15:30Z'));
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 0, retried: 0, failed: 0 });
+
+            clock = new Date('2025-01-01T00:15:30Z');
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 1, retried: 0, failed: 0 });
+        });
+
+        test('should replay a failed delivery with its original payload and id', async () => {
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, maxAttempts: 1, now });
+            axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+            await dispatcher.dispatch('claim_verified', { x42_address: 'X1' });
+            expect(models.deliveries[0].status).toBe('failed');
+
+            clock = new Date('2025-01-02T00:00:00Z');
+            await dispatcher.replay(models.deliveries[0]);
+
+            const [, firstBody] = axios.post.mock.calls[0];
+            const [, replayBody, { headers }] = axios.post.mock.calls[1];
+            expect(replayBody).toBe(firstBody);
+            expect(headers['X-Epix-Delivery']).toBe('1');
+            expect(models.deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1, last_error: null });
+        });
+
+        test('should fail pending deliveries of deactivated subscriptions', async () => {
+            const models = createModels([subscription()]);
+            const dispatcher = createWebhookDispatcher({ ...models, now });
+            axios.post.mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+
+            await dispatcher.dispatch('claim_verified', {});
+            models.subscriptions[0].active = false;
+            clock = new Date('2025-01-01T01:00:00Z');
+
+            expect(await dispatcher.processDueDeliveries()).toEqual({ delivered: 0, retried: 0, failed: 1 });
+            expect(models.deliveries[0].last_error).toBe('Subscription is no longer active');
+        });
+
+        test('should not reject when the subscriptions cannot be loaded', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const models = createModels([]);
+            models.WebhookSubscription.findAll = async () => {
+                throw new Error('Database unavailable');
+            };
+
+            await expect(createWebhookDispatcher({ ...models, now }).dispatch('claim_verified', {})).resolves.toBeUndefined();
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const { hashMessage, publicKeyToAddress, recoverAddress, verifyMessage } = require('../utils/x42Message');
+
+describe('x42 Message Verification', () => {
+    // Reference vector from the bitcoinjs-message documentation (Bitcoin mainnet, version 0)
+    const bitcoinVector = {
+        message: 'This is an example of a signed message.',
+        address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV',
+        x42Address: 'XRQ71uTB9U5spJBcTW7idfNtaskEYVo4x2',
+        signature: 'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=',
+    };
+
+    // Claim bodies signed with sha256('epix claimer test vector') as the private key
+    const claimMessage = JSON.stringify({
+        x42_address: 'X',
+        epix_address: 'epix1r2357f40wpkruzxu6ss87rvf0hp7hnln246h4x',
+        snapshot_balance: 69223563046,
+    });
+    const compressedVector = {
+        address: 'XBrGcdHqD84XnTvanpVa3oQeKsmjoxeoyS',
+        signature: 'H6C1JirU2ek+IJNGTzyaFh6f0k4xwNyfIqqx9v0D5TDMWBmW3iyfFbP1q/SPsKjSVO30guVJUiFBHMqWYlDJIno=',
+    };
+    const uncompressedVector = {
+        address: 'XEmfH6i1kRXrqJUYt4tuyeMAcmSJiaQQh8',
+        signature: 'G6C1JirU2ek+IJNGTzyaFh6f0k4xwNyfIqqx9v0D5TDMWBmW3iyfFbP1q/SPsKjSVO30guVJUiFBHMqWYlDJIno=',
+    };
+
+    test('should verify the Bitcoin reference vector with version 0 addresses', () => {
+        expect(verifyMessage(bitcoinVector.message, bitcoinVector.address, bitcoinVector.signature, 0)).toBe(true);
+    });
+
+    test('should derive the x42 address for the reference key', () => {
+        expect(recoverAddress(bitcoinVector.message, bitcoinVector.signature)).toBe(bitcoinVector.x42Address);
+        expect(verifyMessage(bitcoinVector.message, bitcoinVector.x42Address, bitcoinVector.signature)).toBe(true);
+    });
+
+    test('should not accept a Bitcoin address as an x42 address', () => {
+        expect(verifyMessage(bitcoinVector.message, bitcoinVector.address, bitcoinVector.signature)).toBe(false);
+    });
+
+    test('should verify signatures from compressed keys', () => {
+        expect(verifyMessage(claimMessage, compressedVector.address, compressedVector.signature)).toBe(true);
+    });
+
+    test('should verify signatures from uncompressed keys', () => {
+        expect(verifyMessage(claimMessage, uncompressedVector.address, uncompressedVector.signature)).toBe(true);
+    });
+
+    test('should reject a signature over a different message', () => {
+        const tampered = claimMessage.replace('69223563046', '69223563047');
+        expect(verifyMessage(tampered, compressedVector.address, compressedVector.signature)).toBe(false);
+    });
+
+    test('should reject a signature for a different address', () => {
+        expect(verifyMessage(claimMessage, uncompressedVector.address, compressedVector.signature)).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+        expect(verifyMessage(claimMessage, compressedVector.address, 'not a signature')).toBe(false);
+        expect(verifyMessage(claimMessage, compressedVector.address, '')).toBe(false);
+        expect(() => recoverAddress(claimMessage, Buffer.alloc(65, 0).toString('base64'))).toThrow(/header/);
+    });
+
+    test('should hash messages with the signed message magic prefix', () => {
+        expect(hashMessage('').toString('hex')).toBe('80e795d4a4caadd7047af389d9f7f220562feb6196032e2131e10563352c4bcc');
+    });
+
+    test('should encode x42 addresses with the X prefix', () => {
+        const publicKey = Buffer.from('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+        expect(publicKeyToAddress(publicKey)).toMatch(/^X/);
+        expect(publicKeyToAddress(publicKey, 0)).toBe('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH');
+    });
+});
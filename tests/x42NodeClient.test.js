@@ -0,0 +1,205 @@
+const { X42NodeError, loadNodeClientOptions, createX42NodeClient } = require('../utils/x42NodeClient');
+const { createFakeX42Node } = require('./fakeX42Node');
+
+describe('x42 Node Client', () => {
+    let node;
+    let nodeUrl;
+    let clock;
+    let sleeps;
+    let consoleWarn;
+
+    const createClient = (options = {}) => createX42NodeClient({
+        hosts: [nodeUrl],
+        timeoutMs: 1000,
+        retries: 2,
+        retryDelayMs: 100,
+        cacheTtlMs: 10000,
+        now: () => clock,
+        sleep: async (ms) => {
+            sleeps.push(ms);
+        },
+        ...options,
+    });
+
+    beforeEach(async () => {
+        node = createFakeX42Node({
+            balances: { XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf: 69223563046 },
+            addresses: { XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf: { iswitness: false } },
+            signatures: [{ address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', message: 'hello', signature: 'c2ln' }],
+        });
+        nodeUrl = await node.start();
+        clock = 0;
+        sleeps = [];
+        consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        consoleWarn.mockRestore();
+        await node.stop();
+    });
+
+    test('should read the settings from the environment', () => {
+        expect(loadNodeClientOptions({})).toEqual({
+            hosts: ['http://localhost:42220'],
+            timeoutMs: 5000,
+            retries: 2,
+            retryDelayMs: 200,
+            cacheTtlMs: 10000,
+        });
+        expect(loadNodeClientOptions({
+            NODE_HOST: 'http://node-a:42220/, http://node-b:42220',
+            NODE_TIMEOUT_MS: '1500',
+            NODE_RETRIES: '0',
+            NODE_RETRY_DELAY_MS: 'soon',
+            NODE_CACHE_TTL_SECONDS: '0',
+        })).toEqual({
+            hosts: ['http://node-a:42220', 'http://node-b:42220'],
+            timeoutMs: 1500,
+            retries: 0,
+            retryDelayMs: 200,
+            cacheTtlMs: 0,
+        });
+    });
+
+    test('should call the node endpoints', async () => {
+        const client = createClient();
+
+        expect(await client.getAddressIndexerTip()).toEqual(node.state.tip);
+        expect(await client.getAddressesBalances(['XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', 'XUnknown'])).toEqual({
+            balances: [
+                { address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', balance: 69223563046 },
+                { address: 'XUnknown', balance: 0 },
+            ],
+            reason: null,
+        });
+        expect(await client.validateAddress('XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf')).toMatchObject({ isvalid: true, iswitness: false });
+        expect(await client.verifyMessage({ message: 'hello', address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', signature: 'c2ln' })).toBe(true);
+        expect(await client.verifyMessage({ message: 'hello!', address: 'XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf', signature: 'c2ln' })).toBe(false);
+    });
+
+    test('should escape addresses in the query string', async () => {
+        const client = createClient();
+
+        expect(await client.validateAddress('X1&address=X2')).toMatchObject({ isvalid: false, address: 'X1&address=X2' });
+        expect(node.requests).toEqual(['GET /api/Node/validateaddress?address=X1%26address%3DX2']);
+    });
+
+    test('should cache the tip and balances until the TTL passes', async () => {
+        const client = createClient();
+
+        await Promise.all([client.getAddressIndexerTip(), client.getAddressIndexerTip()]);
+        node.state.tip = { tipHash: 'ff'.repeat(32), tipHeight: 3000001 };
+        clock += 9999;
+        expect((await client.getAddressIndexerTip()).tipHeight).toBe(3000000);
+
+        clock += 1;
+        expect((await client.getAddressIndexerTip()).tipHeight).toBe(3000001);
+
+        await client.getAddressesBalances(['XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf']);
+        await client.getAddressesBalances(['XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf']);
+        await client.getAddressesBalances(['XG9pb7U3F32QQ4dShADV2v71hdLAFQA2Gf'], { minConfirmations: 6 });
+
+        expect(node.requests.filter(request => request.includes('addressindexertip'))).toHaveLength(2);
+        expect(node.requests.filter(request => request.includes('getaddressesbalances'))).toHaveLength(2);
+    });
+
+    test('should not cache failures', async () => {
+        const client = createClient({ retries: 0 });
+
+        node.failNext(1);
+        await expect(client.getAddressIndexerTip()).rejects.toThrow(X42NodeError);
+        expect(await client.getAddressIndexerTip()).toEqual(node.state.tip);
+    });
+
+    test('should retry server errors with backoff', async () => {
+        const client = createClient();
+
+        node.failNext(2, 503);
+        expect(await client.getAddressIndexerTip()).toEqual(node.state.tip);
+        expect(sleeps).toEqual([100, 200]);
+        expect(node.requests).toHaveLength(3);
+    });
+
+    test('should report every request to onRequest', async () => {
+        const requests = [];
+        const client = createClient({ onRequest: request => requests.push(request) });
+
+        node.failNext(1, 503);
+        await client.getAddressIndexerTip();
+
+        expect(requests.map(({ host, url, ok }) => ({ host, url, ok }))).toEqual([
+            { host: nodeUrl, url: '/api/BlockStore/addressindexertip', ok: false },
+            { host: nodeUrl, url: '/api/BlockStore/addressindexertip', ok: true },
+        ]);
+        requests.forEach(request => expect(request.seconds).toBeGreaterThanOrEqual(0));
+    });
+
+    test('should leave the user and password of a node out of onRequest and the logs', async () => {
+        const requests = [];
+        const client = createClient({
+            hosts: [nodeUrl.replace('://', '://rpc:s3cret@')],
+            onRequest: request => requests.push(request),
+        });
+
+        node.failNext(1, 503);
+        await client.getAddressIndexerTip();
+
+        expect(requests.map(request => request.host)).toEqual([nodeUrl, nodeUrl]);
+        expect(consoleWarn).toHaveBeenCalledWith(expect.stringContaining(`x42 node ${nodeUrl} failed`));
+        expect(JSON.stringify(consoleWarn.mock.calls)).not.toContain('s3cret');
+    });
+
+    test('should give up after the last retry', async () => {
+        const client = createClient();
+
+        node.failNext(3);
+        const error = await client.getAddressIndexerTip().catch(e => e);
+
+        expect(error).toBeInstanceOf(X42NodeError);
+        expect(error.message).toMatch(/^No x42 node answered \/api\/BlockStore\/addressindexertip/);
+        expect(error.status).toBeNull();
+        expect(node.requests).toHaveLength(3);
+    });
+
+    test('should not retry requests the node rejects', async () => {
+        const client = createClient();
+
+        node.failNext(1, 400);
+        const error = await client.validateAddress('X1').catch(e => e);
+
+        expect(error).toBeInstanceOf(X42NodeError);
+        expect(error.status).toBe(400);
+        expect(node.requests).toHaveLength(1);
+        expect(sleeps).toEqual([]);
+    });
+
+    test('should time out slow nodes', async () => {
+        const client = createClient({ timeoutMs: 50, retries: 0 });
+
+        node.state.delayMs = 500;
+        await expect(client.getAddressIndexerTip()).rejects.toThrow(/timeout/);
+    });
+
+    test('should fail over to the next node and stay with it', async () => {
+        const backup = createFakeX42Node({ tip: { tipHash: 'ab'.repeat(32), tipHeight: 3000002 } });
+        const backupUrl = await backup.start();
+
+        try {
+            const client = createClient({ hosts: [nodeUrl, backupUrl], cacheTtlMs: 0 });
+
+            node.failNext(1);
+            expect((await client.getAddressIndexerTip()).tipHeight).toBe(3000002);
+            expect((await client.getAddressIndexerTip()).tipHeight).toBe(3000002);
+
+            expect(node.requests).toHaveLength(1);
+            expect(backup.requests).toHaveLength(2);
+            expect(sleeps).toEqual([]);
+        } finally {
+            await backup.stop();
+        }
+    });
+
+    test('should require a host', () => {
+        expect(() => createX42NodeClient({ hosts: [] })).toThrow('At least one x42 node host is required');
+    });
+});
@@ -0,0 +1,29 @@
+// tests/x42Signer.js
+//
+// Signs messages the way x42 wallets do, so route tests can submit claims whose signatures verify.
+
+const crypto = require('crypto');
+const secp256k1 = require('@noble/secp256k1');
+const { hashMessage, publicKeyToAddress } = require('../utils/x42Message');
+
+/**
+ * Creates a signer with a key derived from a seed, so the same seed always gives the same address
+ * @param {string} seed - Any string
+ * @returns {{address: string, sign: function(string): Promise<string>}} sign resolves with a base64 compact signature
+ */
+function createX42Signer(seed) {
+    const privateKey = crypto.createHash('sha256').update(seed).digest();
+
+    return {
+        address: publicKeyToAddress(secp256k1.getPublicKey(privateKey, true)),
+        sign: async (message) => {
+            const [signature, recovery] = await secp256k1.sign(hashMessage(message), privateKey, { recovered: true, der: false });
+            // Headers 31 to 34 mark a compressed key
+            return Buffer.concat([Buffer.from([31 + recovery]), Buffer.from(signature)]).toString('base64');
+        },
+    };
+}
+
+module.exports = {
+    createX42Signer,
+};
@@ -0,0 +1,87 @@
+// utils/adminAuth.js
+const crypto = require('crypto');
+const { ERROR_CODES, sendError } = require('./apiErrors');
+
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function decodeJwtPart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies an HS256 JSON Web Token. Tokens must carry an exp claim; nbf is honoured when present.
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {Object|null} The token's claims, or null if it is malformed, forged or expired
+ */
+function verifyAdminJwt(token, secret, { now = Math.floor(Date.now() / 1000) } = {}) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        // Only HS256 is accepted, so a token cannot pick a weaker algorithm or "none"
+        if (decodeJwtPart(parts[0]).alg !== 'HS256') {
+            return null;
+        }
+
+        const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+        if (!safeEqual(parts[2], expected)) {
+            return null;
+        }
+
+        const claims = decodeJwtPart(parts[1]);
+        if (!Number.isFinite(claims.exp) || claims.exp <= now) {
+            return null;
+        }
+        if (claims.nbf !== undefined && !(claims.nbf <= now)) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Express middleware guarding the admin routes. Requests must send either
+ * Authorization: Bearer <ADMIN_API_KEY> or Authorization: Bearer <JWT signed with ADMIN_JWT_SECRET>.
+ * The caller is stored as req.admin, e.g. { method: 'jwt', subject: 'alice' }, for the audit trail.
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {function(Object, Object, function): void} Middleware
+ */
+function requireAdmin(env = process.env) {
+    return (req, res, next) => {
+        const apiKey = env.ADMIN_API_KEY;
+        const jwtSecret = env.ADMIN_JWT_SECRET;
+        if (!apiKey && !jwtSecret) {
+            return sendError(res, 503, ERROR_CODES.ADMIN_NOT_CONFIGURED, 'Admin API is not configured');
+        }
+
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (match && apiKey && safeEqual(match[1], apiKey)) {
+            req.admin = { method: 'api_key', subject: 'api-key' };
+            return next();
+        }
+
+        const claims = match && jwtSecret ? verifyAdminJwt(match[1], jwtSecret) : null;
+        if (!claims) {
+            return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Unauthorized');
+        }
+
+        req.admin = { method: 'jwt', subject: claims.sub ? String(claims.sub) : 'jwt' };
+        next();
+    };
+}
+
+module.exports = {
+    verifyAdminJwt,
+    requireAdmin,
+};
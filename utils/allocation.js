@@ -0,0 +1,159 @@
+// utils/allocation.js
+const { calculateMultiplier, applyMultiplier } = require('./balanceUtils');
+
+class AllocationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AllocationError';
+    }
+}
+
+/**
+ * Pro-rata cap as the export has always applied it: balances are scaled down
+ * when more than the target was claimed, rounded down, and whatever is left
+ * of the target goes to the last address.
+ */
+function proRata(entries, target) {
+    const total = entries.reduce((sum, entry) => sum + entry.balance, 0n);
+    const multiplier = calculateMultiplier(total, target);
+    const shares = entries.map(entry => applyMultiplier(entry.balance, multiplier));
+
+    if (shares.length > 0) {
+        const distributed = shares.slice(0, -1).reduce((sum, share) => sum + share, 0n);
+        const remaining = target - distributed;
+        if (remaining > 0n) {
+            shares[shares.length - 1] = remaining;
+        }
+    }
+
+    return shares;
+}
+
+/**
+ * Distributes the target exactly in proportion to the balances. Every share is
+ * rounded down, then the leftover satoshis go one each to the addresses with the
+ * largest rounding remainders, earlier addresses first on ties.
+ */
+function largestRemainder(entries, target) {
+    const total = entries.reduce((sum, entry) => sum + entry.balance, 0n);
+    if (total === 0n) {
+        return entries.map(() => 0n);
+    }
+
+    const shares = entries.map(entry => (entry.balance * target) / total);
+    const leftover = target - shares.reduce((sum, share) => sum + share, 0n);
+
+    const byRemainder = entries
+        .map((entry, index) => ({ index, remainder: (entry.balance * target) % total }))
+        .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : (a.remainder > b.remainder ? -1 : 1)));
+
+    for (let i = 0n; i < leftover; i++) {
+        shares[byRemainder[Number(i)].index] += 1n;
+    }
+
+    return shares;
+}
+
+const STRATEGIES = {
+    'pro-rata': proRata,
+    'largest-remainder': largestRemainder,
+};
+
+/**
+ * Allocates a campaign's target across the claimed balances.
+ *
+ * The strategy decides how the target is split. A per-address cap and a dust
+ * threshold can be layered on top of either strategy: capped addresses are
+ * fixed at the cap and addresses whose share falls below the threshold are
+ * dropped, and the rest of the target is redistributed among the others until
+ * nothing changes.
+ *
+ * @param {Array<{address: string, balance: bigint}>} entries - Claimed balance per address, in export order
+ * @param {Object} options
+ * @param {bigint} options.target - Amount to distribute in satoshis
+ * @param {string} [options.strategy] - 'pro-rata' (default) or 'largest-remainder'
+ * @param {bigint} [options.maxPerAddress] - Largest allocation any address may receive
+ * @param {bigint} [options.dustThreshold] - Smallest allocation worth sending; smaller shares are dropped
+ * @returns {{balances: Map<string, bigint>, excluded: Set<string>, totalOriginal: bigint, totalFinal: bigint, multiplier: bigint}}
+ *   balances keeps the order of entries and holds 0n for excluded addresses
+ * @throws {AllocationError} If the options are invalid or the allocation does not add up to the target
+ */
+function allocate(entries, { target, strategy = 'pro-rata', maxPerAddress = null, dustThreshold = null }) {
+    const split = STRATEGIES[strategy];
+    if (!split) {
+        throw new AllocationError(`Unknown allocation strategy: ${strategy}`);
+    }
+
+    if (maxPerAddress !== null && dustThreshold !== null && maxPerAddress < dustThreshold) {
+        throw new AllocationError('The per-address cap must not be below the dust threshold');
+    }
+
+    const seen = new Set();
+    entries.forEach(entry => {
+        if (seen.has(entry.address)) {
+            throw new AllocationError(`Duplicate address in allocation input: ${entry.address}`);
+        }
+        if (entry.balance < 0n) {
+            throw new AllocationError(`Negative balance for ${entry.address}`);
+        }
+        seen.add(entry.address);
+    });
+
+    const capped = new Set();
+    const excluded = new Set();
+    let shares;
+
+    // Each pass moves at least one address into capped or excluded, so this ends
+    for (;;) {
+        const active = entries.filter(entry => !capped.has(entry.address) && !excluded.has(entry.address));
+        const remainingTarget = target - BigInt(capped.size) * (maxPerAddress || 0n);
+        const activeShares = split(active, remainingTarget > 0n ? remainingTarget : 0n);
+
+        shares = new Map(active.map((entry, index) => [entry.address, activeShares[index]]));
+
+        const overCap = maxPerAddress === null ? [] : active.filter(entry => shares.get(entry.address) > maxPerAddress);
+        if (overCap.length > 0) {
+            overCap.forEach(entry => capped.add(entry.address));
+            continue;
+        }
+
+        const dust = dustThreshold === null ? [] : active.filter(entry => shares.get(entry.address) < dustThreshold);
+        if (dust.length > 0) {
+            dust.forEach(entry => excluded.add(entry.address));
+            continue;
+        }
+
+        break;
+    }
+
+    const balances = new Map(entries.map(entry => {
+        if (capped.has(entry.address)) {
+            return [entry.address, maxPerAddress];
+        }
+        return [entry.address, excluded.has(entry.address) ? 0n : shares.get(entry.address)];
+    }));
+
+    const totalOriginal = entries.reduce((sum, entry) => sum + entry.balance, 0n);
+    const totalFinal = Array.from(balances.values()).reduce((sum, balance) => sum + balance, 0n);
+    const recipients = entries.length - excluded.size;
+
+    // Every satoshi of the target must be handed out, unless there is nobody to hand it to
+    const expectedTotal = recipients > 0 ? target : 0n;
+    if (totalFinal !== expectedTotal) {
+        throw new AllocationError(`Allocation total ${totalFinal} does not match the target ${expectedTotal}`);
+    }
+
+    return {
+        balances,
+        excluded,
+        totalOriginal,
+        totalFinal,
+        multiplier: calculateMultiplier(totalOriginal, target),
+    };
+}
+
+module.exports = {
+    AllocationError,
+    STRATEGIES,
+    allocate,
+};
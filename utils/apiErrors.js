@@ -0,0 +1,119 @@
+// utils/apiErrors.js
+
+// Machine-readable codes of every error the API returns. Clients should map these,
+// not the messages, which are meant for people and may change.
+const ERROR_CODES = {
+    // Request validation
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_JSON: 'invalid_json',
+    MISSING_FIELD: 'missing_field',
+    INVALID_FIELD: 'invalid_field',
+    INVALID_EPIX_ADDRESS: 'invalid_epix_address',
+    // Authentication and limits
+    UNAUTHORIZED: 'unauthorized',
+    ADMIN_NOT_CONFIGURED: 'admin_not_configured',
+    RATE_LIMITED: 'rate_limited',
+    TOO_MANY_FAILED_SIGNATURES: 'too_many_failed_signatures',
+    // Lookups
+    NOT_FOUND: 'not_found',
+    CAMPAIGN_NOT_FOUND: 'campaign_not_found',
+    CLAIM_NOT_FOUND: 'claim_not_found',
+    EXPORT_NOT_FOUND: 'export_not_found',
+    SUBSCRIPTION_NOT_FOUND: 'subscription_not_found',
+    DELIVERY_NOT_FOUND: 'delivery_not_found',
+    BLOCKLIST_ENTRY_NOT_FOUND: 'blocklist_entry_not_found',
+    RECONCILIATION_REPORT_NOT_FOUND: 'reconciliation_report_not_found',
+    SIGNING_KEY_NOT_CONFIGURED: 'signing_key_not_configured',
+    // Claims
+    CLAIM_PERIOD_NOT_STARTED: 'claim_period_not_started',
+    CLAIM_PERIOD_ENDED: 'claim_period_ended',
+    DUPLICATE_CLAIM: 'duplicate_claim',
+    ADDRESS_BLOCKED: 'address_blocked',
+    ADDRESS_NOT_IN_SNAPSHOT: 'address_not_in_snapshot',
+    UNKNOWN_NONCE: 'unknown_nonce',
+    NONCE_USED: 'nonce_used',
+    NONCE_EXPIRED: 'nonce_expired',
+    CHALLENGE_MISMATCH: 'challenge_mismatch',
+    BALANCE_MISMATCH: 'balance_mismatch',
+    INVALID_SIGNATURE: 'invalid_signature',
+    BATCH_REJECTED: 'batch_rejected',
+    CLAIM_NOT_ACTIVE: 'claim_not_active',
+    DESTINATION_LOCKED: 'destination_locked',
+    DESTINATION_CHANGE_COOLDOWN: 'destination_change_cooldown',
+    // Admin actions
+    INVALID_STATUS_TRANSITION: 'invalid_status_transition',
+    ADDRESS_ALREADY_BLOCKED: 'address_already_blocked',
+    SUBSCRIPTION_INACTIVE: 'subscription_inactive',
+    DELIVERY_NOT_FAILED: 'delivery_not_failed',
+    // Server side
+    NODE_UNAVAILABLE: 'node_unavailable',
+    ALLOCATION_FAILED: 'allocation_failed',
+    INTERNAL_ERROR: 'internal_error',
+};
+
+/**
+ * Builds the body of an error response
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable description
+ * @param {string|null} [field] - Request field the error is about, e.g. x42_address or limit
+ * @returns {{code: string, message: string, field: (string|null), error: string}}
+ *   error repeats the message for clients written before codes existed
+ */
+function buildError(code, message, field = null) {
+    return { code, message, field, error: message };
+}
+
+/**
+ * Sends an error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable description
+ * @param {string|null} [field] - Request field the error is about
+ * @returns {Object} The response
+ */
+function sendError(res, status, code, message, field = null) {
+    return res.status(status).json(buildError(code, message, field));
+}
+
+/**
+ * Express middleware answering requests no route matched
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} The response
+ */
+function notFoundHandler(req, res) {
+    return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.path}`);
+}
+
+/**
+ * Express error handler, so errors thrown outside a route's own handling (e.g. a
+ * malformed JSON body) get the same shape as every other error
+ * @param {Error} error - The error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {function} next - Next handler
+ * @returns {Object} The response
+ */
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, ERROR_CODES.INVALID_REQUEST, 'Request body is too large');
+    }
+
+    console.error(error);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+}
+
+module.exports = {
+    ERROR_CODES,
+    buildError,
+    sendError,
+    notFoundHandler,
+    errorHandler,
+};
@@ -0,0 +1,97 @@
+// utils/auditLog.js
+const crypto = require('crypto');
+
+const MAX_FIELD_LENGTH = 255;
+
+/**
+ * Hashes a client IP so attempts from one client can be correlated without storing the address.
+ * The hash is keyed with AUDIT_IP_HASH_SECRET; without it, IPv4 hashes could be reversed by brute force.
+ * @param {string} ip - Client IP
+ * @param {string} [secret] - Hash key
+ * @returns {string|null} Hex HMAC-SHA256, or null without an IP
+ */
+function hashIp(ip, secret = '') {
+    if (!ip) {
+        return null;
+    }
+    return crypto.createHmac('sha256', secret).update(ip).digest('hex');
+}
+
+// Request fields are untrusted, so keep them to what fits a column
+function truncate(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Formats an attempt for the admin API
+ * @param {Object} attempt - ClaimAttempt instance
+ * @returns {Object} Plain attempt object
+ */
+function formatClaimAttempt(attempt) {
+    return {
+        id: attempt.id,
+        campaign_id: attempt.campaign_id,
+        x42_address: attempt.x42_address,
+        epix_address: attempt.epix_address,
+        snapshot_balance: attempt.snapshot_balance,
+        nonce: attempt.nonce,
+        outcome: attempt.outcome,
+        reason: attempt.reason,
+        ip_hash: attempt.ip_hash,
+        claim_id: attempt.claim_id,
+        created_at: attempt.createdAt,
+    };
+}
+
+/**
+ * Creates the audit log of /verify-snapshot attempts
+ * @param {Object} params
+ * @param {Object} params.ClaimAttempt - ClaimAttempt model
+ * @param {string} [params.ipHashSecret] - Key for hashIp(), defaults to AUDIT_IP_HASH_SECRET
+ * @returns {{recordAttempt: function(Object, Object=): Promise<Object>}}
+ */
+function createAuditLog({ ClaimAttempt, ipHashSecret = process.env.AUDIT_IP_HASH_SECRET }) {
+    if (!ipHashSecret) {
+        console.warn('AUDIT_IP_HASH_SECRET is not set, client IPs in the audit log are hashed without a key');
+    }
+
+    /**
+     * Records one attempt
+     * @param {Object} attempt
+     * @param {string} attempt.outcome - accepted or rejected
+     * @param {string} [attempt.reason] - Why it was rejected
+     * @param {string} [attempt.ip] - Client IP, stored hashed
+     * @param {number} [attempt.campaignId]
+     * @param {string} [attempt.x42Address]
+     * @param {string} [attempt.epixAddress]
+     * @param {*} [attempt.snapshotBalance]
+     * @param {string} [attempt.nonce]
+     * @param {number} [attempt.claimId] - The stored claim, for accepted attempts
+     * @param {Object} [transaction] - Transaction to write in, so an accepted attempt is kept only with its claim
+     * @returns {Promise<Object>} The ClaimAttempt
+     */
+    async function recordAttempt(attempt, transaction) {
+        return ClaimAttempt.create({
+            campaign_id: attempt.campaignId || null,
+            x42_address: truncate(attempt.x42Address),
+            epix_address: truncate(attempt.epixAddress),
+            snapshot_balance: truncate(attempt.snapshotBalance),
+            nonce: truncate(attempt.nonce),
+            outcome: attempt.outcome,
+            reason: attempt.reason || null,
+            ip_hash: hashIp(attempt.ip, ipHashSecret),
+            claim_id: attempt.claimId || null,
+        }, { transaction });
+    }
+
+    return { recordAttempt };
+}
+
+module.exports = {
+    hashIp,
+    formatClaimAttempt,
+    createAuditLog,
+};
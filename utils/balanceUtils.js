@@ -1,5 +1,7 @@
 // utils/balanceUtils.js
 
+const SATS_PER_COIN = 100000000n;
+
 const verifyBalances = (originalBalance, finalBalance, targetBalance) => {
     console.log('Total original balance:', originalBalance.toFixed(8));
     console.log('Total final balance:', finalBalance.toFixed(8));
@@ -7,6 +9,44 @@ const verifyBalances = (originalBalance, finalBalance, targetBalance) => {
     console.log('Difference from target:', (finalBalance - targetBalance).toFixed(8));
 };
 
+/**
+ * Calculates the pro-rata multiplier, scaled by 1e8, applied when more was claimed than the target
+ * @param {bigint} totalClaimed - Total claimed balance in satoshis
+ * @param {bigint} targetBalance - Campaign target allocation in satoshis
+ * @returns {bigint} Multiplier where 100000000n means no deduction
+ */
+const calculateMultiplier = (totalClaimed, targetBalance) => (totalClaimed > targetBalance
+    ? (targetBalance * SATS_PER_COIN) / totalClaimed
+    : SATS_PER_COIN);
+
+/**
+ * Applies a multiplier from calculateMultiplier to a balance
+ * @param {bigint} balance - Balance in satoshis
+ * @param {bigint} multiplier - Multiplier scaled by 1e8
+ * @returns {bigint} Balance after deduction, rounded down
+ */
+const applyMultiplier = (balance, multiplier) => (balance * multiplier) / SATS_PER_COIN;
+
+/**
+ * Formats satoshis as a coin amount with exactly 8 decimals
+ * @param {bigint} sats - Amount in satoshis
+ * @returns {string} e.g. "692.23563046"
+ */
+const formatSats = (sats) => (sats / SATS_PER_COIN).toString() + '.' +
+    (sats % SATS_PER_COIN).toString().padStart(8, '0');
+
+/**
+ * Formats the deduction implied by a multiplier as a percentage
+ * @param {bigint} multiplier - Multiplier scaled by 1e8
+ * @returns {string} e.g. "12.34%"
+ */
+const formatDeductionPercentage = (multiplier) =>
+    ((SATS_PER_COIN - multiplier) * 10000n / SATS_PER_COIN).toString().replace(/(\d{2})$/, '.$1') + '%';
+
 module.exports = {
-    verifyBalances
+    verifyBalances,
+    calculateMultiplier,
+    applyMultiplier,
+    formatSats,
+    formatDeductionPercentage,
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// utils/campaignUtils.js
+
+const SATS_PER_COIN = 100000000n;
+
+/**
+ * The original x42 snapshot airdrop. Seeded on first start so existing
+ * deployments keep their behaviour without any manual setup.
+ */
+const LEGACY_CAMPAIGN = {
+    name: 'x42 Snapshot Airdrop',
+    source_chain: 'x42',
+    snapshot_height: 3000000,
+    opens_at: null,
+    closes_at: new Date('2025-02-10T00:00:00Z'),
+    // Half of the 23,689,538 x42 total supply, in satoshis
+    target_allocation: ((23689538n * SATS_PER_COIN) / 2n).toString(),
+};
+
+function isSet(value) {
+    return value !== null && value !== undefined;
+}
+
+/**
+ * Where a point in time falls relative to a campaign's claim window
+ * @param {Object} campaign - Campaign with opens_at and closes_at dates
+ * @param {Date} [now] - Point in time to check against, defaults to the current time
+ * @returns {string} not_started, open or ended
+ */
+function getClaimWindowState(campaign, now = new Date()) {
+    if (campaign.opens_at && now < new Date(campaign.opens_at)) {
+        return 'not_started';
+    }
+
+    if (now > new Date(campaign.closes_at)) {
+        return 'ended';
+    }
+
+    return 'open';
+}
+
+/**
+ * Checks whether a campaign is currently accepting claims
+ * @param {Object} campaign - Campaign with opens_at and closes_at dates
+ * @param {Date} [now] - Point in time to check against, defaults to the current time
+ * @returns {string|null} An error message if the claim window is not open, null otherwise
+ */
+function getClaimWindowError(campaign, now = new Date()) {
+    switch (getClaimWindowState(campaign, now)) {
+        case 'not_started':
+            return `Claim period has not started yet. It opens on ${new Date(campaign.opens_at).toUTCString()}`;
+        case 'ended':
+            return `Claim period has ended. The deadline was ${new Date(campaign.closes_at).toUTCString()}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Builds the allocate() options for a campaign
+ * @param {Object} campaign - Campaign instance
+ * @returns {{target: bigint, strategy: string, maxPerAddress: (bigint|null), dustThreshold: (bigint|null)}}
+ */
+function getAllocationOptions(campaign) {
+    const toBigIntOrNull = (value) => (isSet(value) ? BigInt(value) : null);
+
+    return {
+        target: BigInt(campaign.target_allocation),
+        strategy: campaign.allocation_strategy || 'pro-rata',
+        maxPerAddress: toBigIntOrNull(campaign.max_allocation_per_address),
+        dustThreshold: toBigIntOrNull(campaign.dust_threshold),
+    };
+}
+
+/**
+ * Formats a campaign for API responses
+ * @param {Object} campaign - Campaign instance
+ * @returns {Object} Plain campaign object with the target allocation as a string
+ */
+function formatCampaign(campaign) {
+    return {
+        id: campaign.id,
+        name: campaign.name,
+        source_chain: campaign.source_chain,
+        snapshot_height: campaign.snapshot_height,
+        opens_at: campaign.opens_at,
+        closes_at: campaign.closes_at,
+        target_allocation: String(campaign.target_allocation),
+        allocation_strategy: campaign.allocation_strategy,
+        max_allocation_per_address: isSet(campaign.max_allocation_per_address) ? String(campaign.max_allocation_per_address) : null,
+        dust_threshold: isSet(campaign.dust_threshold) ? String(campaign.dust_threshold) : null,
+        vesting_schedule: campaign.vesting_schedule || null,
+    };
+}
+
+module.exports = {
+    LEGACY_CAMPAIGN,
+    getClaimWindowState,
+    getClaimWindowError,
+    getAllocationOptions,
+    formatCampaign,
+};
@@ -0,0 +1,78 @@
+// utils/claimMessage.js
+const crypto = require('crypto');
+
+const DEFAULT_CHALLENGE_TTL_SECONDS = 600;
+
+/**
+ * Generates a random single-use nonce for a claim challenge
+ * @returns {string} 32 character hex nonce
+ */
+function generateNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Returns how long an issued claim challenge stays valid
+ * @returns {number} Lifetime in seconds, from CLAIM_CHALLENGE_TTL_SECONDS or 10 minutes
+ */
+function getChallengeTtlSeconds() {
+    const ttl = parseInt(process.env.CLAIM_CHALLENGE_TTL_SECONDS);
+    return ttl > 0 ? ttl : DEFAULT_CHALLENGE_TTL_SECONDS;
+}
+
+/**
+ * Builds the canonical human-readable message a claimant signs with their x42 key.
+ * The same inputs always produce the same message, byte for byte.
+ * @param {Object} params
+ * @param {Object} params.campaign - Campaign with id and name
+ * @param {string} params.x42Address - Address the balance is claimed from
+ * @param {string} params.epixAddress - Address the allocation is sent to
+ * @param {string|number|bigint} params.balance - Snapshot balance in satoshis
+ * @param {string} params.nonce - Nonce issued by /claim-challenge
+ * @param {Date|string} params.expiresAt - When the challenge expires
+ * @returns {string} The message to sign
+ */
+function buildClaimMessage({ campaign, x42Address, epixAddress, balance, nonce, expiresAt }) {
+    return [
+        'Epix claim',
+        `Campaign: ${campaign.id} (${campaign.name})`,
+        `x42 address: ${x42Address}`,
+        `Epix address: ${epixAddress}`,
+        `Balance: ${String(balance)}`,
+        `Nonce: ${nonce}`,
+        `Expires: ${new Date(expiresAt).toISOString()}`,
+    ].join('\n');
+}
+
+/**
+ * Builds the canonical message a claimant signs with the same x42 key to send an existing claim
+ * to another epix address. Names both addresses, so a signature cannot be reused for another change.
+ * @param {Object} params
+ * @param {Object} params.campaign - Campaign with id and name
+ * @param {number} params.claimId - Claim whose destination changes
+ * @param {string} params.x42Address - Address the balance was claimed from
+ * @param {string} params.fromEpixAddress - Current destination
+ * @param {string} params.toEpixAddress - New destination
+ * @param {string} params.nonce - Nonce issued by /claims/{x42_address}/destination-challenge
+ * @param {Date|string} params.expiresAt - When the challenge expires
+ * @returns {string} The message to sign
+ */
+function buildDestinationChangeMessage({ campaign, claimId, x42Address, fromEpixAddress, toEpixAddress, nonce, expiresAt }) {
+    return [
+        'Epix destination change',
+        `Campaign: ${campaign.id} (${campaign.name})`,
+        `Claim: ${claimId}`,
+        `x42 address: ${x42Address}`,
+        `From epix address: ${fromEpixAddress}`,
+        `To epix address: ${toEpixAddress}`,
+        `Nonce: ${nonce}`,
+        `Expires: ${new Date(expiresAt).toISOString()}`,
+    ].join('\n');
+}
+
+module.exports = {
+    generateNonce,
+    getChallengeTtlSeconds,
+    buildClaimMessage,
+    buildDestinationChangeMessage,
+};
@@ -0,0 +1,259 @@
+// utils/claimModeration.js
+const { Op } = require('sequelize');
+const { ERROR_CODES } = require('./apiErrors');
+const { validateEpixAddress } = require('./epixAddress');
+
+const CLAIM_STATUSES = {
+    ACTIVE: 'active',
+    FLAGGED: 'flagged',
+    REVOKED: 'revoked',
+};
+
+const MAX_REASON_LENGTH = 2000;
+
+// Status each action moves a claim to, and the statuses it can be taken from
+const TRANSITIONS = {
+    flag: { to: CLAIM_STATUSES.FLAGGED, from: [CLAIM_STATUSES.ACTIVE] },
+    revoke: { to: CLAIM_STATUSES.REVOKED, from: [CLAIM_STATUSES.ACTIVE, CLAIM_STATUSES.FLAGGED] },
+    restore: { to: CLAIM_STATUSES.ACTIVE, from: [CLAIM_STATUSES.FLAGGED, CLAIM_STATUSES.REVOKED] },
+};
+
+class ModerationError extends Error {
+    constructor(message, code = ERROR_CODES.INVALID_STATUS_TRANSITION) {
+        super(message);
+        this.name = 'ModerationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Validates the free text of a moderation action
+ * @param {*} value - Reason or note from the request body
+ * @param {string} [name] - Field name for the error message
+ * @returns {{text: string}|{error: string, field: string}} Trimmed text, or the problem found
+ */
+function validateReason(value, name = 'reason') {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return { error: `${name} is required`, field: name };
+    }
+    if (value.length > MAX_REASON_LENGTH) {
+        return { error: `${name} must be at most ${MAX_REASON_LENGTH} characters`, field: name };
+    }
+    return { text: value.trim() };
+}
+
+/**
+ * Validates a blocklist entry from a request body. Epix addresses are normalized to epix1...
+ * @param {Object} body - Request body with chain, address and reason
+ * @returns {{values: {chain: string, address: string, reason: string}}|{error: string, field: string}}
+ */
+function validateBlockedAddressInput(body) {
+    const { chain, address } = body;
+
+    if (chain !== 'x42' && chain !== 'epix') {
+        return { error: 'chain must be x42 or epix', field: 'chain' };
+    }
+    if (typeof address !== 'string' || address.trim() === '') {
+        return { error: 'address is required', field: 'address' };
+    }
+
+    const reason = validateReason(body.reason);
+    if (reason.error) {
+        return reason;
+    }
+
+    if (chain === 'epix') {
+        const epixAddress = validateEpixAddress(address.trim());
+        if (!epixAddress.isvalid) {
+            return { error: `Invalid epix address: ${epixAddress.error}`, field: 'address' };
+        }
+        return { values: { chain, address: epixAddress.address, reason: reason.text } };
+    }
+
+    return { values: { chain, address: address.trim(), reason: reason.text } };
+}
+
+/**
+ * Formats a claim for the admin API, including its moderation status
+ * @param {Object} claim - Snapshot instance
+ * @returns {Object} Plain claim object
+ */
+function formatClaim(claim) {
+    return {
+        id: claim.id,
+        campaign_id: claim.campaign_id,
+        x42_address: claim.x42_address,
+        epix_address: claim.epix_address,
+        snapshot_balance: String(claim.snapshot_balance),
+        status: claim.status,
+        status_reason: claim.status_reason,
+        status_changed_at: claim.status_changed_at,
+        status_changed_by: claim.status_changed_by,
+        created_at: claim.createdAt,
+    };
+}
+
+/**
+ * Formats an entry of a claim's moderation history
+ * @param {Object} action - ClaimAction instance
+ * @returns {Object} Plain action object
+ */
+function formatClaimAction(action) {
+    return {
+        id: action.id,
+        claim_id: action.claim_id,
+        action: action.action,
+        reason: action.reason,
+        actor: action.actor,
+        created_at: action.createdAt,
+    };
+}
+
+/**
+ * Formats a blocklist entry
+ * @param {Object} entry - BlockedAddress instance
+ * @returns {Object} Plain blocklist entry
+ */
+function formatBlockedAddress(entry) {
+    return {
+        id: entry.id,
+        chain: entry.chain,
+        address: entry.address,
+        reason: entry.reason,
+        created_by: entry.created_by,
+        created_at: entry.createdAt,
+    };
+}
+
+/**
+ * Creates the moderator that changes claim statuses and keeps the blocklist. Every change is
+ * written to the ClaimAction table together with its reason and the admin who made it.
+ * @param {Object} params
+ * @param {Object} params.Snapshot - Snapshot model
+ * @param {Object} params.ClaimAction - ClaimAction model
+ * @param {Object} params.BlockedAddress - BlockedAddress model
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{changeStatus: function, annotate: function, findBlockedAddress: function, blockAddress: function}}
+ */
+function createClaimModerator({ Snapshot, ClaimAction, BlockedAddress, now = () => new Date() }) {
+    async function applyTransition(claim, action, reason, actor, transaction) {
+        await claim.update({
+            status: TRANSITIONS[action].to,
+            status_reason: reason,
+            status_changed_at: now(),
+            status_changed_by: actor,
+        }, { transaction });
+        await ClaimAction.create({ claim_id: claim.id, action, reason, actor }, { transaction });
+    }
+
+    /**
+     * Flags, revokes or restores a claim
+     * @param {number} claimId - Claim to change
+     * @param {string} action - flag, revoke or restore
+     * @param {string} reason - Why, kept with the claim and in its history
+     * @param {string} actor - Admin making the change
+     * @returns {Promise<Object|null>} The updated claim, or null if there is no such claim
+     * @throws {ModerationError} If the claim's status does not allow the action
+     */
+    async function changeStatus(claimId, action, reason, actor) {
+        const transition = TRANSITIONS[action];
+        if (!transition) {
+            throw new ModerationError(`Unknown action: ${action}`);
+        }
+
+        return Snapshot.sequelize.transaction(async (transaction) => {
+            // Lock the claim so two admins acting at once cannot both apply a transition
+            const claim = await Snapshot.findByPk(claimId, { lock: true, transaction });
+            if (!claim) {
+                return null;
+            }
+            if (!transition.from.includes(claim.status)) {
+                throw new ModerationError(`Cannot ${action} a claim that is ${claim.status}`);
+            }
+
+            await applyTransition(claim, action, reason, actor, transaction);
+            return claim;
+        });
+    }
+
+    /**
+     * Adds a note to a claim's history without changing its status
+     * @param {number} claimId - Claim to annotate
+     * @param {string} note - Note text
+     * @param {string} actor - Admin writing the note
+     * @returns {Promise<Object|null>} The ClaimAction, or null if there is no such claim
+     */
+    async function annotate(claimId, note, actor) {
+        const claim = await Snapshot.findByPk(claimId);
+        if (!claim) {
+            return null;
+        }
+
+        return ClaimAction.create({ claim_id: claim.id, action: 'note', reason: note, actor });
+    }
+
+    /**
+     * Looks up whether either side of a claim is on the blocklist
+     * @param {string} x42Address - Address the balance is claimed from
+     * @param {string} epixAddress - Normalized epix1... address
+     * @returns {Promise<Object|null>} The matching BlockedAddress, or null
+     */
+    async function findBlockedAddress(x42Address, epixAddress) {
+        return BlockedAddress.findOne({
+            where: {
+                [Op.or]: [
+                    { chain: 'x42', address: x42Address },
+                    { chain: 'epix', address: epixAddress },
+                ],
+            },
+        });
+    }
+
+    /**
+     * Adds an address to the blocklist and flags the active claims it already made
+     * @param {{chain: string, address: string, reason: string}} values - From validateBlockedAddressInput()
+     * @param {string} actor - Admin adding the entry
+     * @returns {Promise<{entry: Object, flaggedClaims: number}>}
+     * @throws {ModerationError} If the address is already blocked
+     */
+    async function blockAddress(values, actor) {
+        return Snapshot.sequelize.transaction(async (transaction) => {
+            let entry;
+            try {
+                entry = await BlockedAddress.create({ ...values, created_by: actor }, { transaction });
+            } catch (error) {
+                if (error.name === 'SequelizeUniqueConstraintError') {
+                    throw new ModerationError('Address is already blocked', ERROR_CODES.ADDRESS_ALREADY_BLOCKED);
+                }
+                throw error;
+            }
+
+            const claims = await Snapshot.findAll({
+                where: {
+                    [values.chain === 'x42' ? 'x42_address' : 'epix_address']: values.address,
+                    status: CLAIM_STATUSES.ACTIVE,
+                },
+                lock: true,
+                transaction,
+            });
+            for (const claim of claims) {
+                await applyTransition(claim, 'flag', `Blocked address: ${values.reason}`, actor, transaction);
+            }
+
+            return { entry, flaggedClaims: claims.length };
+        });
+    }
+
+    return { changeStatus, annotate, findBlockedAddress, blockAddress };
+}
+
+module.exports = {
+    CLAIM_STATUSES,
+    ModerationError,
+    validateReason,
+    validateBlockedAddressInput,
+    formatClaim,
+    formatClaimAction,
+    formatBlockedAddress,
+    createClaimModerator,
+};
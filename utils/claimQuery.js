@@ -0,0 +1,159 @@
+// utils/claimQuery.js
+const { Op } = require('sequelize');
+const { validateEpixAddress } = require('./epixAddress');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Public sort names mapped to Snapshot attributes
+const SORT_FIELDS = {
+    id: 'id',
+    created_at: 'createdAt',
+    snapshot_balance: 'snapshot_balance',
+};
+
+/**
+ * Encodes the position after a claim as an opaque cursor
+ * @param {string} sort - Public sort name
+ * @param {*} value - Value of the sort attribute of the last claim returned
+ * @param {number} id - Id of the last claim returned
+ * @returns {string} Base64url cursor
+ */
+function encodeCursor(sort, value, id) {
+    const serializedValue = value instanceof Date ? value.toISOString() : String(value);
+    return Buffer.from(JSON.stringify([sort, serializedValue, id])).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {{sort: string, value: string, id: number}|null} The decoded position, or null if malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!SORT_FIELDS[sort] || typeof value !== 'string' || !Number.isInteger(id)) {
+            return null;
+        }
+        return { sort, value, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Turns the GET /claims query string into Sequelize query options
+ * @param {Object} query - Express request query
+ * @returns {{error: string, field: string}|{where: Object, filters: Object, order: Array, limit: number, offset: number, sort: string}}
+ *   filters holds the filter conditions alone, for counting the total. limit is capped at MAX_PAGE_SIZE.
+ */
+function buildClaimsQuery(query) {
+    const sort = query.sort || 'id';
+    if (!SORT_FIELDS[sort]) {
+        return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`, field: 'sort' };
+    }
+
+    const order = (query.order || 'desc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc', field: 'order' };
+    }
+
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.pageSize);
+    if (!(pageSize > 0)) {
+        return { error: 'pageSize must be a positive integer', field: 'pageSize' };
+    }
+    const limit = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    if (!(page > 0)) {
+        return { error: 'page must be a positive integer', field: 'page' };
+    }
+
+    const filters = {};
+
+    if (query.x42_address) {
+        filters.x42_address = query.x42_address;
+    }
+
+    if (query.epix_address) {
+        const epixAddress = validateEpixAddress(query.epix_address);
+        if (!epixAddress.isvalid) {
+            return { error: `Invalid epix address: ${epixAddress.error}`, field: 'epix_address' };
+        }
+        filters.epix_address = epixAddress.address;
+    }
+
+    const balanceRange = {};
+    for (const [param, operator] of [['min_balance', Op.gte], ['max_balance', Op.lte]]) {
+        if (query[param] !== undefined) {
+            if (!/^\d+$/.test(query[param])) {
+                return { error: `${param} must be a whole number of satoshis`, field: param };
+            }
+            balanceRange[operator] = query[param];
+        }
+    }
+    if (Object.getOwnPropertySymbols(balanceRange).length > 0) {
+        filters.snapshot_balance = balanceRange;
+    }
+
+    const createdRange = {};
+    for (const [param, operator] of [['created_after', Op.gte], ['created_before', Op.lt]]) {
+        if (query[param] !== undefined) {
+            const date = parseDate(query[param]);
+            if (!date) {
+                return { error: `${param} must be an ISO 8601 date`, field: param };
+            }
+            createdRange[operator] = date;
+        }
+    }
+    if (Object.getOwnPropertySymbols(createdRange).length > 0) {
+        filters.createdAt = createdRange;
+    }
+
+    const field = SORT_FIELDS[sort];
+    const where = { ...filters };
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor || cursor.sort !== sort) {
+            return { error: 'Invalid cursor for this sort', field: 'cursor' };
+        }
+
+        // Keyset condition: strictly after the last returned claim, with id breaking ties
+        const comparison = order === 'desc' ? Op.lt : Op.gt;
+        where[Op.and] = [
+            field === 'id'
+                ? { id: { [comparison]: cursor.id } }
+                : {
+                    [Op.or]: [
+                        { [field]: { [comparison]: cursor.value } },
+                        { [field]: cursor.value, id: { [comparison]: cursor.id } },
+                    ],
+                },
+        ];
+    }
+
+    const direction = order.toUpperCase();
+
+    return {
+        where,
+        filters,
+        order: field === 'id' ? [['id', direction]] : [[field, direction], ['id', direction]],
+        limit,
+        offset: query.cursor ? 0 : (page - 1) * limit,
+        sort,
+    };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    SORT_FIELDS,
+    encodeCursor,
+    decodeCursor,
+    buildClaimsQuery,
+};
@@ -0,0 +1,135 @@
+// utils/claimVerification.js
+const { ERROR_CODES } = require('./apiErrors');
+const { getClaimWindowState, getClaimWindowError } = require('./campaignUtils');
+const { buildClaimMessage } = require('./claimMessage');
+const { verifyMessage } = require('./x42Message');
+
+// Error code of each closed claim window, see getClaimWindowState()
+const CLAIM_WINDOW_ERROR_CODES = {
+    not_started: ERROR_CODES.CLAIM_PERIOD_NOT_STARTED,
+    ended: ERROR_CODES.CLAIM_PERIOD_ENDED,
+};
+
+class ClaimRejectedError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Why the claim was rejected
+     * @param {string|null} [field] - Request field the rejection is about
+     */
+    constructor(code, message, field = null) {
+        super(message);
+        this.name = 'ClaimRejectedError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+/**
+ * Creates the checks a claim has to pass before it is stored
+ * @param {Object} params
+ * @param {Object} params.Campaign - Campaign model
+ * @param {Object} params.Snapshot - Snapshot model
+ * @param {Object} params.SnapshotBalance - SnapshotBalance model
+ * @param {Object} params.ClaimChallenge - ClaimChallenge model
+ * @param {function(string, string): Promise<Object|null>} params.findBlockedAddress - From createClaimModerator()
+ * @param {function(string, string, string): boolean} [params.verifySignature] - Checks a signed message, for tests
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{checkClaim: function}}
+ */
+function createClaimVerifier({
+    Campaign,
+    Snapshot,
+    SnapshotBalance,
+    ClaimChallenge,
+    findBlockedAddress,
+    verifySignature = verifyMessage,
+    now = () => new Date(),
+}) {
+    /**
+     * Runs every check of a claim short of storing it: the nonce, the claim window, duplicates,
+     * the blocklist, the balance and the signature
+     * @param {Object} claim
+     * @param {string} claim.x42Address - Address the balance is claimed from
+     * @param {string} claim.epixAddress - Normalized epix1... address
+     * @param {bigint} claim.snapshotBalance - Claimed balance in satoshis
+     * @param {string} claim.nonce - Nonce from /claim-challenge
+     * @param {string} claim.signature - Signature of the challenge message
+     * @returns {Promise<Object>} { campaignId, campaign, message } when the claim passes, or
+     *   { campaignId, rejection: { code, message, field } } when it does not. campaignId is null for unknown nonces.
+     */
+    async function checkClaim({ x42Address, epixAddress, snapshotBalance, nonce, signature }) {
+        // Check the nonce was issued for this claim and is still usable
+        const challenge = await ClaimChallenge.findOne({ where: { nonce } });
+        if (!challenge) {
+            return { campaignId: null, rejection: { code: ERROR_CODES.UNKNOWN_NONCE, message: 'Unknown nonce', field: 'nonce' } };
+        }
+
+        const campaignId = challenge.campaign_id;
+        const reject = (code, message, field = null) => ({ campaignId, rejection: { code, message, field } });
+
+        if (challenge.used_at) {
+            return reject(ERROR_CODES.NONCE_USED, 'Nonce has already been used', 'nonce');
+        }
+
+        if (now() > challenge.expires_at) {
+            return reject(ERROR_CODES.NONCE_EXPIRED, 'Nonce has expired', 'nonce');
+        }
+
+        if (challenge.x42_address !== x42Address || challenge.epix_address !== epixAddress) {
+            return reject(ERROR_CODES.CHALLENGE_MISMATCH, 'Claim does not match the issued challenge');
+        }
+
+        const campaign = await Campaign.findByPk(challenge.campaign_id);
+
+        // Check if the claim period is open
+        const claimWindowError = getClaimWindowError(campaign, now());
+        if (claimWindowError) {
+            return reject(CLAIM_WINDOW_ERROR_CODES[getClaimWindowState(campaign, now())], claimWindowError);
+        }
+
+        // Check if address already exists in this campaign
+        const existingSnapshot = await Snapshot.findOne({ where: { x42_address: x42Address, campaign_id: campaign.id } });
+        if (existingSnapshot) {
+            return reject(ERROR_CODES.DUPLICATE_CLAIM, 'Duplicate address. Snapshot was already verified.', 'x42_address');
+        }
+
+        // Check neither address is on the blocklist
+        if (await findBlockedAddress(x42Address, epixAddress)) {
+            return reject(ERROR_CODES.ADDRESS_BLOCKED, 'Address is blocked');
+        }
+
+        // Verify balance against the imported snapshot
+        const snapshotBalanceRow = await SnapshotBalance.findOne({ where: { campaign_id: campaign.id, address: x42Address } });
+        if (!snapshotBalanceRow) {
+            return reject(ERROR_CODES.ADDRESS_NOT_IN_SNAPSHOT, 'Address not found in snapshot', 'x42_address');
+        }
+
+        if (BigInt(snapshotBalanceRow.balance) !== snapshotBalance || BigInt(challenge.snapshot_balance) !== snapshotBalance) {
+            return reject(ERROR_CODES.BALANCE_MISMATCH, 'Balance verification failed', 'snapshot_balance');
+        }
+
+        // Verify signature over the canonical challenge message
+        const message = buildClaimMessage({
+            campaign,
+            x42Address,
+            epixAddress,
+            balance: challenge.snapshot_balance,
+            nonce,
+            expiresAt: challenge.expires_at,
+        });
+
+        if (!verifySignature(message, x42Address, signature)) {
+            return reject(ERROR_CODES.INVALID_SIGNATURE, 'Signature verification failed', 'signature');
+        }
+
+        return { campaignId, campaign, message };
+    }
+
+    return { checkClaim };
+}
+
+module.exports = {
+    CLAIM_WINDOW_ERROR_CODES,
+    ClaimRejectedError,
+    createClaimVerifier,
+};
@@ -0,0 +1,120 @@
+// utils/csvExport.js
+const { formatSats, formatDeductionPercentage } = require('./balanceUtils');
+const { buildUnlockSchedule } = require('./vesting');
+
+const SIMPLE_HEADERS = 'epix_address,balance';
+const DETAILED_HEADERS = [
+    'epix_address',
+    'x42_address',
+    'original_balance',
+    'final_balance',
+    'deduction_amount',
+    'deduction_percentage',
+    'signature',
+    'raw_json'
+].join(',');
+// Appended to either layout when the campaign has a vesting schedule
+const VESTING_HEADERS = [
+    'immediate_balance',
+    'vesting_balance',
+    'vesting_start',
+    'vesting_end',
+    'unlock_schedule'
+].join(',');
+
+// Helper function to escape CSV fields
+function escapeCsvField(field) {
+    if (field === null || field === undefined) {
+        return '';
+    }
+
+    const stringField = String(field);
+
+    // If the field contains commas, quotes, or newlines, wrap it in quotes
+    // and escape any internal quotes by doubling them
+    if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n') || stringField.includes('\r')) {
+        return '"' + stringField.replace(/"/g, '""') + '"';
+    }
+
+    return stringField;
+}
+
+// The vesting columns of an address: what it receives at the start, what vests, and when each part unlocks
+function vestingFields(balance, vesting) {
+    const unlocks = buildUnlockSchedule(balance, vesting);
+    const vests = unlocks.vesting > 0n;
+
+    return [
+        escapeCsvField(formatSats(unlocks.immediate)),
+        escapeCsvField(formatSats(unlocks.vesting)),
+        escapeCsvField(vests ? unlocks.startTime.toISOString() : ''),
+        escapeCsvField(vests ? unlocks.endTime.toISOString() : ''),
+        escapeCsvField(JSON.stringify(unlocks.periods.map(period => ({
+            unlocks_at: period.unlocksAt.toISOString(),
+            amount: formatSats(period.amount),
+        })))),
+    ];
+}
+
+/**
+ * Writes the snapshot CSV one line at a time, so memory use does not grow with the number of claims.
+ *
+ * The simple layout has one line per epix address, in allocation order, and leaves out addresses the
+ * allocation excluded. The detailed layout has one line per claim and needs the claims grouped by
+ * epix address in the same order. With a vesting schedule, both layouts end with the split of the
+ * address's final balance into its immediate part and its unlock periods.
+ *
+ * @param {Object} params
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {AsyncIterable<Object>} [params.claims] - Claims with epix_address, x42_address, snapshot_balance,
+ *   signature and raw_json. Only read in detailed mode.
+ * @param {boolean} params.detailed - Whether to write the detailed layout
+ * @param {Object|null} [params.vesting] - Result of parseVestingSchedule() from utils/vesting.js, null for no vesting columns
+ * @param {function(string): Promise<void>} params.write - Writes a chunk of output
+ * @returns {Promise<number>} Number of lines written, not counting the header
+ */
+async function writeSnapshotCsv({ allocation, claims, detailed, vesting = null, write }) {
+    const deductionPercentage = formatDeductionPercentage(allocation.multiplier);
+    let lineCount = 0;
+
+    const writeLine = (line) => write((lineCount++ === 0 ? '' : '\n') + line);
+
+    const headers = detailed ? DETAILED_HEADERS : SIMPLE_HEADERS;
+    await write((vesting ? `${headers},${VESTING_HEADERS}` : headers) + '\n');
+
+    const withVesting = (fields, finalBalance) => (vesting ? fields.concat(vestingFields(finalBalance, vesting)) : fields);
+
+    if (!detailed) {
+        for (const [epixAddress, finalBalance] of allocation.balances) {
+            if (!allocation.excluded.has(epixAddress)) {
+                await writeLine(withVesting([
+                    escapeCsvField(epixAddress),
+                    escapeCsvField(formatSats(finalBalance))
+                ], finalBalance).join(','));
+            }
+        }
+        return lineCount;
+    }
+
+    for await (const claim of claims) {
+        const finalBalance = allocation.balances.get(claim.epix_address);
+
+        await writeLine(withVesting([
+            escapeCsvField(claim.epix_address),
+            escapeCsvField(claim.x42_address),
+            escapeCsvField(claim.snapshot_balance),
+            escapeCsvField(formatSats(finalBalance)),
+            escapeCsvField((BigInt(claim.snapshot_balance) - finalBalance).toString()),
+            escapeCsvField(deductionPercentage),
+            escapeCsvField(claim.signature),
+            escapeCsvField(JSON.stringify(claim.raw_json))
+        ], finalBalance).join(','));
+    }
+
+    return lineCount;
+}
+
+module.exports = {
+    escapeCsvField,
+    writeSnapshotCsv,
+};
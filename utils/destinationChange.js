@@ -0,0 +1,251 @@
+// utils/destinationChange.js
+const { Op } = require('sequelize');
+const { ERROR_CODES } = require('./apiErrors');
+const { CLAIM_STATUSES } = require('./claimModeration');
+const { generateNonce, getChallengeTtlSeconds, buildDestinationChangeMessage } = require('./claimMessage');
+const { verifyMessage } = require('./x42Message');
+const { NOTIFICATION_EVENTS } = require('./notificationChannels');
+
+const DEFAULT_COOLDOWN_SECONDS = 86400;
+
+class DestinationChangeError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Why the change was refused
+     * @param {Object} [options]
+     * @param {number} [options.status] - HTTP status to answer with
+     * @param {string|null} [options.field] - Request field the error is about
+     * @param {number|null} [options.retryAfter] - Seconds until the change may be retried
+     */
+    constructor(code, message, { status = 400, field = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'DestinationChangeError';
+        this.code = code;
+        this.status = status;
+        this.field = field;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Returns the minimum time between two destination changes of a claim
+ * @param {Object} [env] - Environment, defaults to process.env
+ * @returns {number} Seconds, from DESTINATION_CHANGE_COOLDOWN_SECONDS or a day. 0 turns the cooldown off.
+ */
+function getDestinationChangeCooldownSeconds(env = process.env) {
+    const cooldown = parseInt(env.DESTINATION_CHANGE_COOLDOWN_SECONDS);
+    return cooldown >= 0 ? cooldown : DEFAULT_COOLDOWN_SECONDS;
+}
+
+/**
+ * Formats an applied destination change for the public API
+ * @param {Object} change - DestinationChange instance
+ * @returns {Object} Plain change object
+ */
+function formatDestinationChange(change) {
+    return {
+        id: change.id,
+        claim_id: change.claim_id,
+        from_epix_address: change.from_epix_address,
+        to_epix_address: change.to_epix_address,
+        message: change.message,
+        signature: change.signature,
+        changed_at: change.applied_at,
+    };
+}
+
+/**
+ * Creates the flow that moves an existing claim to another epix address. The holder asks for a
+ * challenge naming the new address, signs it with the claim's x42 key and submits the signature.
+ * Every applied change is kept, with its signed message, in the DestinationChange table, the
+ * claim's ClaimAction history and the transparency log, and is published as destination_changed.
+ * @param {Object} params
+ * @param {Object} params.Snapshot - Snapshot model
+ * @param {Object} params.DestinationChange - DestinationChange model
+ * @param {Object} params.ClaimAction - ClaimAction model
+ * @param {function(string, string): Promise<Object|null>} params.findBlockedAddress - From createClaimModerator()
+ * @param {{appendDestinationChange: function}} params.transparencyLog - From createTransparencyLog()
+ * @param {function(string, Object): Promise} params.publishEvent - Sends an event to the notifier and webhooks, never rejects
+ * @param {number} [params.cooldownSeconds] - Minimum time between two changes of a claim
+ * @param {function(string, string, string): boolean} [params.verifySignature] - Checks a signed message, for tests
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{issueChallenge: function, applyChange: function, getHistory: function}}
+ */
+function createDestinationChanger({
+    Snapshot,
+    DestinationChange,
+    ClaimAction,
+    findBlockedAddress,
+    transparencyLog,
+    publishEvent,
+    cooldownSeconds = getDestinationChangeCooldownSeconds(),
+    verifySignature = verifyMessage,
+    now = () => new Date(),
+}) {
+    // The checks a change has to pass both when its challenge is issued and when it is applied
+    async function checkAllowed(claim, campaign, toEpixAddress, transaction) {
+        if (!claim) {
+            throw new DestinationChangeError(ERROR_CODES.CLAIM_NOT_FOUND, 'Claim not found', { status: 404 });
+        }
+
+        // The export of a closed campaign must not move under it
+        if (now() > new Date(campaign.closes_at)) {
+            throw new DestinationChangeError(ERROR_CODES.DESTINATION_LOCKED, 'Destinations are locked since the claim period ended', { status: 409 });
+        }
+
+        if (claim.status !== CLAIM_STATUSES.ACTIVE) {
+            throw new DestinationChangeError(ERROR_CODES.CLAIM_NOT_ACTIVE, `The claim is ${claim.status}`, { status: 409 });
+        }
+
+        if (claim.epix_address === toEpixAddress) {
+            throw new DestinationChangeError(ERROR_CODES.INVALID_FIELD, 'epix_address is already the destination of the claim', { field: 'epix_address' });
+        }
+
+        if (await findBlockedAddress(claim.x42_address, toEpixAddress)) {
+            throw new DestinationChangeError(ERROR_CODES.ADDRESS_BLOCKED, 'Address is blocked');
+        }
+
+        const last = await DestinationChange.findOne({
+            where: { claim_id: claim.id, applied_at: { [Op.ne]: null } },
+            order: [['applied_at', 'DESC']],
+            transaction,
+        });
+        if (last && cooldownSeconds > 0) {
+            const retryAfter = Math.ceil((new Date(last.applied_at).getTime() + cooldownSeconds * 1000 - now().getTime()) / 1000);
+            if (retryAfter > 0) {
+                throw new DestinationChangeError(
+                    ERROR_CODES.DESTINATION_CHANGE_COOLDOWN,
+                    'The destination of this claim was changed recently',
+                    { status: 429, retryAfter }
+                );
+            }
+        }
+    }
+
+    /**
+     * Issues the challenge to sign for a destination change
+     * @param {Object} params
+     * @param {Object} params.campaign - Campaign of the claim
+     * @param {string} params.x42Address - Address the balance was claimed from
+     * @param {string} params.toEpixAddress - New destination, normalized to epix1...
+     * @returns {Promise<{nonce: string, message: string, expiresAt: Date}>}
+     * @throws {DestinationChangeError} If the claim cannot be moved to the address
+     */
+    async function issueChallenge({ campaign, x42Address, toEpixAddress }) {
+        const claim = await Snapshot.findOne({ where: { campaign_id: campaign.id, x42_address: x42Address } });
+        await checkAllowed(claim, campaign, toEpixAddress);
+
+        const nonce = generateNonce();
+        const expiresAt = new Date(now().getTime() + getChallengeTtlSeconds() * 1000);
+        const message = buildDestinationChangeMessage({
+            campaign,
+            claimId: claim.id,
+            x42Address,
+            fromEpixAddress: claim.epix_address,
+            toEpixAddress,
+            nonce,
+            expiresAt,
+        });
+
+        await DestinationChange.create({
+            nonce,
+            claim_id: claim.id,
+            campaign_id: campaign.id,
+            x42_address: x42Address,
+            from_epix_address: claim.epix_address,
+            to_epix_address: toEpixAddress,
+            message,
+            expires_at: expiresAt,
+        });
+
+        return { nonce, message, expiresAt };
+    }
+
+    /**
+     * Checks a signed challenge and moves the claim to its new destination
+     * @param {Object} params
+     * @param {Object} params.campaign - Campaign of the claim
+     * @param {string} params.x42Address - Address the balance was claimed from
+     * @param {string} params.toEpixAddress - New destination, normalized to epix1...
+     * @param {string} params.nonce - Nonce of the challenge
+     * @param {string} params.signature - Signature of the challenge message
+     * @returns {Promise<{claim: Object, change: Object}>} The updated claim and the applied change
+     * @throws {DestinationChangeError} If the change is refused. code is invalid_signature for a bad signature.
+     */
+    async function applyChange({ campaign, x42Address, toEpixAddress, nonce, signature }) {
+        const applied = await Snapshot.sequelize.transaction(async (transaction) => {
+            const change = await DestinationChange.findOne({ where: { nonce }, lock: true, transaction });
+            if (!change) {
+                throw new DestinationChangeError(ERROR_CODES.UNKNOWN_NONCE, 'Unknown nonce', { field: 'nonce' });
+            }
+            if (change.applied_at) {
+                throw new DestinationChangeError(ERROR_CODES.NONCE_USED, 'Nonce has already been used', { field: 'nonce' });
+            }
+            if (now() > new Date(change.expires_at)) {
+                throw new DestinationChangeError(ERROR_CODES.NONCE_EXPIRED, 'Nonce has expired', { field: 'nonce' });
+            }
+            if (change.campaign_id !== campaign.id || change.x42_address !== x42Address || change.to_epix_address !== toEpixAddress) {
+                throw new DestinationChangeError(ERROR_CODES.CHALLENGE_MISMATCH, 'Request does not match the issued challenge');
+            }
+
+            // Lock the claim so a concurrent change or moderation action cannot interleave
+            const claim = await Snapshot.findByPk(change.claim_id, { lock: true, transaction });
+            await checkAllowed(claim, campaign, toEpixAddress, transaction);
+            if (claim.epix_address !== change.from_epix_address) {
+                throw new DestinationChangeError(ERROR_CODES.CHALLENGE_MISMATCH, 'The destination changed since the challenge was issued');
+            }
+
+            if (!verifySignature(change.message, x42Address, signature)) {
+                throw new DestinationChangeError(ERROR_CODES.INVALID_SIGNATURE, 'Signature verification failed', { field: 'signature' });
+            }
+
+            await change.update({ signature, applied_at: now() }, { transaction });
+            await claim.update({ epix_address: toEpixAddress }, { transaction });
+            await ClaimAction.create({
+                claim_id: claim.id,
+                action: 'change_destination',
+                reason: `Destination changed from ${change.from_epix_address} to ${toEpixAddress}`,
+                actor: x42Address,
+            }, { transaction });
+            await transparencyLog.appendDestinationChange(change, transaction);
+
+            return { claim, change };
+        });
+
+        // Once committed, so subscribers never hear of a change that was rolled back. Not awaited.
+        const { claim, change } = applied;
+        publishEvent(NOTIFICATION_EVENTS.DESTINATION_CHANGED, {
+            campaign_id: change.campaign_id,
+            claim_id: claim.id,
+            x42_address: x42Address,
+            from_epix_address: change.from_epix_address,
+            to_epix_address: change.to_epix_address,
+            changed_at: change.applied_at,
+        });
+
+        return applied;
+    }
+
+    /**
+     * Lists the applied destination changes of claims, oldest first
+     * @param {number|number[]} claimIds - Claim or claims to look up
+     * @param {Object} [transaction] - Transaction to read in
+     * @returns {Promise<Object[]>} DestinationChange instances
+     */
+    async function getHistory(claimIds, transaction) {
+        return DestinationChange.findAll({
+            where: { claim_id: claimIds, applied_at: { [Op.ne]: null } },
+            order: [['applied_at', 'ASC'], ['id', 'ASC']],
+            transaction,
+        });
+    }
+
+    return { issueChallenge, applyChange, getHistory };
+}
+
+module.exports = {
+    DestinationChangeError,
+    getDestinationChangeCooldownSeconds,
+    formatDestinationChange,
+    createDestinationChanger,
+};
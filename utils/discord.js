@@ -1,9 +1,10 @@
 // utils/discord.js
-const axios = require('axios');
+const { NOTIFICATION_EVENTS, createDiscordChannel } = require('./notificationChannels');
 require('dotenv').config();
 
 /**
- * Sends a notification to Discord about a successful snapshot verification
+ * Sends a notification to Discord about a successful snapshot verification.
+ * Kept for scripts and existing callers; the API sends through utils/notifier.js.
  * @param {string} x42Address - The x42 address that was verified
  * @param {number} snapshotBalance - The verified balance amount
  * @returns {Promise<boolean>} Returns true if notification was sent successfully, false otherwise
@@ -17,30 +18,11 @@ async function sendSnapshotVerificationNotification(x42Address, snapshotBalance)
     }
 
     try {
-        const formattedBalance = (snapshotBalance / 100000000).toFixed(8);
-
-        const webhookMessage = {
-            embeds: [{
-                title: '🎉 New Claim Verified! 🎉',
-                description: `A user has claimed thier snapshotted balance successfully.\n\nCheck the claim details at [claim.epix.zone](https://claim.epix.zone/)`,
-                fields: [
-                    {
-                        name: 'x42 Address',
-                        value: x42Address,
-                        inline: true
-                    },
-                    {
-                        name: 'Amount',
-                        value: `${formattedBalance} x42`,
-                        inline: true
-                    }
-                ],
-                color: 3447003, // Discord blue color
-                timestamp: new Date().toISOString()
-            }]
-        };
-
-        await axios.post(webhookUrl, webhookMessage);
+        await createDiscordChannel({ url: webhookUrl }).send({
+            type: NOTIFICATION_EVENTS.CLAIM_VERIFIED,
+            data: { x42_address: x42Address, snapshot_balance: snapshotBalance },
+            timestamp: new Date().toISOString(),
+        });
         return true;
     } catch (error) {
         console.error('Failed to send Discord webhook:', error);
@@ -0,0 +1,96 @@
+// utils/epixAddress.js
+const { bech32 } = require('bech32');
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+const EPIX_HRP = 'epix';
+
+/**
+ * Encodes a hex address with the EIP-55 mixed-case checksum
+ * @param {string} hexAddress - 40 hex characters, with or without 0x prefix
+ * @returns {string} Checksummed 0x address
+ */
+function toChecksumHexAddress(hexAddress) {
+    const lower = hexAddress.replace(/^0x/i, '').toLowerCase();
+    const hash = Buffer.from(keccak_256(lower)).toString('hex');
+
+    let checksummed = '0x';
+    for (let i = 0; i < lower.length; i++) {
+        checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+
+    return checksummed;
+}
+
+function bytesToBech32(bytes) {
+    return bech32.encode(EPIX_HRP, bech32.toWords(bytes));
+}
+
+function validateBech32Address(address) {
+    let decoded;
+    try {
+        decoded = bech32.decode(address);
+    } catch (error) {
+        return { isvalid: false, error: 'Invalid bech32 address or checksum' };
+    }
+
+    if (decoded.prefix !== EPIX_HRP) {
+        return { isvalid: false, error: `Address prefix must be "${EPIX_HRP}"` };
+    }
+
+    const bytes = Buffer.from(bech32.fromWords(decoded.words));
+    if (bytes.length !== 20 && bytes.length !== 32) {
+        return { isvalid: false, error: 'Address must encode 20 or 32 bytes' };
+    }
+
+    return {
+        isvalid: true,
+        format: 'bech32',
+        address: bytesToBech32(bytes),
+        hex_address: bytes.length === 20 ? toChecksumHexAddress(bytes.toString('hex')) : null,
+    };
+}
+
+function validateHexAddress(address) {
+    const hex = address.slice(2);
+
+    if (!/^[0-9a-fA-F]{40}$/.test(hex)) {
+        return { isvalid: false, error: 'Hex address must be 0x followed by 40 hex characters' };
+    }
+
+    // Mixed-case addresses carry an EIP-55 checksum that must match
+    const isSingleCase = hex === hex.toLowerCase() || hex === hex.toUpperCase();
+    if (!isSingleCase && toChecksumHexAddress(hex) !== `0x${hex}`) {
+        return { isvalid: false, error: 'Invalid hex address checksum' };
+    }
+
+    return {
+        isvalid: true,
+        format: 'hex',
+        address: bytesToBech32(Buffer.from(hex, 'hex')),
+        hex_address: toChecksumHexAddress(hex),
+    };
+}
+
+/**
+ * Validates an epix address given either as epix1... bech32 or as a 0x EVM hex address
+ * @param {string} address - Address to validate
+ * @returns {{isvalid: boolean, format?: string, address?: string, hex_address?: (string|null), error?: string}}
+ *   On success, address holds the normalized epix1... form that should be stored
+ */
+function validateEpixAddress(address) {
+    if (typeof address !== 'string' || address.length === 0) {
+        return { isvalid: false, error: 'Epix address is required' };
+    }
+
+    if (/^0x/i.test(address)) {
+        return validateHexAddress(address);
+    }
+
+    return validateBech32Address(address);
+}
+
+module.exports = {
+    EPIX_HRP,
+    toChecksumHexAddress,
+    validateEpixAddress,
+};
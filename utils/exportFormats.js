@@ -0,0 +1,234 @@
+// utils/exportFormats.js
+const { bech32 } = require('bech32');
+const { hashLeaf, buildMerkleTree, getMerkleRoot, getMerkleProof } = require('./merkle');
+const { toChecksumHexAddress } = require('./epixAddress');
+const { buildUnlockSchedule } = require('./vesting');
+
+// x42 balances are stored in satoshis, 8 decimal places
+const X42_DECIMALS = 8;
+const DEFAULT_DENOM = 'aepix';
+const DEFAULT_DECIMALS = 18;
+const MAX_DECIMALS = 36;
+
+// Same rule the Cosmos SDK applies to coin denominations
+const DENOM_PATTERN = /^[a-zA-Z][a-zA-Z0-9/:._-]{2,127}$/;
+
+const EXPORT_FORMATS = {
+    'csv': { contentType: 'text/csv; charset=utf-8' },
+    'cosmos-genesis': { fileName: 'genesis_balances.json', contentType: 'application/json; charset=utf-8' },
+    'cosmos-vesting': { fileName: 'genesis_vesting_accounts.json', contentType: 'application/json; charset=utf-8' },
+    'jsonl': { fileName: 'snapshots.jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+    'merkle': { fileName: 'merkle_distribution.json', contentType: 'application/json; charset=utf-8' },
+};
+
+/**
+ * Reads the export format and the target denomination from the query string,
+ * falling back to GENESIS_DENOM and GENESIS_DECIMALS from the environment
+ * @param {Object} query - Express req.query
+ * @returns {{format: string, denom: string, decimals: number}|{error: string, field: string}}
+ */
+function getExportOptions(query) {
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, field: 'format' };
+    }
+
+    const denom = query.denom || process.env.GENESIS_DENOM || DEFAULT_DENOM;
+    if (!DENOM_PATTERN.test(denom)) {
+        return { error: 'Invalid denom', field: 'denom' };
+    }
+
+    const rawDecimals = String(query.decimals || process.env.GENESIS_DECIMALS || DEFAULT_DECIMALS);
+    const decimals = Number(rawDecimals);
+    if (!/^\d+$/.test(rawDecimals) || decimals < X42_DECIMALS || decimals > MAX_DECIMALS) {
+        return { error: `decimals must be an integer between ${X42_DECIMALS} and ${MAX_DECIMALS}`, field: 'decimals' };
+    }
+
+    return { format, denom, decimals };
+}
+
+/**
+ * Converts x42 satoshis into the smallest unit of a denomination with more decimal places
+ * @param {bigint} sats - Amount in x42 satoshis
+ * @param {number} decimals - Decimal places of the target denomination, at least 8
+ * @returns {bigint} Amount in the target denomination
+ */
+function toDenomAmount(sats, decimals) {
+    return sats * 10n ** BigInt(decimals - X42_DECIMALS);
+}
+
+// Addresses that receive something, in allocation order
+function* recipients(allocation) {
+    for (const [address, balance] of allocation.balances) {
+        if (!allocation.excluded.has(address) && balance > 0n) {
+            yield [address, balance];
+        }
+    }
+}
+
+/**
+ * Writes the allocation as the balances and supply of a Cosmos bank module genesis,
+ * ready to be placed under app_state.bank. Addresses with nothing allocated are left out,
+ * since genesis coins must be positive.
+ * @param {Object} params
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {string} params.denom - Denomination of the coins
+ * @param {number} params.decimals - Decimal places of the denomination
+ * @param {function(string): Promise<void>} params.write - Writes a chunk of output
+ * @returns {Promise<number>} Number of balances written
+ */
+async function writeBankGenesis({ allocation, denom, decimals, write }) {
+    let count = 0;
+    let supply = 0n;
+
+    await write('{\n"balances": [');
+    for (const [address, balance] of recipients(allocation)) {
+        const amount = toDenomAmount(balance, decimals);
+        supply += amount;
+
+        await write((count++ === 0 ? '\n' : ',\n') + JSON.stringify({
+            address,
+            coins: [{ denom, amount: amount.toString() }],
+        }));
+    }
+    await write(`\n],\n"supply": ${JSON.stringify(supply > 0n ? [{ denom, amount: supply.toString() }] : [])}\n}\n`);
+
+    return count;
+}
+
+// Unix seconds as the string Cosmos genesis files use for times
+const toUnixSeconds = (date) => String(Math.floor(date.getTime() / 1000));
+
+/**
+ * Writes a periodic vesting account for every address with part of its allocation vesting, ready to
+ * be placed under app_state.auth.accounts next to the bank balances of the cosmos-genesis format.
+ * The bank balance holds the whole allocation; original_vesting is the part that is locked, and
+ * it unlocks period by period. Addresses receiving everything immediately need no account here.
+ * @param {Object} params
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {Object} params.vesting - Result of parseVestingSchedule() from utils/vesting.js
+ * @param {string} params.denom - Denomination of the coins
+ * @param {number} params.decimals - Decimal places of the denomination
+ * @param {function(string): Promise<void>} params.write - Writes a chunk of output
+ * @returns {Promise<number>} Number of accounts written
+ */
+async function writeVestingGenesis({ allocation, vesting, denom, decimals, write }) {
+    const toCoins = (sats) => (sats > 0n ? [{ denom, amount: toDenomAmount(sats, decimals).toString() }] : []);
+    let count = 0;
+
+    await write('{\n"accounts": [');
+    for (const [address, balance] of recipients(allocation)) {
+        const unlocks = buildUnlockSchedule(balance, vesting);
+        if (unlocks.vesting === 0n) {
+            continue;
+        }
+
+        await write((count++ === 0 ? '\n' : ',\n') + JSON.stringify({
+            '@type': '/cosmos.vesting.v1beta1.PeriodicVestingAccount',
+            base_vesting_account: {
+                base_account: { address, pub_key: null, account_number: '0', sequence: '0' },
+                original_vesting: toCoins(unlocks.vesting),
+                delegated_free: [],
+                delegated_vesting: [],
+                end_time: toUnixSeconds(unlocks.endTime),
+            },
+            start_time: toUnixSeconds(unlocks.startTime),
+            vesting_periods: unlocks.periods.map(period => ({
+                length: String(period.length),
+                amount: toCoins(period.amount),
+            })),
+        }));
+    }
+    await write('\n]\n}\n');
+
+    return count;
+}
+
+/**
+ * Writes one JSON object per line for every epix address the allocation did not exclude
+ * @param {Object} params
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {string} params.denom - Denomination of the converted amount
+ * @param {number} params.decimals - Decimal places of the denomination
+ * @param {function(string): Promise<void>} params.write - Writes a chunk of output
+ * @returns {Promise<number>} Number of lines written
+ */
+async function writeJsonLines({ allocation, denom, decimals, write }) {
+    let count = 0;
+
+    for (const [address, balance] of allocation.balances) {
+        if (allocation.excluded.has(address)) {
+            continue;
+        }
+
+        await write(JSON.stringify({
+            epix_address: address,
+            balance: balance.toString(),
+            amount: toDenomAmount(balance, decimals).toString(),
+            denom,
+        }) + '\n');
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * Writes a merkle distribution: the root, and for every recipient its leaf index, amount and proof.
+ * Leaves are keccak256(uint256 index ++ address bytes ++ uint256 amount) and pairs are hashed in
+ * sorted order, as merkle distributor contracts expect.
+ * @param {Object} params
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {string} params.denom - Denomination of the amounts
+ * @param {number} params.decimals - Decimal places of the denomination
+ * @param {function(string): Promise<void>} params.write - Writes a chunk of output
+ * @returns {Promise<number>} Number of claims written
+ */
+async function writeMerkleDistribution({ allocation, denom, decimals, write }) {
+    const claims = [];
+    for (const [address, balance] of recipients(allocation)) {
+        const addressBytes = Buffer.from(bech32.fromWords(bech32.decode(address).words));
+        const amount = toDenomAmount(balance, decimals);
+
+        claims.push({
+            address,
+            hexAddress: addressBytes.length === 20 ? toChecksumHexAddress(addressBytes.toString('hex')) : null,
+            amount,
+            leaf: hashLeaf(claims.length, addressBytes, amount),
+        });
+    }
+
+    const layers = buildMerkleTree(claims.map(claim => claim.leaf));
+    const root = '0x' + getMerkleRoot(layers).toString('hex');
+    const total = claims.reduce((sum, claim) => sum + claim.amount, 0n);
+
+    await write('{\n' + [
+        `"merkle_root": ${JSON.stringify(root)}`,
+        `"denom": ${JSON.stringify(denom)}`,
+        `"decimals": ${decimals}`,
+        `"token_total": ${JSON.stringify(total.toString())}`,
+    ].join(',\n') + ',\n"claims": {');
+
+    for (let index = 0; index < claims.length; index++) {
+        const claim = claims[index];
+        await write((index === 0 ? '\n' : ',\n') + JSON.stringify(claim.address) + ': ' + JSON.stringify({
+            index,
+            hex_address: claim.hexAddress,
+            amount: claim.amount.toString(),
+            proof: getMerkleProof(layers, index).map(hash => '0x' + hash.toString('hex')),
+        }));
+    }
+    await write('\n}\n}\n');
+
+    return claims.length;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    getExportOptions,
+    toDenomAmount,
+    writeBankGenesis,
+    writeVestingGenesis,
+    writeJsonLines,
+    writeMerkleDistribution,
+};
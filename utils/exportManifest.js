@@ -0,0 +1,228 @@
+// utils/exportManifest.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Serializes a value as JSON with object keys sorted, so the same manifest
+ * always produces the same bytes to sign
+ * @param {*} value - JSON compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Loads the Ed25519 key exports are signed with, from EXPORT_SIGNING_KEY (PEM) or
+ * EXPORT_SIGNING_KEY_FILE (path to a PEM file)
+ * @returns {crypto.KeyObject|null} Private key, or null if none is configured
+ * @throws {Error} If the configured key cannot be read or is not an Ed25519 private key
+ */
+function getSigningKey() {
+    let pem = process.env.EXPORT_SIGNING_KEY;
+    if (!pem && process.env.EXPORT_SIGNING_KEY_FILE) {
+        pem = fs.readFileSync(process.env.EXPORT_SIGNING_KEY_FILE, 'utf8');
+    }
+
+    if (!pem) {
+        return null;
+    }
+
+    // .env files cannot hold multi-line values, so allow escaped newlines
+    const key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error('The export signing key must be an Ed25519 private key');
+    }
+
+    return key;
+}
+
+/**
+ * Encodes a public key the way it appears in manifests: base64 of its DER SubjectPublicKeyInfo
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {string} Base64 public key
+ */
+function encodePublicKey(key) {
+    return crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Parses a public key given as PEM or as the base64 DER used in manifests
+ * @param {string} publicKey - Public key
+ * @returns {crypto.KeyObject} Public key
+ */
+function parsePublicKey(publicKey) {
+    if (publicKey.includes('-----BEGIN')) {
+        return crypto.createPublicKey(publicKey);
+    }
+
+    return crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+}
+
+/**
+ * Builds the manifest describing a finished export
+ * @param {Object} params
+ * @param {number} params.exportId - Id of the persisted export
+ * @param {number} params.campaignId - Exported campaign
+ * @param {string} params.format - Export format
+ * @param {boolean} params.detailed - Whether the detailed CSV layout was used
+ * @param {string} params.fileName - File name the export was served as
+ * @param {string|null} params.denom - Denomination of the non-CSV formats
+ * @param {number|null} params.decimals - Decimal places of the denomination
+ * @param {number} params.rowCount - Number of rows (CSV and JSON Lines) or entries (genesis and merkle) written
+ * @param {Object} params.allocation - Result of allocate() from utils/allocation.js
+ * @param {string} params.sha256 - Hex SHA-256 of the exported file
+ * @param {number|null} params.highWaterClaimId - Highest claim id the export could see
+ * @param {Date} params.createdAt - When the export was made
+ * @param {crypto.KeyObject|null} params.signingKey - Key the manifest will be signed with
+ * @returns {Object} Manifest, with balances as strings
+ */
+function buildManifest({
+    exportId,
+    campaignId,
+    format,
+    detailed,
+    fileName,
+    denom,
+    decimals,
+    rowCount,
+    allocation,
+    sha256,
+    highWaterClaimId,
+    createdAt,
+    signingKey,
+}) {
+    return {
+        version: MANIFEST_VERSION,
+        export_id: exportId,
+        campaign_id: campaignId,
+        format,
+        detailed,
+        file_name: fileName,
+        denom,
+        decimals,
+        row_count: rowCount,
+        total_original_balance: allocation.totalOriginal.toString(),
+        total_final_balance: allocation.totalFinal.toString(),
+        multiplier: allocation.multiplier.toString(),
+        sha256,
+        high_water_claim_id: highWaterClaimId,
+        created_at: new Date(createdAt).toISOString(),
+        public_key: signingKey ? encodePublicKey(signingKey) : null,
+    };
+}
+
+/**
+ * Signs a manifest
+ * @param {Object} manifest - Manifest from buildManifest
+ * @param {crypto.KeyObject} signingKey - Ed25519 private key
+ * @returns {string} Base64 Ed25519 signature over the canonical JSON of the manifest
+ */
+function signManifest(manifest, signingKey) {
+    return crypto.sign(null, Buffer.from(canonicalJson(manifest)), signingKey).toString('base64');
+}
+
+/**
+ * Checks a manifest signature
+ * @param {Object} manifest - Signed manifest
+ * @param {string} signature - Base64 signature
+ * @param {crypto.KeyObject|string} publicKey - Key to check against, as a KeyObject (a private key works too), PEM or base64 DER
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyManifestSignature(manifest, signature, publicKey) {
+    if (!signature) {
+        return false;
+    }
+
+    try {
+        const key = typeof publicKey === 'string' ? parsePublicKey(publicKey) : publicKey;
+        return crypto.verify(null, Buffer.from(canonicalJson(manifest)), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Computes the SHA-256 of a file without reading it into memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Checks an export file against its signed manifest
+ * @param {Object} params
+ * @param {string} params.filePath - Export file
+ * @param {Object} params.manifest - Manifest of the export
+ * @param {string|null} params.signature - Base64 manifest signature
+ * @param {crypto.KeyObject|string|null} params.publicKey - Trusted key to check the signature against
+ * @returns {Promise<{valid: boolean, sha256Matches: boolean, signatureValid: boolean, actualSha256: (string|null)}>}
+ *   actualSha256 is null if the file cannot be read
+ */
+async function verifyExport({ filePath, manifest, signature, publicKey }) {
+    let actualSha256 = null;
+    try {
+        actualSha256 = await hashFile(filePath);
+    } catch (error) {
+        console.error(`Export file ${filePath} could not be read:`, error.message);
+    }
+
+    const sha256Matches = actualSha256 !== null && actualSha256 === manifest.sha256;
+    const signatureValid = Boolean(publicKey) && verifyManifestSignature(manifest, signature, publicKey);
+
+    return {
+        valid: sha256Matches && signatureValid,
+        sha256Matches,
+        signatureValid,
+        actualSha256,
+    };
+}
+
+/**
+ * Formats an export for API responses
+ * @param {Object} exportRecord - Export instance
+ * @returns {Object} Plain export object with its manifest and signature
+ */
+function formatExport(exportRecord) {
+    return {
+        id: exportRecord.id,
+        campaign_id: exportRecord.campaign_id,
+        format: exportRecord.format,
+        detailed: exportRecord.detailed,
+        file_name: exportRecord.file_name,
+        status: exportRecord.status,
+        created_at: exportRecord.createdAt,
+        manifest: exportRecord.manifest,
+        signature: exportRecord.signature,
+        reconciliation_report_id: exportRecord.reconciliation_report_id,
+    };
+}
+
+module.exports = {
+    canonicalJson,
+    getSigningKey,
+    encodePublicKey,
+    parsePublicKey,
+    buildManifest,
+    signManifest,
+    verifyManifestSignature,
+    hashFile,
+    verifyExport,
+    formatExport,
+};
@@ -0,0 +1,72 @@
+// utils/exportQueries.js
+const QueryStream = require('pg-query-stream');
+
+const STREAM_BATCH_SIZE = 1000;
+
+/**
+ * Runs the export passes over a campaign's active claims inside one read-only,
+ * repeatable-read transaction, so every pass sees the same data. Flagged and
+ * revoked claims are left out of the allocation.
+ *
+ * The handler receives two stream factories, both reading through server-side cursors:
+ * - streamAddressTotals(): one row per epix address with its total_balance, in order of first claim
+ * - streamClaims(): one row per claim, grouped by epix address in the same order
+ * and getHighWaterClaimId(), which resolves with the highest claim id the transaction sees, or null.
+ *
+ * @param {Object} Snapshot - Snapshot model
+ * @param {number} campaignId - Campaign to export
+ * @param {function({streamAddressTotals: function(): AsyncIterable<Object>, streamClaims: function(): AsyncIterable<Object>, getHighWaterClaimId: function(): Promise<(number|null)>}): Promise<*>} handler
+ *   Resolves once it has consumed the streams it opened
+ * @returns {Promise<*>} Whatever the handler resolves with
+ */
+async function withExportSnapshot(Snapshot, campaignId, handler) {
+    const { sequelize } = Snapshot;
+    const table = sequelize.getQueryInterface().quoteIdentifier(Snapshot.getTableName());
+    const connection = await sequelize.connectionManager.getConnection();
+    const streams = [];
+
+    const openStream = (sql) => {
+        const stream = connection.query(new QueryStream(sql, [campaignId], { batchSize: STREAM_BATCH_SIZE }));
+        streams.push(stream);
+        return stream;
+    };
+
+    try {
+        await connection.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+        let result;
+        try {
+            result = await handler({
+                streamAddressTotals: () => openStream(
+                    `SELECT epix_address, SUM(snapshot_balance)::text AS total_balance
+                     FROM ${table} WHERE campaign_id = $1 AND status = 'active'
+                     GROUP BY epix_address
+                     ORDER BY MIN(id)`
+                ),
+                streamClaims: () => openStream(
+                    `SELECT epix_address, x42_address, snapshot_balance::text AS snapshot_balance, signature, raw_json
+                     FROM ${table} WHERE campaign_id = $1 AND status = 'active'
+                     ORDER BY MIN(id) OVER (PARTITION BY epix_address), id`
+                ),
+                getHighWaterClaimId: async () => {
+                    const { rows } = await connection.query(`SELECT MAX(id) AS id FROM ${table} WHERE campaign_id = $1`, [campaignId]);
+                    return rows[0].id === null ? null : Number(rows[0].id);
+                },
+            });
+        } finally {
+            streams.forEach(stream => stream.destroy());
+        }
+
+        await connection.query('COMMIT');
+        return result;
+    } catch (error) {
+        await connection.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        sequelize.connectionManager.releaseConnection(connection);
+    }
+}
+
+module.exports = {
+    withExportSnapshot,
+};
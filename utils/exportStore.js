@@ -0,0 +1,72 @@
+// utils/exportStore.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+/**
+ * Directory persisted export files are kept in, EXPORT_DIR or ./exports
+ * @returns {string} Absolute directory path
+ */
+function getExportDir() {
+    return path.resolve(process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports'));
+}
+
+/**
+ * Resolves the path of a stored export file
+ * @param {string} storageName - Name the file was stored under
+ * @returns {string} Absolute file path
+ */
+function getExportPath(storageName) {
+    return path.join(getExportDir(), path.basename(storageName));
+}
+
+/**
+ * Opens a new file for an export, hashing everything written to it
+ * @param {number} exportId - Id of the export record
+ * @param {string} fileName - File name the export is served as
+ * @returns {Promise<{storageName: string, write: function(string): Promise<void>, finish: function(): Promise<string>, abort: function(): Promise<void>}>}
+ *   finish() closes the file and resolves with its hex SHA-256; abort() removes it
+ */
+async function createExportFile(exportId, fileName) {
+    await fs.promises.mkdir(getExportDir(), { recursive: true });
+
+    const storageName = `${exportId}-${fileName}`;
+    const filePath = getExportPath(storageName);
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createWriteStream(filePath, { flags: 'wx' });
+
+    let streamError = null;
+    stream.on('error', (error) => {
+        streamError = error;
+    });
+
+    return {
+        storageName,
+        write: async (chunk) => {
+            if (streamError) {
+                throw streamError;
+            }
+            hash.update(chunk);
+            if (!stream.write(chunk)) {
+                await once(stream, 'drain');
+            }
+        },
+        finish: async () => {
+            stream.end();
+            await finished(stream);
+            return hash.digest('hex');
+        },
+        abort: async () => {
+            stream.destroy();
+            await fs.promises.rm(filePath, { force: true });
+        },
+    };
+}
+
+module.exports = {
+    getExportDir,
+    getExportPath,
+    createExportFile,
+};
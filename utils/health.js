@@ -0,0 +1,74 @@
+// utils/health.js
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+/**
+ * Reads how long a readiness check may wait on a dependency
+ * @param {Object} [env] - Environment, defaults to process.env
+ * @returns {number} Milliseconds, from READINESS_TIMEOUT_MS or 3 seconds
+ */
+function getReadinessTimeoutMs(env = process.env) {
+    const timeout = parseInt(env.READINESS_TIMEOUT_MS);
+    return timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS;
+}
+
+// Rejects when the promise has not settled in time, so a hanging dependency cannot hold up the probe
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} did not answer within ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the readiness check behind /readyz. It checks that the database answers, that an x42
+ * node answers, and that the node's address indexer sits at the campaign's snapshot height.
+ * @param {Object} params
+ * @param {Object} params.sequelize - Sequelize instance
+ * @param {{getAddressIndexerTip: function}} params.nodeClient - From createX42NodeClient()
+ * @param {function(*): Promise<Object|null>} params.resolveCampaign - Looks up the campaign of a request
+ * @param {number} [params.timeoutMs] - How long each dependency may take
+ * @returns {function(*): Promise<{ready: boolean, checks: Object}>} Runs the checks for a campaign id,
+ *   or the default campaign. Every check has a status of ok, fail or skipped, and an error when it failed.
+ */
+function createReadinessCheck({ sequelize, nodeClient, resolveCampaign, timeoutMs = getReadinessTimeoutMs() }) {
+    const failed = (error) => ({ status: 'fail', error: error.message });
+
+    return async function checkReadiness(campaignId) {
+        const [database, node] = await Promise.all([
+            withTimeout(sequelize.authenticate(), timeoutMs, 'Database')
+                .then(() => withTimeout(resolveCampaign(campaignId), timeoutMs, 'Database'))
+                .then(campaign => ({ check: { status: 'ok' }, campaign }), error => ({ check: failed(error), campaign: null })),
+            withTimeout(nodeClient.getAddressIndexerTip(), timeoutMs, 'x42 node')
+                .then(tip => ({ check: { status: 'ok' }, tip }), error => ({ check: failed(error), tip: null })),
+        ]);
+
+        let indexer;
+        if (database.check.status === 'fail' || node.check.status === 'fail') {
+            indexer = { status: 'skipped' };
+        } else if (!database.campaign) {
+            indexer = { status: 'fail', error: 'Campaign not found' };
+        } else {
+            const tipHeight = Number(node.tip.tipHeight);
+            const snapshotHeight = Number(database.campaign.snapshot_height);
+            indexer = {
+                status: tipHeight === snapshotHeight ? 'ok' : 'fail',
+                campaign_id: database.campaign.id,
+                tip_height: tipHeight,
+                snapshot_height: snapshotHeight,
+            };
+            if (tipHeight !== snapshotHeight) {
+                indexer.error = `Indexer tip ${tipHeight} does not match the snapshot height ${snapshotHeight}`;
+            }
+        }
+
+        const checks = { database: database.check, x42_node: node.check, indexer_tip: indexer };
+        return { ready: Object.values(checks).every(check => check.status === 'ok'), checks };
+    };
+}
+
+module.exports = {
+    getReadinessTimeoutMs,
+    createReadinessCheck,
+};
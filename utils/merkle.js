@@ -0,0 +1,99 @@
+// utils/merkle.js
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+function keccak256(buffer) {
+    return Buffer.from(keccak_256(buffer));
+}
+
+function toUint256(value) {
+    return Buffer.from(BigInt(value).toString(16).padStart(64, '0'), 'hex');
+}
+
+/**
+ * Hashes a distribution leaf as keccak256(uint256 index ++ address bytes ++ uint256 amount),
+ * the layout used by merkle distributor contracts
+ * @param {number} index - Position of the leaf in the distribution
+ * @param {Buffer} addressBytes - Raw recipient address, 20 bytes for EVM compatible accounts
+ * @param {bigint} amount - Amount in the smallest denomination
+ * @returns {Buffer} 32 byte leaf hash
+ */
+function hashLeaf(index, addressBytes, amount) {
+    return keccak256(Buffer.concat([toUint256(index), addressBytes, toUint256(amount)]));
+}
+
+// Pairs are sorted before hashing so proofs do not need to carry left/right positions
+function hashPair(a, b) {
+    return Buffer.compare(a, b) <= 0 ? keccak256(Buffer.concat([a, b])) : keccak256(Buffer.concat([b, a]));
+}
+
+/**
+ * Builds every layer of a merkle tree. An odd node at the end of a layer is promoted unchanged.
+ * @param {Buffer[]} leaves - Leaf hashes
+ * @returns {Buffer[][]} Layers from the leaves up to the root
+ */
+function buildMerkleTree(leaves) {
+    if (leaves.length === 0) {
+        return [[Buffer.alloc(32)]];
+    }
+
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    return layers;
+}
+
+/**
+ * Returns the root of a tree built by buildMerkleTree
+ * @param {Buffer[][]} layers - Tree layers
+ * @returns {Buffer} Root hash
+ */
+function getMerkleRoot(layers) {
+    return layers[layers.length - 1][0];
+}
+
+/**
+ * Returns the sibling hashes needed to prove the leaf at an index
+ * @param {Buffer[][]} layers - Tree layers
+ * @param {number} index - Leaf index
+ * @returns {Buffer[]} Proof from the leaf upwards
+ */
+function getMerkleProof(layers, index) {
+    const proof = [];
+    let position = index;
+
+    for (let level = 0; level < layers.length - 1; level++) {
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+        if (sibling < layers[level].length) {
+            proof.push(layers[level][sibling]);
+        }
+        position = Math.floor(position / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * Checks a proof against a root
+ * @param {Buffer} leaf - Leaf hash
+ * @param {Buffer[]} proof - Proof from getMerkleProof
+ * @param {Buffer} root - Expected root
+ * @returns {boolean} Whether the proof leads from the leaf to the root
+ */
+function verifyMerkleProof(leaf, proof, root) {
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf).equals(root);
+}
+
+module.exports = {
+    hashLeaf,
+    buildMerkleTree,
+    getMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof,
+};
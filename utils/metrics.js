@@ -0,0 +1,172 @@
+// utils/metrics.js
+
+// Upper bounds in seconds, from a fast database read to a slow node round trip
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Label values are escaped as the Prometheus text format requires
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) {
+        pairs.push(extra);
+    }
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are kept by the JSON of their label values, in the order of labelNames
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+/**
+ * Creates a registry of counters and histograms, rendered in the Prometheus text format.
+ * Metrics live in memory, so every instance exposes its own and Prometheus adds them up.
+ * @returns {{counter: function, histogram: function, render: function(): string, contentType: string}}
+ */
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    function register(name, metric) {
+        if (metrics.has(name)) {
+            throw new Error(`Metric ${name} is already registered`);
+        }
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * Registers a counter
+     * @param {string} name - Metric name, ending in _total
+     * @param {string} help - What it counts
+     * @param {string[]} [labelNames] - Labels every series is split by
+     * @returns {{inc: function(Object=, number=): void}}
+     */
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+
+        return register(name, {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + value);
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+                series.forEach((value, key) => {
+                    lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+                });
+                return lines;
+            },
+        });
+    }
+
+    /**
+     * Registers a histogram
+     * @param {string} name - Metric name, usually ending in _seconds
+     * @param {string} help - What it measures
+     * @param {string[]} [labelNames] - Labels every series is split by
+     * @param {number[]} [buckets] - Bucket upper bounds, ascending
+     * @returns {{observe: function(Object, number): void, startTimer: function(Object=): function(Object=): number}}
+     *   startTimer returns a function that observes the seconds since it was called, with more labels if given
+     */
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+
+        function observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, i) => {
+                if (value <= bound) {
+                    entry.counts[i]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        }
+
+        function startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (moreLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                observe({ ...labels, ...moreLabels }, seconds);
+                return seconds;
+            };
+        }
+
+        return register(name, {
+            observe,
+            startTimer,
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                series.forEach((entry, key) => {
+                    const values = JSON.parse(key);
+                    buckets.forEach((bound, i) => {
+                        lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+                    });
+                    lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                    lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+                    lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+                });
+                return lines;
+            },
+        });
+    }
+
+    /**
+     * Renders every metric
+     * @returns {string} The Prometheus text exposition
+     */
+    function render() {
+        const lines = [];
+        metrics.forEach(metric => lines.push(...metric.render()));
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// Express route pattern, else the Swagger path from utils/requestValidation.js with {param} as :param
+function routeLabel(req) {
+    if (req.route) {
+        return req.baseUrl + req.route.path;
+    }
+    return req.operationPath ? req.operationPath.replace(/\{([^}]+)\}/g, ':$1') : 'unmatched';
+}
+
+/**
+ * Creates Express middleware counting every request and timing it, by method, route and status.
+ * Requests are labelled with the route pattern, e.g. /claims/x42/:address, so addresses do not
+ * become series of their own. Requests the request validator answers before they reach a route
+ * are labelled with the Swagger path they matched, in the same form, and unknown paths with
+ * "unmatched".
+ * @param {Object} params
+ * @param {Object} params.requests - Counter from registry.counter() with method, route and status labels
+ * @param {Object} params.duration - Histogram from registry.histogram() with method, route and status labels
+ * @returns {function(Object, Object, function): void} Middleware
+ */
+function createRequestMetrics({ requests, duration }) {
+    return (req, res, next) => {
+        const stopTimer = duration.startTimer();
+
+        res.on('finish', () => {
+            const labels = {
+                method: req.method,
+                route: routeLabel(req),
+                status: res.statusCode,
+            };
+            requests.inc(labels);
+            stopTimer(labels);
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry,
+    createRequestMetrics,
+};
@@ -0,0 +1,85 @@
+// utils/migrations.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Key of the Postgres advisory lock held while migrating, "MIGR" in ASCII. Instances starting together take turns.
+const MIGRATION_LOCK_KEY = 0x4d494752;
+
+/**
+ * Loads the migrations of a directory, in the order of their numbered file names
+ * @param {string} [dir] - Directory holding NNN-description.js files, defaults to migrations/
+ * @returns {Array<{name: string, up: function}>} Migrations, named after their file without .js
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+-.+\.js$/.test(file))
+        .sort()
+        .map(file => ({ name: path.basename(file, '.js'), ...require(path.join(dir, file)) }));
+}
+
+/**
+ * Creates the runner that brings the database schema up to date
+ * @param {Object} params
+ * @param {Object} params.sequelize - Sequelize instance
+ * @param {Object} params.SchemaMigration - SchemaMigration model, one row per applied migration
+ * @param {Array<{name: string, up: function}>} params.migrations - From loadMigrations(), in order
+ * @returns {{status: function, up: function}}
+ */
+function createMigrator({ sequelize, SchemaMigration, migrations }) {
+    const names = migrations.map(migration => migration.name);
+    if (new Set(names).size !== names.length) {
+        throw new Error('Migration names must be unique');
+    }
+
+    async function getApplied(transaction) {
+        const rows = await SchemaMigration.findAll({ transaction });
+        return new Set(rows.map(row => row.name));
+    }
+
+    /**
+     * Lists every migration and whether it has been applied
+     * @returns {Promise<Array<{name: string, applied: boolean}>>}
+     */
+    async function status() {
+        await SchemaMigration.sync();
+        const applied = await getApplied();
+        return migrations.map(migration => ({ name: migration.name, applied: applied.has(migration.name) }));
+    }
+
+    /**
+     * Applies the pending migrations in order, in one transaction: if one fails, none are applied
+     * @returns {Promise<string[]>} Names of the migrations applied
+     */
+    async function up() {
+        await SchemaMigration.sync();
+
+        return sequelize.transaction(async (transaction) => {
+            await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+                replacements: { key: MIGRATION_LOCK_KEY },
+                transaction,
+            });
+
+            // Read after taking the lock, so migrations another instance just applied are skipped
+            const applied = await getApplied(transaction);
+            const pending = migrations.filter(migration => !applied.has(migration.name));
+
+            for (const migration of pending) {
+                console.log(`Applying migration ${migration.name}`);
+                await migration.up({ sequelize, transaction });
+                await SchemaMigration.create({ name: migration.name }, { transaction });
+            }
+
+            return pending.map(migration => migration.name);
+        });
+    }
+
+    return { status, up };
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    createMigrator,
+};
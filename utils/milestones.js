@@ -0,0 +1,217 @@
+// utils/milestones.js
+const { NOTIFICATION_EVENTS } = require('./notificationChannels');
+
+const DEFAULT_PERCENTAGES = [25, 50, 75, 100];
+const DEFAULT_CLAIM_STEP = 1000;
+const DEFAULT_CLOSING_NOTICE_HOURS = 24;
+const DEFAULT_DIGEST_HOUR_UTC = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the scheduler settings from the environment
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {{percentages: number[], claimStep: (number|null), closingNoticeHours: (number|null), digestHourUtc: (number|null)}}
+ *   An empty setting turns that announcement off, as does a claimStep or closingNoticeHours of 0.
+ *   A claimStep that is not a whole number of claims falls back to the default, with a warning.
+ */
+function loadMilestoneConfig(env = process.env) {
+    const readNumber = (value, fallback) => (value === undefined ? fallback : (value === '' ? null : Number(value)));
+
+    // getReachedMilestones counts up in steps of claimStep, so a negative or fractional step would never end or take millions of turns
+    let claimStep = readNumber(env.MILESTONE_CLAIM_STEP, DEFAULT_CLAIM_STEP);
+    if (claimStep !== null && claimStep !== 0 && !(Number.isSafeInteger(claimStep) && claimStep > 0)) {
+        console.warn(`MILESTONE_CLAIM_STEP must be a whole number of claims, got "${env.MILESTONE_CLAIM_STEP}". Using ${DEFAULT_CLAIM_STEP}.`);
+        claimStep = DEFAULT_CLAIM_STEP;
+    }
+
+    return {
+        percentages: env.MILESTONE_PERCENTAGES === undefined
+            ? DEFAULT_PERCENTAGES
+            : env.MILESTONE_PERCENTAGES.split(',').map(Number).filter(value => value > 0).sort((a, b) => a - b),
+        claimStep,
+        closingNoticeHours: readNumber(env.CAMPAIGN_CLOSING_NOTICE_HOURS, DEFAULT_CLOSING_NOTICE_HOURS),
+        digestHourUtc: readNumber(env.DAILY_DIGEST_HOUR_UTC, DEFAULT_DIGEST_HOUR_UTC),
+    };
+}
+
+/**
+ * Formats the claimed share of a target as a percentage with two decimals
+ * @param {bigint} totalClaimed - Claimed satoshis
+ * @param {bigint} target - Target allocation in satoshis
+ * @returns {string} e.g. "42.17%"
+ */
+function formatPercentOfTarget(totalClaimed, target) {
+    if (target === 0n) {
+        return '0.00%';
+    }
+    const basisPoints = (totalClaimed * 10000n) / target;
+    return `${basisPoints / 100n}.${(basisPoints % 100n).toString().padStart(2, '0')}%`;
+}
+
+/**
+ * Lists every milestone a campaign has reached, lowest first within each kind
+ * @param {Object} params
+ * @param {bigint} params.totalClaimed - Claimed satoshis
+ * @param {number} params.claimCount - Number of claims
+ * @param {bigint} params.target - Target allocation in satoshis
+ * @param {number[]} params.percentages - Percentages of the target to announce
+ * @param {number|null} params.claimStep - Announce every this many claims
+ * @returns {Array<{key: string, kind: string, label: string}>}
+ */
+function getReachedMilestones({ totalClaimed, claimCount, target, percentages, claimStep }) {
+    const reached = [];
+
+    percentages.forEach(percentage => {
+        // Compare in basis points so fractional percentages work with BigInt
+        if (target > 0n && totalClaimed * 10000n >= target * BigInt(Math.round(percentage * 100))) {
+            reached.push({ key: `percent:${percentage}`, kind: 'percent', label: `${percentage}% of the target claimed` });
+        }
+    });
+
+    if (claimStep) {
+        for (let count = claimStep; count <= claimCount; count += claimStep) {
+            reached.push({ key: `claims:${count}`, kind: 'claims', label: `${count.toLocaleString('en-US')} claims` });
+        }
+    }
+
+    return reached;
+}
+
+/**
+ * Creates the scheduler that announces milestones, closing campaigns and a daily digest.
+ * Every announcement is recorded in the AnnouncedMilestone table before it is published,
+ * so restarts and other instances never post it twice.
+ * @param {Object} params
+ * @param {Object} params.Campaign - Campaign model
+ * @param {Object} params.AnnouncedMilestone - AnnouncedMilestone model
+ * @param {function(Object, Date=): Promise<{totalClaimed: (number|string|null), totalClaims: number}>} params.getClaimTotals
+ *   Claim aggregates of a campaign, optionally only of the claims since a date
+ * @param {function(string, Object): Promise<void>} params.publishEvent - Sends an event to its channels
+ * @param {Object} [params.config] - Settings from loadMilestoneConfig()
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{runOnce: function(): Promise<string[]>}} runOnce resolves with the keys it announced
+ */
+function createMilestoneScheduler({
+    Campaign,
+    AnnouncedMilestone,
+    getClaimTotals,
+    publishEvent,
+    config = loadMilestoneConfig(),
+    now = () => new Date(),
+}) {
+    // Records an announcement; false if it was already made
+    async function record(campaignId, key) {
+        try {
+            await AnnouncedMilestone.create({ campaign_id: campaignId, key });
+            return true;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async function announceMilestones(campaign, totals, eventData, announced) {
+        const milestones = getReachedMilestones({ ...totals, percentages: config.percentages, claimStep: config.claimStep });
+        const fresh = [];
+
+        for (const milestone of milestones.filter(milestone => !announced.has(milestone.key))) {
+            if (await record(campaign.id, milestone.key)) {
+                fresh.push(milestone);
+            }
+        }
+
+        // When several milestones of a kind were passed at once (e.g. on the first run), only post the highest
+        const highest = new Map(fresh.map(milestone => [milestone.kind, milestone]));
+        for (const milestone of highest.values()) {
+            await publishEvent(NOTIFICATION_EVENTS.MILESTONE_REACHED, {
+                ...eventData,
+                milestone: milestone.label,
+                milestone_key: milestone.key,
+            });
+        }
+
+        return fresh.map(milestone => milestone.key);
+    }
+
+    async function runCampaign(campaign) {
+        const current = now();
+        const totals = await getClaimTotals(campaign);
+        const target = BigInt(campaign.target_allocation);
+        const totalClaimed = BigInt(totals.totalClaimed || 0);
+        const eventData = {
+            campaign_id: campaign.id,
+            campaign_name: campaign.name,
+            claim_count: totals.totalClaims,
+            total_claimed: totalClaimed.toString(),
+            target_allocation: target.toString(),
+            percent_of_target: formatPercentOfTarget(totalClaimed, target),
+        };
+
+        const announced = new Set((await AnnouncedMilestone.findAll({ where: { campaign_id: campaign.id } }))
+            .map(milestone => milestone.key));
+
+        const keys = await announceMilestones(campaign, {
+            totalClaimed,
+            claimCount: totals.totalClaims,
+            target,
+        }, eventData, announced);
+
+        const closesAt = new Date(campaign.closes_at);
+        const closingSoon = config.closingNoticeHours
+            && closesAt - current <= config.closingNoticeHours * 60 * 60 * 1000;
+        if (closingSoon && !announced.has('closing') && await record(campaign.id, 'closing')) {
+            await publishEvent(NOTIFICATION_EVENTS.CAMPAIGN_CLOSING, { ...eventData, closes_at: closesAt.toISOString() });
+            keys.push('closing');
+        }
+
+        const digestKey = `digest:${current.toISOString().slice(0, 10)}`;
+        const digestDue = config.digestHourUtc !== null && config.digestHourUtc !== undefined
+            && current.getUTCHours() >= config.digestHourUtc;
+        if (digestDue && !announced.has(digestKey) && await record(campaign.id, digestKey)) {
+            const since = new Date(current.getTime() - DAY_MS);
+            const recent = await getClaimTotals(campaign, since);
+
+            await publishEvent(NOTIFICATION_EVENTS.DAILY_DIGEST, {
+                ...eventData,
+                claims_last_24h: recent.totalClaims,
+                claimed_last_24h: BigInt(recent.totalClaimed || 0).toString(),
+            });
+            keys.push(digestKey);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Checks every campaign that is accepting claims and publishes what is due
+     * @returns {Promise<string[]>} Keys of the announcements made, as campaign_id/key
+     */
+    async function runOnce() {
+        const current = now();
+        const campaigns = await Campaign.findAll({ order: [['id', 'ASC']] });
+        const announcedKeys = [];
+
+        for (const campaign of campaigns) {
+            const open = (!campaign.opens_at || new Date(campaign.opens_at) <= current) && new Date(campaign.closes_at) > current;
+            if (!open) {
+                continue;
+            }
+
+            const keys = await runCampaign(campaign);
+            announcedKeys.push(...keys.map(key => `${campaign.id}/${key}`));
+        }
+
+        return announcedKeys;
+    }
+
+    return { runOnce };
+}
+
+module.exports = {
+    loadMilestoneConfig,
+    formatPercentOfTarget,
+    getReachedMilestones,
+    createMilestoneScheduler,
+};
@@ -0,0 +1,214 @@
+// utils/notificationChannels.js
+const axios = require('axios');
+const { formatSats } = require('./balanceUtils');
+
+const SEND_TIMEOUT_MS = 10000;
+
+const NOTIFICATION_EVENTS = {
+    CLAIM_VERIFIED: 'claim_verified',
+    CLAIM_REJECTED: 'claim_rejected',
+    DESTINATION_CHANGED: 'destination_changed',
+    MILESTONE_REACHED: 'milestone_reached',
+    CAMPAIGN_CLOSING: 'campaign_closing',
+    DAILY_DIGEST: 'daily_digest',
+};
+
+function formatAmount(sats) {
+    return `${formatSats(BigInt(sats))} x42`;
+}
+
+/**
+ * Turns an event into a channel independent message
+ * @param {{type: string, data: Object}} event - Notification event
+ * @returns {{title: string, description: string, fields: Array<{name: string, value: string}>, color: number}}
+ */
+function formatNotification({ type, data }) {
+    switch (type) {
+        case NOTIFICATION_EVENTS.CLAIM_VERIFIED:
+            return {
+                title: '🎉 New Claim Verified! 🎉',
+                description: 'A user has claimed their snapshotted balance successfully.\n\nCheck the claim details at [claim.epix.zone](https://claim.epix.zone/)',
+                fields: [
+                    { name: 'x42 Address', value: data.x42_address },
+                    { name: 'Amount', value: formatAmount(data.snapshot_balance) },
+                ],
+                color: 3447003, // Discord blue color
+            };
+        case NOTIFICATION_EVENTS.CLAIM_REJECTED:
+            return {
+                title: 'Claim Rejected',
+                description: data.reason,
+                fields: [
+                    { name: 'x42 Address', value: data.x42_address || 'unknown' },
+                    { name: 'Epix Address', value: data.epix_address || 'unknown' },
+                ],
+                color: 15158332, // red
+            };
+        case NOTIFICATION_EVENTS.DESTINATION_CHANGED:
+            return {
+                title: 'Claim Destination Changed',
+                description: 'The holder of a claim moved it to another epix address.',
+                fields: [
+                    { name: 'x42 Address', value: data.x42_address },
+                    { name: 'From', value: data.from_epix_address },
+                    { name: 'To', value: data.to_epix_address },
+                ],
+                color: 15844367, // gold
+            };
+        case NOTIFICATION_EVENTS.MILESTONE_REACHED:
+            return {
+                title: `🏁 ${data.milestone}`,
+                description: `${data.campaign_name} reached a milestone.`,
+                fields: [
+                    { name: 'Claims', value: String(data.claim_count) },
+                    { name: 'Total Claimed', value: formatAmount(data.total_claimed) },
+                ],
+                color: 3066993, // green
+            };
+        case NOTIFICATION_EVENTS.CAMPAIGN_CLOSING:
+            return {
+                title: '⏳ Claim Period Closing Soon',
+                description: `${data.campaign_name} stops accepting claims on ${new Date(data.closes_at).toUTCString()}.`,
+                fields: [
+                    { name: 'Claims', value: String(data.claim_count) },
+                    { name: 'Total Claimed', value: formatAmount(data.total_claimed) },
+                ],
+                color: 15105570, // orange
+            };
+        case NOTIFICATION_EVENTS.DAILY_DIGEST:
+            return {
+                title: '📊 Daily Claim Digest',
+                description: `${data.campaign_name} over the last 24 hours.`,
+                fields: [
+                    { name: 'New Claims', value: String(data.claims_last_24h) },
+                    { name: 'Newly Claimed', value: formatAmount(data.claimed_last_24h) },
+                    { name: 'Total Claims', value: String(data.claim_count) },
+                    { name: 'Total Claimed', value: `${formatAmount(data.total_claimed)} (${data.percent_of_target} of the target)` },
+                ],
+                color: 10181046, // purple
+            };
+        default:
+            throw new Error(`Unknown notification event: ${type}`);
+    }
+}
+
+function toPlainText({ title, description, fields }) {
+    return [title, description, fields.map(field => `${field.name}: ${field.value}`).join('\n')].join('\n\n');
+}
+
+/**
+ * Discord channel, posting an embed to a webhook
+ * @param {{url: string}} config - Discord webhook URL
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createDiscordChannel({ url }) {
+    return {
+        name: 'discord',
+        send: async (event) => {
+            const message = formatNotification(event);
+            await axios.post(url, {
+                embeds: [{
+                    title: message.title,
+                    description: message.description,
+                    fields: message.fields.map(field => ({ ...field, inline: true })),
+                    color: message.color,
+                    timestamp: event.timestamp,
+                }]
+            }, { timeout: SEND_TIMEOUT_MS });
+        },
+    };
+}
+
+/**
+ * Telegram channel, sending a message through a bot
+ * @param {{botToken: string, chatId: string}} config - Bot token and the chat to post in
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createTelegramChannel({ botToken, chatId }) {
+    return {
+        name: 'telegram',
+        send: async (event) => {
+            await axios.post(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+                chat_id: chatId,
+                text: toPlainText(formatNotification(event)),
+                disable_web_page_preview: true,
+            }, { timeout: SEND_TIMEOUT_MS });
+        },
+    };
+}
+
+/**
+ * Slack channel, posting to an incoming webhook
+ * @param {{url: string}} config - Slack incoming webhook URL
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createSlackChannel({ url }) {
+    return {
+        name: 'slack',
+        send: async (event) => {
+            const message = formatNotification(event);
+            await axios.post(url, {
+                text: message.title,
+                blocks: [
+                    { type: 'header', text: { type: 'plain_text', text: message.title } },
+                    // Slack links are <url|text> rather than markdown links
+                    { type: 'section', text: { type: 'mrkdwn', text: message.description.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>') } },
+                    { type: 'section', fields: message.fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` })) },
+                ],
+            }, { timeout: SEND_TIMEOUT_MS });
+        },
+    };
+}
+
+/**
+ * Generic HTTP webhook channel, posting the raw event as JSON
+ * @param {{url: string}} config - URL to post to
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createWebhookChannel({ url }) {
+    return {
+        name: 'webhook',
+        send: async (event) => {
+            await axios.post(url, {
+                event: event.type,
+                data: event.data,
+                timestamp: event.timestamp,
+            }, { timeout: SEND_TIMEOUT_MS });
+        },
+    };
+}
+
+/**
+ * Creates every channel that has its settings in the environment:
+ * DISCORD_WEBHOOK_URL, TELEGRAM_BOT_TOKEN with TELEGRAM_CHAT_ID, SLACK_WEBHOOK_URL and NOTIFY_WEBHOOK_URL
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {Object<string, {name: string, send: function(Object): Promise<void>}>} Channels by name
+ */
+function loadChannels(env = process.env) {
+    const channels = {};
+
+    if (env.DISCORD_WEBHOOK_URL) {
+        channels.discord = createDiscordChannel({ url: env.DISCORD_WEBHOOK_URL });
+    }
+    if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+        channels.telegram = createTelegramChannel({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID });
+    }
+    if (env.SLACK_WEBHOOK_URL) {
+        channels.slack = createSlackChannel({ url: env.SLACK_WEBHOOK_URL });
+    }
+    if (env.NOTIFY_WEBHOOK_URL) {
+        channels.webhook = createWebhookChannel({ url: env.NOTIFY_WEBHOOK_URL });
+    }
+
+    return channels;
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    formatNotification,
+    createDiscordChannel,
+    createTelegramChannel,
+    createSlackChannel,
+    createWebhookChannel,
+    loadChannels,
+};
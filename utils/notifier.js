@@ -0,0 +1,187 @@
+// utils/notifier.js
+const { Op } = require('sequelize');
+const { NOTIFICATION_EVENTS } = require('./notificationChannels');
+
+const DEFAULT_MAX_ATTEMPTS = 10;
+const RETRY_BASE_DELAY_SECONDS = 30;
+const RETRY_MAX_DELAY_SECONDS = 3600;
+// How long a retry run owns the rows it claimed: longer than a run of 50 sends or webhook deliveries
+// at their 10 second timeout
+const LEASE_SECONDS = 900;
+
+/**
+ * Delay before the next attempt, doubling from 30 seconds up to an hour
+ * @param {number} attempts - Attempts made so far, at least 1
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1), RETRY_MAX_DELAY_SECONDS);
+}
+
+/**
+ * Claims the pending rows of a retry queue that are due. They are read in a short transaction that
+ * moves their next_attempt_at past a lease, so other instances skip them, and the caller works on
+ * them after it commits. A row claimed by an instance that dies mid-run is due again once the lease
+ * runs out.
+ * @param {Object} Model - QueuedNotification, WebhookDelivery or another model with status and next_attempt_at
+ * @param {Object} options
+ * @param {number} options.limit - Most rows to claim
+ * @param {Date} options.now - Current time
+ * @param {number} [options.leaseSeconds] - How long the claim lasts
+ * @returns {Promise<Object[]>} The claimed rows, longest due first
+ */
+async function claimDueRows(Model, { limit, now, leaseSeconds = LEASE_SECONDS }) {
+    return Model.sequelize.transaction(async (transaction) => {
+        const rows = await Model.findAll({
+            where: { status: 'pending', next_attempt_at: { [Op.lte]: now } },
+            order: [['next_attempt_at', 'ASC']],
+            limit,
+            lock: true,
+            skipLocked: true,
+            transaction,
+        });
+
+        if (rows.length > 0) {
+            await Model.update(
+                { next_attempt_at: new Date(now.getTime() + leaseSeconds * 1000) },
+                { where: { id: rows.map(row => row.id) }, transaction }
+            );
+        }
+        return rows;
+    });
+}
+
+/**
+ * Decides which channels each event goes to. NOTIFY_<EVENT> lists channel names,
+ * e.g. NOTIFY_CLAIM_VERIFIED=discord,slack, and may be left empty to turn an event off.
+ * Without it an event goes to every configured channel, except claim_rejected which is off.
+ * @param {Object<string, Object>} channels - Channels by name, from loadChannels()
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {Object<string, string[]>} Channel names by event type
+ */
+function loadRoutes(channels, env = process.env) {
+    const routes = {};
+
+    Object.values(NOTIFICATION_EVENTS).forEach(type => {
+        const setting = env[`NOTIFY_${type.toUpperCase()}`];
+
+        if (setting === undefined) {
+            routes[type] = type === NOTIFICATION_EVENTS.CLAIM_REJECTED ? [] : Object.keys(channels);
+            return;
+        }
+
+        routes[type] = setting.split(',').map(name => name.trim()).filter(name => {
+            if (name && !channels[name]) {
+                console.warn(`Notification channel "${name}" for ${type} is not configured, ignoring it`);
+            }
+            return Boolean(channels[name]);
+        });
+    });
+
+    return routes;
+}
+
+/**
+ * Creates the notifier that sends events to their channels. A send that fails is stored in the
+ * QueuedNotification table and retried by processRetryQueue() with exponential backoff.
+ * @param {Object} params
+ * @param {Object<string, {send: function(Object): Promise<void>}>} params.channels - Channels by name
+ * @param {Object<string, string[]>} params.routes - Channel names by event type
+ * @param {Object} params.QueuedNotification - QueuedNotification model
+ * @param {number} [params.maxAttempts] - Attempts before a notification is given up on
+ * @param {function({channel: string, eventType: string}): void} [params.onFailure] - Called for every failed send, e.g. to count it
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{notify: function(string, Object): Promise<void>, processRetryQueue: function(number=): Promise<{sent: number, retried: number, failed: number}>}}
+ */
+function createNotifier({
+    channels,
+    routes,
+    QueuedNotification,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    onFailure = () => {},
+    now = () => new Date(),
+}) {
+    const retryAt = (attempts) => new Date(now().getTime() + getRetryDelaySeconds(attempts) * 1000);
+
+    /**
+     * Sends an event to its channels. Never rejects, so callers can fire and forget.
+     * @param {string} type - One of NOTIFICATION_EVENTS
+     * @param {Object} data - Event details
+     * @returns {Promise<void>} Resolves once every channel was sent to or queued for retry
+     */
+    async function notify(type, data) {
+        const event = { type, data, timestamp: now().toISOString() };
+
+        await Promise.all((routes[type] || []).map(async (channelName) => {
+            try {
+                await channels[channelName].send(event);
+            } catch (error) {
+                console.error(`Failed to send ${type} notification to ${channelName}, queueing a retry:`, error.message);
+                onFailure({ channel: channelName, eventType: type });
+
+                try {
+                    await QueuedNotification.create({
+                        channel: channelName,
+                        event_type: type,
+                        payload: event,
+                        attempts: 1,
+                        last_error: error.message,
+                        next_attempt_at: retryAt(1),
+                    });
+                } catch (queueError) {
+                    console.error(`Failed to queue ${type} notification for ${channelName}:`, queueError);
+                }
+            }
+        }));
+    }
+
+    /**
+     * Retries the queued notifications that are due, claimed with claimDueRows() so that instances
+     * running at the same time do not send them twice
+     * @param {number} [limit] - Most notifications to retry in one run
+     * @returns {Promise<{sent: number, retried: number, failed: number}>} What happened to the retried notifications
+     */
+    async function processRetryQueue(limit = 50) {
+        const result = { sent: 0, retried: 0, failed: 0 };
+
+        const due = await claimDueRows(QueuedNotification, { limit, now: now() });
+
+        for (const queued of due) {
+            const channel = channels[queued.channel];
+            const attempts = queued.attempts + 1;
+
+            if (!channel) {
+                await queued.update({ status: 'failed', last_error: 'Channel is no longer configured' });
+                result.failed++;
+                continue;
+            }
+
+            try {
+                await channel.send(queued.payload);
+                await queued.update({ status: 'sent', attempts, sent_at: now() });
+                result.sent++;
+            } catch (error) {
+                onFailure({ channel: queued.channel, eventType: queued.event_type });
+                const givenUp = attempts >= maxAttempts;
+                await queued.update({
+                    status: givenUp ? 'failed' : 'pending',
+                    attempts,
+                    last_error: error.message,
+                    next_attempt_at: givenUp ? queued.next_attempt_at : retryAt(attempts),
+                });
+                result[givenUp ? 'failed' : 'retried']++;
+            }
+        }
+
+        return result;
+    }
+
+    return { notify, processRetryQueue };
+}
+
+module.exports = {
+    getRetryDelaySeconds,
+    claimDueRows,
+    loadRoutes,
+    createNotifier,
+};
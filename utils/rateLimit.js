@@ -0,0 +1,223 @@
+// utils/rateLimit.js
+const { ERROR_CODES, sendError } = require('./apiErrors');
+
+// Keys are built from request input, so cap what goes into them
+const MAX_KEY_VALUE_LENGTH = 200;
+
+const DEFAULT_RULES = {
+    ip: { max: 60, windowSeconds: 60 },
+    address: { max: 20, windowSeconds: 60 },
+    failedSignature: { max: 5, windowSeconds: 3600 },
+};
+
+/**
+ * Reads the rate limits from the environment: RATE_LIMIT_IP_MAX and RATE_LIMIT_IP_WINDOW_SECONDS,
+ * the same for ADDRESS and FAILED_SIGNATURE. A max of 0 or an empty max turns the limit off.
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {Object<string, ({name: string, max: number, windowSeconds: number}|null)>} Rules by name, null when off
+ */
+function loadRateLimitRules(env = process.env) {
+    const rules = {};
+
+    Object.entries(DEFAULT_RULES).forEach(([name, defaults]) => {
+        const prefix = `RATE_LIMIT_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+        const maxSetting = env[`${prefix}_MAX`];
+        const max = maxSetting === undefined ? defaults.max : parseInt(maxSetting);
+        const windowSeconds = parseInt(env[`${prefix}_WINDOW_SECONDS`]) || defaults.windowSeconds;
+
+        rules[name] = max > 0 ? { name, max, windowSeconds } : null;
+    });
+
+    return rules;
+}
+
+/**
+ * In-memory store of fixed-window counters. Counts are per process, so use the
+ * Postgres store when running more than one instance.
+ * @param {Object} [options]
+ * @param {function(): number} [options.now] - Clock in milliseconds, for tests
+ * @returns {{hit: function, peek: function, sweep: function}}
+ */
+function createMemoryStore({ now = () => Date.now() } = {}) {
+    const counters = new Map();
+
+    const current = (key) => {
+        const counter = counters.get(key);
+        return counter && counter.resetAt > now() ? counter : null;
+    };
+
+    return {
+        /**
+         * Counts a request
+         * @param {string} key - Counter key
+         * @param {number} windowMs - Window length, used when a new window starts
+         * @returns {Promise<{count: number, resetAt: number}>} Count in the current window, including this request
+         */
+        hit: async (key, windowMs) => {
+            const counter = current(key) || { count: 0, resetAt: now() + windowMs };
+            counter.count++;
+            counters.set(key, counter);
+            return { ...counter };
+        },
+        /**
+         * Reads a counter without counting
+         * @param {string} key - Counter key
+         * @returns {Promise<{count: number, resetAt: number}|null>} null when the key has no open window
+         */
+        peek: async (key) => {
+            const counter = current(key);
+            return counter ? { ...counter } : null;
+        },
+        /**
+         * Forgets the counters whose window has ended
+         * @returns {Promise<number>} Number of counters removed
+         */
+        sweep: async () => {
+            let removed = 0;
+            counters.forEach((counter, key) => {
+                if (counter.resetAt <= now()) {
+                    counters.delete(key);
+                    removed++;
+                }
+            });
+            return removed;
+        },
+    };
+}
+
+/**
+ * Postgres store of fixed-window counters, shared by every instance. Each hit is a single
+ * upsert, so concurrent requests cannot lose counts.
+ * @param {Object} params
+ * @param {Object} params.RateLimitCounter - RateLimitCounter model
+ * @param {function(): number} [params.now] - Clock in milliseconds, for tests
+ * @returns {{hit: function, peek: function, sweep: function}} Same interface as createMemoryStore()
+ */
+function createPostgresStore({ RateLimitCounter, now = () => Date.now() }) {
+    const { sequelize } = RateLimitCounter;
+    const table = sequelize.getQueryInterface().quoteIdentifier(RateLimitCounter.getTableName());
+
+    return {
+        hit: async (key, windowMs) => {
+            const current = new Date(now());
+            const [rows] = await sequelize.query(
+                `INSERT INTO ${table} (key, count, reset_at) VALUES (:key, 1, :resetAt)
+                 ON CONFLICT (key) DO UPDATE SET
+                     count = CASE WHEN ${table}.reset_at <= :now THEN 1 ELSE ${table}.count + 1 END,
+                     reset_at = CASE WHEN ${table}.reset_at <= :now THEN EXCLUDED.reset_at ELSE ${table}.reset_at END
+                 RETURNING count, reset_at`,
+                { replacements: { key, now: current, resetAt: new Date(current.getTime() + windowMs) } }
+            );
+            return { count: rows[0].count, resetAt: new Date(rows[0].reset_at).getTime() };
+        },
+        peek: async (key) => {
+            const counter = await RateLimitCounter.findByPk(key);
+            if (!counter || new Date(counter.reset_at).getTime() <= now()) {
+                return null;
+            }
+            return { count: counter.count, resetAt: new Date(counter.reset_at).getTime() };
+        },
+        sweep: async () => {
+            const [, metadata] = await sequelize.query(
+                `DELETE FROM ${table} WHERE reset_at <= :now`,
+                { replacements: { now: new Date(now()) } }
+            );
+            return metadata ? metadata.rowCount : 0;
+        },
+    };
+}
+
+/**
+ * Creates the rate limiter on top of a store
+ * @param {Object} params
+ * @param {{hit: function, peek: function}} params.store - From createMemoryStore() or createPostgresStore()
+ * @param {function(): number} [params.now] - Clock in milliseconds, for tests
+ * @returns {{limit: function, getRetryAfter: function, recordFailure: function, tooManyRequests: function}}
+ *   tooManyRequests(res, retryAfter, [code]) sends the 429 response with its Retry-After header
+ */
+function createRateLimiter({ store, now = () => Date.now() }) {
+    const keyFor = (rule, value) => `${rule.name}:${String(value).slice(0, MAX_KEY_VALUE_LENGTH)}`;
+    const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - now()) / 1000));
+
+    const tooManyRequests = (res, retryAfter, code = ERROR_CODES.RATE_LIMITED) => {
+        res.set('Retry-After', String(retryAfter));
+        return sendError(res, 429, code, `Too many requests. Try again in ${retryAfter} seconds.`);
+    };
+
+    /**
+     * Express middleware counting every request against a rule
+     * @param {{name: string, max: number, windowSeconds: number}|null} rule - From loadRateLimitRules(), null to not limit
+     * @param {function(Object): (string|undefined)} getKey - Value to count by, e.g. req => req.ip.
+     *   Requests without one are not counted.
+     * @returns {function(Object, Object, function): Promise<void>} Middleware
+     */
+    function limit(rule, getKey) {
+        return async (req, res, next) => {
+            const value = rule ? getKey(req) : null;
+            if (!value) {
+                return next();
+            }
+
+            let counter;
+            try {
+                counter = await store.hit(keyFor(rule, value), rule.windowSeconds * 1000);
+            } catch (error) {
+                // A store outage should not take the API down with it
+                console.error('Rate limit store failed, letting the request through:', error);
+                return next();
+            }
+
+            if (counter.count > rule.max) {
+                return tooManyRequests(res, secondsUntil(counter.resetAt));
+            }
+            next();
+        };
+    }
+
+    /**
+     * Checks a rule that only counts failures, without counting this request
+     * @param {{name: string, max: number, windowSeconds: number}|null} rule - null to not limit
+     * @param {string} value - Value the failures are counted by
+     * @returns {Promise<number>} Seconds until the next attempt is allowed, 0 if it is allowed now
+     */
+    async function getRetryAfter(rule, value) {
+        if (!rule || !value) {
+            return 0;
+        }
+
+        try {
+            const counter = await store.peek(keyFor(rule, value));
+            return counter && counter.count >= rule.max ? secondsUntil(counter.resetAt) : 0;
+        } catch (error) {
+            console.error('Rate limit store failed, letting the request through:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Counts a failure against a rule checked with getRetryAfter()
+     * @param {{name: string, max: number, windowSeconds: number}|null} rule - null to not limit
+     * @param {string} value - Value the failures are counted by
+     * @returns {Promise<void>}
+     */
+    async function recordFailure(rule, value) {
+        if (!rule || !value) {
+            return;
+        }
+
+        try {
+            await store.hit(keyFor(rule, value), rule.windowSeconds * 1000);
+        } catch (error) {
+            console.error('Failed to count a rate limited failure:', error);
+        }
+    }
+
+    return { limit, getRetryAfter, recordFailure, tooManyRequests };
+}
+
+module.exports = {
+    loadRateLimitRules,
+    createMemoryStore,
+    createPostgresStore,
+    createRateLimiter,
+};
@@ -0,0 +1,366 @@
+// utils/reconciliation.js
+const { Op, Transaction } = require('sequelize');
+const { CLAIM_STATUSES, ModerationError } = require('./claimModeration');
+const { verifyMessage } = require('./x42Message');
+const { ENTRY_TYPES } = require('./transparencyLog');
+
+// Problems a reconciliation can find. total_mismatch is about the campaign, the others about one claim.
+const RECONCILIATION_ISSUES = {
+    RAW_JSON_MISMATCH: 'raw_json_mismatch',
+    INVALID_SIGNATURE: 'invalid_signature',
+    NOT_IN_SNAPSHOT: 'not_in_snapshot',
+    BALANCE_MISMATCH: 'balance_mismatch',
+    DUPLICATE_ADDRESS: 'duplicate_address',
+    TOTAL_MISMATCH: 'total_mismatch',
+};
+
+// Recorded as the actor of the flags a reconciliation sets
+const RECONCILIATION_ACTOR = 'reconciliation';
+
+const BATCH_SIZE = 500;
+
+// Helper function to read a balance stored as a number or a string of digits, or null if it is neither
+function toBigInt(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if ((typeof value === 'number' && Number.isSafeInteger(value)) || (typeof value === 'string' && /^\d+$/.test(value))) {
+        return BigInt(value);
+    }
+    return null;
+}
+
+/**
+ * Returns the message a stored claim's signature was made over. Claims made with a challenge keep the
+ * message in raw_json; older claims signed the JSON of the request body, which raw_json holds as sent.
+ * @param {Object} rawJson - The claim's raw_json
+ * @returns {string} The signed message
+ */
+function getSignedMessage(rawJson) {
+    return typeof rawJson.message === 'string' ? rawJson.message : JSON.stringify(rawJson);
+}
+
+/**
+ * Checks one stored claim against its raw_json, its signature and the imported snapshot balance.
+ * A claim moved to another epix address must have got there through signed destination changes.
+ * @param {Object} claim - Snapshot instance
+ * @param {Object|null} snapshotBalance - The SnapshotBalance row of the claim's x42 address, or null
+ * @param {function(string, string, string): boolean} verifySignature - Checks a signed message
+ * @param {Object[]} [destinationChanges] - The claim's applied DestinationChange rows, oldest first
+ * @returns {Array<{type: string, message: string}>} The problems found, empty if there are none
+ */
+function checkStoredClaim(claim, snapshotBalance, verifySignature, destinationChanges = []) {
+    const issues = [];
+    const raw = claim.raw_json || {};
+    const storedBalance = BigInt(claim.snapshot_balance);
+
+    // Follow the destination from the one signed in the claim through every change
+    let destination = raw.epix_address;
+    for (const change of destinationChanges) {
+        if (change.from_epix_address !== destination) {
+            destination = null;
+            break;
+        }
+        destination = change.to_epix_address;
+    }
+
+    // The columns must say what was submitted and signed
+    const mismatched = [];
+    if (raw.x42_address !== claim.x42_address) {
+        mismatched.push('x42_address');
+    }
+    if (destination !== claim.epix_address) {
+        mismatched.push('epix_address');
+    }
+    if (toBigInt(raw.snapshot_balance) !== storedBalance) {
+        mismatched.push('snapshot_balance');
+    }
+    if (raw.campaign_id !== undefined && raw.campaign_id !== claim.campaign_id) {
+        mismatched.push('campaign_id');
+    }
+    if (mismatched.length > 0) {
+        issues.push({
+            type: RECONCILIATION_ISSUES.RAW_JSON_MISMATCH,
+            message: destinationChanges.length > 0
+                ? `Stored ${mismatched.join(', ')} differs from raw_json and its destination changes`
+                : `Stored ${mismatched.join(', ')} differs from raw_json`,
+        });
+    }
+
+    if (!verifySignature(getSignedMessage(raw), claim.x42_address, claim.signature)) {
+        issues.push({ type: RECONCILIATION_ISSUES.INVALID_SIGNATURE, message: 'Signature does not verify' });
+    }
+    destinationChanges
+        .filter(change => !verifySignature(change.message, claim.x42_address, change.signature))
+        .forEach(change => issues.push({
+            type: RECONCILIATION_ISSUES.INVALID_SIGNATURE,
+            message: `Signature of destination change ${change.id} does not verify`,
+        }));
+
+    if (!snapshotBalance) {
+        issues.push({ type: RECONCILIATION_ISSUES.NOT_IN_SNAPSHOT, message: 'Address not found in snapshot' });
+    } else if (BigInt(snapshotBalance.balance) !== storedBalance) {
+        issues.push({
+            type: RECONCILIATION_ISSUES.BALANCE_MISMATCH,
+            message: `Stored balance ${storedBalance} differs from snapshot balance ${snapshotBalance.balance}`,
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Formats a reconciliation report for the admin API
+ * @param {Object} report - ReconciliationReport instance
+ * @param {Object} [options]
+ * @param {boolean} [options.includeIssues] - Include the list of issues, which can be long
+ * @returns {Object} Plain report object
+ */
+function formatReconciliationReport(report, { includeIssues = true } = {}) {
+    const formatted = {
+        id: report.id,
+        campaign_id: report.campaign_id,
+        trigger: report.trigger,
+        status: report.status,
+        summary: report.summary,
+        error: report.error,
+        created_at: report.createdAt,
+        completed_at: report.completed_at,
+    };
+    if (includeIssues) {
+        formatted.issues = report.issues;
+    }
+    return formatted;
+}
+
+/**
+ * Creates the reconciliation of stored claims. A run re-verifies every claim of a campaign, reports
+ * what it finds and flags the active claims with problems, which leaves them out of totals and exports
+ * until an admin has looked at them.
+ * @param {Object} params
+ * @param {Object} params.Campaign - Campaign model
+ * @param {Object} params.Snapshot - Snapshot model
+ * @param {Object} params.SnapshotBalance - SnapshotBalance model
+ * @param {Object} params.DestinationChange - DestinationChange model
+ * @param {Object} params.TransparencyLogEntry - TransparencyLogEntry model, the record the totals are checked against
+ * @param {Object} params.ReconciliationReport - ReconciliationReport model
+ * @param {Object} params.claimModerator - From createClaimModerator(), used to flag claims
+ * @param {function(Object, (Date|null), Object): Promise<{totalClaimed: *, totalClaims: number}>} params.getClaimTotals
+ *   The totals /total-claimed reports, read in the given transaction
+ * @param {function(string, string, string): boolean} [params.verifySignature] - Checks a signed message, for tests
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{reconcile: function, reconcileAll: function}}
+ */
+function createReconciler({
+    Campaign,
+    Snapshot,
+    SnapshotBalance,
+    DestinationChange,
+    TransparencyLogEntry,
+    ReconciliationReport,
+    claimModerator,
+    getClaimTotals,
+    verifySignature = verifyMessage,
+    now = () => new Date(),
+}) {
+    // Reads the totals, every claim of the campaign and its transparency log entry in one
+    // repeatable-read transaction, so they are all from the same moment
+    async function inspect(campaign) {
+        return Snapshot.sequelize.transaction({ isolationLevel: Transaction.ISOLATION_LEVELS.REPEATABLE_READ }, async (transaction) => {
+            const totals = await getClaimTotals(campaign, null, transaction);
+            const issues = [];
+            const firstClaimIds = new Map();
+            let claimsChecked = 0;
+            let activeClaims = 0;
+            let activeTotal = 0n;
+            let loggedClaims = 0;
+            let loggedTotal = 0n;
+            let lastId = 0;
+
+            for (;;) {
+                const claims = await Snapshot.findAll({
+                    where: { campaign_id: campaign.id, id: { [Op.gt]: lastId } },
+                    order: [['id', 'ASC']],
+                    limit: BATCH_SIZE,
+                    transaction,
+                });
+                if (claims.length === 0) {
+                    break;
+                }
+                lastId = claims[claims.length - 1].id;
+
+                const balances = await SnapshotBalance.findAll({
+                    where: { campaign_id: campaign.id, address: claims.map(claim => claim.x42_address) },
+                    transaction,
+                });
+                const balanceByAddress = new Map(balances.map(balance => [balance.address, balance]));
+
+                const changes = await DestinationChange.findAll({
+                    where: { claim_id: claims.map(claim => claim.id), applied_at: { [Op.ne]: null } },
+                    order: [['applied_at', 'ASC'], ['id', 'ASC']],
+                    transaction,
+                });
+                const changesByClaim = new Map();
+                changes.forEach(change => changesByClaim.set(change.claim_id, [...(changesByClaim.get(change.claim_id) || []), change]));
+
+                // The balance each active claim had when it was accepted, as the log committed to it
+                const entries = await TransparencyLogEntry.findAll({
+                    where: {
+                        entry_type: ENTRY_TYPES.CLAIM,
+                        claim_id: claims.filter(claim => claim.status === CLAIM_STATUSES.ACTIVE).map(claim => claim.id),
+                    },
+                    transaction,
+                });
+                entries.forEach(entry => {
+                    loggedClaims++;
+                    loggedTotal += toBigInt(entry.leaf.snapshot_balance) || 0n;
+                });
+
+                for (const claim of claims) {
+                    claimsChecked++;
+                    if (claim.status === CLAIM_STATUSES.ACTIVE) {
+                        activeClaims++;
+                        activeTotal += BigInt(claim.snapshot_balance);
+                    }
+
+                    const found = checkStoredClaim(
+                        claim,
+                        balanceByAddress.get(claim.x42_address) || null,
+                        verifySignature,
+                        changesByClaim.get(claim.id)
+                    );
+
+                    // The earliest claim of an address is the one that counts
+                    if (firstClaimIds.has(claim.x42_address)) {
+                        found.push({
+                            type: RECONCILIATION_ISSUES.DUPLICATE_ADDRESS,
+                            message: `Address was already claimed by claim ${firstClaimIds.get(claim.x42_address)}`,
+                        });
+                    } else {
+                        firstClaimIds.set(claim.x42_address, claim.id);
+                    }
+
+                    found.forEach(issue => issues.push({
+                        ...issue,
+                        claim_id: claim.id,
+                        x42_address: claim.x42_address,
+                        status: claim.status,
+                    }));
+                }
+            }
+
+            const totalClaimed = BigInt(totals.totalClaimed || 0);
+            if (totalClaimed !== activeTotal || totals.totalClaims !== activeClaims) {
+                issues.push({
+                    type: RECONCILIATION_ISSUES.TOTAL_MISMATCH,
+                    message: `/total-claimed reports ${totalClaimed} over ${totals.totalClaims} claims, `
+                        + `the active claims add up to ${activeTotal} over ${activeClaims}`,
+                    claim_id: null,
+                    x42_address: null,
+                    status: null,
+                });
+            }
+            if (loggedTotal !== activeTotal || loggedClaims !== activeClaims) {
+                issues.push({
+                    type: RECONCILIATION_ISSUES.TOTAL_MISMATCH,
+                    message: `The transparency log records ${loggedTotal} over ${loggedClaims} of the active claims, `
+                        + `the active claims add up to ${activeTotal} over ${activeClaims}`,
+                    claim_id: null,
+                    x42_address: null,
+                    status: null,
+                });
+            }
+
+            return {
+                issues,
+                summary: {
+                    claims_checked: claimsChecked,
+                    active_claims: activeClaims,
+                    active_total: activeTotal.toString(),
+                    total_claimed: totalClaimed.toString(),
+                    logged_claims: loggedClaims,
+                    logged_total: loggedTotal.toString(),
+                },
+            };
+        });
+    }
+
+    // Flags the active claims with issues, one flag per claim giving every reason
+    async function flagClaims(issues) {
+        const reasons = new Map();
+        issues
+            .filter(issue => issue.claim_id !== null && issue.status === CLAIM_STATUSES.ACTIVE)
+            .forEach(issue => reasons.set(issue.claim_id, [...(reasons.get(issue.claim_id) || []), issue.message]));
+
+        const flagged = new Set();
+        for (const [claimId, messages] of reasons) {
+            try {
+                await claimModerator.changeStatus(claimId, 'flag', `Reconciliation: ${messages.join('; ')}`, RECONCILIATION_ACTOR);
+                flagged.add(claimId);
+            } catch (error) {
+                // An admin changed the claim since it was read; theirs is the newer decision
+                if (!(error instanceof ModerationError)) {
+                    throw error;
+                }
+            }
+        }
+
+        return flagged;
+    }
+
+    /**
+     * Reconciles one campaign and stores the report
+     * @param {Object} campaign - Campaign to reconcile
+     * @param {Object} [options]
+     * @param {string} [options.trigger] - What started the run: scheduled, admin or export
+     * @returns {Promise<Object>} The completed ReconciliationReport
+     * @throws {Error} If the run fails, after marking the report failed
+     */
+    async function reconcile(campaign, { trigger = 'admin' } = {}) {
+        const report = await ReconciliationReport.create({ campaign_id: campaign.id, trigger, status: 'running' });
+
+        try {
+            const { issues, summary } = await inspect(campaign);
+            const flagged = await flagClaims(issues);
+
+            const issueCounts = {};
+            issues.forEach(issue => {
+                issueCounts[issue.type] = (issueCounts[issue.type] || 0) + 1;
+            });
+
+            return await report.update({
+                status: 'complete',
+                summary: { ...summary, issues: issues.length, issue_counts: issueCounts, claims_flagged: flagged.size },
+                issues: issues.map(issue => ({ ...issue, flagged: flagged.has(issue.claim_id) })),
+                completed_at: now(),
+            });
+        } catch (error) {
+            await report.update({ status: 'failed', error: error.message, completed_at: now() }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Reconciles every campaign, one after the other. Used by the scheduled job.
+     * @returns {Promise<Object[]>} The reports, one per campaign
+     */
+    async function reconcileAll() {
+        const campaigns = await Campaign.findAll({ order: [['id', 'ASC']] });
+        const reports = [];
+        for (const campaign of campaigns) {
+            reports.push(await reconcile(campaign, { trigger: 'scheduled' }));
+        }
+        return reports;
+    }
+
+    return { reconcile, reconcileAll };
+}
+
+module.exports = {
+    RECONCILIATION_ISSUES,
+    RECONCILIATION_ACTOR,
+    getSignedMessage,
+    checkStoredClaim,
+    formatReconciliationReport,
+    createReconciler,
+};
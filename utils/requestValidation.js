@@ -0,0 +1,368 @@
+// utils/requestValidation.js
+const { ERROR_CODES, sendError } = require('./apiErrors');
+
+// Schema keywords the validator understands. Anything else in a request schema is
+// rejected when the validator is built, so the Swagger docs cannot promise a check
+// that is not made.
+const SUPPORTED_KEYWORDS = new Set([
+    'type', 'format', 'enum', 'nullable', 'oneOf', 'items', 'properties', 'required',
+    'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems',
+    'description', 'example', 'default', 'title',
+]);
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object',
+};
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isSafeInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+};
+
+const FORMAT_CHECKS = {
+    'date-time': value => !Number.isNaN(Date.parse(value)),
+};
+
+function missing(field) {
+    return { code: ERROR_CODES.MISSING_FIELD, field, message: `${field} is required` };
+}
+
+function invalid(field, message) {
+    return { code: ERROR_CODES.INVALID_FIELD, field, message: `${field || 'Request body'} ${message}` };
+}
+
+function resolveSchema(spec, schema) {
+    if (schema && schema.$ref) {
+        const name = schema.$ref.replace(/^#\/components\/schemas\//, '');
+        const resolved = spec.components && spec.components.schemas && spec.components.schemas[name];
+        if (!resolved) {
+            throw new Error(`Unknown schema reference ${schema.$ref}`);
+        }
+        return resolveSchema(spec, resolved);
+    }
+    return schema;
+}
+
+// Resolves references and checks every keyword is supported, returning a plain schema tree
+function prepareSchema(spec, schema, location) {
+    const resolved = resolveSchema(spec, schema) || {};
+
+    Object.keys(resolved).forEach((keyword) => {
+        if (!SUPPORTED_KEYWORDS.has(keyword)) {
+            throw new Error(`Unsupported schema keyword "${keyword}" in ${location}`);
+        }
+    });
+    if (resolved.type && !TYPE_CHECKS[resolved.type]) {
+        throw new Error(`Unsupported type "${resolved.type}" in ${location}`);
+    }
+
+    const prepared = { ...resolved };
+    if (resolved.pattern) {
+        prepared.pattern = new RegExp(resolved.pattern);
+    }
+    if (resolved.items) {
+        prepared.items = prepareSchema(spec, resolved.items, location);
+    }
+    if (resolved.oneOf) {
+        prepared.oneOf = resolved.oneOf.map(option => prepareSchema(spec, option, location));
+    }
+    if (resolved.properties) {
+        prepared.properties = {};
+        Object.entries(resolved.properties).forEach(([name, property]) => {
+            prepared.properties[name] = prepareSchema(spec, property, `${location}.${name}`);
+        });
+    }
+    return prepared;
+}
+
+/**
+ * Validates a value against a schema from the Swagger docs
+ * @param {Object} schema - Schema prepared by createRequestValidator(), i.e. with patterns compiled
+ * @param {*} value - Value to check, not undefined
+ * @param {string|null} field - Name of the value, used in the error
+ * @returns {{code: string, field: (string|null), message: string}|null} The first problem found, or null
+ */
+function validateValue(schema, value, field) {
+    if (value === null) {
+        return schema.nullable ? null : invalid(field, 'must not be null');
+    }
+
+    if (schema.oneOf) {
+        const errors = schema.oneOf.map(option => validateValue(option, value, field));
+        if (errors.some(error => error === null)) {
+            return null;
+        }
+        // Report the option of the value's own type, so "must match the pattern" beats "must be an integer"
+        const sameType = schema.oneOf.findIndex(option => !option.type || TYPE_CHECKS[option.type](value));
+        if (sameType !== -1) {
+            return errors[sameType];
+        }
+        return invalid(field, `must be ${schema.oneOf.map(option => TYPE_NAMES[option.type]).join(' or ')}`);
+    }
+
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+        return invalid(field, `must be ${TYPE_NAMES[schema.type]}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return invalid(field, `must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return invalid(field, `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return invalid(field, `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return schema.minLength === 1 ? invalid(field, 'must not be empty') : invalid(field, `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return invalid(field, `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            return invalid(field, 'is not in the expected format');
+        }
+        if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+            return invalid(field, `must be a ${schema.format}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return invalid(field, `must have at least ${schema.minItems} ${schema.minItems === 1 ? 'item' : 'items'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return invalid(field, `must have at most ${schema.maxItems} items`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        for (let i = 0; i < value.length; i++) {
+            const error = validateValue(schema.items, value[i], `${field || ''}[${i}]`);
+            if (error) {
+                return error;
+            }
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        for (const property of schema.required || []) {
+            if (value[property] === undefined) {
+                return missing(field ? `${field}.${property}` : property);
+            }
+        }
+        for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[property] !== undefined) {
+                const error = validateValue(propertySchema, value[property], field ? `${field}.${property}` : property);
+                if (error) {
+                    return error;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Converts a query, path or header value to the type its schema declares, since those
+ * always arrive as strings. Values that do not convert are left alone and fail validation.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw value
+ * @returns {*} Converted value
+ */
+function coerceParameter(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(value) ? Number(value) : value;
+        case 'number':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+        case 'boolean':
+            return value === 'true' ? true : (value === 'false' ? false : value);
+        default:
+            return value;
+    }
+}
+
+// Turns /claims/x42/{address} into a regular expression capturing the path parameters
+function compilePath(path) {
+    const names = [];
+    const source = path.split(/(\{[^}]+\})/).map((part) => {
+        const match = /^\{([^}]+)\}$/.exec(part);
+        if (match) {
+            names.push(match[1]);
+            return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function compileOperations(spec) {
+    const operations = [];
+
+    Object.entries(spec.paths || {}).forEach(([path, item]) => {
+        const { regex, names } = compilePath(path);
+
+        Object.entries(item).forEach(([method, operation]) => {
+            if (method === 'parameters') {
+                return;
+            }
+            const location = `${method.toUpperCase()} ${path}`;
+
+            // Operation parameters override path parameters of the same name and location
+            const parameters = new Map();
+            [...(item.parameters || []), ...(operation.parameters || [])].forEach((parameter) => {
+                parameters.set(`${parameter.in}:${parameter.name}`, {
+                    name: parameter.name,
+                    in: parameter.in,
+                    required: parameter.in === 'path' || Boolean(parameter.required),
+                    schema: prepareSchema(spec, parameter.schema, `${location} ${parameter.in} ${parameter.name}`),
+                });
+            });
+
+            let body = null;
+            if (operation.requestBody) {
+                const content = operation.requestBody.content || {};
+                if (!content['application/json']) {
+                    throw new Error(`Only JSON request bodies are supported, in ${location}`);
+                }
+                body = {
+                    required: Boolean(operation.requestBody.required),
+                    schema: prepareSchema(spec, content['application/json'].schema, `${location} body`),
+                };
+            }
+
+            operations.push({
+                key: location,
+                path,
+                method,
+                regex,
+                names,
+                templated: names.length,
+                parameters: [...parameters.values()],
+                body,
+            });
+        });
+    });
+
+    // A literal segment is more specific than a parameter: /admin/claims/{id}/notes before /admin/claims/{id}/{action}
+    return operations.sort((a, b) => a.templated - b.templated);
+}
+
+function readParameter(req, parameter, pathParams) {
+    switch (parameter.in) {
+        case 'path':
+            return pathParams[parameter.name];
+        case 'query':
+            return req.query[parameter.name];
+        case 'header':
+            return req.get(parameter.name);
+        default:
+            return undefined;
+    }
+}
+
+function validateOperation(operation, req, pathParams) {
+    for (const parameter of operation.parameters) {
+        const raw = readParameter(req, parameter, pathParams);
+        if (raw === undefined || raw === '') {
+            if (parameter.required) {
+                return missing(parameter.name);
+            }
+            continue;
+        }
+
+        const error = validateValue(parameter.schema, coerceParameter(parameter.schema, raw), parameter.name);
+        if (error) {
+            return error;
+        }
+    }
+
+    if (operation.body) {
+        const hasBody = req.body !== undefined && !(TYPE_CHECKS.object(req.body) && Object.keys(req.body).length === 0);
+        if (!hasBody && operation.body.required && !(operation.body.schema.required || []).length) {
+            return { code: ERROR_CODES.INVALID_REQUEST, field: null, message: 'Request body is required' };
+        }
+        return validateValue(operation.body.schema, req.body === undefined ? {} : req.body, null);
+    }
+
+    return null;
+}
+
+/**
+ * Creates Express middleware validating requests against the Swagger docs: the query, path
+ * and header parameters and the JSON body of every documented operation. Undocumented
+ * paths are passed through. Documented requests get the Swagger path they matched as
+ * req.operationPath, e.g. /claims/x42/{address}, which metrics label them with.
+ * @param {Object} spec - OpenAPI document, e.g. from swagger-jsdoc
+ * @param {Object} [options]
+ * @param {string[]} [options.deferred] - Operations, as "POST /verify-snapshot", that handle their own
+ *   validation errors. They get the error as req.validationError instead of a 400 response.
+ * @returns {function(Object, Object, function): void} Middleware
+ * @throws {Error} If a request schema uses a keyword the validator does not support
+ */
+function createRequestValidator(spec, { deferred = [] } = {}) {
+    const operations = compileOperations(spec);
+    const deferredKeys = new Set(deferred);
+
+    return (req, res, next) => {
+        const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+
+        for (const operation of operations) {
+            if (operation.method !== method) {
+                continue;
+            }
+            const match = operation.regex.exec(req.path);
+            if (!match) {
+                continue;
+            }
+            req.operationPath = operation.path;
+
+            const pathParams = {};
+            try {
+                operation.names.forEach((name, i) => {
+                    pathParams[name] = decodeURIComponent(match[i + 1]);
+                });
+            } catch (error) {
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Malformed URL');
+            }
+
+            const error = validateOperation(operation, req, pathParams);
+            if (!error) {
+                return next();
+            }
+            if (deferredKeys.has(operation.key)) {
+                req.validationError = error;
+                return next();
+            }
+            return sendError(res, 400, error.code, error.message, error.field);
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validateValue,
+    coerceParameter,
+    createRequestValidator,
+};
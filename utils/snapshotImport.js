@@ -0,0 +1,150 @@
+// utils/snapshotImport.js
+const path = require('path');
+
+/**
+ * Converts a balance from a snapshot dump into satoshis
+ * @param {string|number} value - Balance in satoshis
+ * @param {string} address - Address the balance belongs to, used in error messages
+ * @returns {bigint} The balance as a BigInt
+ */
+function parseBalance(value, address) {
+    // JSON.parse has already rounded numbers above 2^53, so their digits cannot be trusted
+    if (typeof value === 'number' && Number.isInteger(value) && !Number.isSafeInteger(value)) {
+        throw new Error(`Balance ${value} for address ${address} is too large for a JSON number. Give balances as strings in JSON dumps.`);
+    }
+
+    const stringValue = String(value).trim();
+
+    if (!/^\d+$/.test(stringValue)) {
+        throw new Error(`Invalid balance "${value}" for address ${address}. Balances must be whole satoshis.`);
+    }
+
+    return BigInt(stringValue);
+}
+
+/**
+ * Parses a CSV snapshot dump with an address,balance[,height] layout.
+ * A header row is optional.
+ * @param {string} content - CSV file contents
+ * @returns {Array<{address: string, balance: bigint, height: (number|null)}>}
+ */
+function parseCsvDump(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+
+    // Skip the header row, recognisable by a column name in the balance column
+    if (lines.length > 0 && /[a-z]/i.test(lines[0].split(',')[1] || '')) {
+        lines.shift();
+    }
+
+    return lines.map((line, index) => {
+        const [address, balance, height] = line.split(',').map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+
+        if (!address || balance === undefined) {
+            throw new Error(`Malformed CSV line ${index + 1}: ${line}`);
+        }
+
+        return {
+            address,
+            balance: parseBalance(balance, address),
+            height: height ? parseInt(height) : null,
+        };
+    });
+}
+
+/**
+ * Parses a JSON snapshot dump. Supported shapes are an array of
+ * { address, balance, height } objects, a plain { address: balance } map,
+ * or { height, balances } where balances is either of the above.
+ * @param {string} content - JSON file contents
+ * @returns {Array<{address: string, balance: bigint, height: (number|null)}>}
+ */
+function parseJsonDump(content) {
+    let data = JSON.parse(content);
+    let defaultHeight = null;
+
+    if (data && !Array.isArray(data) && data.balances) {
+        defaultHeight = data.height ? parseInt(data.height) : null;
+        data = data.balances;
+    }
+
+    if (Array.isArray(data)) {
+        return data.map((entry, index) => {
+            if (!entry || !entry.address || entry.balance === undefined) {
+                throw new Error(`Malformed JSON entry at index ${index}`);
+            }
+
+            return {
+                address: entry.address,
+                balance: parseBalance(entry.balance, entry.address),
+                height: entry.height ? parseInt(entry.height) : defaultHeight,
+            };
+        });
+    }
+
+    if (data && typeof data === 'object') {
+        return Object.entries(data).map(([address, balance]) => ({
+            address,
+            balance: parseBalance(balance, address),
+            height: defaultHeight,
+        }));
+    }
+
+    throw new Error('Unsupported JSON snapshot dump format');
+}
+
+/**
+ * Parses a snapshot dump and checks it is consistent with the campaign
+ * @param {string} content - File contents
+ * @param {string} format - Either 'csv' or 'json'
+ * @param {number} [snapshotHeight] - Expected snapshot height, checked against any heights in the dump
+ * @returns {Array<{address: string, balance: bigint, height: (number|null)}>}
+ */
+function parseSnapshotDump(content, format, snapshotHeight) {
+    let entries;
+
+    if (format === 'csv') {
+        entries = parseCsvDump(content);
+    } else if (format === 'json') {
+        entries = parseJsonDump(content);
+    } else {
+        throw new Error(`Unsupported snapshot dump format: ${format}`);
+    }
+
+    const seen = new Set();
+    entries.forEach(entry => {
+        if (seen.has(entry.address)) {
+            throw new Error(`Duplicate address in snapshot dump: ${entry.address}`);
+        }
+        seen.add(entry.address);
+
+        if (snapshotHeight && entry.height !== null && entry.height !== snapshotHeight) {
+            throw new Error(`Balance for ${entry.address} is at height ${entry.height}, expected ${snapshotHeight}`);
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Guesses the dump format from a file name
+ * @param {string} fileName - Path to the dump
+ * @returns {string|null} 'csv', 'json' or null if unknown
+ */
+function detectFormat(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+
+    if (extension === '.csv') {
+        return 'csv';
+    }
+
+    if (extension === '.json') {
+        return 'json';
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseSnapshotDump,
+    detectFormat,
+};
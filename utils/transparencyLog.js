@@ -0,0 +1,241 @@
+// utils/transparencyLog.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { canonicalJson } = require('./exportManifest');
+
+// prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Key of the Postgres advisory lock that serializes appends, "EPIX" in ASCII
+const LOG_LOCK_KEY = 0x45504958;
+
+// What an entry records. Each claim has one claim entry, followed by an entry per destination change.
+const ENTRY_TYPES = {
+    CLAIM: 'claim',
+    DESTINATION_CHANGE: 'destination_change',
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Turns a claim into the leaf the log commits to. The message and signature let anyone
+ * check the claim against the x42 key without trusting the server.
+ * @param {Object} claim - Snapshot instance
+ * @returns {Object} Leaf with string and number values only, so it survives a JSON round trip unchanged
+ */
+function buildLeaf(claim) {
+    return {
+        claim_id: claim.id,
+        campaign_id: claim.campaign_id,
+        x42_address: claim.x42_address,
+        epix_address: claim.epix_address,
+        snapshot_balance: String(claim.snapshot_balance),
+        signature: claim.signature,
+        // Claims made before challenges were introduced have no message
+        message: (claim.raw_json && claim.raw_json.message) || null,
+        claimed_at: new Date(claim.createdAt).toISOString(),
+    };
+}
+
+/**
+ * Turns an applied destination change into the leaf the log commits to. The signed message
+ * names both addresses, so the change can be checked against the x42 key like the claim.
+ * @param {Object} change - Applied DestinationChange instance
+ * @returns {Object} Leaf with string and number values only
+ */
+function buildDestinationChangeLeaf(change) {
+    return {
+        type: ENTRY_TYPES.DESTINATION_CHANGE,
+        claim_id: change.claim_id,
+        campaign_id: change.campaign_id,
+        x42_address: change.x42_address,
+        from_epix_address: change.from_epix_address,
+        to_epix_address: change.to_epix_address,
+        signature: change.signature,
+        message: change.message,
+        changed_at: new Date(change.applied_at).toISOString(),
+    };
+}
+
+/**
+ * Hashes an entry. Every entry commits to the previous one, so editing or removing
+ * an old claim changes every hash after it.
+ * @param {Object} entry
+ * @param {number} entry.sequence - Position in the log
+ * @param {string} entry.prevHash - entry_hash of the previous entry, GENESIS_HASH for the first
+ * @param {Object} entry.leaf - From buildLeaf()
+ * @returns {string} Hex SHA-256 of the canonical JSON of { leaf, prev_hash, sequence }
+ */
+function hashEntry({ sequence, prevHash, leaf }) {
+    return crypto.createHash('sha256')
+        .update(canonicalJson({ leaf, prev_hash: prevHash, sequence }))
+        .digest('hex');
+}
+
+/**
+ * Checks a run of consecutive entries, as returned by GET /transparency/log
+ * @param {Array<{sequence: number, prev_hash: string, entry_hash: string, leaf: Object}>} entries - Entries in order
+ * @param {string} [prevHash] - entry_hash of the entry before the first one, GENESIS_HASH when starting at 1
+ * @returns {{valid: true, headHash: string}|{valid: false, sequence: number, error: string}}
+ */
+function verifyLogEntries(entries, prevHash = GENESIS_HASH) {
+    let expectedPrevHash = prevHash;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+
+        if (i > 0 && entry.sequence !== entries[i - 1].sequence + 1) {
+            return { valid: false, sequence: entry.sequence, error: `Expected sequence ${entries[i - 1].sequence + 1}` };
+        }
+        if (entry.prev_hash !== expectedPrevHash) {
+            return { valid: false, sequence: entry.sequence, error: 'prev_hash does not match the previous entry' };
+        }
+        if (hashEntry({ sequence: entry.sequence, prevHash: entry.prev_hash, leaf: entry.leaf }) !== entry.entry_hash) {
+            return { valid: false, sequence: entry.sequence, error: 'entry_hash does not match the entry' };
+        }
+
+        expectedPrevHash = entry.entry_hash;
+    }
+
+    return { valid: true, headHash: expectedPrevHash };
+}
+
+/**
+ * Formats an entry for the API
+ * @param {Object} entry - TransparencyLogEntry instance
+ * @returns {Object} Plain entry object
+ */
+function formatLogEntry(entry) {
+    return {
+        sequence: entry.sequence,
+        prev_hash: entry.prev_hash,
+        entry_hash: entry.entry_hash,
+        leaf: entry.leaf,
+        created_at: entry.createdAt,
+    };
+}
+
+/**
+ * Creates the hash-chained log of accepted claims and their destination changes
+ * @param {Object} params
+ * @param {Object} params.TransparencyLogEntry - TransparencyLogEntry model
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{append: function, appendDestinationChange: function, appendMissingClaims: function, getHead: function, getEntries: function}}
+ */
+function createTransparencyLog({ TransparencyLogEntry, now = () => new Date() }) {
+    const { sequelize } = TransparencyLogEntry;
+
+    // Held until the transaction ends, so appends from any instance form a single chain
+    async function lock(transaction) {
+        await sequelize.query('SELECT pg_advisory_xact_lock(:key)', { replacements: { key: LOG_LOCK_KEY }, transaction });
+    }
+
+    async function appendLocked(entryType, claimId, leaf, transaction) {
+        const last = await TransparencyLogEntry.findOne({ order: [['sequence', 'DESC']], transaction });
+        const sequence = last ? last.sequence + 1 : 1;
+        const prevHash = last ? last.entry_hash : GENESIS_HASH;
+
+        return TransparencyLogEntry.create({
+            sequence,
+            entry_type: entryType,
+            claim_id: claimId,
+            leaf,
+            prev_hash: prevHash,
+            entry_hash: hashEntry({ sequence, prevHash, leaf }),
+        }, { transaction });
+    }
+
+    /**
+     * Appends a claim. Must run in the transaction that stores the claim, so a claim is never
+     * stored without its entry.
+     * @param {Object} claim - Snapshot instance
+     * @param {Object} transaction - The claim's transaction
+     * @returns {Promise<Object>} The TransparencyLogEntry
+     */
+    async function append(claim, transaction) {
+        await lock(transaction);
+        return appendLocked(ENTRY_TYPES.CLAIM, claim.id, buildLeaf(claim), transaction);
+    }
+
+    /**
+     * Appends an applied destination change. Must run in the transaction that applies it, so a
+     * claim never moves without its entry.
+     * @param {Object} change - Applied DestinationChange instance, with its signature and applied_at
+     * @param {Object} transaction - The change's transaction
+     * @returns {Promise<Object>} The TransparencyLogEntry
+     */
+    async function appendDestinationChange(change, transaction) {
+        await lock(transaction);
+        return appendLocked(ENTRY_TYPES.DESTINATION_CHANGE, change.claim_id, buildDestinationChangeLeaf(change), transaction);
+    }
+
+    /**
+     * Appends the claims that have no entry yet, oldest first. Brings claims stored
+     * before the log existed into it.
+     * @param {Object} Snapshot - Snapshot model
+     * @returns {Promise<number>} Number of claims appended
+     */
+    async function appendMissingClaims(Snapshot) {
+        const table = sequelize.getQueryInterface().quoteIdentifier(TransparencyLogEntry.getTableName());
+
+        return sequelize.transaction(async (transaction) => {
+            await lock(transaction);
+
+            const claims = await Snapshot.findAll({
+                where: { id: { [Op.notIn]: sequelize.literal(`(SELECT claim_id FROM ${table} WHERE entry_type = '${ENTRY_TYPES.CLAIM}')`) } },
+                order: [['id', 'ASC']],
+                transaction,
+            });
+            for (const claim of claims) {
+                await appendLocked(ENTRY_TYPES.CLAIM, claim.id, buildLeaf(claim), transaction);
+            }
+
+            return claims.length;
+        });
+    }
+
+    /**
+     * The current head of the log
+     * @returns {Promise<{size: number, head_hash: string, timestamp: string}>}
+     *   head_hash is GENESIS_HASH while the log is empty
+     */
+    async function getHead() {
+        const last = await TransparencyLogEntry.findOne({ order: [['sequence', 'DESC']] });
+
+        return {
+            size: last ? last.sequence : 0,
+            head_hash: last ? last.entry_hash : GENESIS_HASH,
+            timestamp: now().toISOString(),
+        };
+    }
+
+    /**
+     * A page of entries in log order
+     * @param {Object} [options]
+     * @param {number} [options.from] - First sequence to return
+     * @param {number} [options.limit] - Most entries to return, capped at MAX_PAGE_SIZE
+     * @returns {Promise<Object[]>} TransparencyLogEntry instances
+     */
+    async function getEntries({ from = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+        return TransparencyLogEntry.findAll({
+            where: { sequence: { [Op.gte]: from } },
+            order: [['sequence', 'ASC']],
+            limit: Math.min(limit, MAX_PAGE_SIZE),
+        });
+    }
+
+    return { append, appendDestinationChange, appendMissingClaims, getHead, getEntries };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    ENTRY_TYPES,
+    MAX_PAGE_SIZE,
+    buildLeaf,
+    buildDestinationChangeLeaf,
+    hashEntry,
+    verifyLogEntries,
+    formatLogEntry,
+    createTransparencyLog,
+};
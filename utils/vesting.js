@@ -0,0 +1,153 @@
+// utils/vesting.js
+const { AllocationError } = require('./allocation');
+
+// Percentages are kept in basis points so the split stays exact BigInt arithmetic
+const BASIS_POINTS = 10000n;
+const PERCENTAGE_PATTERN = /^\d{1,3}(\.\d{1,2})?$/;
+
+const RULE_FIELDS = ['immediate_percentage', 'cliff_seconds', 'period_seconds', 'period_count'];
+
+function readPercentage(value, name) {
+    if (!PERCENTAGE_PATTERN.test(String(value))) {
+        throw new AllocationError(`Invalid vesting schedule: ${name} must be a number with at most two decimals`);
+    }
+    const [whole, fraction = ''] = String(value).split('.');
+    const basisPoints = BigInt(whole) * 100n + BigInt(fraction.padEnd(2, '0'));
+    if (basisPoints > BASIS_POINTS) {
+        throw new AllocationError(`Invalid vesting schedule: ${name} must be between 0 and 100`);
+    }
+    return basisPoints;
+}
+
+function readInteger(value, name, min) {
+    if (!Number.isSafeInteger(Number(value)) || !/^\d+$/.test(String(value)) || Number(value) < min) {
+        throw new AllocationError(`Invalid vesting schedule: ${name} must be an integer of at least ${min}`);
+    }
+    return Number(value);
+}
+
+// Picks the unlock rules out of a schedule or a tier, leaving out the ones it does not set
+function pickRuleFields(config) {
+    const picked = {};
+    RULE_FIELDS.filter(field => config[field] !== undefined).forEach(field => {
+        picked[field] = config[field];
+    });
+    return picked;
+}
+
+// Reads one set of unlock rules, prefixing errors with name
+function parseRule({ immediate_percentage = 0, cliff_seconds = 0, period_seconds = 0, period_count = 0 }, name) {
+    const rule = {
+        minBalance: 0n,
+        immediateBasisPoints: readPercentage(immediate_percentage, `${name}immediate_percentage`),
+        cliffSeconds: readInteger(cliff_seconds, `${name}cliff_seconds`, 0),
+        periodSeconds: readInteger(period_seconds, `${name}period_seconds`, 0),
+        periodCount: readInteger(period_count, `${name}period_count`, 0),
+    };
+
+    if (rule.immediateBasisPoints < BASIS_POINTS && (rule.periodCount < 1 || rule.periodSeconds < 1)) {
+        throw new AllocationError(
+            `Invalid vesting schedule: ${name}period_count and ${name}period_seconds must be at least 1 unless ${name}immediate_percentage is 100`
+        );
+    }
+
+    return rule;
+}
+
+/**
+ * Reads the vesting schedule of a campaign.
+ *
+ * Every address receives immediate_percentage of its final balance at start_time. The rest
+ * unlocks in period_count equal periods of period_seconds, the first of which only starts after
+ * cliff_seconds. Tiers apply other rules to final balances of at least min_balance satoshis; the
+ * tier with the highest min_balance an address reaches wins, and rules a tier leaves out are
+ * taken from the campaign-wide ones.
+ *
+ * @param {Object} config - Campaign vesting_schedule, e.g.
+ *   { start_time, immediate_percentage, cliff_seconds, period_seconds, period_count, tiers: [{ min_balance, ... }] }
+ * @returns {{startTime: Date, rules: Object[]}} Schedule for buildUnlockSchedule(), rules ordered by min balance, highest first
+ * @throws {AllocationError} If the schedule is invalid
+ */
+function parseVestingSchedule(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new AllocationError('Invalid vesting schedule: it must be an object');
+    }
+
+    const startTime = new Date(config.start_time);
+    if (!config.start_time || Number.isNaN(startTime.getTime())) {
+        throw new AllocationError('Invalid vesting schedule: start_time must be a date');
+    }
+
+    const base = pickRuleFields(config);
+    const tiers = config.tiers || [];
+    if (!Array.isArray(tiers)) {
+        throw new AllocationError('Invalid vesting schedule: tiers must be an array');
+    }
+
+    const rules = [parseRule(base, '')];
+    const thresholds = new Set();
+    tiers.forEach((tier, index) => {
+        const name = `tiers[${index}].`;
+        if (!/^\d+$/.test(String(tier.min_balance)) || BigInt(tier.min_balance) === 0n) {
+            throw new AllocationError(`Invalid vesting schedule: ${name}min_balance must be a positive number of satoshis`);
+        }
+        const minBalance = BigInt(tier.min_balance);
+        if (thresholds.has(minBalance)) {
+            throw new AllocationError(`Invalid vesting schedule: more than one tier starts at ${minBalance}`);
+        }
+        thresholds.add(minBalance);
+
+        // Rules a tier leaves out are taken from the campaign-wide ones
+        rules.push({ ...parseRule({ ...base, ...pickRuleFields(tier) }, name), minBalance });
+    });
+
+    rules.sort((a, b) => (a.minBalance === b.minBalance ? 0 : (a.minBalance > b.minBalance ? -1 : 1)));
+
+    return { startTime, rules };
+}
+
+/**
+ * Splits a final balance into what is available at the start and what unlocks in each period.
+ * The periods are equal, rounded down, and the last one also receives the rounding remainder,
+ * so immediate plus the periods always adds up to the balance.
+ * @param {bigint} balance - Final balance of an address in satoshis
+ * @param {{startTime: Date, rules: Object[]}} schedule - From parseVestingSchedule()
+ * @returns {{immediate: bigint, vesting: bigint, startTime: Date, endTime: Date, periods: Array<{length: number, unlocksAt: Date, amount: bigint}>}}
+ *   length is in seconds since the end of the previous period, or since startTime for the first one.
+ *   Nothing vests and periods is empty when the whole balance is immediate.
+ */
+function buildUnlockSchedule(balance, schedule) {
+    const rule = schedule.rules.find(candidate => balance >= candidate.minBalance);
+    const immediate = (balance * rule.immediateBasisPoints) / BASIS_POINTS;
+    const vesting = balance - immediate;
+
+    const periods = [];
+    let elapsed = 0;
+    if (vesting > 0n) {
+        const count = BigInt(rule.periodCount);
+        const share = vesting / count;
+
+        for (let index = 0; index < rule.periodCount; index++) {
+            const length = index === 0 ? rule.cliffSeconds + rule.periodSeconds : rule.periodSeconds;
+            elapsed += length;
+            periods.push({
+                length,
+                unlocksAt: new Date(schedule.startTime.getTime() + elapsed * 1000),
+                amount: index === rule.periodCount - 1 ? vesting - share * (count - 1n) : share,
+            });
+        }
+    }
+
+    return {
+        immediate,
+        vesting,
+        startTime: schedule.startTime,
+        endTime: new Date(schedule.startTime.getTime() + elapsed * 1000),
+        periods,
+    };
+}
+
+module.exports = {
+    parseVestingSchedule,
+    buildUnlockSchedule,
+};
@@ -0,0 +1,302 @@
+// utils/webhooks.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { NOTIFICATION_EVENTS } = require('./notificationChannels');
+const { getRetryDelaySeconds, claimDueRows } = require('./notifier');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const SIGNATURE_HEADER = 'X-Epix-Signature';
+
+/**
+ * Generates the secret a subscription's deliveries are signed with
+ * @returns {string} 32 random bytes as hex
+ */
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a delivery body. The signature covers the timestamp too, so a captured
+ * delivery cannot be replayed later with a fresh timestamp.
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Header value: t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ */
+function signWebhookPayload(secret, body, timestamp) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Checks a signature header the way a receiver should
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Epix-Signature header value
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Largest accepted age of the timestamp
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+    const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, body, timestamp));
+    const actual = Buffer.from(`t=${timestamp},v1=${parts.v1}`);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validates the fields of a subscription from a create or update request
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing fields are allowed, for updates
+ * @returns {{values: Object}|{error: string, field: string}} Values to store, or the first problem found and its field
+ */
+function validateSubscriptionInput(body, partial) {
+    const values = {};
+
+    if (body.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch (error) {
+            return { error: 'url must be a valid URL', field: 'url' };
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return { error: 'url must be an http or https URL', field: 'url' };
+        }
+        values.url = url.toString();
+    }
+
+    if (body.events !== undefined || !partial) {
+        const known = Object.values(NOTIFICATION_EVENTS);
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            return { error: 'events must be a non-empty array', field: 'events' };
+        }
+        const unknown = body.events.find(event => event !== '*' && !known.includes(event));
+        if (unknown !== undefined) {
+            return { error: `Unknown event: ${unknown}. Use * or one of: ${known.join(', ')}`, field: 'events' };
+        }
+        values.events = Array.from(new Set(body.events));
+    }
+
+    if (body.campaign_id !== undefined) {
+        if (body.campaign_id !== null && !Number.isInteger(body.campaign_id)) {
+            return { error: 'campaign_id must be an integer or null', field: 'campaign_id' };
+        }
+        values.campaign_id = body.campaign_id;
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            return { error: 'active must be a boolean', field: 'active' };
+        }
+        values.active = body.active;
+    }
+
+    if (body.description !== undefined) {
+        values.description = body.description === null ? null : String(body.description);
+    }
+
+    return { values };
+}
+
+/**
+ * Whether a subscription wants an event
+ * @param {Object} subscription - WebhookSubscription instance
+ * @param {string} type - Event type
+ * @param {Object} data - Event details, campaign_id is matched against the subscription's campaign
+ * @returns {boolean}
+ */
+function subscriptionMatches(subscription, type, data) {
+    if (!subscription.active) {
+        return false;
+    }
+    if (!subscription.events.includes('*') && !subscription.events.includes(type)) {
+        return false;
+    }
+    return subscription.campaign_id === null || subscription.campaign_id === undefined
+        || subscription.campaign_id === data.campaign_id;
+}
+
+/**
+ * Formats a subscription for API responses. The secret is only shown when it is created.
+ * @param {Object} subscription - WebhookSubscription instance
+ * @returns {Object} Plain subscription object
+ */
+function formatSubscription(subscription) {
+    return {
+        id: subscription.id,
+        url: subscription.url,
+        events: subscription.events,
+        campaign_id: subscription.campaign_id,
+        description: subscription.description,
+        active: subscription.active,
+        created_at: subscription.createdAt,
+    };
+}
+
+/**
+ * Formats a delivery for the delivery log
+ * @param {Object} delivery - WebhookDelivery instance
+ * @returns {Object} Plain delivery object
+ */
+function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        subscription_id: delivery.subscription_id,
+        event_type: delivery.event_type,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        last_status_code: delivery.last_status_code,
+        last_error: delivery.last_error,
+        next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+        delivered_at: delivery.delivered_at,
+        created_at: delivery.createdAt,
+        payload: delivery.payload,
+    };
+}
+
+/**
+ * Creates the dispatcher that delivers events to webhook subscriptions. Every delivery is
+ * logged in the WebhookDelivery table; failed ones are retried with exponential backoff.
+ * @param {Object} params
+ * @param {Object} params.WebhookSubscription - WebhookSubscription model
+ * @param {Object} params.WebhookDelivery - WebhookDelivery model
+ * @param {number} [params.maxAttempts] - Attempts before a delivery is marked failed
+ * @param {function({eventType: string}): void} [params.onFailure] - Called for every failed attempt, e.g. to count it
+ * @param {function(): Date} [params.now] - Clock, for tests
+ * @returns {{dispatch: function(string, Object): Promise<void>, processDueDeliveries: function(number=): Promise<{delivered: number, retried: number, failed: number}>, replay: function(Object): Promise<Object>}}
+ */
+function createWebhookDispatcher({
+    WebhookSubscription,
+    WebhookDelivery,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    onFailure = () => {},
+    now = () => new Date(),
+}) {
+    // Sends one attempt and records its outcome on the delivery
+    async function attempt(delivery, subscription) {
+        const body = JSON.stringify(delivery.payload);
+        const attempts = delivery.attempts + 1;
+
+        try {
+            const response = await axios.post(subscription.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Epix-Event': delivery.event_type,
+                    'X-Epix-Delivery': String(delivery.id),
+                    [SIGNATURE_HEADER]: signWebhookPayload(subscription.secret, body, Math.floor(now().getTime() / 1000)),
+                },
+                timeout: DELIVERY_TIMEOUT_MS,
+                maxRedirects: 0,
+            });
+
+            await delivery.update({
+                status: 'delivered',
+                attempts,
+                last_status_code: response.status,
+                last_error: null,
+                delivered_at: now(),
+            });
+            return 'delivered';
+        } catch (error) {
+            onFailure({ eventType: delivery.event_type });
+            const givenUp = attempts >= maxAttempts;
+
+            await delivery.update({
+                status: givenUp ? 'failed' : 'pending',
+                attempts,
+                last_status_code: error.response ? error.response.status : null,
+                last_error: error.message,
+                next_attempt_at: new Date(now().getTime() + getRetryDelaySeconds(attempts) * 1000),
+            });
+            return givenUp ? 'failed' : 'retried';
+        }
+    }
+
+    /**
+     * Logs a delivery for every subscription that wants the event and makes the first attempt.
+     * Never rejects, so callers can fire and forget.
+     * @param {string} type - One of NOTIFICATION_EVENTS
+     * @param {Object} data - Event details
+     * @returns {Promise<void>}
+     */
+    async function dispatch(type, data) {
+        try {
+            const subscriptions = (await WebhookSubscription.findAll({ where: { active: true } }))
+                .filter(subscription => subscriptionMatches(subscription, type, data));
+
+            await Promise.all(subscriptions.map(async (subscription) => {
+                const delivery = await WebhookDelivery.create({
+                    subscription_id: subscription.id,
+                    event_type: type,
+                    payload: { event: type, data, timestamp: now().toISOString() },
+                    next_attempt_at: now(),
+                });
+                await attempt(delivery, subscription);
+            }));
+        } catch (error) {
+            console.error(`Failed to dispatch ${type} webhooks:`, error);
+        }
+    }
+
+    /**
+     * Retries the pending deliveries that are due, claimed with claimDueRows() so that instances
+     * running at the same time do not attempt them twice
+     * @param {number} [limit] - Most deliveries to attempt in one run
+     * @returns {Promise<{delivered: number, retried: number, failed: number}>}
+     */
+    async function processDueDeliveries(limit = 50) {
+        const result = { delivered: 0, retried: 0, failed: 0 };
+
+        const due = await claimDueRows(WebhookDelivery, { limit, now: now() });
+
+        for (const delivery of due) {
+            const subscription = await WebhookSubscription.findByPk(delivery.subscription_id);
+            if (!subscription || !subscription.active) {
+                await delivery.update({ status: 'failed', last_error: 'Subscription is no longer active' });
+                result.failed++;
+                continue;
+            }
+
+            result[await attempt(delivery, subscription)]++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Sends a logged delivery again with its original payload and delivery id, so receivers can
+     * de-duplicate. The delivery gets a fresh set of attempts if this one fails.
+     * @param {Object} delivery - WebhookDelivery instance
+     * @returns {Promise<Object>} The updated delivery
+     */
+    async function replay(delivery) {
+        const subscription = await WebhookSubscription.findByPk(delivery.subscription_id);
+
+        await delivery.update({ status: 'pending', attempts: 0, next_attempt_at: now() });
+        await attempt(delivery, subscription);
+        return delivery;
+    }
+
+    return { dispatch, processDueDeliveries, replay };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    generateWebhookSecret,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    validateSubscriptionInput,
+    subscriptionMatches,
+    formatSubscription,
+    formatDelivery,
+    createWebhookDispatcher,
+};
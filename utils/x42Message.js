@@ -0,0 +1,116 @@
+// utils/x42Message.js
+const crypto = require('crypto');
+const secp256k1 = require('@noble/secp256k1');
+const bs58check = require('bs58check').default;
+
+// x42 uses the same signed message magic as Bitcoin, only the address version differs
+const MESSAGE_MAGIC = 'Bitcoin Signed Message:\n';
+const X42_PUBKEY_ADDRESS_VERSION = 75;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function hash160(buffer) {
+    return crypto.createHash('ripemd160').update(sha256(buffer)).digest();
+}
+
+function encodeVarInt(number) {
+    if (number < 0xfd) {
+        return Buffer.from([number]);
+    }
+
+    if (number <= 0xffff) {
+        const buffer = Buffer.alloc(3);
+        buffer[0] = 0xfd;
+        buffer.writeUInt16LE(number, 1);
+        return buffer;
+    }
+
+    const buffer = Buffer.alloc(5);
+    buffer[0] = 0xfe;
+    buffer.writeUInt32LE(number, 1);
+    return buffer;
+}
+
+/**
+ * Computes the hash that is signed for a Bitcoin-style signed message
+ * @param {string} message - The signed message
+ * @returns {Buffer} Double SHA-256 of the magic-prefixed message
+ */
+function hashMessage(message) {
+    const prefix = Buffer.from(MESSAGE_MAGIC, 'utf8');
+    const messageBuffer = Buffer.from(message, 'utf8');
+
+    return sha256(sha256(Buffer.concat([
+        encodeVarInt(prefix.length),
+        prefix,
+        encodeVarInt(messageBuffer.length),
+        messageBuffer,
+    ])));
+}
+
+/**
+ * Derives a P2PKH address from a public key
+ * @param {Uint8Array} publicKey - Compressed or uncompressed secp256k1 public key
+ * @param {number} [version] - Address version byte, defaults to x42
+ * @returns {string} Base58Check encoded address
+ */
+function publicKeyToAddress(publicKey, version = X42_PUBKEY_ADDRESS_VERSION) {
+    return bs58check.encode(Buffer.concat([Buffer.from([version]), hash160(Buffer.from(publicKey))]));
+}
+
+/**
+ * Recovers the address that produced a compact signed message signature
+ * @param {string} message - The signed message
+ * @param {string} signature - Base64 encoded 65 byte compact signature
+ * @param {number} [version] - Address version byte, defaults to x42
+ * @returns {string} The P2PKH address of the signing key
+ * @throws {Error} If the signature is malformed or no key can be recovered
+ */
+function recoverAddress(message, signature, version = X42_PUBKEY_ADDRESS_VERSION) {
+    const signatureBuffer = Buffer.from(signature, 'base64');
+
+    if (signatureBuffer.length !== 65) {
+        throw new Error('Invalid signature length');
+    }
+
+    const header = signatureBuffer[0];
+    if (header < 27 || header > 34) {
+        throw new Error('Invalid signature header');
+    }
+
+    const recovery = (header - 27) & 3;
+    const compressed = header >= 31;
+    const publicKey = secp256k1.recoverPublicKey(hashMessage(message), signatureBuffer.subarray(1), recovery, compressed);
+
+    if (!publicKey) {
+        throw new Error('Unable to recover public key from signature');
+    }
+
+    return publicKeyToAddress(publicKey, version);
+}
+
+/**
+ * Verifies a Bitcoin-style signed message against an x42 address
+ * @param {string} message - The signed message
+ * @param {string} address - Address that is expected to have signed the message
+ * @param {string} signature - Base64 encoded compact signature
+ * @param {number} [version] - Address version byte, defaults to x42
+ * @returns {boolean} Returns true if the signature was made by the address, false otherwise
+ */
+function verifyMessage(message, address, signature, version = X42_PUBKEY_ADDRESS_VERSION) {
+    try {
+        return recoverAddress(message, signature, version) === address;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    X42_PUBKEY_ADDRESS_VERSION,
+    hashMessage,
+    publicKeyToAddress,
+    recoverAddress,
+    verifyMessage,
+};
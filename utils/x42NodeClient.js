@@ -0,0 +1,222 @@
+// utils/x42NodeClient.js
+const axios = require('axios');
+
+const DEFAULT_HOST = 'http://localhost:42220';
+
+// Expired cache entries are dropped once the cache grows past this many
+const CACHE_SWEEP_SIZE = 1000;
+
+class X42NodeError extends Error {
+    /**
+     * @param {string} message - What failed
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTP status the node answered with, null if none answered
+     * @param {Error} [details.cause] - Last underlying error
+     */
+    constructor(message, { status = null, cause } = {}) {
+        super(message);
+        this.name = 'X42NodeError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Reads the node client settings from the environment. NODE_HOST takes a comma separated
+ * list of nodes, tried in order when one fails.
+ * @param {Object} [env] - Environment to read, defaults to process.env
+ * @returns {{hosts: string[], timeoutMs: number, retries: number, retryDelayMs: number, cacheTtlMs: number}}
+ */
+function loadNodeClientOptions(env = process.env) {
+    const setting = (name, fallback) => {
+        const value = parseInt(env[name]);
+        return Number.isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    return {
+        hosts: (env.NODE_HOST || DEFAULT_HOST).split(',')
+            .map(host => host.trim().replace(/\/+$/, ''))
+            .filter(Boolean),
+        timeoutMs: setting('NODE_TIMEOUT_MS', 5000),
+        retries: setting('NODE_RETRIES', 2),
+        retryDelayMs: setting('NODE_RETRY_DELAY_MS', 200),
+        cacheTtlMs: setting('NODE_CACHE_TTL_SECONDS', 10) * 1000,
+    };
+}
+
+// A node URL without the user and password NODE_HOST may give it, for metric labels and logs
+function withoutCredentials(host) {
+    return host.replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/@]*@/i, '$1');
+}
+
+// Timeouts, connection failures and server errors may go away on another node or a retry.
+// Other statuses mean the request itself is wrong.
+function isRetryable(error) {
+    return !error.response || error.response.status >= 500 || error.response.status === 429;
+}
+
+/**
+ * Creates the client for the BlockCore API of the x42 nodes
+ * @param {Object} params - Usually loadNodeClientOptions(), plus test doubles
+ * @param {string[]} params.hosts - Node base URLs, the first is tried first
+ * @param {number} [params.timeoutMs] - Time limit of a single request
+ * @param {number} [params.retries] - Further rounds over all hosts after the first fails
+ * @param {number} [params.retryDelayMs] - Wait before the first retry, doubled for each one after
+ * @param {number} [params.cacheTtlMs] - How long the indexer tip and balances are reused, 0 to not cache
+ * @param {Object} [params.http] - axios or a compatible client
+ * @param {function({host: string, url: string, seconds: number, ok: boolean}): void} [params.onRequest] - Called after
+ *   every request to a node, answered or not, e.g. to time it. host is the node URL without any user and password.
+ * @param {function(): number} [params.now] - Clock in milliseconds, for tests
+ * @param {function(number): Promise<void>} [params.sleep] - Waits between retries, for tests
+ * @returns {{getAddressIndexerTip: function, getAddressesBalances: function, validateAddress: function, verifyMessage: function}}
+ */
+function createX42NodeClient({
+    hosts,
+    timeoutMs = 5000,
+    retries = 2,
+    retryDelayMs = 200,
+    cacheTtlMs = 10000,
+    http = axios,
+    onRequest = () => {},
+    now = () => Date.now(),
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+}) {
+    if (!hosts || hosts.length === 0) {
+        throw new Error('At least one x42 node host is required');
+    }
+
+    const hostNames = hosts.map(withoutCredentials);
+
+    // Start with the node that answered last, so a dead first node does not slow every request
+    let preferred = 0;
+    const cache = new Map();
+
+    async function request(config) {
+        let lastError;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(retryDelayMs * 2 ** (attempt - 1));
+            }
+
+            for (let i = 0; i < hosts.length; i++) {
+                const index = (preferred + i) % hosts.length;
+                const start = process.hrtime.bigint();
+                const observe = (ok) => onRequest({
+                    host: hostNames[index],
+                    url: config.url,
+                    seconds: Number(process.hrtime.bigint() - start) / 1e9,
+                    ok,
+                });
+                try {
+                    const response = await http.request({ ...config, baseURL: hosts[index], timeout: timeoutMs });
+                    observe(true);
+                    preferred = index;
+                    return response.data;
+                } catch (error) {
+                    observe(false);
+                    if (!isRetryable(error)) {
+                        throw new X42NodeError(`x42 node rejected ${config.url} with HTTP ${error.response.status}`, {
+                            status: error.response.status,
+                            cause: error,
+                        });
+                    }
+                    console.warn(`x42 node ${hostNames[index]} failed on ${config.url}: ${error.message}`);
+                    lastError = error;
+                }
+            }
+        }
+
+        throw new X42NodeError(`No x42 node answered ${config.url}: ${lastError.message}`, { cause: lastError });
+    }
+
+    // Concurrent callers share one request, and failures are not cached
+    function cached(key, load) {
+        const entry = cache.get(key);
+        if (entry && entry.expiresAt > now()) {
+            return entry.promise;
+        }
+
+        if (cache.size >= CACHE_SWEEP_SIZE) {
+            cache.forEach((value, cachedKey) => {
+                if (value.expiresAt <= now()) {
+                    cache.delete(cachedKey);
+                }
+            });
+        }
+
+        const promise = load();
+        cache.set(key, { promise, expiresAt: now() + cacheTtlMs });
+        promise.catch(() => {
+            if (cache.get(key) && cache.get(key).promise === promise) {
+                cache.delete(key);
+            }
+        });
+        return promise;
+    }
+
+    /**
+     * Height and hash of the block the address indexer has reached
+     * @returns {Promise<{tipHash: string, tipHeight: number}>}
+     * @throws {X42NodeError} If no node answers
+     */
+    function getAddressIndexerTip() {
+        return cached('tip', () => request({ method: 'get', url: '/api/BlockStore/addressindexertip' }));
+    }
+
+    /**
+     * Current balances of addresses, from the address indexer
+     * @param {string[]} addresses - Addresses to look up
+     * @param {Object} [options]
+     * @param {number} [options.minConfirmations] - Confirmations a transaction needs to count
+     * @returns {Promise<{balances: Array<{address: string, balance: number}>}>} The node's response
+     * @throws {X42NodeError} If no node answers
+     */
+    function getAddressesBalances(addresses, { minConfirmations = 1 } = {}) {
+        const list = addresses.join(',');
+        return cached(`balances:${minConfirmations}:${list}`, () => request({
+            method: 'get',
+            url: '/api/BlockStore/getaddressesbalances',
+            params: { addresses: list, minConfirmations },
+        }));
+    }
+
+    /**
+     * Asks the node whether an address is valid
+     * @param {string} address - x42 address
+     * @returns {Promise<{isvalid: boolean, iswitness: boolean}>} The node's response
+     * @throws {X42NodeError} If no node answers
+     */
+    function validateAddress(address) {
+        return request({ method: 'get', url: '/api/Node/validateaddress', params: { address } });
+    }
+
+    /**
+     * Checks a signed message with the node's wallet API. Claims are verified locally with
+     * utils/x42Message.js; this is for cross-checking against a node.
+     * @param {Object} params
+     * @param {string} params.message - Signed message
+     * @param {string} params.address - x42 address that signed it
+     * @param {string} params.signature - Base64 signature
+     * @returns {Promise<boolean>}
+     * @throws {X42NodeError} If no node answers
+     */
+    async function verifyMessage({ message, address, signature }) {
+        const data = await request({
+            method: 'post',
+            url: '/api/Wallet/verifymessage',
+            data: { signature, externalAddress: address, message },
+            headers: { 'Content-Type': 'application/json-patch+json' },
+        });
+        // The node answers with the text True or False
+        return data === true || String(data).toLowerCase() === 'true';
+    }
+
+    return { getAddressIndexerTip, getAddressesBalances, validateAddress, verifyMessage };
+}
+
+module.exports = {
+    X42NodeError,
+    loadNodeClientOptions,
+    createX42NodeClient,
+};